@@ -0,0 +1,141 @@
+// billing.js
+// Tariff pricing, GST and invoice numbering, shared by the app (script.js) and the OCPP central
+// system (server/ocpp), so a session is billed the same way whichever of them settles it.
+
+// Invoicing
+const GST_RATE = 18;          // % GST included in all prices and fees, split equally into CGST and SGST
+const INVOICE_PREFIX = 'EVCN'; // invoice numbers look like EVCN/2025-26/000042
+
+// --- TARIFFS ---
+// A station's tariff is { peak: {price, start, end}, offPeak: {price, start, end}, weekend: {price},
+// perMinuteFee, sessionFee, idleFee: {perMinute, graceMinutes} } with times as 'HH:MM'. pricePerKwh
+// is the standard rate outside the bands.
+function timeToMinutes(time) {
+    const [h, m] = time.split(':').map(Number);
+    return h * 60 + m;
+}
+
+function isInTimeWindow(minuteOfDay, start, end) {
+    const from = timeToMinutes(start);
+    const to = timeToMinutes(end);
+    return from <= to ? minuteOfDay >= from && minuteOfDay < to : minuteOfDay >= from || minuteOfDay < to; // window may wrap midnight
+}
+
+function getTariffBand(station, date) {
+    const tariff = station.tariff || {};
+    const day = date.getDay();
+    const minuteOfDay = date.getHours() * 60 + date.getMinutes();
+    if (tariff.weekend?.price && (day === 0 || day === 6)) return { name: 'Weekend', price: tariff.weekend.price };
+    if (tariff.peak?.price && isInTimeWindow(minuteOfDay, tariff.peak.start, tariff.peak.end)) return { name: 'Peak', price: tariff.peak.price };
+    if (tariff.offPeak?.price && isInTimeWindow(minuteOfDay, tariff.offPeak.start, tariff.offPeak.end)) return { name: 'Off-Peak', price: tariff.offPeak.price };
+    return { name: 'Standard', price: station.pricePerKwh };
+}
+
+function getCurrentPrice(station) {
+    return getTariffBand(station, new Date()).price;
+}
+
+// Next instant after fromMs at which the band could change: any band start/end time or midnight.
+function getNextBandChange(station, fromMs) {
+    const tariff = station.tariff || {};
+    const times = [tariff.peak, tariff.offPeak].filter(band => band?.price).flatMap(band => [band.start, band.end]);
+    const dayStart = new Date(fromMs);
+    dayStart.setHours(0, 0, 0, 0);
+    const candidates = [];
+    for (let d = 0; d <= 1; d++) {
+        const base = new Date(dayStart);
+        base.setDate(base.getDate() + d);
+        candidates.push(base.getTime());
+        times.forEach(time => candidates.push(base.getTime() + timeToMinutes(time) * 60000));
+    }
+    candidates.push(dayStart.getTime() + 2 * 24 * 60 * 60000);
+    return Math.min(...candidates.filter(t => t > fromMs));
+}
+
+// Prices a session from startMs to endMs, splitting the energy across tariff bands.
+// energyAt(ms) returns the cumulative kWh delivered by that time.
+function priceSession(station, startMs, endMs, energyAt) {
+    const tariff = station.tariff || {};
+    const segments = [];
+    let from = startMs;
+    while (from < endMs) {
+        const to = Math.min(getNextBandChange(station, from), endMs);
+        const band = getTariffBand(station, new Date(from));
+        const kwh = energyAt(to) - energyAt(from);
+        const last = segments[segments.length - 1];
+        if (last && last.band === band.name && last.price === band.price) {
+            last.kwh += kwh;
+            last.cost += kwh * band.price;
+        } else {
+            segments.push({ band: band.name, price: band.price, kwh, cost: kwh * band.price });
+        }
+        from = to;
+    }
+    const energyCost = segments.reduce((sum, seg) => sum + seg.cost, 0);
+    const timeFee = (tariff.perMinuteFee || 0) * Math.max(endMs - startMs, 0) / 60000;
+    const sessionFee = tariff.sessionFee || 0;
+    return { segments, energyCost, timeFee, sessionFee, total: energyCost + timeFee + sessionFee };
+}
+
+// energyAt() for priceSession() from a charger's meter readings: points are { at: ms, kwh } in time
+// order, and the energy is interpolated between them.
+function getMeteredEnergyAt(points) {
+    return ms => {
+        const after = points.findIndex(p => p.at >= ms);
+        if (after === -1) return points[points.length - 1].kwh;
+        if (after === 0) return points[0].kwh;
+        const a = points[after - 1], b = points[after];
+        return a.kwh + (b.kwh - a.kwh) * (ms - a.at) / (b.at - a.at);
+    };
+}
+
+// --- IDLE FEES ---
+// A car left on the connector after it has finished charging pays the station's idle fee for each
+// whole minute past the grace period, until the session ends. chargingEndedMs is null while the car
+// is still charging.
+function getIdleFee(station, chargingEndedMs, endMs) {
+    const { perMinute = 0, graceMinutes = 0 } = station?.tariff?.idleFee || {};
+    const idleMinutes = chargingEndedMs ? Math.floor(Math.max(endMs - chargingEndedMs, 0) / 60000) : 0;
+    const billedMinutes = perMinute > 0 ? Math.max(idleMinutes - graceMinutes, 0) : 0;
+    return { idleMinutes, billedMinutes, idleFee: billedMinutes * perMinute };
+}
+
+// --- TAX & INVOICE NUMBERS ---
+function roundCurrency(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+// Indian financial year (April to March) of a date, e.g. '2025-26'.
+function getFinancialYear(date) {
+    const year = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+    return `${year}-${String((year + 1) % 100).padStart(2, '0')}`;
+}
+
+function getInvoiceCounterId(date) {
+    return `invoices-${getFinancialYear(date)}`;
+}
+
+// Invoice numbers run without gaps per financial year, using counters/invoices-<year>.
+// The counter must already have been read in the same transaction.
+function claimInvoiceNumber(transaction, counterRef, counterDoc, date) {
+    const financialYear = getFinancialYear(date);
+    const number = (counterDoc.exists ? counterDoc.data().lastNumber : 0) + 1;
+    transaction.set(counterRef, { lastNumber: number, financialYear });
+    return `${INVOICE_PREFIX}/${financialYear}/${String(number).padStart(6, '0')}`;
+}
+
+// Prices are GST-inclusive, so the tax is backed out of the total.
+function getTaxBreakdown(total) {
+    const grossAmount = roundCurrency(total);
+    const taxableValue = roundCurrency(grossAmount / (1 + GST_RATE / 100));
+    const cgst = roundCurrency((grossAmount - taxableValue) / 2);
+    const sgst = roundCurrency(grossAmount - taxableValue - cgst);
+    return { rate: GST_RATE, taxableValue, cgst, sgst, total: grossAmount };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GST_RATE, INVOICE_PREFIX, timeToMinutes, isInTimeWindow, getTariffBand, getCurrentPrice, getNextBandChange, priceSession, getMeteredEnergyAt,
+        getIdleFee, roundCurrency, getFinancialYear, getInvoiceCounterId, claimInvoiceNumber, getTaxBreakdown,
+    };
+}
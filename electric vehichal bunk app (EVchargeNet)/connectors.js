@@ -0,0 +1,248 @@
+// connectors.js
+// Connector state of a station, the vehicle models that use them, holding connectors for
+// reservations and handing freed connectors to the queue, shared by the app (script.js) and the
+// back-end services (server/). Functions that write take the data layer (`store`, see
+// data-layer.js) as their first argument.
+
+// Default rating of each connector type
+const CONNECTOR_SPECS = {
+    'Type 2': { current: 'AC', powerKw: 22 },
+    'CCS': { current: 'DC', powerKw: 50 },
+    'CHAdeMO': { current: 'DC', powerKw: 50 },
+};
+
+// Vehicle models drivers choose from: the connector types each takes, and its battery (kWh),
+// consumption (kWh/100km) and AC/DC charging limits (kW) for charging estimates.
+const EV_MODELS = {
+    'Tata Nexon EV': { compatible: ['CCS', 'Type 2'], battery: 40.5, consumption: 13.5, maxAcKw: 7.2, maxDcKw: 30 },
+    'MG ZS EV': { compatible: ['CCS'], battery: 50.3, consumption: 14.5, maxAcKw: 7.4, maxDcKw: 50 },
+    'Hyundai Kona Electric': { compatible: ['CCS'], battery: 39.2, consumption: 13, maxAcKw: 7.2, maxDcKw: 50 },
+    'Tata Tigor EV': { compatible: ['CCS'], battery: 26, consumption: 12.5, maxAcKw: 3.3, maxDcKw: 25 },
+    'Other': { compatible: ['Type 2', 'CCS', 'CHAdeMO'], battery: 50, consumption: 15, maxAcKw: 11, maxDcKw: 50 },
+};
+
+// Reservation rules
+const RESERVATION_GRACE_MINUTES = 15;      // a held slot is released if charging hasn't started by then
+const RESERVATION_HOLD_AHEAD_MINUTES = 30; // drivers without a reservation can't take the connectors reservations starting this soon need
+
+// Queue rules
+const QUEUE_HOLD_MINUTES = 5;     // time the head of the queue gets to start charging on a freed slot
+
+// Station rules
+const STATION_MAX_CONNECTORS = 12; // firestore.rules checks drivers' changes connector by connector, up to this many
+
+// stations/{id}.connectors is a list of { id, type, powerKw, status, claim } where status is
+// 'available', 'occupied' or 'faulted', and claim records who holds an occupied connector:
+// { kind: 'session' | 'reservation' | 'offer', userId, id }. slots and chargerTypes are kept on
+// the station as summaries so list views and older clients keep working.
+function getConnectors(station) {
+    if (Array.isArray(station.connectors)) return station.connectors;
+    // Stations created before connectors were modelled only had slot counts and a type list.
+    const types = station.chargerTypes?.length ? station.chargerTypes : ['Type 2'];
+    const total = station.slots?.total || 0;
+    const occupied = total - (station.slots?.available || 0);
+    return [...Array(total)].map((_, i) => ({
+        id: `c${i + 1}`,
+        type: types[i % types.length],
+        powerKw: CONNECTOR_SPECS[types[i % types.length]]?.powerKw || 22,
+        status: i < occupied ? 'occupied' : 'available',
+        claim: null,
+    }));
+}
+
+// Free and usable (not faulted) connectors of a station, counting only `types` if given.
+function getConnectorCounts(station, types = null) {
+    const matching = getConnectors(station).filter(c => !types || types.includes(c.type));
+    return {
+        available: matching.filter(c => c.status === 'available').length,
+        total: matching.filter(c => c.status !== 'faulted').length,
+    };
+}
+
+function getVehicle(vehicleName) {
+    return EV_MODELS[vehicleName] || EV_MODELS['Other'];
+}
+
+// Effective peak power for a connector: limited by the connector rating and the
+// vehicle's maximum AC or DC acceptance.
+function getConnectorPower(connectorType, car, connectorKw = CONNECTOR_SPECS[connectorType]?.powerKw) {
+    const spec = CONNECTOR_SPECS[connectorType];
+    if (!spec || !car.compatible.includes(connectorType)) return 0;
+    return Math.min(connectorKw, spec.current === 'AC' ? car.maxAcKw : car.maxDcKw);
+}
+
+// Whether the station's free connectors, without `connectorId`, can still give each of
+// `reservations` one its vehicle can use.
+function leavesRoomForReservations(station, connectorId, reservations) {
+    const free = getConnectors(station).filter(c => c.status === 'available' && c.id !== connectorId);
+    const fits = (index, taken) => index === reservations.length || free.some(c => !taken.includes(c.id)
+        && getVehicle(reservations[index].vehicle).compatible.includes(c.type) && fits(index + 1, [...taken, c.id]));
+    return fits(0, []);
+}
+
+// The compatible connector giving the vehicle the most power, with powerKw being the
+// effective (vehicle-limited) power. With `reservations` (other drivers' reservations starting
+// soon, see RESERVATION_HOLD_AHEAD_MINUTES), connectors they need are passed over.
+function getBestConnector(station, car, { availableOnly = false, reservations = [] } = {}) {
+    return getConnectors(station)
+        .filter(c => c.status !== 'faulted' && (!availableOnly || c.status === 'available'))
+        .map(c => ({ ...c, ratedKw: c.powerKw, powerKw: getConnectorPower(c.type, car, c.powerKw) }))
+        .filter(c => c.powerKw > 0 && (!reservations.length || leavesRoomForReservations(station, c.id, reservations)))
+        .sort((a, b) => b.powerKw - a.powerKw)[0] || null;
+}
+
+function getConnectorFields(connectors) {
+    return {
+        connectors,
+        slots: {
+            total: connectors.filter(c => c.status !== 'faulted').length,
+            available: connectors.filter(c => c.status === 'available').length,
+        },
+        chargerTypes: [...new Set(connectors.map(c => c.type))],
+    };
+}
+
+function setConnectorStatus(connectors, connectorId, status, claim = null) {
+    return connectors.map(c => c.id === connectorId ? { ...c, status, claim } : c);
+}
+
+// OCPP chargers number their connectors from 1 in the order of station.connectors
+// (connectorId 0 is the charger as a whole).
+function getConnectorByOcppId(station, ocppConnectorId) {
+    return getConnectors(station)[ocppConnectorId - 1] || null;
+}
+
+function getOcppConnectorId(station, connectorId) {
+    return getConnectors(station).findIndex(c => c.id === connectorId) + 1;
+}
+
+// Queued drivers who are still waiting: those holding an offer keep their place in `queue` until
+// they start charging, pass or let the offer expire, but are not offered another connector.
+function getWaitingQueue(stationData) {
+    const offered = (stationData.queueOffers || []).map(o => o.userId);
+    return (stationData.queue || []).filter(uid => !offered.includes(uid));
+}
+
+// The first waiting driver whose vehicle can use a connector of `connectorType`, or undefined.
+function findWaitingDriver(stationData, connectorType) {
+    const queueTypes = stationData.queueConnectorTypes || {};
+    return getWaitingQueue(stationData).find(uid => !queueTypes[uid] || queueTypes[uid].includes(connectorType));
+}
+
+// Gives a freed connector to the first waiting driver whose vehicle can use it, as a
+// time-limited offer, or makes it available if nobody suitable is waiting. A connector
+// without a known id (sessions from before connectors were modelled) frees any unclaimed one.
+function handOverConnector(store, stationData, connectorId) {
+    let connectors = getConnectors(stationData);
+    const connector = connectors.find(c => c.id === connectorId)
+        || connectors.find(c => c.status === 'occupied' && !c.claim)
+        || connectors.find(c => c.status === 'occupied');
+    if (!connector || connector.status === 'faulted') return stationData;
+
+    const queueOffers = [...(stationData.queueOffers || [])];
+    const userId = findWaitingDriver(stationData, connector.type);
+    if (userId) {
+        queueOffers.push({ userId, connectorId: connector.id, expiresAt: store.timestampFromMillis(Date.now() + QUEUE_HOLD_MINUTES * 60000) });
+        connectors = setConnectorStatus(connectors, connector.id, 'occupied', { kind: 'offer', userId });
+    } else {
+        connectors = setConnectorStatus(connectors, connector.id, 'available');
+    }
+    return { ...stationData, queueOffers, connectors };
+}
+
+// Station fields that take `userId` out of the queue, e.g. once they start charging on their offer.
+function leaveQueueFields(stationData, userId) {
+    const queueConnectorTypes = { ...(stationData.queueConnectorTypes || {}) };
+    delete queueConnectorTypes[userId];
+    return {
+        queue: (stationData.queue || []).filter(uid => uid !== userId),
+        queueConnectorTypes,
+        queueOffers: (stationData.queueOffers || []).filter(o => o.userId !== userId),
+    };
+}
+
+// Must be called after all reads of the transaction.
+function releaseConnectors(store, transaction, stationRef, stationData, connectorIds) {
+    let next = stationData;
+    connectorIds.forEach(connectorId => { next = handOverConnector(store, next, connectorId); });
+    transaction.update(stationRef, {
+        queue: next.queue || [],
+        queueConnectorTypes: next.queueConnectorTypes || {},
+        queueOffers: next.queueOffers || [],
+        ...getConnectorFields(getConnectors(next)),
+    });
+}
+
+// Available connectors that some waiting driver is able to use.
+function getQueueServableConnectors(stationData) {
+    return getConnectors(stationData).filter(c => c.status === 'available' && findWaitingDriver(stationData, c.type));
+}
+
+// Offers that have expired, only `userId`'s if given.
+function getExpiredOffers(stationData, now, userId) {
+    return (stationData.queueOffers || []).filter(o => o.expiresAt.toMillis() <= now && (!userId || o.userId === userId));
+}
+
+// Whether a station has queue offers that have expired, or free connectors someone waiting could
+// use. With `userId`, only whether that driver's offer has expired.
+function hasQueueOffersDue(stationData, now = Date.now(), { userId = null } = {}) {
+    return getExpiredOffers(stationData, now, userId).length > 0 || (!userId && getQueueServableConnectors(stationData).length > 0);
+}
+
+// Passes expired offers to the next suitable driver in line and turns free connectors at a
+// station with a queue into offers, in a transaction that has read the station. Drivers whose
+// offer expired lose their place. With `userId`, only that driver's expired offer is passed on:
+// drivers' clients may give up their own turn but not anyone else's. Returns whether anything changed.
+function passOnQueueOffers(store, transaction, stationRef, stationData, now = Date.now(), { userId = null } = {}) {
+    const expired = getExpiredOffers(stationData, now, userId);
+    const free = userId ? [] : getQueueServableConnectors(stationData);
+    if (expired.length === 0 && free.length === 0) return false;
+    let next = stationData;
+    expired.forEach(offer => { next = { ...next, ...leaveQueueFields(next, offer.userId) }; });
+    // Connectors of expired offers and free ones are released again, one at a time.
+    releaseConnectors(store, transaction, stationRef, next, [...expired.map(o => o.connectorId), ...free.map(c => c.id)]);
+    return true;
+}
+
+// When a reservation's connector is released if charging hasn't started (ms): the end of the
+// grace period, or of the window if that is shorter.
+function getReservationReleaseAt(reservation) {
+    return Math.min(reservation.startTime.toMillis() + RESERVATION_GRACE_MINUTES * 60000, reservation.endTime.toMillis());
+}
+
+// Moves a due reservation along: booked -> held once its window opens and a compatible connector is free,
+// and booked/held -> expired when the grace period passes without the driver starting. Returns whether it changed.
+function advanceReservation(store, reservationRef, now = Date.now()) {
+    return store.runTransaction(async (transaction) => {
+        const reservationDoc = await transaction.get(reservationRef);
+        if (!reservationDoc.exists) return false;
+        const reservation = reservationDoc.data();
+        const stationRef = store.stations.ref(reservation.stationId);
+        const stationDoc = await transaction.get(stationRef);
+
+        if (!['booked', 'held'].includes(reservation.status) || reservation.startTime.toMillis() > now) return false;
+        if (now > getReservationReleaseAt(reservation) || !stationDoc.exists) {
+            if (reservation.status === 'held' && stationDoc.exists) {
+                releaseConnectors(store, transaction, stationRef, stationDoc.data(), [reservation.connectorId]);
+            }
+            transaction.update(reservationRef, { status: 'expired', expiredAt: store.fields.serverTimestamp() });
+            return true;
+        }
+        const connector = reservation.status === 'booked' && getBestConnector(stationDoc.data(), getVehicle(reservation.vehicle), { availableOnly: true });
+        if (connector) {
+            const claim = { kind: 'reservation', userId: reservation.userId, id: reservationRef.id };
+            transaction.update(stationRef, getConnectorFields(setConnectorStatus(getConnectors(stationDoc.data()), connector.id, 'occupied', claim)));
+            transaction.update(reservationRef, { status: 'held', connectorId: connector.id, heldAt: store.fields.serverTimestamp() });
+            return true;
+        }
+        return false;
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CONNECTOR_SPECS, EV_MODELS, RESERVATION_GRACE_MINUTES, RESERVATION_HOLD_AHEAD_MINUTES, QUEUE_HOLD_MINUTES, STATION_MAX_CONNECTORS, getConnectors,
+        getConnectorCounts, getVehicle, getConnectorPower, getBestConnector, getConnectorFields, setConnectorStatus, getConnectorByOcppId, getOcppConnectorId,
+        getWaitingQueue, findWaitingDriver, handOverConnector, leaveQueueFields, releaseConnectors, hasQueueOffersDue, passOnQueueOffers, getReservationReleaseAt, advanceReservation,
+    };
+}
@@ -0,0 +1,490 @@
+// data-layer.js
+// Repository layer over a pluggable storage backend. The app talks to repositories
+// (stations, users, bookings, ...) and never to Firebase directly, so it can run against
+// Firestore or against an in-memory store that is optionally persisted to localStorage.
+//
+// A backend exposes a small Firestore-shaped surface:
+//   collection(name)         -> query/collection ref with doc(id), add, where, orderBy, limit,
+//                               startAfter, get and onSnapshot
+//   runTransaction(fn)       -> fn receives { get, set, update, delete }; reads before writes
+//   batch()                  -> { set, update, delete, commit }
+//   fields                   -> serverTimestamp, increment, arrayUnion, arrayRemove, delete
+//   timestampFromMillis(ms)  -> a value with toMillis() and toDate()
+
+const DATA_COLLECTIONS = ['stations', 'users', 'bookings', 'reviews', 'activeSessions', 'reservations', 'counters', 'operators', 'ocppCommands', 'ocppChargePoints', 'ocpiPartners', 'ocpiTokens', 'walletTransactions', 'loyaltyTransactions', 'loyaltyPromotions', 'notifications', 'meta'];
+
+// --- FIRESTORE BACKEND ---
+function createFirestoreBackend(firestore, firestoreNamespace) {
+    const { FieldValue, Timestamp } = firestoreNamespace;
+    return {
+        name: 'firestore',
+        collection: name => firestore.collection(name),
+        runTransaction: updateFn => firestore.runTransaction(updateFn),
+        batch: () => firestore.batch(),
+        fields: {
+            serverTimestamp: () => FieldValue.serverTimestamp(),
+            increment: n => FieldValue.increment(n),
+            arrayUnion: (...items) => FieldValue.arrayUnion(...items),
+            arrayRemove: (...items) => FieldValue.arrayRemove(...items),
+            delete: () => FieldValue.delete(),
+        },
+        timestampFromMillis: ms => Timestamp.fromMillis(ms),
+    };
+}
+
+// --- MEMORY BACKEND ---
+function createTimestamp(ms) {
+    return Object.freeze({
+        seconds: Math.floor(ms / 1000),
+        nanoseconds: (ms % 1000) * 1e6,
+        toMillis: () => ms,
+        toDate: () => new Date(ms),
+        toJSON: () => ({ __timestamp: ms }),
+    });
+}
+
+// Timestamps survive JSON round trips as { __timestamp: ms }, which is also how seed data
+// and the localStorage copy spell them.
+function parseStoredData(text) {
+    return JSON.parse(text, (key, value) =>
+        value && typeof value === 'object' && typeof value.__timestamp === 'number' ? createTimestamp(value.__timestamp) : value);
+}
+
+// JSON for data from either backend: any timestamp (anything with toMillis) is written as
+// { __timestamp: ms } so parseStoredData() can bring it back.
+function serializeStoredData(value) {
+    const toPlain = item => {
+        if (item && typeof item.toMillis === 'function') return { __timestamp: item.toMillis() };
+        if (Array.isArray(item)) return item.map(toPlain);
+        if (item && typeof item === 'object') return Object.fromEntries(Object.entries(item).map(([key, child]) => [key, toPlain(child)]));
+        return item;
+    };
+    return JSON.stringify(toPlain(value));
+}
+
+function cloneStoredData(value) {
+    return value === undefined ? undefined : parseStoredData(JSON.stringify(value));
+}
+
+function getPathValue(data, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function setPathValue(data, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((obj, key) => {
+        if (!obj[key] || typeof obj[key] !== 'object') obj[key] = {};
+        return obj[key];
+    }, data);
+    if (value === undefined) delete parent[last];
+    else parent[last] = value;
+}
+
+function toComparable(value) {
+    if (value && typeof value.toMillis === 'function') return value.toMillis();
+    if (value instanceof Date) return value.getTime();
+    return value;
+}
+
+function compareValues(a, b) {
+    const x = toComparable(a);
+    const y = toComparable(b);
+    if (x === y) return 0;
+    if (x === undefined || x === null) return -1;
+    if (y === undefined || y === null) return 1;
+    return x < y ? -1 : 1;
+}
+
+function isEqualValue(a, b) {
+    return JSON.stringify(toComparable(a)) === JSON.stringify(toComparable(b));
+}
+
+const QUERY_OPERATORS = {
+    '==': (value, target) => isEqualValue(value, target),
+    '!=': (value, target) => value !== undefined && !isEqualValue(value, target),
+    '<': (value, target) => value !== undefined && compareValues(value, target) < 0,
+    '<=': (value, target) => value !== undefined && compareValues(value, target) <= 0,
+    '>': (value, target) => value !== undefined && compareValues(value, target) > 0,
+    '>=': (value, target) => value !== undefined && compareValues(value, target) >= 0,
+    'in': (value, target) => target.some(t => isEqualValue(value, t)),
+    'not-in': (value, target) => value !== undefined && !target.some(t => isEqualValue(value, t)),
+    'array-contains': (value, target) => Array.isArray(value) && value.some(v => isEqualValue(v, target)),
+    'array-contains-any': (value, target) => Array.isArray(value) && value.some(v => target.some(t => isEqualValue(v, t))),
+};
+
+function createMemoryBackend({ seed = {}, storage = null, storageKey = 'ev_memory_db' } = {}) {
+    const FIELD_OP = '__fieldOp';
+    const stored = storage && storage.getItem(storageKey);
+    let collections = stored ? parseStoredData(stored) : cloneStoredData(seed);
+    const versions = {};
+    const listeners = new Set();
+    let idCounter = 0;
+
+    const docKey = (collectionName, id) => `${collectionName}/${id}`;
+    const newId = () => `${Date.now().toString(36)}${(idCounter++).toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+    const readDoc = (collectionName, id) => collections[collectionName]?.[id];
+    const storageError = (code, message) => Object.assign(new Error(message), { code });
+
+    function persist() {
+        if (storage) storage.setItem(storageKey, JSON.stringify(collections));
+    }
+
+    const isPlainObject = value => value && typeof value === 'object' && !Array.isArray(value) && !value[FIELD_OP] && typeof value.toMillis !== 'function' && !(value instanceof Date);
+
+    // Resolves field-op sentinels against the value currently stored at that path.
+    function resolveValue(value, current) {
+        if (value && typeof value === 'object' && value[FIELD_OP]) {
+            const items = value.items || [];
+            switch (value[FIELD_OP]) {
+                case 'serverTimestamp': return createTimestamp(Date.now());
+                case 'increment': return (typeof current === 'number' ? current : 0) + value.n;
+                case 'arrayUnion': return [...(current || []), ...items.filter(item => !(current || []).some(c => isEqualValue(c, item)))];
+                case 'arrayRemove': return (current || []).filter(c => !items.some(item => isEqualValue(c, item)));
+                case 'delete': return undefined;
+            }
+        }
+        if (Array.isArray(value)) return value.map(item => resolveValue(item));
+        if (isPlainObject(value)) {
+            const resolved = {};
+            Object.entries(value).forEach(([key, child]) => {
+                const next = resolveValue(child, current?.[key]);
+                if (next !== undefined) resolved[key] = next;
+            });
+            return resolved;
+        }
+        return value instanceof Date ? createTimestamp(value.getTime()) : value;
+    }
+
+    // set(..., { merge: true }) merges nested objects into what is stored.
+    function mergeValue(current, data) {
+        const merged = { ...(current || {}) };
+        Object.entries(data).forEach(([key, value]) => {
+            const next = isPlainObject(value) && isPlainObject(merged[key]) ? mergeValue(merged[key], value) : resolveValue(value, merged[key]);
+            if (next === undefined) delete merged[key];
+            else merged[key] = next;
+        });
+        return merged;
+    }
+
+    // Applies a list of writes atomically. It is synchronous so that a transaction's
+    // conflict check and its commit cannot interleave with other async work.
+    function commitWrites(writes) {
+        const working = { ...collections };
+        const touched = new Set();
+        const written = new Set();
+        writes.forEach(({ type, collectionName, id, data, merge }) => {
+            working[collectionName] = { ...(working[collectionName] || {}) };
+            const current = working[collectionName][id];
+            if (type === 'delete') {
+                delete working[collectionName][id];
+            } else if (type === 'set') {
+                working[collectionName][id] = cloneStoredData(merge ? mergeValue(current, data) : resolveValue(data, undefined));
+            } else {
+                // update() treats keys as dotted field paths.
+                if (current === undefined) throw storageError('not-found', `No document to update: ${docKey(collectionName, id)}`);
+                const next = cloneStoredData(current);
+                Object.entries(data).forEach(([path, value]) => setPathValue(next, path, resolveValue(value, getPathValue(next, path))));
+                working[collectionName][id] = next;
+            }
+            touched.add(collectionName);
+            written.add(docKey(collectionName, id));
+        });
+        collections = working;
+        written.forEach(key => { versions[key] = (versions[key] || 0) + 1; });
+        persist();
+        notify(touched);
+    }
+
+    function createDocSnapshot(ref) {
+        const data = readDoc(ref.parentName, ref.id);
+        return { id: ref.id, ref, exists: data !== undefined, data: () => cloneStoredData(data) };
+    }
+
+    function createDocRef(collectionName, id = newId()) {
+        const ref = {
+            id,
+            parentName: collectionName,
+            path: docKey(collectionName, id),
+            get: async () => createDocSnapshot(ref),
+            set: async (data, options = {}) => commitWrites([{ type: 'set', collectionName, id, data, merge: !!options.merge }]),
+            update: async data => commitWrites([{ type: 'update', collectionName, id, data }]),
+            delete: async () => commitWrites([{ type: 'delete', collectionName, id }]),
+            onSnapshot: (...args) => listen({ collectionName, compute: () => createDocSnapshot(ref), ...snapshotCallbacks(args) }),
+        };
+        return ref;
+    }
+
+    function runQuery(collectionName, constraints) {
+        let docs = Object.keys(collections[collectionName] || {}).map(id => createDocSnapshot(createDocRef(collectionName, id)));
+        constraints.filter(c => c.type === 'where').forEach(({ field, op, value }) => {
+            if (!QUERY_OPERATORS[op]) throw storageError('invalid-argument', `Unsupported query operator: ${op}`);
+            docs = docs.filter(doc => QUERY_OPERATORS[op](getPathValue(doc.data(), field), value));
+        });
+        const orderBys = constraints.filter(c => c.type === 'orderBy');
+        if (orderBys.length) {
+            docs.sort((a, b) => {
+                for (const { field, direction } of orderBys) {
+                    const result = compareValues(getPathValue(a.data(), field), getPathValue(b.data(), field));
+                    if (result !== 0) return direction === 'desc' ? -result : result;
+                }
+                return 0;
+            });
+        }
+        const cursor = constraints.find(c => c.type === 'startAfter');
+        if (cursor) {
+            // Accepts a document snapshot or the value of the first orderBy field, like Firestore.
+            const index = cursor.value && cursor.value.ref
+                ? docs.findIndex(doc => doc.id === cursor.value.id)
+                : docs.findIndex(doc => compareValues(getPathValue(doc.data(), orderBys[0]?.field), cursor.value) * (orderBys[0]?.direction === 'desc' ? -1 : 1) > 0) - 1;
+            docs = index === -2 ? [] : docs.slice(index + 1);
+        }
+        const limit = constraints.find(c => c.type === 'limit');
+        if (limit) docs = docs.slice(0, limit.n);
+        return { docs, size: docs.length, empty: docs.length === 0, forEach: fn => docs.forEach(fn) };
+    }
+
+    function createQuery(collectionName, constraints = []) {
+        const query = {
+            where: (field, op, value) => createQuery(collectionName, [...constraints, { type: 'where', field, op, value }]),
+            orderBy: (field, direction = 'asc') => createQuery(collectionName, [...constraints, { type: 'orderBy', field, direction }]),
+            limit: n => createQuery(collectionName, [...constraints, { type: 'limit', n }]),
+            startAfter: value => createQuery(collectionName, [...constraints, { type: 'startAfter', value }]),
+            get: async () => runQuery(collectionName, constraints),
+            onSnapshot: (...args) => listen({ collectionName, compute: () => runQuery(collectionName, constraints), ...snapshotCallbacks(args) }),
+        };
+        return query;
+    }
+
+    // onSnapshot([options,] next, error): options are accepted for Firestore compatibility and ignored,
+    // since memory data is never stale.
+    function snapshotCallbacks(args) {
+        const [next, error] = typeof args[0] === 'function' ? args : args.slice(1);
+        return { next, error };
+    }
+
+    function listen(listener) {
+        listeners.add(listener);
+        // Like Firestore, the first snapshot is delivered asynchronously.
+        Promise.resolve().then(() => listeners.has(listener) && deliver(listener));
+        return () => listeners.delete(listener);
+    }
+
+    function deliver(listener) {
+        try {
+            listener.next(listener.compute());
+        } catch (error) {
+            if (listener.error) listener.error(error);
+            else console.error(error);
+        }
+    }
+
+    function notify(collectionNames) {
+        Promise.resolve().then(() => listeners.forEach(listener => {
+            if (collectionNames === null || collectionNames.has(listener.collectionName)) deliver(listener);
+        }));
+    }
+
+    // Optimistic concurrency: the versions of every document read are checked at commit time
+    // and the update function is retried if another write got there first.
+    async function runTransaction(updateFn, maxAttempts = 5) {
+        for (let attempt = 1; ; attempt++) {
+            const readVersions = new Map();
+            const writes = [];
+            const write = (type, ref, data, options = {}) => {
+                writes.push({ type, collectionName: ref.parentName, id: ref.id, data, merge: !!options.merge });
+                return transaction;
+            };
+            const transaction = {
+                get: async (ref) => {
+                    if (writes.length) throw storageError('invalid-argument', 'Transactions require all reads to be executed before all writes.');
+                    readVersions.set(ref.path, versions[ref.path] || 0);
+                    return createDocSnapshot(ref);
+                },
+                set: (ref, data, options) => write('set', ref, data, options),
+                update: (ref, data) => write('update', ref, data),
+                delete: ref => write('delete', ref),
+            };
+            const result = await updateFn(transaction);
+            const conflict = [...readVersions].some(([path, version]) => (versions[path] || 0) !== version);
+            if (!conflict) {
+                commitWrites(writes);
+                return result;
+            }
+            if (attempt >= maxAttempts) throw storageError('aborted', 'Transaction failed after too many conflicting writes.');
+        }
+    }
+
+    function batch() {
+        const writes = [];
+        const write = (type, ref, data, options = {}) => {
+            writes.push({ type, collectionName: ref.parentName, id: ref.id, data, merge: !!options.merge });
+            return batchApi;
+        };
+        const batchApi = {
+            set: (ref, data, options) => write('set', ref, data, options),
+            update: (ref, data) => write('update', ref, data),
+            delete: ref => write('delete', ref),
+            commit: async () => commitWrites(writes),
+        };
+        return batchApi;
+    }
+
+    // Another tab wrote to the shared localStorage copy: reload it and treat every document as changed.
+    if (storage && typeof window !== 'undefined' && storage === window.localStorage) {
+        window.addEventListener('storage', e => {
+            if (e.key !== storageKey || !e.newValue) return;
+            const previous = collections;
+            collections = parseStoredData(e.newValue);
+            [previous, collections].forEach(source => Object.entries(source).forEach(([name, docs]) =>
+                Object.keys(docs).forEach(id => { versions[docKey(name, id)] = (versions[docKey(name, id)] || 0) + 1; })));
+            notify(null);
+        });
+    }
+
+    return {
+        name: 'memory',
+        collection: name => Object.assign(createQuery(name), {
+            doc: id => createDocRef(name, id),
+            add: async data => {
+                const ref = createDocRef(name);
+                commitWrites([{ type: 'set', collectionName: name, id: ref.id, data }]);
+                return ref;
+            },
+        }),
+        runTransaction,
+        batch,
+        fields: {
+            serverTimestamp: () => ({ [FIELD_OP]: 'serverTimestamp' }),
+            increment: n => ({ [FIELD_OP]: 'increment', n }),
+            arrayUnion: (...items) => ({ [FIELD_OP]: 'arrayUnion', items }),
+            arrayRemove: (...items) => ({ [FIELD_OP]: 'arrayRemove', items }),
+            delete: () => ({ [FIELD_OP]: 'delete' }),
+        },
+        timestampFromMillis: createTimestamp,
+        // Drops all data (and the localStorage copy) and starts again from the seed.
+        reset: () => {
+            collections = cloneStoredData(seed);
+            Object.keys(versions).forEach(key => { versions[key] += 1; });
+            persist();
+            notify(null);
+        },
+    };
+}
+
+// --- MEMORY AUTH ---
+// Stand-in for firebase.auth() when running on the memory backend. Passwords are kept in plain
+// text in localStorage, so it is only meant for local development and demos.
+function createMemoryAuth({ accounts = [], storage = null, storageKey = 'ev_memory_auth' } = {}) {
+    const stored = storage && storage.getItem(storageKey);
+    const state = stored ? JSON.parse(stored) : { accounts: {}, currentUid: null };
+    if (!stored) accounts.forEach(account => { state.accounts[account.email.toLowerCase()] = account; });
+    const listeners = new Set();
+    const authError = (code, message) => Object.assign(new Error(message), { code });
+
+    const currentUser = () => {
+        const account = Object.values(state.accounts).find(a => a.uid === state.currentUid);
+        return account ? { uid: account.uid, email: account.email } : null;
+    };
+    const persist = () => { if (storage) storage.setItem(storageKey, JSON.stringify(state)); };
+    const setCurrent = uid => {
+        state.currentUid = uid;
+        persist();
+        const user = currentUser();
+        listeners.forEach(listener => listener(user ? { ...user } : null));
+        return user;
+    };
+
+    return {
+        get currentUser() { return currentUser(); },
+        onAuthStateChanged(listener) {
+            listeners.add(listener);
+            Promise.resolve().then(() => listeners.has(listener) && listener(currentUser()));
+            return () => listeners.delete(listener);
+        },
+        async signInWithEmailAndPassword(email, password) {
+            const account = state.accounts[(email || '').toLowerCase()];
+            if (!account || account.password !== password) throw authError('auth/wrong-password', 'The email or password is incorrect.');
+            return { user: setCurrent(account.uid) };
+        },
+        // Signs the new user in straight away, as Firebase does.
+        async createUserWithEmailAndPassword(email, password) {
+            const key = (email || '').toLowerCase();
+            if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(key)) throw authError('auth/invalid-email', 'The email address is badly formatted.');
+            if (state.accounts[key]) throw authError('auth/email-already-in-use', 'The email address is already in use by another account.');
+            if ((password || '').length < 6) throw authError('auth/weak-password', 'Password should be at least 6 characters.');
+            const uid = `local-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+            state.accounts[key] = { uid, email, password };
+            return { user: setCurrent(uid) };
+        },
+        async signOut() {
+            setCurrent(null);
+        },
+    };
+}
+
+// --- REPOSITORIES ---
+// Repositories return plain objects ({ id, ...data }). Queries are described as
+// { where: [[field, op, value], ...], orderBy: [field, 'asc' | 'desc'], limit, startAfter }.
+// find() also takes startAfterId, the id of the last item of the previous page, which pages
+// correctly even when several documents share the orderBy value.
+// Subscribers also get { fromCache }, which is true when Firestore is serving data it couldn't confirm
+// with the server; pass includeMetadataChanges: true in the query to hear when that flips.
+// ref() hands out backend document references for use inside runTransaction().
+function createRepository(backend, collectionName) {
+    const collection = () => backend.collection(collectionName);
+    const toItem = doc => ({ id: doc.id, ...doc.data() });
+    const buildQuery = ({ where = [], orderBy = null, limit = null, startAfter } = {}) => {
+        let query = collection();
+        where.forEach(([field, op, value]) => { query = query.where(field, op, value); });
+        if (orderBy) query = query.orderBy(...orderBy);
+        if (startAfter !== undefined) query = query.startAfter(startAfter);
+        if (limit) query = query.limit(limit);
+        return query;
+    };
+
+    return {
+        name: collectionName,
+        ref: id => (id ? collection().doc(id) : collection().doc()),
+        async get(id) {
+            const doc = await collection().doc(id).get();
+            return doc.exists ? toItem(doc) : null;
+        },
+        async find(query = {}) {
+            const cursor = query.startAfterId ? { startAfter: await collection().doc(query.startAfterId).get() } : {};
+            const snapshot = await buildQuery({ ...query, ...cursor }).get();
+            return snapshot.docs.map(toItem);
+        },
+        subscribe(query = {}, onChange, onError) {
+            // Options are only passed when needed: the Admin SDK used by the server takes none.
+            const options = query.includeMetadataChanges ? [{ includeMetadataChanges: true }] : [];
+            return buildQuery(query).onSnapshot(...options, snapshot => onChange(snapshot.docs.map(toItem), { fromCache: !!snapshot.metadata?.fromCache }), onError);
+        },
+        subscribeDoc(id, onChange, onError) {
+            return collection().doc(id).onSnapshot(doc => onChange(doc.exists ? toItem(doc) : null, { fromCache: !!doc.metadata?.fromCache }), onError);
+        },
+        async add(data) {
+            const ref = await collection().add(data);
+            return ref.id;
+        },
+        set: (id, data, options) => collection().doc(id).set(data, options),
+        update: (id, data) => collection().doc(id).update(data),
+        remove: id => collection().doc(id).delete(),
+    };
+}
+
+function createDataLayer(backend) {
+    const layer = {
+        backend: backend.name,
+        runTransaction: updateFn => backend.runTransaction(updateFn),
+        batch: () => backend.batch(),
+        fields: backend.fields,
+        timestampFromMillis: backend.timestampFromMillis,
+    };
+    DATA_COLLECTIONS.forEach(name => { layer[name] = createRepository(backend, name); });
+    return layer;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DATA_COLLECTIONS, createFirestoreBackend, createMemoryBackend, createMemoryAuth, createRepository, createDataLayer, createTimestamp, parseStoredData, serializeStoredData };
+}
@@ -0,0 +1,254 @@
+// demo-data.js
+// Seed data for the in-memory backend (see data-layer.js). Timestamps are written as
+// { __timestamp: ms }. Sign in as driver@evchargenet.dev / demo1234, admin@evchargenet.dev / admin1234
+// (super-admin) or operator@evchargenet.dev / operator1234 (admin of GreenVolt's stations only).
+// applicant@evchargenet.dev / apply1234 is an admin sign-up waiting for approval.
+// GV-AHD-01 and MC-BKC-01 are the charge point ids of two stations, for the OCPP simulator in server/.
+// The roaming partner 'demo-emsp' registers with the OCPI interface using token A 'demo-registration-token'.
+
+const demoData = (() => {
+    const connector = (id, type, powerKw, status = 'available') => ({ id, type, powerKw, status, claim: null });
+    // Busy times (see occupancy.js) for 8 weeks of history: commuter peaks on weekdays and a
+    // midday peak at weekends, with `level` the share of connectors in use at the busiest hour.
+    const busyTimes = (connectorCount, level) => {
+        const minutes = {};
+        for (let day = 0; day < 7; day++) {
+            for (let hour = 0; hour < 24; hour++) {
+                const peak = day === 0 || day === 6
+                    ? Math.exp(-((hour - 13) ** 2) / 18)
+                    : Math.max(Math.exp(-((hour - 9) ** 2) / 4), Math.exp(-((hour - 19) ** 2) / 6));
+                const share = level * (0.1 + 0.9 * peak) * (hour < 6 ? 0.2 : 1);
+                minutes[`${day}_${hour}`] = Math.round(share * connectorCount * 60 * 8);
+            }
+        }
+        return { since: daysAgo(56), minutes };
+    };
+    const station = (fields, connectors, busyLevel = 0) => ({
+        queue: [],
+        queueOffers: [],
+        queueConnectorTypes: {},
+        status: 'Operational',
+        images: ['https://placehold.co/600x400'],
+        updatedAt: daysAgo(30),
+        ...fields,
+        tile: `${Math.floor(fields.lat)}_${Math.floor(fields.lng)}`, // the 1° map tile, as getStationTile() in script.js
+        connectors,
+        slots: {
+            total: connectors.filter(c => c.status !== 'faulted').length,
+            available: connectors.filter(c => c.status === 'available').length,
+        },
+        chargerTypes: [...new Set(connectors.map(c => c.type))],
+        ...(busyLevel ? { occupancy: busyTimes(connectors.filter(c => c.status !== 'faulted').length, busyLevel) } : {}),
+    });
+    const daysAgo = days => ({ __timestamp: Date.now() - days * 24 * 60 * 60 * 1000 });
+    const stations = {
+        'ahd-sg-highway': station({
+            operatorId: 'op-greenvolt', name: 'SG Highway Supercharge', city: 'Ahmedabad', lat: 23.0300, lng: 72.5070, mobile: '+91 98765 43210', chargePointId: 'GV-AHD-01',
+            pricePerKwh: 18, amenities: ['Cafe', 'WiFi', 'Restroom'],
+            tariff: { peak: { price: 22, start: '18:00', end: '22:00' }, offPeak: { price: 14, start: '22:00', end: '06:00' }, weekend: { price: null }, perMinuteFee: 0, sessionFee: 10, idleFee: { perMinute: 5, graceMinutes: 10 } },
+        }, [connector('c1', 'CCS', 60), connector('c2', 'CCS', 60), connector('c3', 'Type 2', 22)], 0.8),
+        'ahd-riverfront': station({
+            operatorId: 'op-greenvolt', name: 'Riverfront Charging Hub', city: 'Ahmedabad', lat: 23.0225, lng: 72.5714, mobile: '+91 98765 43211',
+            pricePerKwh: 16, amenities: ['Restroom'],
+        }, [connector('c1', 'Type 2', 22), connector('c2', 'CHAdeMO', 50, 'faulted')], 0.4),
+        'vdr-alkapuri': station({
+            operatorId: 'op-greenvolt', name: 'Alkapuri EV Point', city: 'Vadodara', lat: 22.3100, lng: 73.1700, mobile: '+91 98765 43212',
+            pricePerKwh: 17, amenities: ['Cafe'],
+        }, [connector('c1', 'CCS', 50), connector('c2', 'Type 2', 22)], 0.5),
+        'brc-expressway': station({
+            operatorId: 'op-greenvolt', name: 'Expressway Plaza Bharuch', city: 'Bharuch', lat: 21.7050, lng: 72.9950, mobile: '+91 98765 43213',
+            pricePerKwh: 19, amenities: ['Cafe', 'Restroom', 'Lounge'],
+        }, [connector('c1', 'CCS', 120), connector('c2', 'CCS', 120)], 0.95),
+        'srt-adajan': station({
+            operatorId: 'op-metrocharge', name: 'Adajan Fast Charge', city: 'Surat', lat: 21.1950, lng: 72.7950, mobile: '+91 98765 43214',
+            pricePerKwh: 18, amenities: ['WiFi'],
+            tariff: { peak: { price: null, start: '18:00', end: '22:00' }, offPeak: { price: null, start: '22:00', end: '06:00' }, weekend: { price: 15 }, perMinuteFee: 0.5, sessionFee: 0 },
+        }, [connector('c1', 'CCS', 60), connector('c2', 'CHAdeMO', 50), connector('c3', 'Type 2', 22)], 0.6),
+        'vapi-gidc': station({
+            operatorId: 'op-metrocharge', name: 'Vapi GIDC Charging', city: 'Vapi', lat: 20.3700, lng: 72.9100, mobile: '+91 98765 43215',
+            pricePerKwh: 17, amenities: ['Restroom'], status: 'Maintenance',
+        }, [connector('c1', 'CCS', 50)]),
+        'mum-bkc': station({
+            operatorId: 'op-metrocharge', name: 'BKC Power Hub', city: 'Mumbai', lat: 19.0660, lng: 72.8650, mobile: '+91 98765 43216', chargePointId: 'MC-BKC-01',
+            pricePerKwh: 21, amenities: ['Cafe', 'WiFi', 'Lounge', 'Restroom'],
+            tariff: { peak: { price: 26, start: '17:00', end: '21:00' }, offPeak: { price: 17, start: '23:00', end: '06:00' }, weekend: { price: null }, perMinuteFee: 0, sessionFee: 15, idleFee: { perMinute: 8, graceMinutes: 10 } },
+        }, [connector('c1', 'CCS', 150), connector('c2', 'CCS', 60), connector('c3', 'Type 2', 22), connector('c4', 'Type 2', 22)], 0.9),
+    };
+    // meta/cities: station count and summed coordinates per city, as kept by the admin pages.
+    const cities = {};
+    Object.values(stations).forEach(({ city, lat, lng }) => {
+        const entry = cities[city] || (cities[city] = { count: 0, latSum: 0, lngSum: 0 });
+        entry.count += 1;
+        entry.latSum += lat;
+        entry.lngSum += lng;
+    });
+    // Verified reviews, with id = the booking they review, and each station's rating from the
+    // approved ones. The pending one waits in the moderation queue.
+    const review = (bookingId, stationId, operatorId, rating, text, days, extra = {}) => ({
+        userId: 'demo-driver', username: 'driver@evchargenet.dev', bookingId, stationId, operatorId, rating, text,
+        status: 'approved', flags: [], reportCount: 0, history: [], helpfulBy: [], helpfulCount: 0, createdAt: daysAgo(days), ...extra,
+    });
+    const reviews = {
+        'demo-booking-1': review('demo-booking-1', 'ahd-sg-highway', 'op-greenvolt', 5, 'Quick charge and good coffee while I waited.', 1, {
+            reply: { text: 'Thanks! The cafe is open until 11 pm.', by: 'demo-operator', byName: 'GreenVolt Charging', at: daysAgo(0.5) },
+            history: [{ action: 'replied', reason: null, by: 'demo-operator', byName: 'operator@evchargenet.dev', at: daysAgo(0.5) }],
+        }),
+        'demo-booking-2': review('demo-booking-2', 'srt-adajan', 'op-metrocharge', 4, 'Reliable, but the Type 2 connector is slow.', 4),
+        'demo-booking-5': review('demo-booking-5', 'ahd-sg-highway', 'op-greenvolt', 2, 'Cheaper charging cards at www.ev-deals.example', 15, {
+            status: 'pending', flags: ['Contains a link'],
+            history: [{ action: 'flagged', reason: 'Contains a link', by: 'demo-driver', at: daysAgo(15) }],
+        }),
+    };
+    Object.values(reviews).filter(r => r.status === 'approved').forEach(({ stationId, rating }) => {
+        const station = stations[stationId];
+        station.ratingCount = (station.ratingCount || 0) + 1;
+        station.ratingSum = (station.ratingSum || 0) + rating;
+        station.ratingAvg = Math.round(station.ratingSum / station.ratingCount * 100) / 100;
+    });
+    // Past sessions for the analytics dashboard. They predate invoicing, so invoice numbers are assigned on first view.
+    // Three of them paid idle fees (included in their cost), so the driver shows up as a repeat offender.
+    const booking = (stationId, days, minutes, kwh, cost) => ({
+        userId: 'demo-driver', stationId, operatorId: stations[stationId].operatorId, createdAt: daysAgo(days), duration: minutes * 60, kwhConsumed: kwh, cost, vehicle: 'Tata Nexon EV',
+    });
+    const bookings = {
+        'demo-booking-1': { ...booking('ahd-sg-highway', 2, 48, 19.6, 362.8), idleMinutes: 22, idleBilledMinutes: 12, idleFee: 60 },
+        'demo-booking-2': booking('srt-adajan', 5, 35, 14.2, 230.5),
+        'demo-booking-3': { ...booking('mum-bkc', 9, 52, 22.8, 494.6), idleMinutes: 16, idleBilledMinutes: 6, idleFee: 48 },
+        'demo-booking-4': { ...booking('ahd-riverfront', 12, 95, 18.1, 289.6), refundedAmount: 50, lastRefundId: 'demo-refund-1' },
+        'demo-booking-5': { ...booking('ahd-sg-highway', 16, 40, 16.4, 305.2), idleMinutes: 14, idleBilledMinutes: 4, idleFee: 20 },
+        'demo-booking-6': booking('vdr-alkapuri', 23, 44, 17.5, 297.5),
+        'demo-booking-7': booking('brc-expressway', 38, 30, 15.1, 286.9),
+        'demo-booking-8': booking('mum-bkc', 55, 61, 25.3, 546.3),
+    };
+    // The driver's wallet (see wallet.js): every session paid from it with id = the booking, a
+    // ₹1000 top-up through the mock gateway whenever the balance ran short, one refund, and the
+    // balance they add up to.
+    const walletTransactions = {};
+    const wallet = { balance: 0, lastTransactionId: null, updatedAt: null };
+    const addToWallet = (id, at, entry) => {
+        wallet.balance = Math.round((wallet.balance + entry.amount) * 100) / 100;
+        walletTransactions[id] = { userId: 'demo-driver', createdBy: 'demo-driver', ...entry, balanceAfter: wallet.balance, createdAt: { __timestamp: at } };
+        Object.assign(wallet, { lastTransactionId: id, updatedAt: { __timestamp: at } });
+    };
+    [
+        ...Object.entries(bookings).map(([id, b]) => ({
+            id, at: b.createdAt.__timestamp,
+            entry: { type: 'charge', amount: -b.cost, bookingId: id, operatorId: b.operatorId, reason: `Charging at ${stations[b.stationId].name}` },
+        })),
+        {
+            id: 'demo-refund-1', at: daysAgo(11).__timestamp,
+            entry: { type: 'refund', amount: 50, bookingId: 'demo-booking-4', operatorId: 'op-greenvolt', reason: 'CHAdeMO connector out of order', createdBy: 'demo-operator' },
+        },
+    ].sort((a, b) => a.at - b.at).forEach(({ id, at, entry }) => {
+        if (wallet.balance + entry.amount < 0) {
+            const paymentId = `mock_demo${Object.values(walletTransactions).filter(t => t.type === 'topup').length + 1}`;
+            addToWallet(paymentId, at - 60 * 60 * 1000, { type: 'topup', amount: 1000, paymentId, gateway: 'mock' });
+        }
+        addToWallet(id, at, entry);
+    });
+    // The driver's points (see loyalty.js): one per kWh for each session, kept by the month it was
+    // earned in, with the ledger entry of each session.
+    const loyaltyTransactions = {};
+    const loyalty = { points: 0, lifetimePoints: 0, lots: {}, lastTransactionId: null, updatedAt: null };
+    Object.entries(bookings).sort(([, a], [, b]) => a.createdAt.__timestamp - b.createdAt.__timestamp).forEach(([id, b]) => {
+        const points = Math.floor(b.kwhConsumed);
+        const date = new Date(b.createdAt.__timestamp);
+        const month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+        b.pointsEarned = points;
+        loyalty.points += points;
+        loyalty.lifetimePoints += points;
+        loyalty.lots[month] = (loyalty.lots[month] || 0) + points;
+        loyaltyTransactions[id] = {
+            userId: 'demo-driver', type: 'earn', points, balanceAfter: loyalty.points, bookingId: id, promotionId: null, reason: null, createdBy: 'demo-driver', createdAt: b.createdAt,
+        };
+        Object.assign(loyalty, { lastTransactionId: id, updatedAt: b.createdAt });
+    });
+
+    return {
+        accounts: [
+            { uid: 'demo-driver', email: 'driver@evchargenet.dev', password: 'demo1234' },
+            { uid: 'demo-admin', email: 'admin@evchargenet.dev', password: 'admin1234' },
+            { uid: 'demo-operator', email: 'operator@evchargenet.dev', password: 'operator1234' },
+            { uid: 'demo-applicant', email: 'applicant@evchargenet.dev', password: 'apply1234' },
+        ],
+        collections: {
+            users: {
+                'demo-driver': {
+                    email: 'driver@evchargenet.dev',
+                    role: 'user',
+                    status: 'active',
+                    profile: { favorites: ['ahd-sg-highway'], vehicle: 'Tata Nexon EV', theme: 'light', hasCompletedTour: true, idTag: 'demo-driver' },
+                    wallet,
+                    loyalty,
+                },
+                'demo-admin': {
+                    email: 'admin@evchargenet.dev',
+                    role: 'superadmin',
+                    status: 'active',
+                    profile: { favorites: [], vehicle: 'Other', theme: 'dark', hasCompletedTour: true },
+                },
+                'demo-operator': {
+                    email: 'operator@evchargenet.dev',
+                    role: 'admin',
+                    status: 'active',
+                    operatorId: 'op-greenvolt',
+                    profile: { favorites: [], vehicle: 'Other', theme: 'dark', hasCompletedTour: true },
+                },
+                'demo-applicant': {
+                    email: 'applicant@evchargenet.dev',
+                    role: 'admin',
+                    status: 'pending',
+                    profile: { favorites: [], vehicle: 'Other', theme: 'dark', hasCompletedTour: false },
+                },
+            },
+            stations,
+            reviews,
+            bookings,
+            walletTransactions,
+            loyaltyTransactions,
+            loyaltyPromotions: {
+                'demo-promotion-1': {
+                    name: 'Double points at night', multiplier: 2, operatorId: 'op-greenvolt', tariffBand: 'Off-Peak',
+                    startsAt: daysAgo(7), endsAt: daysAgo(-30), active: true, createdBy: 'demo-operator', createdAt: daysAgo(7),
+                },
+            },
+            // The driver's inbox (see notifications.js): one unread, one read.
+            notifications: {
+                'demo-driver_favorite-available_ahd-sg-highway_demo': {
+                    userId: 'demo-driver', type: 'favorite-available', title: 'SG Highway Supercharge has a free connector',
+                    body: '2 of 3 connectors for your vehicle at SG Highway Supercharge are free now.', stationId: 'ahd-sg-highway', sessionId: null,
+                    read: false, readAt: null, emailStatus: null, smsStatus: null, createdAt: daysAgo(0.2),
+                },
+                'demo-driver_session-target_demo-booking-1': {
+                    userId: 'demo-driver', type: 'session-target', title: 'Charged to 80%',
+                    body: 'Your car reached 80% at SG Highway Supercharge, so charging stopped.', stationId: 'ahd-sg-highway', sessionId: null,
+                    read: true, readAt: daysAgo(2), emailStatus: null, smsStatus: null, createdAt: daysAgo(2),
+                },
+            },
+            activeSessions: {},
+            reservations: {},
+            counters: {},
+            ocppCommands: {},
+            // Both demo chargers log in with the password 'demo-charger-password' (see server/ocpp/auth.js).
+            ocppChargePoints: {
+                'GV-AHD-01': { passwordHash: 'scrypt:WgyN50C_M0h_ZIRE9robrA:8DfWvgF1TKm4z8ARx51yhbsMLTiKS3AG1YwDWSwWabg', updatedAt: daysAgo(30) },
+                'MC-BKC-01': { passwordHash: 'scrypt:_NQYKmEpHyFUZrduShpVUg:QfpDjiaF70CnYV3b77MzJ21IA0ynx0E4OnvZNLTKVGE', updatedAt: daysAgo(30) },
+            },
+            meta: {
+                cities: { cities, updatedAt: daysAgo(30) },
+                payments: { mockTopUps: true }, // lets the mock gateway credit wallets (see firestore.rules)
+            },
+            ocpiPartners: {
+                'demo-emsp': { name: 'Demo eMSP', countryCode: 'NL', partyId: 'MSP', status: 'pending', tokenA: 'demo-registration-token', createdAt: daysAgo(1) },
+            },
+            operators: {
+                'op-greenvolt': { name: 'GreenVolt Charging', contactEmail: 'ops@greenvolt.example', createdAt: daysAgo(120) },
+                'op-metrocharge': { name: 'MetroCharge', contactEmail: 'support@metrocharge.example', createdAt: daysAgo(90) },
+            },
+        },
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { demoData };
+}
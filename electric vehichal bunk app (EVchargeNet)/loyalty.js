@@ -0,0 +1,155 @@
+// loyalty.js
+// Loyalty points: what a session earns and can redeem by tier and promotion, and when points
+// expire. A user's points are kept on users/{uid}.loyalty:
+//   { points, lifetimePoints, lots: { '<yyyy-mm>': points }, lastTransactionId, updatedAt }
+// `lots` are the unspent points by the month they were earned in, so they expire and are spent
+// oldest first, and `lifetimePoints` (every point ever earned) sets the tier. Every change is
+// written to the loyaltyTransactions ledger in the same transaction:
+//   { userId, type: 'earn' | 'redeem' | 'expire', points, balanceAfter, bookingId, promotionId,
+//     reason, createdBy, createdAt }
+// An admin sets the earn and burn rules in meta/loyalty (DEFAULT_LOYALTY_CONFIG until then) and
+// runs promotions in loyaltyPromotions:
+//   { name, multiplier, operatorId, tariffBand, startsAt, endsAt, active, createdBy, createdAt }
+// Accounts from before tiers only have profile.loyaltyPoints, which count as earned this month.
+
+const LOYALTY_CONFIG_ID = 'loyalty'; // meta/loyalty
+
+const DEFAULT_LOYALTY_CONFIG = {
+    earnBasis: 'kwh',      // points for the energy charged ('kwh') or the amount paid ('spend')
+    pointsPerKwh: 1,
+    pointsPerRupee: 0.1,
+    rupeesPerPoint: 0.5,   // a point's value when redeemed
+    minRedeemPoints: 50,   // points needed before any can be redeemed
+    expiryMonths: 12,      // points expire at the end of the month this many months after they were earned
+    // From the lowest; `minPoints` are lifetime points. Higher tiers earn faster and may cover more of a session.
+    tiers: [
+        { name: 'Bronze', minPoints: 0, multiplier: 1, maxRedeemPercent: 25 },
+        { name: 'Silver', minPoints: 500, multiplier: 1.25, maxRedeemPercent: 40 },
+        { name: 'Gold', minPoints: 2000, multiplier: 1.5, maxRedeemPercent: 50 },
+    ],
+};
+
+function getLoyaltyConfig(data) {
+    const config = { ...DEFAULT_LOYALTY_CONFIG, ...(data || {}) };
+    return { ...config, tiers: [...config.tiers].sort((a, b) => a.minPoints - b.minPoints) };
+}
+
+function getMonthKey(ms) {
+    const date = new Date(ms);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+function getLoyalty(user, now = Date.now()) {
+    if (user?.loyalty) return user.loyalty;
+    const points = user?.profile?.loyaltyPoints || 0;
+    return { points, lifetimePoints: points, lots: points ? { [getMonthKey(now)]: points } : {}, lastTransactionId: null };
+}
+
+function getLoyaltyTier(config, lifetimePoints) {
+    return [...config.tiers].reverse().find(tier => lifetimePoints >= tier.minPoints) || config.tiers[0];
+}
+
+function getNextLoyaltyTier(config, lifetimePoints) {
+    return config.tiers.find(tier => tier.minPoints > lifetimePoints) || null;
+}
+
+// When the points earned in a month expire (ms).
+function getLotExpiry(config, month) {
+    const [year, monthNumber] = month.split('-').map(Number);
+    return new Date(year, monthNumber + config.expiryMonths, 1).getTime();
+}
+
+// Points left once the lots due by `now` have expired.
+function getLoyaltyBalance(config, user, now = Date.now()) {
+    const { lots } = getLoyalty(user, now);
+    return Object.entries(lots).reduce((sum, [month, points]) => sum + (getLotExpiry(config, month) > now ? points : 0), 0);
+}
+
+// The best promotion running for a session that starts at startMs in tariff band `band` (see
+// getTariffBand() in billing.js). Promotions don't stack.
+function getLoyaltyPromotion(promotions, station, band, startMs) {
+    return promotions
+        .filter(p => p.active && (!p.operatorId || p.operatorId === station?.operatorId) && (!p.tariffBand || p.tariffBand === band)
+            && (!p.startsAt || p.startsAt.toMillis() <= startMs) && (!p.endsAt || p.endsAt.toMillis() > startMs))
+        .sort((a, b) => b.multiplier - a.multiplier)[0] || null;
+}
+
+// The discount `points` buy off a session costing `cost`, up to the tier's share of the cost.
+function getRedemption(config, tier, points, cost) {
+    if (points < config.minRedeemPoints || cost <= 0) return { points: 0, discount: 0 };
+    const used = Math.floor(Math.min(points, cost * tier.maxRedeemPercent / 100 / config.rupeesPerPoint));
+    return { points: used, discount: Math.round(used * config.rupeesPerPoint * 100) / 100 };
+}
+
+// The loyalty fields of a settled session's booking: the discount bought with the points the
+// driver chose to redeem (`cost` is what they pay after it) and the points the session earns.
+function getSessionLoyalty(config, user, promotion, { cost, kwh, redeemPoints = 0, now = Date.now() }) {
+    const tier = getLoyaltyTier(config, getLoyalty(user, now).lifetimePoints);
+    const redemption = getRedemption(config, tier, Math.min(redeemPoints, getLoyaltyBalance(config, user, now)), cost);
+    const paid = cost - redemption.discount;
+    const base = config.earnBasis === 'spend' ? paid * config.pointsPerRupee : kwh * config.pointsPerKwh;
+    return {
+        cost: paid,
+        loyaltyDiscount: redemption.discount,
+        pointsRedeemed: redemption.points,
+        pointsEarned: Math.floor(base * tier.multiplier * (promotion?.multiplier || 1)),
+        loyaltyTier: tier.name,
+        promotionId: promotion?.id || null,
+    };
+}
+
+// Moves a user's points in a transaction that has read their document (`userData`): expires the
+// lots that are due, spends `redeemed` points from the oldest lots and adds `earned` points to
+// this month's, writing a ledger entry for each. A session's entries have its booking's id (the
+// redemption with '-redeem' added), so it can't be counted twice. Returns the new `loyalty`.
+function updateLoyalty(store, transaction, userRef, userData, config, { now = Date.now(), bookingId = null, earned = 0, redeemed = 0, promotion = null, createdBy = userRef.id } = {}) {
+    const loyalty = getLoyalty(userData, now);
+    const lots = { ...loyalty.lots };
+    let points = loyalty.points;
+    let lastTransactionId = loyalty.lastTransactionId || null;
+    const addEntry = (id, entry) => {
+        points += entry.points;
+        const ref = id ? store.loyaltyTransactions.ref(id) : store.loyaltyTransactions.ref();
+        transaction.set(ref, { bookingId: null, promotionId: null, reason: null, ...entry, userId: userRef.id, balanceAfter: points, createdBy, createdAt: store.fields.serverTimestamp() });
+        lastTransactionId = ref.id;
+    };
+
+    const expired = Object.keys(lots).filter(month => getLotExpiry(config, month) <= now).sort();
+    const expiredPoints = expired.reduce((sum, month) => sum + lots[month], 0);
+    expired.forEach(month => delete lots[month]);
+    if (expiredPoints > 0) addEntry(null, { type: 'expire', points: -expiredPoints, reason: `Earned in ${expired.join(', ')}` });
+
+    if (redeemed > 0) {
+        let left = redeemed;
+        Object.keys(lots).sort().forEach(month => {
+            const spent = Math.min(lots[month], left);
+            lots[month] -= spent;
+            left -= spent;
+            if (!lots[month]) delete lots[month];
+        });
+        addEntry(`${bookingId}-redeem`, { type: 'redeem', points: -redeemed, bookingId });
+    }
+    if (earned > 0) {
+        const month = getMonthKey(now);
+        lots[month] = (lots[month] || 0) + earned;
+        addEntry(bookingId, {
+            type: 'earn',
+            points: earned,
+            bookingId,
+            promotionId: promotion?.id || null,
+            reason: promotion ? `${promotion.name} (${promotion.multiplier}× points)` : null,
+        });
+    }
+
+    if (lastTransactionId === (loyalty.lastTransactionId || null)) return loyalty;
+    const updated = { points, lifetimePoints: loyalty.lifetimePoints + earned, lots, lastTransactionId, updatedAt: store.fields.serverTimestamp() };
+    transaction.update(userRef, { loyalty: updated });
+    return updated;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LOYALTY_CONFIG_ID, DEFAULT_LOYALTY_CONFIG, getLoyaltyConfig, getLoyalty, getLoyaltyTier, getNextLoyaltyTier, getLotExpiry, getLoyaltyBalance,
+        getLoyaltyPromotion, getRedemption, getSessionLoyalty, updateLoyalty,
+    };
+}
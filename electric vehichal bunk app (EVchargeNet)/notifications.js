@@ -0,0 +1,124 @@
+// notifications.js
+// Notifications, shared by the app (script.js) and the notification service (server/notifications),
+// which both watch for the events drivers are told about. Each is kept in the driver's inbox:
+//   notifications/{userId}_{type}_{key} = { userId, type, title, body, stationId, sessionId, read,
+//     readAt, emailStatus, smsStatus, createdAt }
+// The id is made from the event, so an event seen by the app and the service alike is stored once.
+// emailStatus and smsStatus are 'pending' until the service has sent the message ('sent' or
+// 'failed'), or null when the driver doesn't want one. Drivers choose per event type in
+// users/{uid}.profile.notifications: { [type]: { enabled, browser, email, sms } }, where `enabled`
+// is the in-app inbox (and toast) and turning it off silences the event on every channel.
+
+const NOTIFICATION_TYPES = {
+    'queue-turn': { label: 'My turn in a queue', defaults: { enabled: true, browser: true, email: false, sms: false } },
+    'session-target': { label: 'Charging stopped at my target charge or budget', defaults: { enabled: true, browser: true, email: false, sms: false } },
+    'favorite-available': { label: 'A favorite station has a free connector', defaults: { enabled: true, browser: false, email: false, sms: false } },
+    'station-maintenance': { label: 'A station I use goes into maintenance', defaults: { enabled: true, browser: false, email: true, sms: false } },
+};
+
+const NOTIFICATION_CHANNELS = {
+    enabled: 'In app',
+    browser: 'Browser',
+    email: 'Email',
+    sms: 'SMS',
+};
+
+// Repeats of an event within its window are the same notification.
+const FAVORITE_AVAILABLE_WINDOW_MINUTES = 30;
+const MAINTENANCE_WINDOW_MINUTES = 24 * 60;
+
+function getNotificationPrefs(user, type) {
+    return { ...NOTIFICATION_TYPES[type].defaults, ...(user?.profile?.notifications?.[type] || {}) };
+}
+
+function getNotificationId(userId, event) {
+    return `${userId}_${event.type}_${event.key}`;
+}
+
+function getEventWindow(ms, minutes) {
+    return Math.floor(ms / (minutes * 60000));
+}
+
+// The events a station's update is worth telling drivers about, from the copies before and after
+// it. Queue turns are for the driver the connector is offered to (`userId`); maintenance is for
+// whoever uses the station, which the caller knows. Free connectors depend on the driver's vehicle,
+// see getFavoriteAvailableEvent().
+function getStationEvents(before, after, now = Date.now()) {
+    if (!before || !after) return [];
+    const events = [];
+    const offered = new Set((before.queueOffers || []).map(o => o.userId));
+    (after.queueOffers || []).filter(o => !offered.has(o.userId)).forEach(offer => {
+        const minutes = Math.max(Math.round((offer.expiresAt.toMillis() - now) / 60000), 0);
+        events.push({
+            type: 'queue-turn',
+            key: `${after.id}_${offer.expiresAt.toMillis()}`,
+            userId: offer.userId,
+            stationId: after.id,
+            title: "It's your turn",
+            body: `It's your turn at ${after.name}! Start charging within ${minutes} mins.`,
+        });
+    });
+    if (before.status === 'Operational' && after.status === 'Maintenance') {
+        events.push({
+            type: 'station-maintenance',
+            key: `${after.id}_${getEventWindow(now, MAINTENANCE_WINDOW_MINUTES)}`,
+            stationId: after.id,
+            title: `${after.name} is under maintenance`,
+            body: `${after.name} has gone into maintenance and can't be used for charging until it reopens.`,
+        });
+    }
+    return events;
+}
+
+// A favorite station freeing up a connector the driver's vehicle can use, or null. `before` and
+// `after` count the connectors it can use before and after the update (getConnectorCounts() in
+// connectors.js, with the vehicle's compatible types).
+function getFavoriteAvailableEvent(station, before, after, now = Date.now()) {
+    if (station.status !== 'Operational' || before.available > 0 || !(after.available > 0)) return null;
+    return {
+        type: 'favorite-available',
+        key: `${station.id}_${getEventWindow(now, FAVORITE_AVAILABLE_WINDOW_MINUTES)}`,
+        stationId: station.id,
+        title: `${station.name} has a free connector`,
+        body: `${after.available} of ${after.total} connectors for your vehicle at ${station.name} are free now.`,
+    };
+}
+
+// The inbox document for an event, or null when the driver has turned the event off. `user` is the
+// driver's user document, with its id.
+function buildNotification(user, event) {
+    const prefs = getNotificationPrefs(user, event.type);
+    if (!prefs.enabled) return null;
+    return {
+        userId: user.id,
+        type: event.type,
+        title: event.title,
+        body: event.body,
+        stationId: event.stationId || null,
+        sessionId: event.sessionId || null,
+        read: false,
+        readAt: null,
+        emailStatus: prefs.email && user.email ? 'pending' : null,
+        smsStatus: prefs.sms && user.profile?.phone ? 'pending' : null,
+    };
+}
+
+// Adds the event to the driver's inbox unless it is already there. Resolves to the notification
+// when it was added, otherwise null.
+async function addNotification(store, user, event) {
+    const notification = buildNotification(user, event);
+    if (!notification) return null;
+    const ref = store.notifications.ref(getNotificationId(user.id, event));
+    return store.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        if (doc.exists) return null;
+        transaction.set(ref, { ...notification, createdAt: store.fields.serverTimestamp() });
+        return { id: ref.id, ...notification };
+    });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        NOTIFICATION_TYPES, NOTIFICATION_CHANNELS, getNotificationPrefs, getNotificationId, getStationEvents, getFavoriteAvailableEvent, buildNotification, addNotification,
+    };
+}
@@ -0,0 +1,55 @@
+// occupancy.js
+// Busy times of stations, built from their charging history to predict how busy a station will
+// be at a given hour. Drivers can't read other drivers' bookings, so each station keeps a running
+// total instead:
+//   stations/{id}.occupancy = { since, minutes: { '<day>_<hour>': connector-minutes } }
+// with day 0-6 from Sunday and hours in local time, as tariff bands are. `since` is when the
+// history starts, so the totals can be averaged over the weeks it covers.
+
+// Busy-time rules
+const OCCUPANCY_MIN_DAYS = 7;        // history needed before busy times are shown
+const OCCUPANCY_REBUILD_WEEKS = 12;  // bookings an admin rebuild reads back
+
+// Splits a session into the hours of the week it ran in: { '<day>_<hour>': minutes }.
+function getOccupancyMinutes(startMs, endMs) {
+    const minutes = {};
+    let at = startMs;
+    while (at < endMs) {
+        const date = new Date(at);
+        const hourEnd = new Date(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours() + 1).getTime();
+        const until = Math.min(hourEnd, endMs);
+        const key = `${date.getDay()}_${date.getHours()}`;
+        minutes[key] = (minutes[key] || 0) + (until - at) / 60000;
+        at = until;
+    }
+    Object.keys(minutes).forEach(key => { minutes[key] = Math.round(minutes[key] * 10) / 10; });
+    return minutes;
+}
+
+// Station fields that add a session to the station's busy times, for the transaction that
+// settles it. A station's first session starts its history. occupancySessionId names the session,
+// which firestore.rules checks is the driver's own and ends in the same write.
+function getOccupancyUpdate(store, stationData, startMs, endMs, sessionId) {
+    const update = { occupancySessionId: sessionId };
+    if (!stationData.occupancy?.since) update['occupancy.since'] = store.timestampFromMillis(startMs);
+    Object.entries(getOccupancyMinutes(startMs, endMs)).forEach(([key, minutes]) => {
+        if (minutes > 0) update[`occupancy.minutes.${key}`] = store.fields.increment(minutes);
+    });
+    return update;
+}
+
+// Share of a station's connectors in use in each hour of the week, from 0 to 1, averaged over
+// the weeks of history: profile[day][hour]. Null while there is too little history.
+function getOccupancyProfile(station, connectorCount, now = Date.now()) {
+    const since = station.occupancy?.since;
+    if (!since || !connectorCount) return null;
+    const days = (now - since.toMillis()) / (24 * 3600000);
+    if (days < OCCUPANCY_MIN_DAYS) return null;
+    const capacity = connectorCount * 60 * (days / 7);
+    const minutes = station.occupancy.minutes || {};
+    return [...Array(7)].map((_, day) => [...Array(24)].map((_, hour) => Math.min((minutes[`${day}_${hour}`] || 0) / capacity, 1)));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OCCUPANCY_MIN_DAYS, OCCUPANCY_REBUILD_WEEKS, getOccupancyMinutes, getOccupancyUpdate, getOccupancyProfile };
+}
@@ -8,37 +8,196 @@ const log = {
     error: (message, data = '') => console.error(`[ERROR] ${new Date().toISOString()}: ${message}`, data),
 };
 
-// --- Firebase Initialization ---
-
-firebase.initializeApp(firebaseConfig);
-const db = firebase.firestore();
-const auth = firebase.auth();
+// --- Data Layer Initialization ---
+// Without a Firebase config, or with localStorage 'ev_backend' set to 'memory', the app runs on the
+// in-memory backend (persisted to localStorage and seeded from demo-data.js) instead of Firestore.
+// Set it to 'emulator' to use the local Firebase emulators started from firebase.json.
+const useMemoryBackend = typeof firebaseConfig === 'undefined' || localStorage.getItem('ev_backend') === 'memory';
+let store, auth;
+if (useMemoryBackend) {
+    store = createDataLayer(createMemoryBackend({ seed: demoData.collections, storage: localStorage }));
+    auth = createMemoryAuth({ accounts: demoData.accounts, storage: localStorage });
+    log.info('Using the in-memory data backend with demo data.');
+} else {
+    firebase.initializeApp(firebaseConfig);
+    if (localStorage.getItem('ev_backend') === 'emulator') {
+        firebase.firestore().useEmulator('localhost', 8080);
+        firebase.auth().useEmulator('http://localhost:9099');
+        log.info('Using the local Firebase emulators.');
+    }
+    store = createDataLayer(createFirestoreBackend(firebase.firestore(), firebase.firestore));
+    auth = firebase.auth();
+}
+// Wallet top-ups are paid through a payment gateway adapter (see wallet.js). Only the mock one
+// exists so far; a real gateway's adapter would be chosen here.
+const paymentGateway = createMockGateway();
 
 document.addEventListener('DOMContentLoaded', () => {
     log.info('DOM fully loaded and parsed.');
 
-    // --- DATA MANAGEMENT & STATE (Now from Firestore) ---
+    // --- DATA MANAGEMENT & STATE (loaded through the data layer) ---
     let stations = [];
     let userProfile = {};
     let bookings = [];
-    let reviews = [];
+    let adminBookings = []; // Every user's bookings in the dashboard's date range (admins only)
+    let driverEmails = new Map(); // User id -> email, looked up for the idle fee report
+    let myReviews = []; // The signed-in user's own reviews (id = the booking reviewed)
+    let stationReviews = null; // The page of reviews shown in station details: { stationId, sort, items, hasMore }
+    let adminReviews = { status: 'pending', items: [], hasMore: false }; // Reviews loaded so far on the moderation page
     let activeSessions = [];
+    let reservations = [];
+    let wallet = { balance: 0 }; // The signed-in user's wallet (see wallet.js)
+    let walletLedger = { userId: null, items: [], hasMore: false }; // Wallet transactions loaded so far on the wallet page or admin lookup
+    let loyalty = getLoyalty(null); // The signed-in user's points (see loyalty.js)
+    let loyaltyConfig = getLoyaltyConfig(null); // Earn and burn rules, from meta/loyalty
+    let loyaltyPromotions = []; // Promotions running now (drivers) or every promotion (admins)
+    let loyaltyLedger = { items: [], hasMore: false }; // Points history loaded so far on the profile page
+    let notifications = []; // The signed-in driver's latest notifications (see notifications.js)
+    let notificationsUnsubscribe = null;
+    let autoStopTimers = new Map(); // Session id -> { at, timer } for sessions that stop charging by themselves; timer is null once they have
+    let operators = []; // Loaded for admins only
+    let pendingImport = null; // Validated rows of the station import being previewed
     let filterState = JSON.parse(localStorage.getItem('ev_filterState')) || {}; // Keep UI filters local
+    let userLocation = JSON.parse(localStorage.getItem('ev_userLocation')) || null; // { lat, lng, source: 'current' | 'city', label }, also kept local
 
     let loggedInUser = null; // Will be the Firebase user object
     let map;
-    let markers = {};
+    let markers = {}; // Station id -> marker, kept between updates
+    let clusterGroup = null; // Groups the station markers on the map
+    let cityLayer = null; // City markers shown instead of stations when zoomed far out
+    let isCityOverview = false;
+    let locationLayers = []; // The user's position and search radius on the map
     let charts = {};
+    let busyTimesChart = null; // Popular times in the station detail modal
     let sessionInterval;
-    let stationsUnsubscribe = null; // To detach Firestore listener
-
-    const evModels = {
-        'Tata Nexon EV': { compatible: ['CCS', 'Type 2'], battery: 40.5 },
-        'MG ZS EV': { compatible: ['CCS'], battery: 50.3 },
-        'Hyundai Kona Electric': { compatible: ['CCS'], battery: 39.2 },
-        'Tata Tigor EV': { compatible: ['CCS'], battery: 26 },
-        'Other': { compatible: ['Type 2', 'CCS', 'CHAdeMO'], battery: 50 }
+    let sessionUnsubscribe = null; // Live updates of a session run by an OCPP charger
+    let sweepInterval;
+    let stationSources = new Map(); // The listeners whose stations make up `stations` (see fetchAndListenForStations)
+    let followedStationIds = new Set(); // Stations a driver follows for the session: queues joined, trip stops
+    let cityIndex = {}; // meta/cities: { [city]: { count, latSum, lngSum } }
+    let cityIndexUnsubscribe = null;
+    let isBackfillingTiles = false;
+    let stationsSavedAt = null; // Set while showing stations that may be out of date (ms of the last confirmed copy)
+    let isFlushingOutbox = false;
+    let isRegistering = false; // The new account is signed in before its user document exists
+
+    // Charging curve
+    const TAPER_START_SOC = 80;       // full power up to this %...
+    const TAPER_END_FACTOR = 0.2;     // ...then tapering linearly to this fraction of it at 100%
+    const DEFAULT_START_SOC = 20;     // for sessions started without a known state of charge
+
+    // Trip planner assumptions
+    const TRIP_RESERVE_SOC = 10;     // never plan to arrive anywhere below this %
+    const TRIP_CHARGE_TO_SOC = 80;   // charge up to this % at each stop (charging slows down above it)
+    const TRIP_CORRIDOR_KM = 25;     // max distance of a station from the route line
+    const TRIP_ROAD_FACTOR = 1.2;    // straight-line distance -> approx. road distance
+    const TRIP_AVG_SPEED_KMH = 60;   // for arrival times at stops
+
+    // Reservation rules (the grace period and how far ahead connectors are held are in connectors.js)
+    const RESERVATION_DURATIONS = [30, 60, 90, 120]; // selectable window lengths in minutes
+
+    // Queue rules (QUEUE_HOLD_MINUTES is in connectors.js)
+    const AVG_SESSION_MINUTES = 45;   // used for queue wait estimates
+
+    const SWEEP_INTERVAL_MS = 30 * 1000; // how often reservations, queue offers and tariff bands are processed
+
+    // Wallet (minimum balance and top-up limit are in wallet.js)
+    const WALLET_TOP_UP_PRESETS = [200, 500, 1000, 2000];
+    const WALLET_PAGE_SIZE = 10;        // wallet transactions loaded at a time
+    const ADMIN_REFUND_BOOKINGS = 25;   // recent sessions listed for refunds
+    const WALLET_TRANSACTION_TYPES = {
+        topup: { label: 'Top-up', icon: 'fa-plus-circle text-green-500' },
+        charge: { label: 'Charging', icon: 'fa-bolt text-indigo-500' },
+        refund: { label: 'Refund', icon: 'fa-undo text-blue-500' },
+        adjustment: { label: 'Adjustment', icon: 'fa-sliders-h text-gray-500' },
+    };
+
+    // Loyalty (earn and burn rules are in meta/loyalty, see loyalty.js)
+    const LOYALTY_PAGE_SIZE = 10;       // points history entries loaded at a time
+    const LOYALTY_TRANSACTION_TYPES = {
+        earn: { label: 'Earned', icon: 'fa-star text-yellow-500' },
+        redeem: { label: 'Redeemed', icon: 'fa-tag text-indigo-500' },
+        expire: { label: 'Expired', icon: 'fa-hourglass-end text-gray-500' },
+    };
+    const PROMOTION_TARIFF_BANDS = ['Off-Peak', 'Peak', 'Weekend', 'Standard']; // as named by getTariffBand() in billing.js
+
+    // Notifications (event types and channels are in notifications.js)
+    const NOTIFICATIONS_SHOWN = 20;     // latest notifications kept in the inbox
+    const NOTIFICATION_ICONS = {
+        'queue-turn': 'fa-people-arrows text-green-500',
+        'session-target': 'fa-battery-full text-indigo-500',
+        'favorite-available': 'fa-heart text-red-500',
+        'station-maintenance': 'fa-tools text-yellow-500',
+    };
+
+    // Busy-time predictions (history rules are in occupancy.js)
+    const LIKELY_FREE_CHANCE = 0.75; // predicted chance of a free connector shown as "Likely free"...
+    const MAYBE_FREE_CHANCE = 0.4;   // ..."May be busy" down to this, "Usually busy" below
+
+    // Reviews
+    const REVIEWS_PAGE_SIZE = 5;        // reviews loaded at a time in station details...
+    const ADMIN_REVIEWS_PAGE_SIZE = 20; // ...and on the moderation page
+    const REVIEW_SORTS = {
+        newest: { label: 'Newest', orderBy: ['createdAt', 'desc'] },
+        helpful: { label: 'Most helpful', orderBy: ['helpfulCount', 'desc'] },
+        highest: { label: 'Highest rated', orderBy: ['rating', 'desc'] },
+        lowest: { label: 'Lowest rated', orderBy: ['rating', 'asc'] },
+    };
+    const MIN_RATING_FILTERS = [3, 4, 4.5]; // station list "Rating" filter options
+
+    // Review moderation. Only approved reviews are shown and count towards a station's rating.
+    const REVIEW_STATUSES = {
+        pending: { label: 'Pending', badge: 'bg-yellow-600' },   // waiting for a moderator
+        approved: { label: 'Approved', badge: 'bg-green-600' },
+        hidden: { label: 'Hidden', badge: 'bg-gray-600' },      // kept out of sight; the author still sees it
+        removed: { label: 'Removed', badge: 'bg-red-600' },
+    };
+    const REVIEW_REPORTS_TO_HOLD = 3; // reports that send an approved review back to pending (also in firestore.rules)
+    const REVIEW_REPORT_REASONS = ['Spam or advertising', 'Offensive language', 'Not about this station', 'Fake or misleading', 'Personal information'];
+    const REVIEW_BANNED_WORDS = ['idiot', 'stupid', 'moron', 'crap', 'bastard', 'bullshit', 'shit', 'fuck', 'asshole'];
+    const REVIEW_SPAM_PATTERNS = [
+        { reason: 'Contains a link', pattern: /(https?:\/\/|www\.)\S+/i },
+        { reason: 'Contains contact details', pattern: /\+?\d[\d\s-]{8,}\d|\S+@\S+\.\w+/ },
+        { reason: 'Repeated characters', pattern: /(\S)\1{5,}/ },
+        { reason: 'Repeated words', pattern: /\b(\w+)\b(?:\W+\1\b){3,}/i },
+    ];
+    const MODERATION_ACTIONS = {
+        approve: { status: 'approved', done: 'approved' },
+        hide: { status: 'hidden', done: 'hidden' },
+        remove: { status: 'removed', done: 'removed' },
+        restore: { status: 'approved', done: 'restored' },
     };
+    const REVIEW_HISTORY_LABELS = {
+        flagged: 'Flagged automatically', held: 'Held after reports', approved: 'Approved', hidden: 'Hidden',
+        removed: 'Removed', restored: 'Restored', replied: 'Replied', 'reply-removed': 'Reply removed',
+    };
+
+    // Admin analytics
+    const ANALYTICS_DEFAULT_DAYS = 30; // The dashboard opens on the last 30 days
+    const IDLE_REPEAT_SESSIONS = 2;    // drivers charged idle fees this many times in the range are listed as repeat offenders
+
+    // Map and station loading
+    const MAX_MAP_TILES = 36;       // further out than this many 1° tiles, the map shows cities instead of stations
+    const STATION_AREA_KM = 50;     // stations loaded around the user's location for the list and Nearest Available
+    const CITY_ZOOM = 11;           // zoom for a city picked on the zoomed-out map
+    const CITY_INDEX_ID = 'cities'; // meta/cities
+
+    // Near me search
+    const NEAR_ME_RADII_KM = [5, 10, 25, 50, 100]; // radius filter options
+    const GEOLOCATION_TIMEOUT_MS = 10 * 1000;
+
+    // Station import
+    const IMPORT_MAX_ROWS = 499;            // Firestore's limit of 500 writes per transaction, less the city index
+    const DUPLICATE_SAME_SITE_KM = 0.05;    // Any station this close is treated as the same site
+    const DUPLICATE_SAME_NAME_KM = 1;       // A station with the same name this close is a likely duplicate
+
+    // OCPP chargers (see server/ocpp)
+    const CHARGER_COMMAND_TIMEOUT_MS = 45 * 1000;   // how long to wait for the central system to report a charger's answer
+    const CHARGER_START_TIMEOUT_MS = 2 * 60 * 1000; // how long a remotely started charger gets to begin the session
+
+    // Offline support
+    const OFFLINE_CACHE_KEY = 'ev_offline_cache'; // last confirmed stations, plus the signed-in user's profile and sessions
+    const OUTBOX_KEY = 'ev_outbox';               // writes made while offline, replayed in order when back online
 
     // --- UI ELEMENT SELECTORS ---
     const authScreen = document.getElementById('auth-screen');
@@ -64,39 +223,197 @@ document.addEventListener('DOMContentLoaded', () => {
         setTimeout(() => { toast.className = 'toast'; }, 3000);
     }
 
-    // --- DATA FETCHING from FIRESTORE ---
+    // --- DATA FETCHING ---
+    // `stations` merges the results of several listeners ("sources"):
+    //   tile:<key>    drivers: every station in a map tile around what they're looking at
+    //   station:<id>  drivers: a station they use (favorite, session, reservation) or follow
+    //   queue         drivers: stations whose queue they're in
+    //   managed       admins: the stations they manage (the whole network for super-admins)
+    //   cache         the last saved copy, shown until the first live snapshot arrives
+    // Drivers never listen to the whole collection, so it can grow to a national network.
     function fetchAndListenForStations() {
-        if (stationsUnsubscribe) stationsUnsubscribe();
-
-        stationsUnsubscribe = db.collection('stations').onSnapshot(snapshot => {
-            stations = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-            log.info('Real-time station data updated from Firestore.');
-            const activePage = document.querySelector('.nav-link.active, .admin-nav-link.active')?.dataset.page;
-            if (activePage === 'station-list') renderStationList();
-            if (activePage === 'map-view') updateMarkers();
-            if (activePage === 'admin-stations') renderAdminStations(document.getElementById('admin-main-content'));
+        stopListeningForStations();
+
+        // Show the last saved copy straight away; the listeners replace it once live data arrives.
+        const cache = readOfflineCache();
+        cityIndex = cache.cityIndex || {};
+        if (cache.stations) {
+            stationSources.set('cache', { items: cache.stations, fromCache: true, loaded: true, unsubscribe: () => {} });
+            stationsSavedAt = cache.stationsSavedAt;
+        }
+        listenToCityIndex();
+        if (isAdminRole(loggedInUser.role)) {
+            const where = loggedInUser.role === 'superadmin' ? [] : [['operatorId', '==', loggedInUser.operatorId]];
+            addStationSource('managed', (onChange, onError) => store.stations.subscribe({ where, includeMetadataChanges: true }, (items, meta) => {
+                onChange(items, meta);
+                if (!meta.fromCache) backfillStationTiles(items);
+            }, onError));
+        } else {
+            addStationSource('queue', (onChange, onError) => store.stations.subscribe({ where: [['queue', 'array-contains', loggedInUser.uid]], includeMetadataChanges: true }, (items, meta) => {
+                // Followed, so the station stays loaded when the driver's turn moves them from the queue to an offer.
+                items.forEach(station => followedStationIds.add(station.id));
+                onChange(items, meta);
+                followUserStations();
+            }, onError));
+            setStationTiles(JSON.parse(localStorage.getItem('ev_stationTiles')) || []);
+            followUserStations();
+        }
+        mergeStations();
+    }
+
+    function stopListeningForStations() {
+        stationSources.forEach(source => source.unsubscribe?.());
+        stationSources = new Map();
+        followedStationIds = new Set();
+        if (cityIndexUnsubscribe) cityIndexUnsubscribe();
+        cityIndexUnsubscribe = null;
+    }
+
+    // subscribe(onChange, onError) starts the listener; onChange takes a list of stations.
+    function addStationSource(key, subscribe, initialItems = []) {
+        if (stationSources.has(key)) return;
+        const source = { items: initialItems, fromCache: true, loaded: initialItems.length > 0, unsubscribe: null };
+        stationSources.set(key, source);
+        source.unsubscribe = subscribe((items, { fromCache }) => {
+            if (stationSources.get(key) !== source) return;
+            // An empty snapshot from the local cache means Firestore had nothing to offer offline; keep what we had.
+            if (fromCache && items.length === 0 && source.items.length > 0) return;
+            Object.assign(source, { items, fromCache, loaded: true });
+            if (!fromCache) stationSources.delete('cache');
+            mergeStations();
         }, err => {
-            log.error('Error listening to station data:', err);
+            log.error(`Error listening to station data (${key}):`, err);
             showToast('Could not load station data in real-time.', 'error');
         });
     }
 
+    function removeStationSource(key) {
+        stationSources.get(key)?.unsubscribe?.();
+        stationSources.delete(key);
+    }
+
+    // Listens to exactly these map tiles. Only drivers load stations by tile.
+    function setStationTiles(tiles) {
+        if (loggedInUser?.role !== 'user') return;
+        const keys = new Set(tiles.map(tile => `tile:${tile}`));
+        const stale = [...stationSources.keys()].filter(key => key.startsWith('tile:') && !keys.has(key));
+        stale.forEach(removeStationSource);
+        tiles.forEach(tile => addStationSource(`tile:${tile}`, (onChange, onError) =>
+            store.stations.subscribe({ where: [['tile', '==', tile]], includeMetadataChanges: true }, onChange, onError)));
+        localStorage.setItem('ev_stationTiles', JSON.stringify(tiles));
+        if (stale.length) mergeStations();
+    }
+
+    // Keeps the stations a driver is using loaded wherever the map is.
+    function followUserStations() {
+        if (loggedInUser?.role !== 'user') return;
+        const ids = new Set([
+            ...(userProfile.favorites || []),
+            ...activeSessions.map(session => session.stationId),
+            ...reservations.map(reservation => reservation.stationId),
+            ...followedStationIds,
+        ]);
+        const stale = [...stationSources.keys()].filter(key => key.startsWith('station:') && !ids.has(key.slice('station:'.length)));
+        stale.forEach(removeStationSource);
+        ids.forEach(id => listenToStation(id));
+        if (stale.length) mergeStations();
+    }
+
+    // Follows a station for the rest of the session. `station`, when already fetched, is shown
+    // until the listener's first snapshot.
+    function followStation(id, station = null) {
+        if (loggedInUser?.role !== 'user') return;
+        followedStationIds.add(id);
+        listenToStation(id, station);
+    }
+
+    function listenToStation(id, station = null) {
+        addStationSource(`station:${id}`, (onChange, onError) =>
+            store.stations.subscribeDoc(id, (item, meta) => onChange(item ? [item] : [], meta), onError), station ? [station] : []);
+    }
+
+    function mergeStations() {
+        const merged = new Map();
+        stationSources.forEach(source => source.items.forEach(station => merged.set(station.id, station)));
+        const items = [...merged.values()];
+        const previousStations = new Map(stations.map(s => [s.id, s]));
+        const wasLive = stationsSavedAt === null;
+        stations = items.map(station => ({ ...station, currentPrice: getCurrentPrice(station) }));
+        const loaded = [...stationSources.values()].filter(source => source.loaded);
+        if (loaded.some(source => source.fromCache)) {
+            stationsSavedAt = stationsSavedAt || readOfflineCache().stationsSavedAt || Date.now();
+        } else {
+            stationsSavedAt = null;
+            if (loaded.length) saveOfflineCache({ stations: items, stationsSavedAt: Date.now() });
+        }
+        updateOfflineBanner();
+        log.info('Real-time station data updated.', { stations: stations.length, sources: stationSources.size });
+        // Changes are only news between live copies; the saved one may be hours old.
+        if (loggedInUser?.role === 'user' && wasLive && stationsSavedAt === null) notifyStationEvents(previousStations);
+        if (loggedInUser?.role === 'user') scheduleAutoStops(); // An edited tariff moves when a rupee budget runs out
+        const queueModal = document.getElementById('queue-modal');
+        if (!queueModal.classList.contains('hidden')) openQueueModal(queueModal.dataset.stationId);
+        const chargerModal = document.getElementById('charger-modal');
+        if (!chargerModal.classList.contains('hidden') && !chargerModal.contains(document.activeElement)) openChargerModal(chargerModal.dataset.stationId);
+        const activePage = document.querySelector('.nav-link.active, .admin-nav-link.active')?.dataset.page;
+        if (activePage === 'station-list') renderStationList();
+        if (activePage === 'map-view') updateMarkers();
+        if (activePage === 'admin-stations') renderAdminStations(document.getElementById('admin-main-content'));
+    }
+
+    // One-off load of every station in the given tiles, 30 tiles to a query (Firestore's limit for 'in').
+    async function findStationsInTiles(tiles) {
+        const chunks = [];
+        for (let i = 0; i < tiles.length; i += 30) chunks.push(tiles.slice(i, i + 30));
+        const results = await Promise.all(chunks.map(chunk => store.stations.find({ where: [['tile', 'in', chunk]] })));
+        return results.flat().map(station => ({ ...station, currentPrice: getCurrentPrice(station) }));
+    }
+
+    function listenToCityIndex() {
+        cityIndexUnsubscribe = store.meta.subscribeDoc(CITY_INDEX_ID, (doc, { fromCache }) => {
+            cityIndex = doc?.cities || {};
+            if (!fromCache) saveOfflineCache({ cityIndex });
+            if (document.querySelector('.nav-link.active')?.dataset.page === 'map-view') updateMarkers();
+        }, err => log.error('Error listening to the city index:', err));
+    }
+
     async function fetchUserData() {
         if (!loggedInUser) return;
         try {
-            const bookingsSnapshot = await db.collection('bookings').where('userId', '==', loggedInUser.uid).get();
-            let userBookings = bookingsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            const userBookings = await store.bookings.find({ where: [['userId', '==', loggedInUser.uid]] });
             bookings = userBookings.sort((a, b) => (b.createdAt?.toMillis() || 0) - (a.createdAt?.toMillis() || 0));
 
-            const reviewsSnapshot = await db.collection('reviews').orderBy('createdAt', 'desc').get();
-            reviews = reviewsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            myReviews = await store.reviews.find({ where: [['userId', '==', loggedInUser.uid]] });
+
+            activeSessions = await store.activeSessions.find({ where: [['userId', '==', loggedInUser.uid]] });
+
+            const userReservations = await store.reservations.find({ where: [['userId', '==', loggedInUser.uid]] });
+            reservations = userReservations.sort((a, b) => a.startTime.toMillis() - b.startTime.toMillis());
+
+            // Sessions and top-ups move the balance, so it is read again with the rest.
+            const userDoc = await store.users.get(loggedInUser.uid);
+            wallet = userDoc?.wallet || { balance: 0 };
+            loyalty = getLoyalty(userDoc);
+            const loyaltyDoc = await store.meta.get(LOYALTY_CONFIG_ID);
+            loyaltyConfig = getLoyaltyConfig(loyaltyDoc);
+            loyaltyPromotions = isAdminRole(loggedInUser.role)
+                ? await store.loyaltyPromotions.find({ orderBy: ['createdAt', 'desc'] })
+                : await store.loyaltyPromotions.find({ where: [['active', '==', true]] });
 
-            const activeSessionsSnapshot = await db.collection('activeSessions').where('userId', '==', loggedInUser.uid).get();
-            activeSessions = activeSessionsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            if (isAdminRole(loggedInUser.role)) operators = await store.operators.find({ orderBy: ['name', 'asc'] });
+            saveOfflineCache({ activeSessions });
             log.info('User-specific data fetched successfully.');
         } catch (error) {
             log.error('Error fetching user data:', error);
+            // Offline: the saved sessions are enough to show (and stop) a session in progress.
+            const cache = readOfflineCache();
+            if (cache.user?.id === loggedInUser.uid) activeSessions = cache.activeSessions || [];
         }
+        // A session stopped while offline is already over as far as the driver is concerned.
+        const pendingStops = getOutbox().filter(a => a.type === 'stop-session').map(a => a.payload.sessionId);
+        activeSessions = activeSessions.filter(session => !pendingStops.includes(session.id));
+        followUserStations();
+        if (loggedInUser.role === 'user') scheduleAutoStops();
     }
 
     // --- AUTHENTICATION & VALIDATION ---
@@ -122,47 +439,56 @@ document.addEventListener('DOMContentLoaded', () => {
             document.getElementById('register-password-error').textContent = 'Password must be at least 6 characters.';
             return;
         }
+        // Admin accounts stay pending until an existing admin approves them (enforced by firestore.rules).
+        const status = role === 'admin' ? 'pending' : 'active';
+        isRegistering = true;
         auth.createUserWithEmailAndPassword(email, password)
             .then(userCredential => {
                 const user = userCredential.user;
-                log.info(`New user registered: '${user.email}' with role: '${role}'.`);
-                return db.collection('users').doc(user.uid).set({
+                log.info(`New user registered: '${user.email}' with role: '${role}' (${status}).`);
+                return store.users.set(user.uid, {
                     email: user.email,
                     role: role,
-                    profile: { favorites: [], vehicle: 'Other', theme: 'light', loyaltyPoints: 0, hasCompletedTour: false }
+                    status,
+                    createdAt: store.fields.serverTimestamp(),
+                    profile: { favorites: [], vehicle: 'Other', theme: 'light', hasCompletedTour: false, idTag: getChargingIdTag(user.uid) }
                 });
             })
+            .then(() => auth.signOut())
             .then(() => {
-                showToast('Registration successful! Please log in.', 'success');
+                showToast(status === 'pending' ? 'Registration successful! An admin must approve your account before you can log in.' : 'Registration successful! Please log in.', 'success');
                 document.getElementById('register-form').reset();
                 switchAuthTab('login');
             })
             .catch(error => {
                 log.warn('User registration failed.', { email, role, error });
                 document.getElementById('register-username-error').textContent = error.message;
-            });
+            })
+            .finally(() => { isRegistering = false; });
     }
 
     function handleLogout() {
         auth.signOut().then(() => {
             log.info('User logged out.');
-            if (stationsUnsubscribe) {
-                stationsUnsubscribe();
-                stationsUnsubscribe = null;
-            }
+            stopListeningForStations();
              clearInterval(sessionInterval);
+             clearInterval(sweepInterval);
+             stopWatchingChargerSession();
+             stopListeningToNotifications();
+             clearAutoStops();
+             saveOfflineCache({ user: null, activeSessions: [] });
         });
     }
     
     function showAppView() {
         authScreen.classList.toggle('hidden', loggedInUser !== null);
         userAppContainer.classList.toggle('hidden', loggedInUser?.role !== 'user');
-        adminAppContainer.classList.toggle('hidden', loggedInUser?.role !== 'admin');
+        adminAppContainer.classList.toggle('hidden', !isAdminRole(loggedInUser?.role));
         if (loggedInUser?.role === 'user') {
             log.info(`Showing user view for ${loggedInUser.username}`);
             applyTheme();
             initUserApp();
-        } else if (loggedInUser?.role === 'admin') {
+        } else if (isAdminRole(loggedInUser?.role)) {
             log.info(`Showing admin view for ${loggedInUser.username}`);
             document.documentElement.classList.add('dark');
             initAdminApp();
@@ -173,19 +499,43 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     auth.onAuthStateChanged(async (user) => {
+        if (user && isRegistering) return; // handleRegister signs the new account out again
         if (user) {
             loggedInUser = user;
-            const userDoc = await db.collection('users').doc(user.uid).get();
-            if (userDoc.exists) {
-                const userData = userDoc.data();
+            let userData = null;
+            try {
+                userData = await store.users.get(user.uid);
+                if (userData) saveOfflineCache({ user: userData });
+            } catch (error) {
+                // Offline: Firebase keeps the sign-in, so fall back to the saved profile.
+                log.warn('Could not load user document, using the offline copy.', error);
+                const cachedUser = readOfflineCache().user;
+                userData = cachedUser?.id === user.uid ? cachedUser : null;
+            }
+            const accessError = userData && getAccessError(userData);
+            if (accessError) {
+                log.warn(`Sign-in refused for '${userData.email}': account is ${userData.status}.`);
+                showToast(accessError, 'error');
+                handleLogout();
+            } else if (userData) {
                 loggedInUser.role = userData.role;
+                loggedInUser.operatorId = userData.operatorId || null;
                 loggedInUser.username = userData.email;
-                userProfile = userData.profile || { favorites: [], vehicle: 'Other', theme: 'light', loyaltyPoints: 0, hasCompletedTour: false };
+                userProfile = userData.profile || { favorites: [], vehicle: 'Other', theme: 'light', hasCompletedTour: false };
+                // Accounts from before OCPP chargers get their charging id on first sign-in.
+                if (!userProfile.idTag) {
+                    userProfile.idTag = getChargingIdTag(user.uid);
+                    updateUserProfile();
+                }
                 fetchAndListenForStations();
                 await fetchUserData();
+                if (userData.role === 'user') await expireLoyaltyPoints();
                 showAppView();
+                if (userData.role === 'user') listenToNotifications();
+                startSweeper();
+                flushOutbox();
             } else {
-                log.error("User document not found in Firestore for UID:", user.uid);
+                log.error("User document not found for UID:", user.uid);
                 handleLogout();
             }
         } else {
@@ -193,12 +543,62 @@ document.addEventListener('DOMContentLoaded', () => {
             userProfile = {};
             stations = [];
             bookings = [];
-            reviews = [];
+            myReviews = [];
+            stationReviews = null;
+            adminReviews = { status: 'pending', items: [], hasMore: false };
+            driverEmails = new Map();
             activeSessions = [];
+            reservations = [];
+            wallet = { balance: 0 };
+            walletLedger = { userId: null, items: [], hasMore: false };
+            loyalty = getLoyalty(null);
+            loyaltyConfig = getLoyaltyConfig(null);
+            loyaltyPromotions = [];
+            loyaltyLedger = { items: [], hasMore: false };
+            notifications = [];
+            operators = [];
+            stationsSavedAt = null;
+            updateOfflineBanner();
             showAppView();
         }
     });
 
+    // The id a driver gives OCPP chargers, shown on their profile. OCPP 1.6 id tags are at most
+    // 20 characters, and firestore.rules only accepts this value.
+    function getChargingIdTag(uid) {
+        return uid.slice(0, 20);
+    }
+
+    // Accounts without a status predate the approval flow and are active.
+    function getAccountStatus(userData) {
+        return userData.status || 'active';
+    }
+
+    function getAccessError(userData) {
+        const status = getAccountStatus(userData);
+        if (status === 'pending') return 'Your admin account is waiting for approval by an existing admin.';
+        if (status === 'suspended') return 'Your account has been suspended. Please contact support.';
+        return null;
+    }
+
+    function isAdminRole(role) {
+        return role === 'admin' || role === 'superadmin';
+    }
+
+    // Super-admins manage every station; operator-admins only their operator's.
+    function canManageStation(station) {
+        if (loggedInUser?.role === 'superadmin') return true;
+        return loggedInUser?.role === 'admin' && !!station?.operatorId && station.operatorId === loggedInUser.operatorId;
+    }
+
+    function getManagedStations() {
+        return stations.filter(canManageStation);
+    }
+
+    function getOperatorName(operatorId) {
+        return operators.find(o => o.id === operatorId)?.name || 'Unassigned';
+    }
+
     function switchAuthTab(tabName) {
         document.getElementById('login-tab').classList.toggle('active', tabName === 'login');
         document.getElementById('register-tab').classList.toggle('active', tabName !== 'login');
@@ -232,6 +632,8 @@ document.addEventListener('DOMContentLoaded', () => {
                             <li><a href="#" class="nav-link text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 p-3 rounded-md flex items-center mb-1" data-page="station-list" id="tour-step-2"><i class="fas fa-list-ul w-6 mr-3 text-center"></i>Station List</a></li>
                             <li><a href="#" class="nav-link text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 p-3 rounded-md flex items-center mb-1" data-page="trip-planner"><i class="fas fa-route w-6 mr-3 text-center"></i>Trip Planner</a></li>
                             <li><a href="#" class="nav-link text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 p-3 rounded-md flex items-center mb-1" data-page="my-sessions"><i class="fas fa-bolt w-6 mr-3 text-center"></i>My Sessions</a></li>
+                            <li><a href="#" class="nav-link text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 p-3 rounded-md flex items-center mb-1" data-page="wallet"><i class="fas fa-wallet w-6 mr-3 text-center"></i>Wallet</a></li>
+                            <li><a href="#" class="nav-link text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 p-3 rounded-md flex items-center mb-1" data-page="notifications"><i class="fas fa-bell w-6 mr-3 text-center"></i>Notifications<span id="notification-badge" class="hidden ml-auto bg-red-500 text-white text-xs font-bold px-2 py-0.5 rounded-full"></span></a></li>
                             <li><a href="#" class="nav-link text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 p-3 rounded-md flex items-center" data-page="profile" id="tour-step-3"><i class="fas fa-user-circle w-6 mr-3 text-center"></i>Profile</a></li>
                         </ul>
                         <div class="p-4 border-t border-gray-200 dark:border-gray-700">
@@ -297,6 +699,8 @@ document.addEventListener('DOMContentLoaded', () => {
             'station-list': renderStationListView,
             'trip-planner': renderTripPlannerView,
             'my-sessions': renderMySessionsView,
+            'wallet': renderWalletView,
+            'notifications': renderNotificationsView,
             'profile': renderProfileView,
         };
         if(pageRenderers[pageId]) {
@@ -312,11 +716,15 @@ document.addEventListener('DOMContentLoaded', () => {
                     <div class="p-6">
                         <h1 class="text-2xl font-bold text-white"><i class="fas fa-user-shield mr-2"></i>Admin Panel</h1>
                         <p class="text-sm text-gray-400">Welcome, <span class="font-semibold">${loggedInUser.username}</span></p>
+                        <p class="text-xs text-indigo-300 mt-1">${loggedInUser.role === 'superadmin' ? 'Super-admin: all operators' : getOperatorName(loggedInUser.operatorId)}</p>
                     </div>
                     <ul class="mt-2 p-2">
                         <li><a href="#" class="admin-nav-link p-3 flex items-center rounded-md mb-1" data-page="admin-dashboard"><i class="fas fa-tachometer-alt w-6 mr-3"></i>Dashboard</a></li>
                         <li><a href="#" class="admin-nav-link p-3 flex items-center rounded-md mb-1" data-page="admin-stations"><i class="fas fa-sitemap w-6 mr-3"></i>Station Management</a></li>
                         <li><a href="#" class="admin-nav-link p-3 flex items-center rounded-md mb-1" data-page="admin-reviews"><i class="fas fa-star-half-alt w-6 mr-3"></i>Review Moderation</a></li>
+                        <li><a href="#" class="admin-nav-link p-3 flex items-center rounded-md mb-1" data-page="admin-wallets"><i class="fas fa-wallet w-6 mr-3"></i>Wallets & Refunds</a></li>
+                        <li><a href="#" class="admin-nav-link p-3 flex items-center rounded-md mb-1" data-page="admin-loyalty"><i class="fas fa-gift w-6 mr-3"></i>Loyalty & Promotions</a></li>
+                        ${loggedInUser.role === 'superadmin' ? `<li><a href="#" class="admin-nav-link p-3 flex items-center rounded-md mb-1" data-page="admin-users"><i class="fas fa-users-cog w-6 mr-3"></i>Users & Operators</a></li>` : ''}
                     </ul>
                     <div class="p-4 mt-auto border-t border-gray-700">
                         <button id="logout-btn-admin" class="w-full text-left p-3 rounded-md hover:bg-red-900/50 text-red-400"><i class="fas fa-sign-out-alt w-6 mr-3"></i>Logout</button>
@@ -345,8 +753,17 @@ document.addEventListener('DOMContentLoaded', () => {
             'admin-dashboard': renderAdminDashboard,
             'admin-stations': renderAdminStations,
             'admin-reviews': renderAdminReviews,
+            'admin-wallets': renderAdminWallets,
+            'admin-loyalty': renderAdminLoyalty,
+            'admin-users': renderAdminUsers,
         };
 
+        if (loggedInUser.role === 'admin' && !loggedInUser.operatorId) {
+            container.innerHTML = `
+                <h2 class="text-3xl font-bold text-white mb-4">No Operator Assigned</h2>
+                <p class="text-gray-400">Your admin account isn't linked to a charging operator yet. Ask a super-admin to assign you to one.</p>`;
+            return;
+        }
         if(pageRenderers[pageId]) {
             pageRenderers[pageId](container);
         }
@@ -357,7 +774,7 @@ document.addEventListener('DOMContentLoaded', () => {
         document.documentElement.classList.toggle('dark');
         userProfile.theme = document.documentElement.classList.contains('dark') ? 'dark' : 'light';
         try {
-            await db.collection('users').doc(loggedInUser.uid).update({ 'profile.theme': userProfile.theme });
+            await store.users.update(loggedInUser.uid, { 'profile.theme': userProfile.theme });
             log.info(`Theme changed to ${userProfile.theme} for user: ${loggedInUser.username}`);
         } catch (error) {
             log.error("Error updating theme:", error);
@@ -366,8 +783,8 @@ document.addEventListener('DOMContentLoaded', () => {
     
     async function updateUserProfile() {
         try {
-            await db.collection('users').doc(loggedInUser.uid).update({ profile: userProfile });
-            log.info("User profile updated in Firestore.");
+            await store.users.update(loggedInUser.uid, { profile: userProfile });
+            log.info("User profile updated.");
         } catch (error) {
             log.error("Error updating user profile:", error);
         }
@@ -377,12 +794,22 @@ document.addEventListener('DOMContentLoaded', () => {
     function renderFilterBar(container) {
         container.innerHTML += `
             <div id="filter-bar" class="mb-6 p-4 bg-white dark:bg-gray-800 rounded-lg shadow-md">
-                <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 items-end">
+                <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4 items-end">
                     <div><label for="search-input" class="block text-sm font-medium mb-1">Search by Name</label><input type="text" id="search-input" placeholder="e.g. Green Park" class="block w-full rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700 shadow-sm focus:ring-indigo-500 focus:border-indigo-500" value="${filterState.searchTerm || ''}"></div>
                     <div><label for="charger-type-filter" class="block text-sm font-medium mb-1">Charger Type</label><select id="charger-type-filter" class="block w-full rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700 shadow-sm focus:ring-indigo-500 focus:border-indigo-500"><option value="">All Types</option><option>Type 2</option><option>CCS</option><option>CHAdeMO</option></select></div>
                     <div><label for="amenities-filter" class="block text-sm font-medium mb-1">Amenities</label><select id="amenities-filter" class="block w-full rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700 shadow-sm focus:ring-indigo-500 focus:border-indigo-500"><option value="">Any</option><option>Cafe</option><option>WiFi</option><option>Restroom</option><option>Lounge</option></select></div>
+                    <div><label for="rating-filter" class="block text-sm font-medium mb-1">Rating</label><select id="rating-filter" class="block w-full rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700 shadow-sm focus:ring-indigo-500 focus:border-indigo-500"><option value="">Any rating</option>${MIN_RATING_FILTERS.map(min => `<option value="${min}" ${String(min) === String(filterState.minRating) ? 'selected' : ''}>${min}★ & up</option>`).join('')}</select></div>
                     <div class="flex items-center"><input id="available-only-checkbox" type="checkbox" class="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500" ${filterState.availableOnly ? 'checked' : ''}><label for="available-only-checkbox" class="ml-2 block text-sm">Show Available Only</label></div>
                 </div>
+                <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 items-end mt-4">
+                    <div><label for="location-select" class="block text-sm font-medium mb-1">Your Location</label><select id="location-select" class="block w-full rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700 shadow-sm focus:ring-indigo-500 focus:border-indigo-500">
+                        <option value="">Not set</option><option value="current" ${userLocation?.source === 'current' ? 'selected' : ''}>My current location</option>
+                        ${Object.keys(cityIndex).sort().map(city => `<option value="${city}" ${userLocation?.source === 'city' && userLocation.label === city ? 'selected' : ''}>${city}</option>`).join('')}
+                    </select></div>
+                    <div><label for="sort-filter" class="block text-sm font-medium mb-1">Sort By</label><select id="sort-filter" class="block w-full rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700 shadow-sm focus:ring-indigo-500 focus:border-indigo-500"><option value="">Default</option><option value="distance" ${filterState.sortBy === 'distance' ? 'selected' : ''} ${userLocation ? '' : 'disabled'}>Distance</option><option value="rating" ${filterState.sortBy === 'rating' ? 'selected' : ''}>Highest rated</option></select></div>
+                    <div><label for="radius-filter" class="block text-sm font-medium mb-1">Distance</label><select id="radius-filter" class="block w-full rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700 shadow-sm focus:ring-indigo-500 focus:border-indigo-500" ${userLocation ? '' : 'disabled'}><option value="">Any distance</option>${NEAR_ME_RADII_KM.map(km => `<option value="${km}" ${String(km) === String(filterState.radiusKm) ? 'selected' : ''}>Within ${km} km</option>`).join('')}</select></div>
+                    <button id="nearest-station-btn" class="bg-green-600 text-white py-2 px-4 rounded-lg hover:bg-green-700"><i class="fas fa-location-arrow mr-2"></i>Nearest Available</button>
+                </div>
             </div>`;
         // Set initial values after rendering
         document.getElementById('charger-type-filter').value = filterState.chargerType || '';
@@ -393,10 +820,12 @@ document.addEventListener('DOMContentLoaded', () => {
         container.innerHTML = `<h2 class="text-3xl font-bold mb-4">Charging Stations Map</h2>`;
         renderFilterBar(container);
         container.innerHTML += `<div id="map" class="h-[calc(100vh-280px)] md:h-[calc(100vh-220px)] rounded-lg shadow-lg"></div>`;
-        setTimeout(initMap, 10);
+        setTimeout(() => (userLocation ? initMap([userLocation.lat, userLocation.lng], 11) : initMap()), 10);
     }
 
+    // Lists the stations around the user's location, or else those last loaded on the map.
     function renderStationListView(container) {
+        if (userLocation) setStationTiles(getTilesAround(userLocation, Math.max(Number(filterState.radiusKm) || 0, STATION_AREA_KM)) || []);
         container.innerHTML = `<h2 class="text-3xl font-bold mb-4">Available Stations</h2>`;
         renderFilterBar(container);
         container.innerHTML += `<div id="station-list-container" class="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6"></div>`;
@@ -408,6 +837,11 @@ document.addEventListener('DOMContentLoaded', () => {
         let activeSessionHtml = '';
         if (activeSession) {
             const station = stations.find(s => s.id === activeSession.stationId);
+            const limits = [
+                activeSession.targetSoc && `at ${activeSession.targetSoc}%`,
+                activeSession.budgetKwh && `after ${activeSession.budgetKwh} kWh`,
+                activeSession.budgetAmount && `at ₹${activeSession.budgetAmount}`,
+            ].filter(Boolean);
             activeSessionHtml = `
                 <div class="bg-green-100 dark:bg-green-900/50 border-l-4 border-green-500 p-6 rounded-lg shadow-lg">
                     <h3 class="text-2xl font-bold text-green-800 dark:text-green-300">Active Charging Session</h3>
@@ -426,38 +860,150 @@ document.addEventListener('DOMContentLoaded', () => {
                             <p id="session-cost" class="text-2xl font-mono">₹0.00</p>
                         </div>
                     </div>
+                    <div class="mt-4">
+                        <div class="flex justify-between text-sm">
+                            <span><i class="fas fa-battery-half mr-1"></i>${activeSession.vehicle ? `${activeSession.vehicle} at ` : ''}<span id="session-soc" class="font-mono">--%</span>${activeSession.targetSoc ? ` of ${activeSession.targetSoc}%` : ''}</span>
+                            <span id="session-remaining" class="text-gray-500 dark:text-gray-400"></span>
+                        </div>
+                        <div class="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2 mt-1"><div id="session-soc-bar" class="bg-green-500 h-2 rounded-full" style="width: ${activeSession.startSoc ?? 0}%"></div></div>
+                        ${limits.length && !activeSession.ocpp ? `<p class="text-xs mt-2 text-gray-500 dark:text-gray-400">Stops by itself ${limits.join(' or ')}, whichever comes first.</p>` : ''}
+                    </div>
+                    <div id="session-idle" class="hidden mt-4 p-3 rounded-lg bg-yellow-100 dark:bg-yellow-900/50 text-sm">
+                        <p class="font-semibold"><i class="fas fa-hourglass-half mr-1"></i>Charging complete. Idle for <span id="session-idle-timer" class="font-mono">00:00:00</span></p>
+                        <p id="session-idle-fee"></p>
+                    </div>
                     <button id="stop-charging-btn" class="w-full mt-6 bg-red-600 text-white py-2 rounded-lg hover:bg-red-700" data-id="${activeSession.id}">Stop Charging</button>
                 </div>`;
             startSessionTimer(activeSession);
         }
 
+        const pendingStops = getOutbox().filter(a => a.type === 'stop-session' && a.userId === loggedInUser.uid);
+        if (!activeSession && pendingStops.length > 0) {
+            activeSessionHtml = pendingStops.map(a => `
+                <div class="bg-yellow-100 dark:bg-yellow-900/50 border-l-4 border-yellow-500 p-4 rounded-lg shadow mb-2">
+                    <p class="font-semibold"><i class="fas fa-cloud-upload-alt mr-2"></i>Session stopped at ${new Date(a.payload.endTime).toLocaleTimeString('en-IN', { timeStyle: 'short' })}</p>
+                    <p class="text-sm">It will be billed and added to your history once you're back online.</p>
+                </div>`).join('');
+        }
+
+        const recentCutoff = Date.now() - 24 * 60 * 60 * 1000;
+        const visibleReservations = reservations.filter(r => ['booked', 'held'].includes(r.status) || (r.status === 'expired' && r.endTime.toMillis() > recentCutoff));
+        let reservationsHtml = '<p class="text-gray-500 dark:text-gray-400">You have no upcoming reservations.</p>';
+        if (visibleReservations.length > 0) {
+            reservationsHtml = visibleReservations.map(reservation => {
+                const station = stations.find(s => s.id === reservation.stationId);
+                const badge = getReservationBadge(reservation);
+                const start = reservation.startTime.toDate();
+                const end = reservation.endTime.toDate();
+                let actionsHtml = '';
+                if (reservation.status === 'held') {
+                    const releaseAt = new Date(getReservationReleaseAt(reservation));
+                    actionsHtml = `
+                        <p class="text-xs text-gray-500 dark:text-gray-400 mb-2">Held until ${releaseAt.toLocaleTimeString('en-IN', { timeStyle: 'short' })}</p>
+                        <button class="start-reservation-btn bg-green-600 text-white px-4 py-2 rounded-lg text-sm hover:bg-green-700 mr-2" data-id="${reservation.id}">Start Charging</button>`;
+                }
+                if (['booked', 'held'].includes(reservation.status)) {
+                    actionsHtml += `<button class="cancel-reservation-btn bg-gray-200 dark:bg-gray-600 px-4 py-2 rounded-lg text-sm" data-id="${reservation.id}">Cancel</button>`;
+                }
+                return `
+                <div class="bg-white dark:bg-gray-800 p-4 rounded-lg shadow-md flex justify-between items-center">
+                    <div>
+                        <p class="font-bold text-lg">${station?.name || 'Unknown Station'} <span class="ml-2 px-2 py-1 text-xs font-semibold rounded-full ${badge.classes}">${badge.text}</span></p>
+                        <p class="text-sm text-gray-500 dark:text-gray-400">${start.toLocaleDateString()} | ${start.toLocaleTimeString('en-IN', { timeStyle: 'short' })} - ${end.toLocaleTimeString('en-IN', { timeStyle: 'short' })}</p>
+                    </div>
+                    <div class="text-right">${actionsHtml}</div>
+                </div>`;
+            }).join('');
+        }
+
         let bookingsHtml = '<p class="text-gray-500 dark:text-gray-400">You have no past sessions.</p>';
         if (bookings.length > 0) {
             bookingsHtml = bookings.map(booking => {
                 const station = stations.find(s => s.id === booking.stationId);
-                const date = booking.createdAt?.toDate ? new Date(booking.createdAt.toDate()).toLocaleDateString() : 'N/A';
+                const { end } = getBookingTimes(booking);
+                const date = end ? `${end.toLocaleDateString()} ${end.toLocaleTimeString('en-IN', { timeStyle: 'short' })}` : 'N/A';
                 const cost = (booking.cost || 0).toFixed(2);
+                const review = myReviews.find(r => r.id === booking.id);
                 return `
                 <div class="bg-white dark:bg-gray-800 p-4 rounded-lg shadow-md flex justify-between items-center">
                     <div>
-                        <p class="font-bold text-lg">${station?.name || 'Unknown Station'}</p>
-                        <p class="text-sm text-gray-500 dark:text-gray-400">Completed on ${date}</p>
-                        <p class="text-sm text-gray-500 dark:text-gray-400">Duration: ${Math.floor(booking.duration / 60)}m ${booking.duration % 60}s | Cost: ₹${cost}</p>
+                        <p class="font-bold text-lg">${station?.name || booking.stationName || 'Unknown Station'}</p>
+                        <p class="text-sm text-gray-500 dark:text-gray-400">Completed on ${date}${booking.invoiceNumber ? ` | Invoice ${booking.invoiceNumber}` : ''}</p>
+                        <p class="text-sm text-gray-500 dark:text-gray-400">Duration: ${Math.floor(booking.duration / 60)}m ${booking.duration % 60}s | ${(booking.kwhConsumed || 0).toFixed(2)} kWh | Cost: ₹${cost}${booking.idleFee ? ` (incl. ₹${booking.idleFee.toFixed(2)} idle fee)` : ''}${booking.loyaltyDiscount ? ` (₹${booking.loyaltyDiscount.toFixed(2)} paid with points)` : ''}${booking.refundedAmount ? ` (₹${booking.refundedAmount.toFixed(2)} refunded)` : ''}${booking.pointsEarned ? ` | +${booking.pointsEarned} points` : ''}</p>
+                    </div>
+                    <div class="flex gap-2">
+                        <button class="invoice-btn bg-indigo-600 text-white px-4 py-2 rounded-lg text-sm hover:bg-indigo-700" data-id="${booking.id}"><i class="fas fa-file-invoice mr-1"></i>Invoice</button>
+                        ${review
+                            ? `<button class="rate-booking-btn bg-gray-200 dark:bg-gray-600 px-4 py-2 rounded-lg text-sm" data-id="${booking.id}" data-station="${booking.stationId}" title="Your rating"><span class="text-yellow-400">${renderStars(review.rating)}</span></button>`
+                            : `<button class="rate-booking-btn bg-gray-200 dark:bg-gray-600 px-4 py-2 rounded-lg text-sm" data-id="${booking.id}" data-station="${booking.stationId}">Rate Session</button>`}
                     </div>
-                    <button class="view-details-btn bg-gray-200 dark:bg-gray-600 px-4 py-2 rounded-lg text-sm" data-id="${station.id}">Rate Station</button>
                 </div>`;
             }).join('');
         }
+        const today = new Date();
+        const monthStart = new Date(today.getFullYear(), today.getMonth(), 1);
 
         container.innerHTML = `
             <h2 class="text-3xl font-bold mb-4">My Sessions</h2>
             <div id="active-session-container" class="mb-8">${activeSessionHtml}</div>
-            <h3 class="text-2xl font-bold mb-4 border-t dark:border-gray-700 pt-6">Session History</h3>
+            <h3 class="text-2xl font-bold mb-4 border-t dark:border-gray-700 pt-6">Reservations</h3>
+            <div class="space-y-4 mb-8">${reservationsHtml}</div>
+            <div class="flex flex-wrap justify-between items-end gap-4 mb-4 border-t dark:border-gray-700 pt-6">
+                <h3 class="text-2xl font-bold">Session History</h3>
+                <div class="flex flex-wrap items-end gap-2 text-sm">
+                    <div><label for="export-from" class="block text-xs text-gray-500 dark:text-gray-400">From</label><input type="date" id="export-from" value="${toDateInputValue(monthStart)}" class="rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700"></div>
+                    <div><label for="export-to" class="block text-xs text-gray-500 dark:text-gray-400">To</label><input type="date" id="export-to" value="${toDateInputValue(today)}" class="rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700"></div>
+                    <button id="export-csv-btn" class="bg-gray-200 dark:bg-gray-600 px-4 py-2 rounded-lg"><i class="fas fa-file-csv mr-1"></i>Export CSV</button>
+                </div>
+            </div>
             <div class="space-y-4">${bookingsHtml}</div>`;
     }
 
+    function renderWalletView(container) {
+        const balance = wallet.balance || 0;
+        container.innerHTML = `
+            <h2 class="text-3xl font-bold mb-4">Wallet</h2>
+            <div class="grid grid-cols-1 lg:grid-cols-3 gap-8 mb-8">
+                <div class="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-md text-center flex flex-col justify-center">
+                    <h3 class="text-xl font-semibold mb-2">Balance</h3>
+                    <p class="text-5xl font-bold ${balance < WALLET_MIN_BALANCE ? 'text-red-500' : 'text-indigo-500'}">₹${balance.toFixed(2)}</p>
+                    <p class="text-xs mt-2 text-gray-500 dark:text-gray-400">${balance < WALLET_MIN_BALANCE ? `Top up to at least ₹${WALLET_MIN_BALANCE} to start charging.` : `Sessions are paid from your wallet when they end. At least ₹${WALLET_MIN_BALANCE} is needed to start one.`}</p>
+                </div>
+                <div class="lg:col-span-2 bg-white dark:bg-gray-800 p-6 rounded-lg shadow-md">
+                    <h3 class="text-xl font-semibold mb-4">Add Money</h3>
+                    <div class="flex flex-wrap gap-2 mb-4">${WALLET_TOP_UP_PRESETS.map(amount => `
+                        <button type="button" class="top-up-preset-btn bg-gray-200 dark:bg-gray-600 px-4 py-2 rounded-lg" data-amount="${amount}">₹${amount}</button>`).join('')}
+                    </div>
+                    <form id="top-up-form" class="flex flex-wrap gap-2">
+                        <input type="number" id="top-up-amount" min="1" max="${WALLET_MAX_TOP_UP}" step="1" placeholder="Amount (₹)" required class="flex-grow rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700">
+                        <button type="submit" id="top-up-btn" class="bg-indigo-600 text-white px-6 py-2 rounded-lg hover:bg-indigo-700"><i class="fas fa-credit-card mr-2"></i>Top Up</button>
+                    </form>
+                    <p class="text-xs mt-2 text-gray-500 dark:text-gray-400">Up to ₹${WALLET_MAX_TOP_UP} at a time, paid through ${paymentGateway.name === 'mock' ? 'a test gateway: no real money is taken, and amounts ending in 13 are declined' : paymentGateway.name}.</p>
+                </div>
+            </div>
+            <div class="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-md">
+                <h3 class="text-2xl font-bold mb-4">Transactions</h3>
+                <div id="wallet-ledger" class="divide-y divide-gray-200 dark:divide-gray-700"><p class="text-gray-500 dark:text-gray-400">Loading transactions...</p></div>
+                <button id="load-more-wallet-btn" class="hidden mt-4 bg-gray-200 dark:bg-gray-600 px-4 py-2 rounded-lg">Load more</button>
+            </div>`;
+        loadWalletLedger(loggedInUser.uid);
+    }
+
+    function renderNotificationsView(container) {
+        container.innerHTML = `
+            <div class="flex justify-between items-center mb-4">
+                <h2 class="text-3xl font-bold">Notifications</h2>
+                <button id="mark-all-read-btn" class="hidden bg-gray-200 dark:bg-gray-600 px-4 py-2 rounded-lg text-sm">Mark all read</button>
+            </div>
+            <div class="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-md">
+                <div id="notification-list" class="divide-y divide-gray-200 dark:divide-gray-700"></div>
+                <p class="text-xs mt-4 text-gray-500 dark:text-gray-400">Showing your latest ${NOTIFICATIONS_SHOWN}. Choose what you're told about, and how, on your profile.</p>
+            </div>`;
+        renderNotificationList();
+    }
+
     function renderProfileView(container) {
-        const evModelOptions = Object.keys(evModels).map(model => `<option value="${model}" ${userProfile.vehicle === model ? 'selected' : ''}>${model}</option>`).join('');
+        const evModelOptions = Object.keys(EV_MODELS).map(model => `<option value="${model}" ${userProfile.vehicle === model ? 'selected' : ''}>${model}</option>`).join('');
 
         const favoriteStations = stations.filter(s => userProfile.favorites.includes(s.id));
         let favoritesHtml = '<p class="text-gray-500 dark:text-gray-400">You have no favorite stations yet.</p>';
@@ -470,6 +1016,22 @@ document.addEventListener('DOMContentLoaded', () => {
             `).join('');
         }
 
+        const points = getLoyaltyBalance(loyaltyConfig, { loyalty });
+        const tier = getLoyaltyTier(loyaltyConfig, loyalty.lifetimePoints);
+        const nextTier = getNextLoyaltyTier(loyaltyConfig, loyalty.lifetimePoints);
+        const nextExpiry = Object.keys(loyalty.lots).map(month => ({ points: loyalty.lots[month], at: getLotExpiry(loyaltyConfig, month) })).filter(lot => lot.at > Date.now()).sort((a, b) => a.at - b.at)[0];
+        const earnRule = loyaltyConfig.earnBasis === 'spend' ? `${loyaltyConfig.pointsPerRupee} per ₹ spent` : `${loyaltyConfig.pointsPerKwh} per kWh`;
+
+        const browserPermission = 'Notification' in window ? Notification.permission : 'unsupported';
+        const notificationPrefsHtml = Object.entries(NOTIFICATION_TYPES).map(([type, { label }]) => {
+            const prefs = getNotificationPrefs({ profile: userProfile }, type);
+            return `
+                <tr class="border-t border-gray-200 dark:border-gray-700">
+                    <td class="py-2">${label}</td>
+                    ${Object.keys(NOTIFICATION_CHANNELS).map(channel => `<td class="py-2 text-center"><input type="checkbox" class="notification-pref h-4 w-4 rounded" data-type="${type}" data-channel="${channel}" ${prefs[channel] ? 'checked' : ''}></td>`).join('')}
+                </tr>`;
+        }).join('');
+
         container.innerHTML = `
             <h2 class="text-3xl font-bold mb-4">User Profile</h2>
             <div class="grid grid-cols-1 lg:grid-cols-3 gap-8">
@@ -479,11 +1041,16 @@ document.addEventListener('DOMContentLoaded', () => {
                         <label for="ev-model-select" class="block text-sm font-medium">Select Your EV</label>
                         <select id="ev-model-select" class="mt-1 block w-full rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700 shadow-sm">${evModelOptions}</select>
                         <p class="text-xs mt-2 text-gray-500 dark:text-gray-400">This helps with charging estimates.</p>
+                        <p class="text-xs mt-2 text-gray-500 dark:text-gray-400">Charging ID: <span class="font-mono">${userProfile.idTag || ''}</span> (enter it at chargers that ask for one)</p>
                     </div>
                     <div class="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-md text-center flex flex-col justify-center">
-                        <h3 class="text-xl font-semibold mb-2">Loyalty Points</h3>
-                        <p class="text-5xl font-bold text-indigo-500">${userProfile.loyaltyPoints}</p>
-                        <p class="text-xs mt-2 text-gray-500 dark:text-gray-400">Earn 10 points for every completed charge!</p>
+                        <h3 class="text-xl font-semibold mb-2">Loyalty Points <span class="text-sm font-medium px-2 py-1 rounded-full bg-yellow-100 text-yellow-800">${tier.name}</span></h3>
+                        <p class="text-5xl font-bold text-indigo-500">${points}</p>
+                        <p class="text-xs mt-2 text-gray-500 dark:text-gray-400">Earn ${earnRule}${tier.multiplier > 1 ? `, ×${tier.multiplier} as ${tier.name}` : ''}. Each point is worth ₹${loyaltyConfig.rupeesPerPoint} off up to ${tier.maxRedeemPercent}% of a session.</p>
+                        ${nextTier ? `
+                        <div class="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2 mt-3"><div class="bg-indigo-500 h-2 rounded-full" style="width: ${Math.round(loyalty.lifetimePoints / nextTier.minPoints * 100)}%"></div></div>
+                        <p class="text-xs mt-1 text-gray-500 dark:text-gray-400">${nextTier.minPoints - loyalty.lifetimePoints} more points to ${nextTier.name}</p>` : ''}
+                        ${nextExpiry ? `<p class="text-xs mt-1 text-gray-500 dark:text-gray-400">${nextExpiry.points} points expire on ${new Date(nextExpiry.at - 1).toLocaleDateString('en-IN', { dateStyle: 'medium' })}</p>` : ''}
                     </div>
                 </div>
                 <div class="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-md">
@@ -503,6 +1070,33 @@ document.addEventListener('DOMContentLoaded', () => {
                         <canvas id="kwh-consumed-chart"></canvas>
                     </div>
                 </div>
+            </div>
+            <div class="mt-8 bg-white dark:bg-gray-800 p-6 rounded-lg shadow-md">
+                <h3 class="text-2xl font-bold mb-4">Notifications</h3>
+                <form id="notification-prefs-form">
+                    <div class="overflow-x-auto">
+                        <table class="w-full text-sm">
+                            <thead><tr class="text-left text-gray-500 dark:text-gray-400"><th class="py-2">Tell me when</th>${Object.values(NOTIFICATION_CHANNELS).map(label => `<th class="py-2 text-center">${label}</th>`).join('')}</tr></thead>
+                            <tbody>${notificationPrefsHtml}</tbody>
+                        </table>
+                    </div>
+                    <div class="grid grid-cols-1 md:grid-cols-2 gap-4 items-end mt-4">
+                        <div>
+                            <label for="notification-phone" class="block text-sm font-medium">Mobile number for SMS</label>
+                            <input type="tel" id="notification-phone" value="${userProfile.phone || ''}" placeholder="+91 98765 43210" pattern="\\+?[0-9 ]{10,16}" class="mt-1 block w-full rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700">
+                        </div>
+                        <p class="text-xs text-gray-500 dark:text-gray-400">Emails go to ${loggedInUser.username}. ${browserPermission === 'unsupported' ? "This browser doesn't support notifications." : `Browser notifications ${browserPermission === 'granted' ? 'are allowed on this device.' : browserPermission === 'denied' ? "are blocked on this device; allow them in your browser's site settings." : 'need your permission on this device.'}`}</p>
+                    </div>
+                    <div class="flex gap-3 mt-4">
+                        <button type="submit" class="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700">Save Preferences</button>
+                        ${browserPermission === 'default' ? '<button type="button" id="allow-browser-notifications-btn" class="bg-gray-200 dark:bg-gray-600 px-4 py-2 rounded-lg">Allow browser notifications</button>' : ''}
+                    </div>
+                </form>
+            </div>
+            <div class="mt-8 bg-white dark:bg-gray-800 p-6 rounded-lg shadow-md">
+                <h3 class="text-2xl font-bold mb-4">Points History</h3>
+                <div id="loyalty-ledger" class="divide-y divide-gray-200 dark:divide-gray-700"><p class="text-gray-500 dark:text-gray-400">Loading points history...</p></div>
+                <button id="load-more-loyalty-btn" class="hidden mt-4 bg-gray-200 dark:bg-gray-600 px-4 py-2 rounded-lg">Load more</button>
             </div>`;
 
         document.getElementById('ev-model-select').addEventListener('change', (e) => {
@@ -512,50 +1106,89 @@ document.addEventListener('DOMContentLoaded', () => {
             showToast('Vehicle updated!', 'success');
         });
         renderPersonalAnalytics();
+        loadLoyaltyLedger();
     }
     
     function renderTripPlannerView(container) {
-        const uniqueCities = [...new Set(stations.map(s => s.city))];
+        const uniqueCities = Object.keys(cityIndex).sort();
         const cityOptions = uniqueCities.map(city => `<option value="${city}">${city}</option>`).join('');
+        const vehicle = EV_MODELS[userProfile.vehicle] ? userProfile.vehicle : 'Other';
+        const evModelOptions = Object.keys(EV_MODELS).map(model => `<option value="${model}" ${vehicle === model ? 'selected' : ''}>${model}</option>`).join('');
 
         container.innerHTML = `
-            <h2 class="text-3xl font-bold mb-4">Trip Planner (Simulated)</h2>
+            <h2 class="text-3xl font-bold mb-4">Trip Planner</h2>
             <div class="p-6 bg-white dark:bg-gray-800 rounded-lg shadow-md">
                 <div class="grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
                     <div><label for="start-city" class="block text-sm font-medium">Start City</label><select id="start-city" class="mt-1 block w-full rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700">${cityOptions}</select></div>
                     <div><label for="end-city" class="block text-sm font-medium">End City</label><select id="end-city" class="mt-1 block w-full rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700">${cityOptions}</select></div>
+                    <div><label for="trip-vehicle" class="block text-sm font-medium">Vehicle</label><select id="trip-vehicle" class="mt-1 block w-full rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700">${evModelOptions}</select></div>
+                    <div><label for="trip-start-soc" class="block text-sm font-medium">Starting Charge %</label><input type="number" id="trip-start-soc" value="90" min="${TRIP_RESERVE_SOC + 1}" max="100" class="mt-1 block w-full rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700"></div>
+                    <div><label for="trip-consumption" class="block text-sm font-medium">Consumption (kWh/100km)</label><input type="number" step="0.1" id="trip-consumption" value="${EV_MODELS[vehicle].consumption}" min="5" max="40" class="mt-1 block w-full rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700"></div>
+                    <div><label for="trip-departure" class="block text-sm font-medium">Departure</label><input type="datetime-local" id="trip-departure" value="${toDateTimeInputValue(new Date(Math.ceil(Date.now() / (15 * 60000)) * 15 * 60000))}" class="mt-1 block w-full rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700"></div>
                     <button id="plan-trip-btn" class="bg-indigo-600 text-white py-2 px-4 rounded-lg hover:bg-indigo-700 h-10">Plan Trip</button>
                 </div>
+                <p class="text-xs mt-3 text-gray-500 dark:text-gray-400">Stops are planned to arrive with at least ${TRIP_RESERVE_SOC}% and charge to ${TRIP_CHARGE_TO_SOC}%. Distances are estimated from the straight-line route and times at ${TRIP_AVG_SPEED_KMH} km/h; stations that are usually busy when you'd arrive are avoided where possible.</p>
             </div>
             <div id="trip-results" class="mt-6 hidden">
-                <h3 class="text-2xl font-semibold mb-4">Suggested Route and Stations</h3>
+                <h3 class="text-2xl font-semibold mb-4">Your Itinerary</h3>
                 <div id="trip-map" class="h-[40vh] rounded-lg shadow-md mb-6"></div>
-                <div id="trip-stations-list" class="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6"></div>
+                <div id="trip-summary" class="mb-4"></div>
+                <ol id="trip-itinerary" class="space-y-4"></ol>
             </div>`;
     }
 
     function renderAdminDashboard(container) {
+        const today = new Date();
+        const rangeStart = new Date(today.getTime() - (ANALYTICS_DEFAULT_DAYS - 1) * 24 * 60 * 60 * 1000);
+        const cityOptions = [...new Set(getManagedStations().map(s => s.city))].sort().map(city => `<option value="${city}">${city}</option>`).join('');
+        const operatorFilter = loggedInUser.role === 'superadmin' ? `
+                <div><label for="analytics-operator" class="block text-gray-400 mb-1">Operator</label>
+                    <select id="analytics-operator" class="bg-gray-700 p-2 rounded"><option value="all">All operators</option>${operators.map(o => `<option value="${o.id}">${o.name}</option>`).join('')}</select></div>` : '';
         container.innerHTML = `
             <h2 class="text-3xl font-bold mb-6 text-white">Admin Dashboard</h2>
+            <div class="bg-gray-900 p-4 rounded-lg shadow-xl mb-8 flex flex-wrap items-end gap-4 text-sm">
+                <div><label for="analytics-from" class="block text-gray-400 mb-1">From</label><input type="date" id="analytics-from" value="${toDateInputValue(rangeStart)}" class="bg-gray-700 p-2 rounded"></div>
+                <div><label for="analytics-to" class="block text-gray-400 mb-1">To</label><input type="date" id="analytics-to" value="${toDateInputValue(today)}" class="bg-gray-700 p-2 rounded"></div>
+                <div><label for="analytics-group" class="block text-gray-400 mb-1">Revenue by</label>
+                    <select id="analytics-group" class="bg-gray-700 p-2 rounded"><option value="day">Day</option><option value="week">Week</option><option value="month">Month</option></select></div>
+                <div><label for="analytics-city" class="block text-gray-400 mb-1">City</label>
+                    <select id="analytics-city" class="bg-gray-700 p-2 rounded"><option value="all">All cities</option>${cityOptions}</select></div>
+                ${operatorFilter}
+            </div>
+            <div id="analytics-summary" class="grid grid-cols-2 lg:grid-cols-4 gap-4 mb-8"><p class="text-gray-400">Loading analytics...</p></div>
             <div class="grid grid-cols-1 lg:grid-cols-2 gap-8">
-                <div class="bg-gray-900 p-6 rounded-lg shadow-xl h-80"><h3 class="text-xl font-semibold mb-4 text-center">Session History</h3><canvas id="station-usage-chart"></canvas></div>
-                <div class="bg-gray-900 p-6 rounded-lg shadow-xl h-80"><h3 class="text-xl font-semibold mb-4 text-center">Revenue Per Day (Simulated)</h3><canvas id="bookings-chart"></canvas></div>
+                <div class="bg-gray-900 p-6 rounded-lg shadow-xl h-80 lg:col-span-2"><h3 id="revenue-chart-title" class="text-xl font-semibold mb-4 text-center">Revenue Per Day</h3><canvas id="bookings-chart"></canvas></div>
+                <div class="bg-gray-900 p-6 rounded-lg shadow-xl h-80"><h3 class="text-xl font-semibold mb-4 text-center">Sessions Per Station</h3><canvas id="station-usage-chart"></canvas></div>
+                <div class="bg-gray-900 p-6 rounded-lg shadow-xl h-80"><h3 class="text-xl font-semibold mb-4 text-center">Energy Delivered Per Station (kWh)</h3><canvas id="station-kwh-chart"></canvas></div>
+            </div>
+            <div class="bg-gray-900 p-6 rounded-lg shadow-xl mt-8 overflow-x-auto">
+                <h3 class="text-xl font-semibold mb-4">By City</h3>
+                <div id="analytics-cities"></div>
+            </div>
+            <div class="bg-gray-900 p-6 rounded-lg shadow-xl mt-8 overflow-x-auto">
+                <h3 class="text-xl font-semibold mb-1">Idle Fee Repeat Offenders</h3>
+                <p class="text-sm text-gray-400 mb-4">Drivers charged an idle fee in ${IDLE_REPEAT_SESSIONS} or more sessions in this range, for leaving their car plugged in after it finished charging.</p>
+                <div id="analytics-idle-offenders"></div>
             </div>`;
-        renderAnalyticsCharts();
+        loadAdminAnalytics();
     }
 
     function renderAdminStations(container) {
-        const stationRows = stations.map(s => `
+        const isSuperAdmin = loggedInUser.role === 'superadmin';
+        const stationRows = getManagedStations().map(s => `
             <tr class="border-b border-gray-700 hover:bg-gray-800">
                 <td class="p-4 truncate" title="${s.id}">${s.id.substring(0, 5)}...</td>
                 <td class="p-4 font-semibold">${s.name}</td>
                 <td class="p-4">${s.city}</td>
+                ${isSuperAdmin ? `<td class="p-4">${getOperatorName(s.operatorId)}</td>` : ''}
                 <td class="p-4">${s.slots.available} / ${s.slots.total}</td>
-                <td class="p-4">${s.queue?.length || 0}</td>
+                <td class="p-4"><button class="manage-queue-btn underline hover:text-indigo-300" data-id="${s.id}">${getWaitingQueue(s).length}${s.queueOffers?.length ? ` (+${s.queueOffers.length} offered)` : ''}</button></td>
                 <td class="p-4">
                     <span class="px-2 py-1 text-xs font-semibold rounded-full ${s.status === 'Operational' ? 'bg-green-500 text-white' : 'bg-yellow-500 text-black'}">${s.status}</span>
                 </td>
                 <td class="p-4">
+                    ${s.chargePointId ? `<button class="charger-btn ${s.ocppStatus?.connected ? 'bg-green-600 hover:bg-green-700' : 'bg-gray-600 hover:bg-gray-500'} text-white px-3 py-1 rounded-md mr-2" data-id="${s.id}" title="Charger ${s.ocppStatus?.connected ? 'online' : 'offline'}"><i class="fas fa-plug"></i></button>` : ''}
+                    <button class="reservation-calendar-btn bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-1 rounded-md mr-2" data-id="${s.id}" title="Reservations"><i class="fas fa-calendar-alt"></i></button>
                     <button class="edit-station-btn bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded-md mr-2" data-id="${s.id}"><i class="fas fa-edit"></i></button>
                     <button class="delete-station-btn bg-red-600 hover:bg-red-700 text-white px-3 py-1 rounded-md" data-id="${s.id}"><i class="fas fa-trash"></i></button>
                 </td>
@@ -565,13 +1198,17 @@ document.addEventListener('DOMContentLoaded', () => {
         container.innerHTML = `
             <div class="flex justify-between items-center mb-6">
                 <h2 class="text-3xl font-bold text-white">Station Management</h2>
-                <button id="add-station-btn" class="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-lg"><i class="fas fa-plus mr-2"></i>Add New Station</button>
+                <div class="flex gap-2">
+                    <button id="rebuild-busy-times-btn" class="bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded-lg" title="Recount busy times from recent bookings"><i class="fas fa-chart-bar mr-2"></i>Rebuild Busy Times</button>
+                    <button id="import-stations-btn" class="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-lg"><i class="fas fa-file-import mr-2"></i>Import</button>
+                    <button id="add-station-btn" class="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-lg"><i class="fas fa-plus mr-2"></i>Add New Station</button>
+                </div>
             </div>
             <div class="bg-gray-900 rounded-lg shadow-xl overflow-x-auto">
                 <table class="w-full text-left">
                     <thead>
                         <tr class="bg-gray-800">
-                            <th class="p-4">ID</th><th class="p-4">Name</th><th class="p-4">City</th><th class="p-4">Slots</th><th class="p-4">Queue</th><th class="p-4">Status</th><th class="p-4">Actions</th>
+                            <th class="p-4">ID</th><th class="p-4">Name</th><th class="p-4">City</th>${isSuperAdmin ? '<th class="p-4">Operator</th>' : ''}<th class="p-4">Slots</th><th class="p-4">Queue</th><th class="p-4">Status</th><th class="p-4">Actions</th>
                         </tr>
                     </thead>
                     <tbody>${stationRows}</tbody>
@@ -580,29 +1217,348 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     function renderAdminReviews(container) {
-        let reviewsHtml = '<p class="text-gray-400">No reviews submitted yet.</p>';
-        if (reviews.length > 0) {
-            reviewsHtml = reviews.map(review => {
-                const station = stations.find(s => s.id === review.stationId);
-                return `
+        const tabs = [...Object.entries(REVIEW_STATUSES), ['reported', { label: 'Reported' }], ['all', { label: 'All' }]];
+        container.innerHTML = `
+            <h2 class="text-3xl font-bold text-white mb-2">Review Moderation</h2>
+            <p class="text-gray-400 mb-6">Reviews that were flagged automatically or reported ${REVIEW_REPORTS_TO_HOLD} times wait under Pending and aren't shown until approved. Hidden and removed reviews can be restored.</p>
+            <div class="flex flex-wrap gap-2 mb-6">${tabs.map(([status, { label }]) => `
+                <button class="review-queue-tab px-4 py-2 rounded-lg ${status === adminReviews.status ? 'bg-indigo-600 text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-200'}" data-status="${status}">${label}</button>`).join('')}
+            </div>
+            <div id="admin-review-list" class="space-y-4"><p class="text-gray-400">Loading reviews...</p></div>
+            <button id="load-more-admin-reviews-btn" class="hidden mt-4 bg-gray-700 hover:bg-gray-600 text-white px-4 py-2 rounded-lg">Load more</button>`;
+        loadAdminReviews();
+    }
+
+    // Reviews from before operators existed have no operatorId, so only super-admins see them.
+    function renderAdminReviewList() {
+        const list = document.getElementById('admin-review-list');
+        if (!list) return;
+        list.innerHTML = adminReviews.items.length === 0 ? '<p class="text-gray-400">No reviews here.</p>' : adminReviews.items.map(review => {
+            const station = stations.find(s => s.id === review.stationId);
+            const status = review.status || 'approved';
+            const reportReasons = Object.values(review.reports || {}).map(report => report.reason);
+            const actions = {
+                pending: ['approve', 'hide', 'remove'],
+                approved: [...(review.reportCount ? ['approve'] : []), 'hide', 'remove'],
+                hidden: ['restore', 'remove'],
+                removed: ['restore'],
+            }[status];
+            const actionButtons = {
+                approve: `<button class="moderate-review-btn bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded-md" data-id="${review.id}" data-action="approve"><i class="fas fa-check mr-1"></i>${status === 'approved' ? 'Keep' : 'Approve'}</button>`,
+                hide: `<button class="moderate-review-btn bg-gray-600 hover:bg-gray-500 text-white px-3 py-1 rounded-md" data-id="${review.id}" data-action="hide"><i class="fas fa-eye-slash mr-1"></i>Hide</button>`,
+                remove: `<button class="moderate-review-btn bg-red-600 hover:bg-red-700 text-white px-3 py-1 rounded-md" data-id="${review.id}" data-action="remove"><i class="fas fa-trash mr-1"></i>Remove</button>`,
+                restore: `<button class="moderate-review-btn bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-1 rounded-md" data-id="${review.id}" data-action="restore"><i class="fas fa-undo mr-1"></i>Restore</button>`,
+            };
+            return `
                 <div class="bg-gray-900 p-4 rounded-lg shadow-lg">
-                    <div class="flex justify-between items-start">
-                        <div>
-                            <p class="font-bold">${station?.name || 'Unknown Station'}</p>
-                            <p class="text-sm text-yellow-400">${'★'.repeat(review.rating)}${'☆'.repeat(5 - review.rating)}</p>
+                    <div class="flex justify-between items-start gap-4">
+                        <div class="flex-1">
+                            <p class="font-bold">${station?.name || 'Unknown Station'} <span class="${REVIEW_STATUSES[status].badge} text-white text-xs font-semibold px-2 py-0.5 rounded-full ml-2">${REVIEW_STATUSES[status].label}</span></p>
+                            <p class="text-sm text-yellow-400">${renderStars(review.rating)}</p>
                             <p class="mt-2 italic text-gray-300">"${review.text}"</p>
-                            <p class="text-xs text-gray-500 mt-1">- ${review.username}</p>
+                            <p class="text-xs text-gray-500 mt-1">- ${review.username}${review.createdAt ? `, ${review.createdAt.toDate().toLocaleDateString()}` : ''}${review.bookingId ? ' | Verified session' : ''}${review.helpfulCount ? ` | ${review.helpfulCount} found it helpful` : ''}</p>
+                            ${review.flags?.length ? `<p class="text-xs text-yellow-400 mt-1"><i class="fas fa-flag mr-1"></i>Flagged: ${review.flags.join(', ')}</p>` : ''}
+                            ${review.reportCount ? `<p class="text-xs text-red-400 mt-1"><i class="fas fa-exclamation-triangle mr-1"></i>${review.reportCount} open report(s): ${[...new Set(reportReasons)].join(', ')}</p>` : ''}
+                            ${review.statusReason ? `<p class="text-xs text-gray-400 mt-1">Reason: ${review.statusReason}</p>` : ''}
+                            ${review.reply ? `<p class="text-sm text-gray-300 mt-2 pl-3 border-l-2 border-indigo-400"><span class="font-semibold">${review.reply.byName}:</span> ${review.reply.text}</p>` : ''}
+                            ${review.history?.length ? `
+                            <details class="mt-2 text-xs text-gray-400">
+                                <summary class="cursor-pointer">History (${review.history.length})</summary>
+                                <ul class="mt-1 space-y-1">${review.history.map(entry => `
+                                    <li>${entry.at ? entry.at.toDate().toLocaleString() : ''}: ${REVIEW_HISTORY_LABELS[entry.action] || entry.action}${entry.reason ? ` (${entry.reason})` : ''} by ${entry.byName || 'the app'}</li>`).join('')}
+                                </ul>
+                            </details>` : ''}
+                        </div>
+                        <div class="flex flex-col gap-2 w-48">
+                            ${actions.some(action => action === 'hide' || action === 'remove') ? `
+                            <select class="moderation-reason bg-gray-700 p-1 rounded text-sm" data-id="${review.id}">${[...REVIEW_REPORT_REASONS, 'Other'].map(reason => `<option>${reason}</option>`).join('')}</select>` : ''}
+                            ${actions.map(action => actionButtons[action]).join('')}
                         </div>
-                        <button class="delete-review-btn bg-red-600 hover:bg-red-700 text-white px-3 py-1 rounded-md" data-id="${review.id}"><i class="fas fa-trash"></i></button>
                     </div>
-                </div>`
+                    <form class="review-reply-form mt-3 flex gap-2" data-id="${review.id}">
+                        <input type="text" class="review-reply-text bg-gray-700 p-2 rounded flex-1 text-sm" value="${review.reply?.text || ''}" placeholder="Public reply from the station owner">
+                        <button type="submit" class="bg-gray-700 hover:bg-gray-600 text-white px-3 py-1 rounded-md text-sm">${review.reply ? 'Update Reply' : 'Reply'}</button>
+                    </form>
+                </div>`;
+        }).join('');
+        document.getElementById('load-more-admin-reviews-btn').classList.toggle('hidden', !adminReviews.hasMore);
+    }
+    
+    function renderAdminUsers(container) {
+        container.innerHTML = `
+            <h2 class="text-3xl font-bold text-white mb-2">User Management</h2>
+            <p class="text-gray-400 mb-6">Approve admin sign-ups, assign admins to an operator, change roles and suspend accounts. You can't change your own account.</p>
+            <div id="admin-users-list" class="bg-gray-900 rounded-lg shadow-xl overflow-x-auto"><p class="p-4 text-gray-400">Loading users...</p></div>
+            <h2 class="text-3xl font-bold text-white mt-10 mb-4">Operators</h2>
+            <div class="bg-gray-900 rounded-lg shadow-xl p-4">
+                <ul class="divide-y divide-gray-700 mb-4">${operators.map(o => `
+                    <li class="py-2 flex justify-between"><span class="font-semibold">${o.name}</span><span class="text-gray-400 text-sm">${stations.filter(s => s.operatorId === o.id).length} stations${o.contactEmail ? ` | ${o.contactEmail}` : ''}</span></li>`).join('') || '<li class="py-2 text-gray-400">No operators yet.</li>'}
+                </ul>
+                <form id="operator-form" class="flex flex-wrap gap-2">
+                    <input type="text" id="operator-name" placeholder="Operator name" required class="bg-gray-700 p-2 rounded flex-1">
+                    <input type="email" id="operator-email" placeholder="Contact email" class="bg-gray-700 p-2 rounded flex-1">
+                    <button type="submit" class="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg"><i class="fas fa-plus mr-2"></i>Add Operator</button>
+                </form>
+            </div>`;
+        loadAdminUsers();
+    }
+
+    async function loadAdminUsers() {
+        const list = document.getElementById('admin-users-list');
+        if (!list) return;
+        try {
+            const users = await store.users.find({ orderBy: ['email', 'asc'] });
+            // Pending requests first so they aren't missed.
+            users.sort((a, b) => (getAccountStatus(b) === 'pending') - (getAccountStatus(a) === 'pending'));
+            const statusClasses = { active: 'bg-green-500 text-white', pending: 'bg-yellow-500 text-black', suspended: 'bg-red-600 text-white' };
+            const actionButton = (user, action, label, classes, attributes = '') =>
+                `<button class="user-access-btn ${classes} text-white px-3 py-1 rounded-md mr-2 mb-1 text-sm" data-id="${user.id}" data-action="${action}" ${attributes}>${label}</button>`;
+            const rows = users.map(user => {
+                const status = getAccountStatus(user);
+                let actions = '<span class="text-gray-500 text-sm">This is you</span>';
+                if (user.id !== loggedInUser.uid) {
+                    // Operator-admins need an operator before they can be approved.
+                    actions = status === 'pending'
+                        ? (user.operatorId
+                            ? actionButton(user, 'approve', 'Approve', 'bg-green-600 hover:bg-green-700')
+                            : actionButton(user, 'approve', 'Approve', 'bg-green-600 opacity-50 cursor-not-allowed', 'disabled title="Assign an operator first"')) + actionButton(user, 'reject', 'Reject', 'bg-red-600 hover:bg-red-700')
+                        : [
+                            user.role === 'user' ? actionButton(user, 'promote', 'Promote to Admin', 'bg-indigo-600 hover:bg-indigo-700') : actionButton(user, 'demote', 'Demote to User', 'bg-gray-600 hover:bg-gray-500'),
+                            user.role === 'admin' ? actionButton(user, 'make-superadmin', 'Make Super-admin', 'bg-indigo-600 hover:bg-indigo-700') : '',
+                            user.role === 'superadmin' ? actionButton(user, 'promote', 'Make Operator Admin', 'bg-gray-600 hover:bg-gray-500') : '',
+                            status === 'suspended'
+                                ? actionButton(user, 'reactivate', 'Reactivate', 'bg-green-600 hover:bg-green-700')
+                                : actionButton(user, 'suspend', 'Suspend', 'bg-red-600 hover:bg-red-700'),
+                        ].join('');
+                }
+                const operatorCell = user.role === 'admin' && user.id !== loggedInUser.uid
+                    ? `<select class="user-operator-select bg-gray-700 p-1 rounded text-sm" data-id="${user.id}">
+                        <option value="">Unassigned</option>${operators.map(o => `<option value="${o.id}" ${o.id === user.operatorId ? 'selected' : ''}>${o.name}</option>`).join('')}
+                    </select>`
+                    : `<span class="text-gray-400 text-sm">${user.role === 'superadmin' ? 'All operators' : user.role === 'admin' ? getOperatorName(user.operatorId) : '-'}</span>`;
+                return `
+                    <tr class="border-b border-gray-700 hover:bg-gray-800">
+                        <td class="p-4 font-semibold">${user.email}</td>
+                        <td class="p-4">${user.role === 'superadmin' ? 'Super-admin' : user.role === 'admin' ? 'Operator Admin' : 'User'}</td>
+                        <td class="p-4">${operatorCell}</td>
+                        <td class="p-4"><span class="px-2 py-1 text-xs font-semibold rounded-full capitalize ${statusClasses[status]}">${status}</span></td>
+                        <td class="p-4">${actions}</td>
+                    </tr>`;
+            }).join('');
+            list.innerHTML = `
+                <table class="w-full text-left">
+                    <thead><tr class="text-gray-400 border-b border-gray-700"><th class="p-4">Email</th><th class="p-4">Role</th><th class="p-4">Operator</th><th class="p-4">Status</th><th class="p-4">Actions</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>`;
+        } catch (error) {
+            log.error('Error loading users:', error);
+            list.innerHTML = '<p class="p-4 text-red-400">Could not load users.</p>';
+        }
+    }
+
+    // Role and status changes a super-admin can make to another account. A rejected admin request
+    // keeps the account as a regular driver.
+    const USER_ACCESS_ACTIONS = {
+        approve: { status: 'active' },
+        reject: { role: 'user', status: 'active', operatorId: null },
+        promote: { role: 'admin' },
+        'make-superadmin': { role: 'superadmin', operatorId: null },
+        demote: { role: 'user', operatorId: null },
+        suspend: { status: 'suspended' },
+        reactivate: { status: 'active' },
+        'assign-operator': {},
+    };
+
+    async function updateUserAccess(userId, action, extra = {}) {
+        if (userId === loggedInUser.uid) return;
+        try {
+            await store.users.update(userId, {
+                ...USER_ACCESS_ACTIONS[action],
+                ...extra,
+                accessUpdatedAt: store.fields.serverTimestamp(),
+                accessUpdatedBy: loggedInUser.uid,
+            });
+            log.info(`Admin '${loggedInUser.username}' applied '${action}' to user ${userId}.`);
+            showToast('User updated.', 'success');
+        } catch (error) {
+            log.error('Error updating user access:', error);
+            showToast('Failed to update user.', 'error');
+        }
+        loadAdminUsers();
+    }
+
+    function renderAdminWallets(container) {
+        walletLedger = { userId: null, items: [], hasMore: false };
+        container.innerHTML = `
+            <h2 class="text-3xl font-bold text-white mb-2">Wallets & Refunds</h2>
+            <p class="text-gray-400 mb-6">Refund part or all of a session to the driver's wallet. Each refund is recorded in their wallet history with your reason.</p>
+            <div id="refund-bookings-list" class="bg-gray-900 rounded-lg shadow-xl overflow-x-auto"><p class="p-4 text-gray-400">Loading sessions...</p></div>
+            ${loggedInUser.role === 'superadmin' ? `
+            <h2 class="text-3xl font-bold text-white mt-10 mb-4">Driver Wallets</h2>
+            <div class="bg-gray-900 rounded-lg shadow-xl p-4">
+                <form id="wallet-lookup-form" class="flex flex-wrap gap-2">
+                    <input type="email" id="wallet-lookup-email" placeholder="Driver's email" required class="bg-gray-700 p-2 rounded flex-1">
+                    <button type="submit" class="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-lg"><i class="fas fa-search mr-2"></i>Find</button>
+                </form>
+                <div id="wallet-lookup-result" class="mt-4"></div>
+            </div>` : ''}`;
+        loadRefundBookings();
+    }
+
+    // Operator-admins may only read their operator's bookings, so the query has to say so.
+    async function loadRefundBookings() {
+        const list = document.getElementById('refund-bookings-list');
+        if (!list) return;
+        try {
+            const where = loggedInUser.role === 'superadmin' ? [] : [['operatorId', '==', loggedInUser.operatorId]];
+            const recent = await store.bookings.find({ where, orderBy: ['createdAt', 'desc'], limit: ADMIN_REFUND_BOOKINGS });
+            const drivers = await Promise.all([...new Set(recent.map(b => b.userId).filter(Boolean))].map(id => store.users.get(id)));
+            const emails = Object.fromEntries(drivers.filter(Boolean).map(u => [u.id, u.email]));
+            const rows = recent.map(booking => {
+                const refunded = booking.refundedAmount || 0;
+                const refundable = roundCurrency((booking.cost || 0) - refunded);
+                const date = booking.createdAt ? booking.createdAt.toDate().toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' }) : 'N/A';
+                // A roaming partner's driver pays the partner, not a wallet here.
+                const refundCell = booking.ocpiToken
+                    ? '<span class="text-gray-500 text-sm">Billed by the roaming partner</span>'
+                    : refundable > 0 ? `<form class="refund-form flex flex-wrap gap-2" data-id="${booking.id}">
+                        <input type="number" class="refund-amount bg-gray-700 p-1 rounded w-24 text-sm" min="0.01" max="${refundable}" step="0.01" value="${refundable.toFixed(2)}" required>
+                        <input type="text" class="refund-reason bg-gray-700 p-1 rounded flex-1 text-sm" placeholder="Reason" required>
+                        <button type="submit" class="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded-md text-sm"><i class="fas fa-undo mr-1"></i>Refund</button>
+                    </form>`
+                    : '<span class="text-gray-500 text-sm">Fully refunded</span>';
+                return `
+                    <tr class="border-b border-gray-700">
+                        <td class="p-4 text-sm">${date}</td>
+                        <td class="p-4">${booking.stationName || stations.find(s => s.id === booking.stationId)?.name || 'Unknown Station'}</td>
+                        <td class="p-4 text-sm">${booking.ocpiToken ? `Roaming (${booking.ocpiToken.country_code}*${booking.ocpiToken.party_id})` : emails[booking.userId] || booking.userId}</td>
+                        <td class="p-4 font-mono">₹${(booking.cost || 0).toFixed(2)}${refunded ? `<br><span class="text-xs text-blue-400">₹${refunded.toFixed(2)} refunded</span>` : ''}</td>
+                        <td class="p-4">${refundCell}</td>
+                    </tr>`;
             }).join('');
+            list.innerHTML = recent.length === 0 ? '<p class="p-4 text-gray-400">No sessions yet.</p>' : `
+                <table class="w-full text-left">
+                    <thead><tr class="text-gray-400 border-b border-gray-700"><th class="p-4">Ended</th><th class="p-4">Station</th><th class="p-4">Driver</th><th class="p-4">Cost</th><th class="p-4">Refund</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>`;
+        } catch (error) {
+            log.error('Error loading sessions for refunds:', error);
+            list.innerHTML = '<p class="p-4 text-red-400">Could not load sessions.</p>';
+        }
+    }
+
+    async function lookUpWallet(email) {
+        const result = document.getElementById('wallet-lookup-result');
+        if (!result) return;
+        try {
+            const [user] = await store.users.find({ where: [['email', '==', email]], limit: 1 });
+            if (!user) {
+                result.innerHTML = '<p class="text-gray-400">No account with that email.</p>';
+                return;
+            }
+            result.innerHTML = `
+                <div class="flex flex-wrap justify-between items-center gap-4 mb-4">
+                    <p><span class="font-semibold">${user.email}</span> <span class="text-gray-400">has</span> <span class="text-2xl font-bold font-mono">₹${getWalletBalance(user).toFixed(2)}</span></p>
+                    <form id="wallet-adjust-form" class="flex flex-wrap gap-2" data-id="${user.id}">
+                        <input type="number" id="wallet-adjust-amount" step="0.01" placeholder="± Amount (₹)" required class="bg-gray-700 p-2 rounded w-32">
+                        <input type="text" id="wallet-adjust-reason" placeholder="Reason" required class="bg-gray-700 p-2 rounded">
+                        <button type="submit" class="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg">Adjust</button>
+                    </form>
+                </div>
+                <div id="wallet-ledger" class="divide-y divide-gray-700"><p class="text-gray-400">Loading transactions...</p></div>
+                <button id="load-more-wallet-btn" class="hidden mt-4 bg-gray-700 hover:bg-gray-600 text-white px-4 py-2 rounded-lg">Load more</button>`;
+            loadWalletLedger(user.id);
+        } catch (error) {
+            log.error('Error looking up wallet:', error);
+            result.innerHTML = '<p class="text-red-400">Could not look up that account.</p>';
         }
+    }
+
+    // Super-admins set the earn and burn rules; every admin can run promotions at their stations.
+    function renderAdminLoyalty(container) {
+        const isSuperAdmin = loggedInUser.role === 'superadmin';
+        const config = loyaltyConfig;
         container.innerHTML = `
-            <h2 class="text-3xl font-bold text-white mb-6">Review Moderation</h2>
-            <div class="space-y-4">${reviewsHtml}</div>`;
+            <h2 class="text-3xl font-bold text-white mb-2">Loyalty & Promotions</h2>
+            <p class="text-gray-400 mb-6">Drivers earn points for every session and redeem them as a discount when they book.</p>
+            ${isSuperAdmin ? `
+            <form id="loyalty-config-form" class="bg-gray-900 rounded-lg shadow-xl p-4 mb-10">
+                <h3 class="text-xl font-semibold text-white mb-4">Earn & Burn Rules</h3>
+                <div class="grid grid-cols-2 md:grid-cols-3 gap-4 mb-4">
+                    <label class="text-sm text-gray-400">Earn points for
+                        <select id="loyalty-earn-basis" class="bg-gray-700 p-2 rounded w-full text-white">
+                            <option value="kwh" ${config.earnBasis === 'kwh' ? 'selected' : ''}>Energy (kWh)</option>
+                            <option value="spend" ${config.earnBasis === 'spend' ? 'selected' : ''}>Spend (₹)</option>
+                        </select></label>
+                    <label class="text-sm text-gray-400">Points per kWh<input type="number" id="loyalty-points-per-kwh" value="${config.pointsPerKwh}" min="0" step="0.01" required class="bg-gray-700 p-2 rounded w-full text-white"></label>
+                    <label class="text-sm text-gray-400">Points per ₹<input type="number" id="loyalty-points-per-rupee" value="${config.pointsPerRupee}" min="0" step="0.01" required class="bg-gray-700 p-2 rounded w-full text-white"></label>
+                    <label class="text-sm text-gray-400">Point value (₹)<input type="number" id="loyalty-rupees-per-point" value="${config.rupeesPerPoint}" min="0.01" step="0.01" required class="bg-gray-700 p-2 rounded w-full text-white"></label>
+                    <label class="text-sm text-gray-400">Minimum to redeem<input type="number" id="loyalty-min-redeem" value="${config.minRedeemPoints}" min="0" step="1" required class="bg-gray-700 p-2 rounded w-full text-white"></label>
+                    <label class="text-sm text-gray-400">Expire after (months)<input type="number" id="loyalty-expiry-months" value="${config.expiryMonths}" min="1" step="1" required class="bg-gray-700 p-2 rounded w-full text-white"></label>
+                </div>
+                <h4 class="font-semibold text-white mb-2">Tiers</h4>
+                <div class="grid grid-cols-5 gap-2 text-xs text-gray-400 mb-1"><span>Name</span><span>Lifetime points</span><span>Earn ×</span><span>Max % of a session</span><span></span></div>
+                <div id="loyalty-tiers">${config.tiers.map(renderLoyaltyTierRow).join('')}</div>
+                <div class="flex gap-2 mt-4">
+                    <button type="button" id="add-loyalty-tier-btn" class="bg-gray-700 hover:bg-gray-600 text-white px-4 py-2 rounded-lg"><i class="fas fa-plus mr-2"></i>Add Tier</button>
+                    <button type="submit" class="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-lg">Save Rules</button>
+                </div>
+            </form>` : ''}
+            <h3 class="text-xl font-semibold text-white mb-4">Promotions</h3>
+            <form id="loyalty-promotion-form" class="bg-gray-900 rounded-lg shadow-xl p-4 mb-4 grid grid-cols-2 md:grid-cols-3 gap-4">
+                <label class="text-sm text-gray-400">Name<input type="text" id="promotion-name" placeholder="Double points at night" required class="bg-gray-700 p-2 rounded w-full text-white"></label>
+                <label class="text-sm text-gray-400">Points ×<input type="number" id="promotion-multiplier" value="2" min="1.1" max="10" step="0.1" required class="bg-gray-700 p-2 rounded w-full text-white"></label>
+                <label class="text-sm text-gray-400">Tariff band
+                    <select id="promotion-band" class="bg-gray-700 p-2 rounded w-full text-white"><option value="">Any time</option>${PROMOTION_TARIFF_BANDS.map(band => `<option value="${band}">${band}</option>`).join('')}</select></label>
+                ${isSuperAdmin ? `<label class="text-sm text-gray-400">Stations
+                    <select id="promotion-operator" class="bg-gray-700 p-2 rounded w-full text-white"><option value="">All operators</option>${operators.map(o => `<option value="${o.id}">${o.name}</option>`).join('')}</select></label>` : ''}
+                <label class="text-sm text-gray-400">Starts<input type="datetime-local" id="promotion-starts" value="${toDateTimeInputValue(new Date())}" required class="bg-gray-700 p-2 rounded w-full text-white"></label>
+                <label class="text-sm text-gray-400">Ends<input type="datetime-local" id="promotion-ends" required class="bg-gray-700 p-2 rounded w-full text-white"></label>
+                <button type="submit" class="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg self-end"><i class="fas fa-bullhorn mr-2"></i>Start Promotion</button>
+            </form>
+            <div id="loyalty-promotions-list" class="bg-gray-900 rounded-lg shadow-xl overflow-x-auto"></div>`;
+        renderLoyaltyPromotions();
     }
-    
+
+    function renderLoyaltyTierRow(tier = { name: '', minPoints: 0, multiplier: 1, maxRedeemPercent: 25 }) {
+        return `
+            <div class="loyalty-tier-row grid grid-cols-5 gap-2 mb-2">
+                <input type="text" class="tier-name bg-gray-700 p-2 rounded text-white" value="${tier.name}" required>
+                <input type="number" class="tier-min-points bg-gray-700 p-2 rounded text-white" value="${tier.minPoints}" min="0" step="1" required>
+                <input type="number" class="tier-multiplier bg-gray-700 p-2 rounded text-white" value="${tier.multiplier}" min="1" step="0.05" required>
+                <input type="number" class="tier-max-redeem bg-gray-700 p-2 rounded text-white" value="${tier.maxRedeemPercent}" min="0" max="100" step="1" required>
+                <button type="button" class="remove-loyalty-tier-btn text-red-400 hover:text-red-300"><i class="fas fa-trash"></i></button>
+            </div>`;
+    }
+
+    // Operator-admins see the promotions that apply at their stations but can only change their own.
+    function renderLoyaltyPromotions() {
+        const list = document.getElementById('loyalty-promotions-list');
+        if (!list) return;
+        const isSuperAdmin = loggedInUser.role === 'superadmin';
+        const shown = isSuperAdmin ? loyaltyPromotions : loyaltyPromotions.filter(p => !p.operatorId || p.operatorId === loggedInUser.operatorId);
+        const formatDate = value => value ? value.toDate().toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' }) : 'N/A';
+        const rows = shown.map(promotion => {
+            const running = promotion.active && (!promotion.endsAt || promotion.endsAt.toMillis() > Date.now());
+            const canChange = isSuperAdmin || promotion.operatorId === loggedInUser.operatorId;
+            return `
+                <tr class="border-b border-gray-700">
+                    <td class="p-4">${promotion.name}</td>
+                    <td class="p-4 font-mono">${promotion.multiplier}×</td>
+                    <td class="p-4 text-sm">${promotion.tariffBand || 'Any time'}</td>
+                    <td class="p-4 text-sm">${promotion.operatorId ? getOperatorName(promotion.operatorId) : 'All operators'}</td>
+                    <td class="p-4 text-sm">${formatDate(promotion.startsAt)} - ${formatDate(promotion.endsAt)}</td>
+                    <td class="p-4"><span class="px-2 py-1 text-xs rounded-full ${running ? 'bg-green-900/60 text-green-300' : 'bg-gray-700 text-gray-400'}">${running ? 'Running' : 'Ended'}</span></td>
+                    <td class="p-4">${canChange ? `<button class="toggle-promotion-btn text-sm ${promotion.active ? 'text-red-400' : 'text-green-400'} hover:underline" data-id="${promotion.id}" data-active="${promotion.active ? 'false' : 'true'}">${promotion.active ? 'End' : 'Resume'}</button>` : ''}</td>
+                </tr>`;
+        }).join('');
+        list.innerHTML = shown.length === 0 ? '<p class="p-4 text-gray-400">No promotions yet.</p>' : `
+            <table class="w-full text-left">
+                <thead><tr class="text-gray-400 border-b border-gray-700"><th class="p-4">Name</th><th class="p-4">Points</th><th class="p-4">Band</th><th class="p-4">Stations</th><th class="p-4">When</th><th class="p-4">Status</th><th class="p-4"></th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>`;
+    }
+
     // --- MAP LOGIC ---
     function initMap(center = [20.5937, 78.9629], zoom = 5) {
         if (map) { map.remove(); map = null; }
@@ -616,30 +1572,112 @@ document.addEventListener('DOMContentLoaded', () => {
         L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
             attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
         }).addTo(map);
+        markers = {};
+        locationLayers = [];
+        clusterGroup = L.markerClusterGroup({ iconCreateFunction: getClusterIcon, showCoverageOnHover: false, maxClusterRadius: 50 }).addTo(map);
+        cityLayer = L.layerGroup().addTo(map);
+        isCityOverview = false;
+        // The trip planner's map only shows what is already loaded.
+        if (mapElement.id === 'map') {
+            map.on('moveend', loadVisibleStations);
+            loadVisibleStations();
+        } else {
+            updateMarkers();
+        }
+    }
+
+    // Stations carry the 1° tile they're in (stations/{id}.tile, e.g. '23_72'), and drivers load
+    // them tile by tile. firestore.rules checks the same key.
+    function getStationTile(lat, lng) {
+        return `${Math.floor(lat)}_${Math.floor(lng)}`;
+    }
+
+    // The tiles covering a box, or null when there are more than `max`.
+    function getTilesInBounds(south, west, north, east, max = MAX_MAP_TILES) {
+        const clampLat = lat => Math.min(Math.max(lat, -90), 89.999);
+        const clampLng = lng => Math.min(Math.max(lng, -180), 179.999);
+        const [top, bottom] = [Math.floor(clampLat(north)), Math.floor(clampLat(south))];
+        const [left, right] = [Math.floor(clampLng(west)), Math.floor(clampLng(east))];
+        if ((top - bottom + 1) * (right - left + 1) > max) return null;
+        const tiles = [];
+        for (let lat = bottom; lat <= top; lat++) {
+            for (let lng = left; lng <= right; lng++) tiles.push(`${lat}_${lng}`);
+        }
+        return tiles;
+    }
+
+    function getTilesAround(point, km, max = MAX_MAP_TILES) {
+        const dLat = km / 110.57;
+        const dLng = km / (111.32 * Math.cos(point.lat * Math.PI / 180));
+        return getTilesInBounds(point.lat - dLat, point.lng - dLng, point.lat + dLat, point.lng + dLng, max);
+    }
+
+    // Listens to the tiles on screen, plus a margin so short pans don't wait for data. Zoomed out
+    // further than MAX_MAP_TILES allows, the map shows the cities in the city index instead.
+    function loadVisibleStations() {
+        if (!map) return;
+        const bounds = map.getBounds().pad(0.25);
+        const tiles = getTilesInBounds(bounds.getSouth(), bounds.getWest(), bounds.getNorth(), bounds.getEast());
+        isCityOverview = tiles === null;
+        if (tiles) setStationTiles(tiles);
         updateMarkers();
     }
 
+    // Markers are kept between updates and only touched when what they show has changed.
     function updateMarkers() {
-        if (!map) return;
-        Object.values(markers).forEach(marker => map.removeLayer(marker));
-        markers = {};
-        getFilteredStations().forEach(station => {
-            const icon = getMarkerIcon(station);
-            const marker = L.marker([station.lat, station.lng], { icon }).addTo(map);
-            marker.bindPopup(`
-                <div class="p-1">
-                    <strong class="text-lg">${station.name}</strong><br>
-                    <p>${getStationStatus(station).text} (${station.slots.available}/${station.slots.total} free)</p>
-                    <button class="view-details-btn mt-2 bg-indigo-600 text-white px-3 py-1 rounded-md text-sm w-full hover:bg-indigo-700" data-id="${station.id}">View Details</button>
-                </div>
-            `);
+        if (!map || !clusterGroup) return;
+        locationLayers.forEach(layer => map.removeLayer(layer));
+        locationLayers = [];
+        if (userLocation) {
+            locationLayers.push(L.circleMarker([userLocation.lat, userLocation.lng], { radius: 8, color: '#ffffff', weight: 2, fillColor: '#2563eb', fillOpacity: 1 }).bindTooltip(userLocation.label).addTo(map));
+            if (filterState.radiusKm) locationLayers.push(L.circle([userLocation.lat, userLocation.lng], { radius: filterState.radiusKm * 1000, color: '#2563eb', weight: 1, fillOpacity: 0.05 }).addTo(map));
+        }
+        updateCityMarkers();
+
+        const visible = isCityOverview ? [] : getFilteredStations();
+        const visibleIds = new Set(visible.map(station => station.id));
+        const removed = Object.keys(markers).filter(id => !visibleIds.has(id));
+        clusterGroup.removeLayers(removed.map(id => markers[id]));
+        removed.forEach(id => { delete markers[id]; });
+        const added = [];
+        const changed = [];
+        visible.forEach(station => {
+            const status = getStationStatus(station, getUserConnectorTypes()).text;
+            const popup = getMarkerPopup(station);
+            const signature = `${station.lat},${station.lng}|${status}|${popup}`;
+            let marker = markers[station.id];
+            if (!marker) {
+                marker = L.marker([station.lat, station.lng], { icon: getMarkerIcon(station), stationStatus: status }).bindPopup(popup);
+                added.push(marker);
+            } else if (marker.signature !== signature) {
+                marker.setLatLng([station.lat, station.lng]).setIcon(getMarkerIcon(station)).setPopupContent(popup);
+                marker.options.stationStatus = status;
+                changed.push(marker);
+            }
+            marker.signature = signature;
             markers[station.id] = marker;
         });
-        log.info('Map markers updated based on filters.');
+        if (added.length) clusterGroup.addLayers(added);
+        if (changed.length) clusterGroup.refreshClusters(changed);
+        log.info(`Map markers updated: ${added.length} added, ${changed.length} changed, ${removed.length} removed.`);
+    }
+
+    function getMarkerPopup(station) {
+        const types = getUserConnectorTypes();
+        const counts = getConnectorCounts(station, types);
+        return `
+            <div class="p-1">
+                <strong class="text-lg">${station.name}</strong><br>
+                <p>${getStationStatus(station, types).text} (${counts.available}/${counts.total} compatible free)</p>
+                <p class="text-sm">${renderRatingSummary(station)}</p>
+                ${userLocation ? `<p class="text-sm"><i class="fas fa-location-arrow mr-1"></i>${formatDistance(getStationDistanceKm(station))} away</p>` : ''}
+                ${stationsSavedAt ? '<p class="text-xs text-yellow-600"><i class="fas fa-history mr-1"></i>Last known status</p>' : ''}
+                <button class="view-details-btn mt-2 bg-indigo-600 text-white px-3 py-1 rounded-md text-sm w-full hover:bg-indigo-700" data-id="${station.id}">View Details</button>
+            </div>`;
     }
 
     function getMarkerIcon(station) {
-        const status = getStationStatus(station);
+        const status = getStationStatus(station, getUserConnectorTypes());
         return L.divIcon({
             className: 'custom-div-icon',
             html: `<div style="background-color:${status.color};" class="w-8 h-8 rounded-full flex items-center justify-center shadow-lg border-2 border-white dark:border-gray-800"><i class="fas fa-bolt text-white"></i></div>`,
@@ -649,31 +1687,74 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    // A cluster is green if any of its stations has a compatible connector free, red if they're
+    // all busy and grey if none is in service.
+    function getClusterIcon(cluster) {
+        const statuses = cluster.getAllChildMarkers().map(marker => marker.options.stationStatus);
+        const available = statuses.filter(status => status === 'Available').length;
+        const color = available ? 'var(--green)' : statuses.includes('Busy') ? 'var(--red)' : 'var(--gray)';
+        return L.divIcon({
+            className: 'custom-div-icon',
+            html: `<div style="background-color:${color};" class="w-10 h-10 rounded-full flex items-center justify-center shadow-lg border-2 border-white dark:border-gray-800 text-white font-bold" title="${available} of ${statuses.length} stations available">${statuses.length}</div>`,
+            iconSize: [40, 40],
+        });
+    }
+
+    // The zoomed-out map shows a marker per city from the city index; clicking one zooms in.
+    function updateCityMarkers() {
+        cityLayer.clearLayers();
+        if (!isCityOverview) return;
+        Object.keys(cityIndex).forEach(city => {
+            const center = getCityCenter(city);
+            const count = cityIndex[city].count;
+            L.marker([center.lat, center.lng], {
+                icon: L.divIcon({
+                    className: 'custom-div-icon',
+                    html: `<div class="w-10 h-10 rounded-full bg-indigo-600 flex items-center justify-center shadow-lg border-2 border-white dark:border-gray-800 text-white font-bold">${count}</div>`,
+                    iconSize: [40, 40],
+                }),
+            }).bindTooltip(`${city}: ${count} station${count === 1 ? '' : 's'}`).on('click', () => map.setView([center.lat, center.lng], CITY_ZOOM)).addTo(cityLayer);
+        });
+    }
+
     // --- STATION LIST & FILTERING ---
     function renderStationList() {
         const container = document.getElementById('station-list-container');
         if (!container) return;
         const filteredStations = getFilteredStations();
         if(filteredStations.length === 0) {
-            container.innerHTML = `<p class="text-gray-500 dark:text-gray-400 md:col-span-2 xl:col-span-3 text-center">No stations match the current filters.</p>`;
+            const hasArea = [...stationSources.keys()].some(key => key.startsWith('tile:'));
+            container.innerHTML = `<p class="text-gray-500 dark:text-gray-400 md:col-span-2 xl:col-span-3 text-center">${hasArea ? 'No stations match the current filters.' : 'Choose your location or a city above, or browse the map, to see stations nearby.'}</p>`;
             return;
         }
         container.innerHTML = filteredStations.map(station => {
             const isFavorite = userProfile.favorites.includes(station.id);
-            const status = getStationStatus(station);
+            const types = getUserConnectorTypes();
+            const status = getStationStatus(station, types);
+            const counts = getConnectorCounts(station, types);
             const isInQueue = station.queue && station.queue.includes(loggedInUser.uid);
+            const queueOffer = (station.queueOffers || []).find(o => o.userId === loggedInUser.uid);
             const isPeak = station.currentPrice > station.pricePerKwh;
             const imageUrl = station.images?.[0] || 'https://placehold.co/600x400/cccccc/ffffff?text=No+Image';
 
             let actionButtonHtml = '';
-            if (status.text === 'Busy') {
+            if (queueOffer) {
+                actionButtonHtml = `
+                    <button class="book-slot-btn w-full bg-green-600 text-white px-4 py-2 rounded-lg text-sm hover:bg-green-700" data-id="${station.id}">Your Turn! Start by ${queueOffer.expiresAt.toDate().toLocaleTimeString('en-IN', { timeStyle: 'short' })}</button>
+                    <button class="leave-queue-btn bg-gray-200 dark:bg-gray-600 px-4 py-2 rounded-lg text-sm" data-id="${station.id}" title="Pass your turn">Pass</button>`;
+            } else if (status.text === 'Busy') {
                 if(isInQueue) {
-                    actionButtonHtml = `<button class="w-full bg-yellow-500 text-black px-4 py-2 rounded-lg text-sm" disabled>In Queue (#${station.queue.indexOf(loggedInUser.uid) + 1})</button>`;
+                    const position = getWaitingQueue(station).indexOf(loggedInUser.uid) + 1;
+                    actionButtonHtml = `<button class="w-full bg-yellow-500 text-black px-4 py-2 rounded-lg text-sm" disabled>In Queue (#${position}, ~${getQueueWaitMinutes(station, position)} mins)</button>`;
+                    actionButtonHtml += `<button class="leave-queue-btn bg-gray-200 dark:bg-gray-600 px-4 py-2 rounded-lg text-sm" data-id="${station.id}">Leave</button>`;
                 } else {
                     actionButtonHtml = `<button class="join-queue-btn w-full bg-yellow-500 text-black px-4 py-2 rounded-lg text-sm hover:bg-yellow-600" data-id="${station.id}">Join Queue</button>`;
                 }
+                actionButtonHtml += `<button class="book-slot-btn w-full bg-indigo-600 text-white px-4 py-2 rounded-lg text-sm hover:bg-indigo-700" data-id="${station.id}" data-mode="reserve">Reserve</button>`;
             } else if (status.text === 'Available') {
                  actionButtonHtml = `<button class="book-slot-btn w-full bg-indigo-600 text-white px-4 py-2 rounded-lg text-sm hover:bg-indigo-700" data-id="${station.id}">Book Now</button>`;
+            } else if (status.text === 'No Compatible Connector') {
+                actionButtonHtml = `<button class="w-full bg-gray-400 text-gray-800 px-4 py-2 rounded-lg text-sm" disabled>Not Compatible</button>`;
             } else { // Maintenance
                 actionButtonHtml = `<button class="w-full bg-gray-400 text-gray-800 px-4 py-2 rounded-lg text-sm" disabled>Unavailable</button>`;
             }
@@ -689,14 +1770,15 @@ document.addEventListener('DOMContentLoaded', () => {
                         <h3 class="text-xl font-bold">${station.name}</h3>
                         <button class="favorite-btn text-2xl ${isFavorite ? 'text-red-500' : 'text-gray-300 dark:text-gray-500'}" data-id="${station.id}"><i class="${isFavorite ? 'fas' : 'far'} fa-heart"></i></button>
                     </div>
+                    <p class="text-sm mb-2">${renderRatingSummary(station)}${userLocation ? `<span class="text-gray-500 dark:text-gray-400 ml-3"><i class="fas fa-location-arrow mr-1"></i>${formatDistance(getStationDistanceKm(station))} away</span>` : ''}</p>
                     <div class="flex items-center text-sm mb-2">
                         <span class="w-3 h-3 rounded-full mr-2" style="background-color: ${status.color};"></span>
-                        <span>${status.text} - ${station.slots.available}/${station.slots.total} slots</span>
-                        <span class="ml-auto"><i class="fas fa-users mr-1"></i> ${station.queue?.length || 0} in queue</span>
-                    </div>
-                    <div class="text-sm text-gray-600 dark:text-gray-400 mb-3">
-                        <i class="fas fa-charging-station mr-2"></i> ${(station.chargerTypes || []).join(', ')}
+                        <span>${status.text} - ${counts.available}/${counts.total} compatible</span>
+                        ${stationsSavedAt ? `<span class="ml-2 text-xs text-yellow-600 dark:text-yellow-400" title="Last known status, may be out of date"><i class="fas fa-history mr-1"></i>Last known</span>` : ''}
+                        <span class="ml-auto"><i class="fas fa-users mr-1"></i> ${getWaitingQueue(station).length} in queue</span>
                     </div>
+                    ${status.text === 'Busy' && !isInQueue && !queueOffer ? `<p class="text-xs text-gray-500 dark:text-gray-400 mb-2">Estimated wait if you join now: ~${getQueueWaitMinutes(station, getWaitingQueue(station).length + 1)} mins</p>` : ''}
+                    <div class="flex flex-wrap gap-1 mb-3">${renderConnectorChips(station)}</div>
                     <div class="mt-auto pt-4 border-t dark:border-gray-700 flex gap-2">
                         ${actionButtonHtml}
                         <button class="view-details-btn flex-1 bg-gray-200 dark:bg-gray-600 px-4 py-2 rounded-lg text-sm" data-id="${station.id}">Details</button>
@@ -706,27 +1788,41 @@ document.addEventListener('DOMContentLoaded', () => {
         }).join('');
     }
 
+    // Distance sorting and the radius filter only apply once the user has set a location. Stations
+    // without ratings sort last and don't pass a rating filter.
     function getFilteredStations() {
-        return stations.filter(station => {
+        const radiusKm = userLocation && filterState.radiusKm ? Number(filterState.radiusKm) : null;
+        const filtered = stations.filter(station => {
             const nameMatch = station.name.toLowerCase().includes(filterState.searchTerm?.toLowerCase() || '');
-            const chargerMatch = !filterState.chargerType || (station.chargerTypes || []).includes(filterState.chargerType);
+            const chargerMatch = !filterState.chargerType || getConnectors(station).some(c => c.type === filterState.chargerType && c.status !== 'faulted');
             const amenityMatch = !filterState.amenity || (station.amenities || []).includes(filterState.amenity);
-            const availabilityMatch = !filterState.availableOnly || station.slots.available > 0;
-            return nameMatch && chargerMatch && amenityMatch && availabilityMatch;
+            const availabilityMatch = !filterState.availableOnly || getConnectorCounts(station, getUserConnectorTypes()).available > 0;
+            const distanceMatch = radiusKm === null || getStationDistanceKm(station) <= radiusKm;
+            const ratingMatch = !filterState.minRating || (station.ratingCount > 0 && station.ratingAvg >= Number(filterState.minRating));
+            return nameMatch && chargerMatch && amenityMatch && availabilityMatch && distanceMatch && ratingMatch;
         });
+        if (userLocation && filterState.sortBy === 'distance') filtered.sort((a, b) => getStationDistanceKm(a) - getStationDistanceKm(b));
+        if (filterState.sortBy === 'rating') filtered.sort((a, b) => (b.ratingAvg || 0) - (a.ratingAvg || 0) || (b.ratingCount || 0) - (a.ratingCount || 0));
+        return filtered;
     }
 
     function applyFilters() {
         const searchInput = document.getElementById('search-input');
         const chargerTypeFilter = document.getElementById('charger-type-filter');
         const amenitiesFilter = document.getElementById('amenities-filter');
+        const ratingFilter = document.getElementById('rating-filter');
         const availableOnlyCheckbox = document.getElementById('available-only-checkbox');
+        const sortFilter = document.getElementById('sort-filter');
+        const radiusFilter = document.getElementById('radius-filter');
 
         filterState = {
             searchTerm: searchInput ? searchInput.value : '',
             chargerType: chargerTypeFilter ? chargerTypeFilter.value : '',
             amenity: amenitiesFilter ? amenitiesFilter.value : '',
+            minRating: ratingFilter ? ratingFilter.value : '',
             availableOnly: availableOnlyCheckbox ? availableOnlyCheckbox.checked : false,
+            sortBy: sortFilter ? sortFilter.value : '',
+            radiusKm: radiusFilter ? radiusFilter.value : '',
         };
         localStorage.setItem('ev_filterState', JSON.stringify(filterState));
         log.info('Filters applied.', filterState);
@@ -736,11 +1832,94 @@ document.addEventListener('DOMContentLoaded', () => {
         if (activePage === 'map-view') updateMarkers();
     }
 
+    // --- NEAR ME ---
+    function getStationDistanceKm(station) {
+        return userLocation ? getDistanceKm(userLocation, station) : null;
+    }
+
+    function formatDistance(km) {
+        if (km < 1) return `${Math.round(km * 1000)} m`;
+        return km < 10 ? `${km.toFixed(1)} km` : `${Math.round(km)} km`;
+    }
+
+    // Setting a location sorts by distance unless the user already chose an order; clearing it
+    // drops the distance filters. The current page is re-rendered to show distances.
+    function setUserLocation(location) {
+        userLocation = location;
+        if (location) {
+            localStorage.setItem('ev_userLocation', JSON.stringify(location));
+            if (!filterState.sortBy) filterState.sortBy = 'distance';
+        } else {
+            localStorage.removeItem('ev_userLocation');
+            filterState = { ...filterState, sortBy: filterState.sortBy === 'distance' ? '' : filterState.sortBy, radiusKm: '' };
+        }
+        localStorage.setItem('ev_filterState', JSON.stringify(filterState));
+        log.info('User location set.', location);
+        const activePage = document.querySelector('.nav-link.active')?.dataset.page;
+        if (['station-list', 'map-view'].includes(activePage)) showUserPage(activePage);
+    }
+
+    // Resolves with whether a position was found. On failure the previous location is kept.
+    function locateUser() {
+        return new Promise(resolve => {
+            const fail = message => {
+                showToast(`${message} Choose a city instead.`, 'error');
+                setUserLocation(userLocation);
+                resolve(false);
+            };
+            if (!navigator.geolocation) return fail("Your browser can't share your location.");
+            showToast('Finding your location...');
+            navigator.geolocation.getCurrentPosition(position => {
+                setUserLocation({ lat: position.coords.latitude, lng: position.coords.longitude, source: 'current', label: 'My current location' });
+                showToast('Location updated.', 'success');
+                resolve(true);
+            }, error => {
+                log.warn('Geolocation failed:', error.message);
+                fail(error.code === error.PERMISSION_DENIED ? 'Location access was denied.' : 'Could not find your location.');
+            }, { timeout: GEOLOCATION_TIMEOUT_MS, maximumAge: 5 * 60 * 1000 });
+        });
+    }
+
+    // The closest station within STATION_AREA_KM with a free connector for the user's vehicle,
+    // whatever the list filters.
+    async function showNearestAvailableStation() {
+        if (!userLocation && !(await locateUser())) return;
+        const types = getUserConnectorTypes();
+        let nearby;
+        try {
+            nearby = await findStationsInTiles(getTilesAround(userLocation, STATION_AREA_KM));
+        } catch (error) {
+            log.error('Error loading nearby stations:', error);
+            nearby = stations;
+        }
+        const nearest = nearby
+            .filter(station => getStationStatus(station, types).text === 'Available' && getStationDistanceKm(station) <= STATION_AREA_KM)
+            .sort((a, b) => getStationDistanceKm(a) - getStationDistanceKm(b))[0];
+        if (!nearest) {
+            showToast(`No station within ${STATION_AREA_KM} km has a free connector for your vehicle right now.`, 'error');
+            return;
+        }
+        followStation(nearest.id, nearest);
+        mergeStations();
+        if (map && document.getElementById('map')) map.setView([nearest.lat, nearest.lng], 14);
+        openStationDetailModal(nearest.id);
+    }
+
     // --- MODALS (Booking, Station Detail, Admin) ---
-    function openBookingModal(stationId) {
-        log.info(`Opening booking modal for station ID: ${stationId}`);
+    function openBookingModal(stationId, mode = 'now') {
+        log.info(`Opening booking modal for station ID: ${stationId}`, { mode });
         const station = stations.find(s => s.id === stationId);
         const modal = document.getElementById('booking-modal');
+        const hasQueueOffer = (station.queueOffers || []).some(o => o.userId === loggedInUser.uid);
+        const hasHeldReservation = reservations.some(r => r.stationId === stationId && r.status === 'held');
+        const canChargeNow = getStationStatus(station, getVehicle(userProfile.vehicle).compatible).text === 'Available' || hasQueueOffer || hasHeldReservation;
+        const isReserving = mode === 'reserve' || !canChargeNow;
+        const defaultStart = new Date(Math.ceil((Date.now() + 60 * 60000) / (15 * 60000)) * 15 * 60000);
+        // Chargers on OCPP are settled by the central system, which doesn't redeem points.
+        const points = getLoyaltyBalance(loyaltyConfig, { loyalty });
+        const canRedeem = !isOcppStation(station) && points >= loyaltyConfig.minRedeemPoints;
+        // The charger decides when a session on OCPP ends, so only the app's own sessions stop on a budget.
+        const canAutoStop = !isOcppStation(station);
 
         modal.innerHTML = `
             <div class="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-xl w-full max-w-md relative">
@@ -748,6 +1927,24 @@ document.addEventListener('DOMContentLoaded', () => {
                 <h3 class="text-2xl font-bold mb-4">Book & Estimate</h3>
                 <p class="mb-4">For ${station.name}</p>
                 <form id="booking-form" data-id="${stationId}">
+                    <div class="mb-4">
+                        <span class="block text-sm font-medium mb-1">When</span>
+                        <div class="flex gap-6">
+                            <label class="flex items-center text-sm"><input type="radio" name="booking-mode" value="now" class="mr-2" ${isReserving ? '' : 'checked'} ${canChargeNow ? '' : 'disabled'}>Charge now</label>
+                            <label class="flex items-center text-sm"><input type="radio" name="booking-mode" value="reserve" class="mr-2" ${isReserving ? 'checked' : ''}>Reserve for later</label>
+                        </div>
+                    </div>
+                    <div id="reservation-fields" class="grid grid-cols-2 gap-4 mb-4 ${isReserving ? '' : 'hidden'}">
+                        <div>
+                            <label for="reservation-start" class="block text-sm font-medium mb-1">Arrival</label>
+                            <input type="datetime-local" id="reservation-start" value="${toDateTimeInputValue(defaultStart)}" class="w-full rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700">
+                        </div>
+                        <div>
+                            <label for="reservation-duration" class="block text-sm font-medium mb-1">Duration</label>
+                            <select id="reservation-duration" class="w-full rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700">${RESERVATION_DURATIONS.map(m => `<option value="${m}" ${m === 60 ? 'selected' : ''}>${m} mins</option>`).join('')}</select>
+                        </div>
+                        <p class="col-span-2 text-xs text-gray-500 dark:text-gray-400">Your slot is held for ${RESERVATION_GRACE_MINUTES} mins after the window starts.</p>
+                    </div>
                     <div class="grid grid-cols-2 gap-4 mb-4">
                         <div>
                             <label for="current-soc" class="block text-sm font-medium mb-1">Current %</label>
@@ -758,9 +1955,23 @@ document.addEventListener('DOMContentLoaded', () => {
                             <input type="number" id="target-soc" value="80" min="1" max="100" class="w-full rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700">
                         </div>
                     </div>
+                    <div id="auto-stop-fields" class="grid grid-cols-2 gap-4 mb-4 ${canAutoStop && !isReserving ? '' : 'hidden'}">
+                        <div>
+                            <label for="budget-kwh" class="block text-sm font-medium mb-1">Stop after (kWh)</label>
+                            <input type="number" id="budget-kwh" min="0.1" step="0.1" placeholder="No limit" class="w-full rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700">
+                        </div>
+                        <div>
+                            <label for="budget-amount" class="block text-sm font-medium mb-1">Stop at (₹)</label>
+                            <input type="number" id="budget-amount" min="1" step="1" placeholder="No limit" class="w-full rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700">
+                        </div>
+                        <p class="col-span-2 text-xs text-gray-500 dark:text-gray-400">Charging stops by itself at your target %, or sooner when a limit is used up.</p>
+                    </div>
                     <div id="estimation-box" class="mb-4 p-4 bg-gray-100 dark:bg-gray-700 rounded-lg text-center">
                         </div>
-                    <button type="submit" class="w-full bg-green-600 text-white py-2 rounded-lg hover:bg-green-700">Confirm and Start Charging</button>
+                    <label id="redeem-points-field" class="flex items-center text-sm mb-4 ${canRedeem && !isReserving ? '' : 'hidden'}">
+                        <input type="checkbox" id="redeem-points" class="mr-2">Use my points (${points} available)
+                    </label>
+                    <button type="submit" id="booking-submit-btn" class="w-full bg-green-600 text-white py-2 rounded-lg hover:bg-green-700">${isReserving ? 'Confirm Reservation' : 'Confirm and Start Charging'}</button>
                 </form>
             </div>`;
         modal.classList.remove('hidden');
@@ -775,31 +1986,133 @@ document.addEventListener('DOMContentLoaded', () => {
                 document.getElementById('estimation-box').innerHTML = `<p class="text-red-500">Target % must be higher than Current %</p>`;
                 return;
             }
-            const car = evModels[userProfile.vehicle];
-            const kwhNeeded = ((targetSoc - currentSoc) / 100) * car.battery;
-            const estimatedCost = kwhNeeded * (station.currentPrice || station.pricePerKwh);
-            const estimatedTime = (kwhNeeded / 25) * 60; // in minutes, assuming 25kW speed
+            const car = getVehicle(userProfile.vehicle);
+            const connector = getBestConnector(station, car);
+            if (!connector) {
+                document.getElementById('estimation-box').innerHTML = `<p class="text-red-500">This station has no connector compatible with your ${userProfile.vehicle}.</p>`;
+                return;
+            }
+            const profile = buildChargeProfile({ battery: car.battery, startSoc: currentSoc, targetSoc, peakKw: connector.powerKw });
+            const kwhNeeded = profile.totalKwh;
+            const estimatedTime = profile.totalSeconds / 60;
+            const isReserve = modal.querySelector('input[name="booking-mode"]:checked').value === 'reserve';
+            const startMs = isReserve ? new Date(document.getElementById('reservation-start').value).getTime() || Date.now() : Date.now();
+            const endMs = startMs + estimatedTime * 60000;
+            const estimate = priceSession(station, startMs, endMs, t => sampleChargeProfile(profile, (t - startMs) / 1000).kwh);
+            const bandsHtml = estimate.segments.map(seg => `${seg.band} ${seg.kwh.toFixed(1)} kWh @ ₹${seg.price.toFixed(2)}`).join(' + ');
+            const feesHtml = estimate.timeFee + estimate.sessionFee > 0 ? ` + ₹${(estimate.timeFee + estimate.sessionFee).toFixed(2)} fees` : '';
+            const promotion = getLoyaltyPromotion(loyaltyPromotions, station, getTariffBand(station, new Date(startMs)).name, startMs);
+            const redeem = !isReserve && document.getElementById('redeem-points').checked;
+            const rewards = getSessionLoyalty(loyaltyConfig, { loyalty }, promotion, { cost: estimate.total, kwh: kwhNeeded, redeemPoints: redeem ? points : 0 });
+            const stop = canAutoStop && !isReserve ? getAutoStop({
+                startTime: store.timestampFromMillis(startMs),
+                vehicle: userProfile.vehicle,
+                startSoc: currentSoc,
+                targetSoc,
+                powerKw: connector.powerKw,
+                budgetKwh: parseFloat(document.getElementById('budget-kwh').value) || null,
+                budgetAmount: parseFloat(document.getElementById('budget-amount').value) || null,
+            }, station) : null;
+            const stopState = stop && stop.reason !== 'target' ? sampleChargeProfile(profile, (stop.at - startMs) / 1000) : null;
 
             document.getElementById('estimation-box').innerHTML = `
                 <p class="text-sm">You need approx. <strong class="text-lg">${kwhNeeded.toFixed(1)} kWh</strong></p>
                 <div class="flex justify-around mt-2">
                     <span><i class="fas fa-clock mr-1"></i> ~${Math.round(estimatedTime)} mins</span>
-                    <span><i class="fas fa-rupee-sign mr-1"></i> ~${estimatedCost.toFixed(2)}</span>
+                    <span><i class="fas fa-rupee-sign mr-1"></i> ~${rewards.cost.toFixed(2)}</span>
                 </div>
+                ${rewards.loyaltyDiscount ? `<p class="text-xs mt-2 text-green-600 dark:text-green-400">₹${rewards.loyaltyDiscount.toFixed(2)} off for ${rewards.pointsRedeemed} points</p>` : ''}
+                <p class="text-xs mt-2 text-gray-500 dark:text-gray-400">${connector.type} at up to ${connector.powerKw} kW${targetSoc > TAPER_START_SOC ? `, slowing above ${TAPER_START_SOC}%` : ''}</p>
+                <p class="text-xs mt-1 text-gray-500 dark:text-gray-400">${bandsHtml}${feesHtml}</p>
+                ${stopState ? `<p class="text-xs mt-1 text-yellow-600 dark:text-yellow-400">Your limit stops charging at ~${Math.floor(stopState.soc)}% (${stopState.kwh.toFixed(1)} kWh, ₹${priceSession(station, startMs, stop.at, t => sampleChargeProfile(profile, (t - startMs) / 1000).kwh).total.toFixed(2)}) after ~${Math.round((stop.at - startMs) / 60000)} mins</p>` : ''}
+                ${isReserve ? `<p class="text-xs mt-1">At your arrival: ${renderPrediction(predictAvailability(station, startMs, car.compatible))}</p>` : ''}
+                <p class="text-xs mt-1 text-indigo-500"><i class="fas fa-star mr-1"></i>Earn ~${rewards.pointsEarned} points${promotion ? ` | ${promotion.name}: ${promotion.multiplier}× points` : ''}</p>
             `;
         };
 
         currentSocInput.addEventListener('input', updateEstimates);
         targetSocInput.addEventListener('input', updateEstimates);
+        document.getElementById('reservation-start').addEventListener('change', updateEstimates);
+        document.getElementById('redeem-points').addEventListener('change', updateEstimates);
+        document.getElementById('budget-kwh').addEventListener('input', updateEstimates);
+        document.getElementById('budget-amount').addEventListener('input', updateEstimates);
+
+        modal.querySelectorAll('input[name="booking-mode"]').forEach(radio => radio.addEventListener('change', (e) => {
+            const reserve = e.target.value === 'reserve';
+            document.getElementById('reservation-fields').classList.toggle('hidden', !reserve);
+            document.getElementById('redeem-points-field').classList.toggle('hidden', !canRedeem || reserve);
+            document.getElementById('auto-stop-fields').classList.toggle('hidden', !canAutoStop || reserve);
+            document.getElementById('booking-submit-btn').textContent = reserve ? 'Confirm Reservation' : 'Confirm and Start Charging';
+            updateEstimates();
+        }));
         updateEstimates();
     }
 
-    function openStationDetailModal(stationId) {
+    function openReservationCalendar(stationId) {
+        const station = stations.find(s => s.id === stationId);
+        const modal = document.getElementById('reservation-calendar-modal');
+        log.info(`Admin opening reservation calendar for station ID: ${stationId}`);
+        modal.innerHTML = `
+            <div class="bg-gray-800 p-6 rounded-lg shadow-xl w-full max-w-4xl relative text-white max-h-[90vh] flex flex-col">
+                <button class="close-modal-btn absolute top-3 right-4 text-2xl">&times;</button>
+                <h3 class="text-2xl font-bold mb-1">Reservations</h3>
+                <p class="text-gray-400 mb-6">${station.name} | ${station.slots.total} connectors</p>
+                <div id="reservation-calendar" class="flex-grow overflow-y-auto pr-2"><p class="text-gray-400">Loading reservations...</p></div>
+            </div>`;
+        modal.classList.remove('hidden');
+        renderReservationCalendar(stationId);
+    }
+
+    async function renderReservationCalendar(stationId) {
+        const dayMs = 24 * 60 * 60 * 1000;
+        const firstDay = new Date();
+        firstDay.setHours(0, 0, 0, 0);
+        const lastDay = new Date(firstDay.getTime() + 7 * dayMs);
+        try {
+            const stationReservations = (await store.reservations.find({ where: [['stationId', '==', stationId]] }))
+                .filter(r => r.endTime.toMillis() > firstDay.getTime() && r.startTime.toMillis() < lastDay.getTime())
+                .sort((a, b) => a.startTime.toMillis() - b.startTime.toMillis());
+
+            const userIds = [...new Set(stationReservations.map(r => r.userId))];
+            const users = await Promise.all(userIds.map(uid => store.users.get(uid)));
+            const emails = Object.fromEntries(userIds.map((uid, i) => [uid, users[i]?.email || 'Unknown user']));
+
+            const hourMarks = [0, 6, 12, 18].map(h => `<span class="absolute text-xs text-gray-500" style="left:${h / 24 * 100}%">${String(h).padStart(2, '0')}:00</span>`).join('');
+            const daysHtml = [...Array(7)].map((_, i) => {
+                const dayStart = firstDay.getTime() + i * dayMs;
+                const dayReservations = stationReservations.filter(r => r.endTime.toMillis() > dayStart && r.startTime.toMillis() < dayStart + dayMs);
+                const blocks = dayReservations.map(r => {
+                    const from = Math.max(r.startTime.toMillis(), dayStart);
+                    const to = Math.min(r.endTime.toMillis(), dayStart + dayMs);
+                    return `<div class="absolute top-1 bottom-1 rounded ${getReservationBadge(r).classes} opacity-80" style="left:${(from - dayStart) / dayMs * 100}%;width:${Math.max((to - from) / dayMs * 100, 0.5)}%" title="${emails[r.userId]} (${r.status})"></div>`;
+                }).join('');
+                const rows = dayReservations.map(r => {
+                    const badge = getReservationBadge(r);
+                    return `<li class="flex justify-between text-sm py-1"><span>${r.startTime.toDate().toLocaleTimeString('en-IN', { timeStyle: 'short' })} - ${r.endTime.toDate().toLocaleTimeString('en-IN', { timeStyle: 'short' })} | ${emails[r.userId]}</span><span class="px-2 text-xs font-semibold rounded-full ${badge.classes}">${badge.text}</span></li>`;
+                }).join('');
+                return `
+                    <div class="mb-4">
+                        <p class="font-semibold mb-1">${new Date(dayStart).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' })} <span class="text-xs text-gray-400">(${dayReservations.length})</span></p>
+                        <div class="relative h-8 bg-gray-900 rounded">${blocks}</div>
+                        <div class="relative h-4">${hourMarks}</div>
+                        ${rows ? `<ul class="mt-1 divide-y divide-gray-700">${rows}</ul>` : ''}
+                    </div>`;
+            }).join('');
+            document.getElementById('reservation-calendar').innerHTML = daysHtml;
+        } catch (error) {
+            log.error('Error loading reservation calendar:', error);
+            document.getElementById('reservation-calendar').innerHTML = '<p class="text-red-400">Could not load reservations.</p>';
+        }
+    }
+
+    // `bookingId` picks the session to review, when opened from My Sessions.
+    function openStationDetailModal(stationId, { bookingId = null } = {}) {
         log.info(`Opening station detail modal for station ID: ${stationId}`);
         const station = stations.find(s => s.id === stationId);
         const modal = document.getElementById('station-detail-modal');
-        const stationReviews = reviews.filter(r => r.stationId === stationId);
         const imageUrl = station.images?.[0] || 'https://placehold.co/600x400/cccccc/ffffff?text=No+Image';
+        const hasBusyTimes = !!getBusyTimes(station);
+        const defaultArrival = new Date(Math.ceil(Date.now() / (15 * 60000)) * 15 * 60000);
 
         modal.innerHTML = `
             <div class="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-xl w-full max-w-2xl relative max-h-[90vh] flex flex-col">
@@ -807,74 +2120,85 @@ document.addEventListener('DOMContentLoaded', () => {
                 <img src="${imageUrl}" onerror="this.onerror=null;this.src='https://placehold.co/600x400/cccccc/ffffff?text=Image+Not+Found';" class="w-full h-56 object-cover rounded-lg mb-4">
                 <h3 class="text-3xl font-bold mb-2">${station.name}</h3>
                 <div class="flex-grow overflow-y-auto pr-2">
-                    <p class="text-gray-500 dark:text-gray-400 mb-2">${station.city}</p>
+                    <p class="text-gray-500 dark:text-gray-400 mb-2">${station.city}${userLocation ? ` | ${formatDistance(getStationDistanceKm(station))} away` : ''} | ${renderRatingSummary(station)}</p>
                     <p class="text-gray-500 dark:text-gray-400 mb-4"><i class="fas fa-mobile-alt mr-2"></i>${station.mobile || 'Not Available'}</p>
                     <div class="grid grid-cols-2 gap-4 mb-4 text-center">
                         <div class="bg-gray-100 dark:bg-gray-700 p-3 rounded-lg">
                             <p class="text-sm">Price</p>
-                            <p class="font-bold text-lg">₹${(station.currentPrice || station.pricePerKwh).toFixed(2)}/kWh ${(station.currentPrice > station.pricePerKwh) ? '<span class="text-red-500 text-xs">(Peak)</span>' : ''}</p>
+                            <p class="font-bold text-lg">₹${station.currentPrice.toFixed(2)}/kWh ${(station.currentPrice > station.pricePerKwh) ? '<span class="text-red-500 text-xs">(Peak)</span>' : ''}</p>
                         </div>
                         <div class="bg-gray-100 dark:bg-gray-700 p-3 rounded-lg">
                             <p class="text-sm">Availability</p>
-                            <p class="font-bold text-lg">${station.slots.available} / ${station.slots.total} Slots</p>
+                            <p class="font-bold text-lg">${station.slots.available} / ${station.slots.total} Connectors</p>
+                            ${stationsSavedAt ? '<p class="text-xs text-yellow-600 dark:text-yellow-400">Last known, may be out of date</p>' : ''}
                         </div>
                     </div>
                     <div class="mb-4">
-                        <h4 class="font-semibold mb-2">Charger Types</h4>
-                        <div class="flex flex-wrap gap-2">${(station.chargerTypes || []).map(c => `<span class="bg-indigo-100 dark:bg-indigo-900 text-indigo-800 dark:text-indigo-200 text-xs font-medium px-2.5 py-0.5 rounded">${c}</span>`).join('')}</div>
+                        <h4 class="font-semibold mb-2">Tariff</h4>
+                        ${renderTariffSummary(station)}
+                    </div>
+                    <div class="mb-4">
+                        <h4 class="font-semibold mb-2">Connectors</h4>
+                        <div class="flex flex-wrap gap-2">${renderConnectorChips(station)}</div>
+                    </div>
+                    <div class="mb-4">
+                        <h4 class="font-semibold mb-2">Popular Times</h4>
+                        ${hasBusyTimes ? `
+                        <div class="flex flex-wrap gap-1 mb-2">${['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map((name, day) => `<button type="button" class="busy-day-btn text-xs px-2 py-1 rounded" data-day="${day}">${name}</button>`).join('')}</div>
+                        <div class="h-40"><canvas id="busy-times-chart"></canvas></div>
+                        <div class="flex flex-wrap items-center gap-2 mt-2 text-sm">
+                            <label for="busy-arrival">Arriving at</label>
+                            <input type="datetime-local" id="busy-arrival" value="${toDateTimeInputValue(defaultArrival)}" class="rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700 text-sm">
+                            <span id="busy-prediction"></span>
+                        </div>` : '<p class="text-sm text-gray-500 dark:text-gray-400">Not enough charging history yet.</p>'}
                     </div>
                     <div class="mb-4">
                         <h4 class="font-semibold mb-2">Amenities</h4>
                         <div class="flex flex-wrap gap-2">${(station.amenities || []).map(a => `<span class="bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200 text-xs font-medium px-2.5 py-0.5 rounded">${a}</span>`).join('')}</div>
                     </div>
                     <div class="mb-4">
-                        <h4 class="font-semibold mb-2">Reviews (${stationReviews.length})</h4>
-                        <div class="space-y-3 max-h-40 overflow-y-auto">
-                            ${stationReviews.length > 0 ? stationReviews.map(r => `
-                                <div class="bg-gray-100 dark:bg-gray-700 p-3 rounded-md">
-                                    <p class="text-yellow-400">${'★'.repeat(r.rating)}${'☆'.repeat(5 - r.rating)}</p>
-                                    <p class="italic">"${r.text}"</p>
-                                    <p class="text-xs text-right text-gray-500 dark:text-gray-400">- ${r.username}</p>
-                                </div>`).join('') : '<p>No reviews yet.</p>'}
+                        <div class="flex justify-between items-center mb-2">
+                            <h4 class="font-semibold">Reviews</h4>
+                            <select id="review-sort" class="text-sm rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700">${Object.entries(REVIEW_SORTS).map(([key, sort]) => `<option value="${key}">${sort.label}</option>`).join('')}</select>
                         </div>
+                        <div id="review-list" class="space-y-3" data-id="${stationId}"><p class="text-sm text-gray-500 dark:text-gray-400">Loading reviews...</p></div>
+                        <button id="load-more-reviews-btn" class="hidden mt-2 text-sm text-indigo-600 dark:text-indigo-400 hover:underline">Show more reviews</button>
                     </div>
                 </div>
-                <div class="mt-auto pt-4 border-t dark:border-gray-700">
-                     <form id="review-form" data-id="${stationId}">
-                        <h4 class="font-semibold mb-2">Leave a Review</h4>
-                        <div class="flex items-center mb-2">
-                            <div class="flex text-2xl text-gray-300" id="star-rating">${[...Array(5)].map((_, i) => `<i class="far fa-star cursor-pointer" data-value="${i+1}"></i>`).join('')}</div>
-                            <input type="hidden" id="rating-value" required>
-                        </div>
-                        <div class="flex gap-2">
-                            <textarea id="review-text" rows="1" class="flex-grow rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700" placeholder="Your experience..." required></textarea>
-                            <button type="submit" class="bg-indigo-600 text-white px-4 rounded-lg hover:bg-indigo-700">Submit</button>
-                        </div>
-                    </form>
-                </div>
+                <div id="review-form-container" class="mt-auto pt-4 border-t dark:border-gray-700"></div>
             </div>`;
         modal.classList.remove('hidden');
+        renderReviewForm(station, { bookingId });
+        loadStationReviews(stationId);
 
-        const stars = modal.querySelectorAll('#star-rating i');
-        stars.forEach(star => {
-            star.addEventListener('mouseover', (e) => {
-                const rating = e.target.dataset.value;
-                stars.forEach((s, i) => s.className = i < rating ? 'fas fa-star text-yellow-400' : 'far fa-star');
-            });
-            star.addEventListener('mouseout', () => {
-                const currentRating = document.getElementById('rating-value').value || 0;
-                stars.forEach((s, i) => s.className = i < currentRating ? 'fas fa-star text-yellow-400' : 'far fa-star');
-            });
-            star.addEventListener('click', (e) => {
-                document.getElementById('rating-value').value = e.target.dataset.value;
-            });
-        });
+        if (hasBusyTimes) {
+            const showDay = (day) => {
+                modal.querySelectorAll('.busy-day-btn').forEach(btn => {
+                    const selected = Number(btn.dataset.day) === day;
+                    btn.classList.toggle('bg-indigo-600', selected);
+                    btn.classList.toggle('text-white', selected);
+                    btn.classList.toggle('bg-gray-100', !selected);
+                    btn.classList.toggle('dark:bg-gray-700', !selected);
+                });
+                renderBusyTimesChart(station, day);
+            };
+            const updatePrediction = () => {
+                const arrival = new Date(document.getElementById('busy-arrival').value);
+                if (Number.isNaN(arrival.getTime())) return;
+                document.getElementById('busy-prediction').innerHTML = renderPrediction(predictAvailability(station, arrival.getTime(), getUserConnectorTypes()));
+                showDay(arrival.getDay());
+            };
+            modal.querySelectorAll('.busy-day-btn').forEach(btn => btn.addEventListener('click', () => showDay(Number(btn.dataset.day))));
+            document.getElementById('busy-arrival').addEventListener('change', updatePrediction);
+            updatePrediction();
+        }
     }
 
     function openAdminStationModal(stationId = null) {
         const isEditing = stationId !== null;
         log.info(`Admin opening station modal.`, { isEditing, stationId });
         const station = isEditing ? stations.find(s => s.id === stationId) : {};
+        const tariff = station.tariff || {};
         const modal = document.getElementById('admin-station-modal');
 
         modal.innerHTML = `
@@ -883,49 +2207,809 @@ document.addEventListener('DOMContentLoaded', () => {
                 <h3 class="text-2xl font-bold mb-6">${isEditing ? 'Edit' : 'Add'} Station</h3>
                 <form id="admin-station-form" class="space-y-4">
                     <input type="hidden" id="station-id" value="${station.id || ''}">
+                    ${loggedInUser.role === 'superadmin' ? `<div><label>Operator</label><select id="station-operator" class="w-full bg-gray-700 p-2 rounded" required>
+                        ${operators.map(o => `<option value="${o.id}" ${o.id === station.operatorId ? 'selected' : ''}>${o.name}</option>`).join('')}
+                    </select></div>` : ''}
                     <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
                         <div><label>Name</label><input type="text" id="station-name" class="w-full bg-gray-700 p-2 rounded" value="${station.name || ''}" required></div>
                         <div><label>City</label><input type="text" id="station-city" class="w-full bg-gray-700 p-2 rounded" value="${station.city || ''}" required></div>
                         <div><label>Latitude</label><input type="number" step="any" id="station-lat" class="w-full bg-gray-700 p-2 rounded" value="${station.lat || ''}" required></div>
                         <div><label>Longitude</label><input type="number" step="any" id="station-lng" class="w-full bg-gray-700 p-2 rounded" value="${station.lng || ''}" required></div>
-                        <div><label>Total Slots</label><input type="number" id="station-slots-total" class="w-full bg-gray-700 p-2 rounded" value="${station.slots?.total || ''}" required></div>
-                        <div><label>Available Slots</label><input type="number" id="station-slots-available" class="w-full bg-gray-700 p-2 rounded" value="${station.slots?.available || ''}" required></div>
-                        <div><label>Price/kWh</label><input type="number" id="station-price" class="w-full bg-gray-700 p-2 rounded" value="${station.pricePerKwh || ''}" required></div>
+                        <div><label>Standard Price/kWh</label><input type="number" step="0.01" id="station-price" class="w-full bg-gray-700 p-2 rounded" value="${station.pricePerKwh || ''}" required></div>
                         <div><label>Mobile</label><input type="text" id="station-mobile" class="w-full bg-gray-700 p-2 rounded" value="${station.mobile || ''}"></div>
+                        <div><label>GSTIN <span class="text-xs text-gray-400">(printed on invoices)</span></label><input type="text" id="station-gstin" maxlength="15" class="w-full bg-gray-700 p-2 rounded uppercase" value="${station.gstin || ''}"></div>
+                        <div><label>Charge Point ID <span class="text-xs text-gray-400">(OCPP chargers only)</span></label><input type="text" id="station-charge-point-id" class="w-full bg-gray-700 p-2 rounded font-mono" value="${station.chargePointId || ''}"></div>
                     </div>
                      <div><label>Status</label><select id="station-status" class="w-full bg-gray-700 p-2 rounded mt-4"><option ${station.status === 'Operational' ? 'selected' : ''}>Operational</option><option ${station.status === 'Maintenance' ? 'selected' : ''}>Maintenance</option></select></div>
                      <div><label>Image URL</label><input type="text" id="station-image" class="w-full bg-gray-700 p-2 rounded" value="${station.images?.[0] || 'https://placehold.co/600x400'}" required></div>
                     <div><label>Amenities (comma-separated)</label><input type="text" id="station-amenities" class="w-full bg-gray-700 p-2 rounded" value="${(station.amenities || []).join(', ')}"></div>
-                    <div><label>Charger Types (comma-separated)</label><input type="text" id="station-chargers" class="w-full bg-gray-700 p-2 rounded" value="${(station.chargerTypes || []).join(', ')}"></div>
+                    <fieldset class="border border-gray-600 rounded p-4">
+                        <legend class="px-2 font-semibold">Connectors <span class="text-xs text-gray-400">(occupied connectors can't be changed until they are released)</span></legend>
+                        <div id="connector-rows" class="space-y-2">${(isEditing ? getConnectors(station) : [{ type: 'Type 2', powerKw: 22, status: 'available' }]).map(renderConnectorRow).join('')}</div>
+                        <button type="button" id="add-connector-btn" class="mt-2 text-sm bg-gray-700 hover:bg-gray-600 px-3 py-1 rounded"><i class="fas fa-plus mr-1"></i>Add Connector</button>
+                    </fieldset>
+                    <fieldset class="border border-gray-600 rounded p-4">
+                        <legend class="px-2 font-semibold">Tariff Schedule <span class="text-xs text-gray-400">(leave a price empty to disable the band)</span></legend>
+                        <div class="grid grid-cols-3 gap-4">
+                            <div><label>Peak Price/kWh</label><input type="number" step="0.01" id="tariff-peak-price" class="w-full bg-gray-700 p-2 rounded" value="${tariff.peak?.price || ''}"></div>
+                            <div><label>Peak From</label><input type="time" id="tariff-peak-start" class="w-full bg-gray-700 p-2 rounded" value="${tariff.peak?.start || '18:00'}"></div>
+                            <div><label>Peak Until</label><input type="time" id="tariff-peak-end" class="w-full bg-gray-700 p-2 rounded" value="${tariff.peak?.end || '22:00'}"></div>
+                            <div><label>Off-Peak Price/kWh</label><input type="number" step="0.01" id="tariff-offpeak-price" class="w-full bg-gray-700 p-2 rounded" value="${tariff.offPeak?.price || ''}"></div>
+                            <div><label>Off-Peak From</label><input type="time" id="tariff-offpeak-start" class="w-full bg-gray-700 p-2 rounded" value="${tariff.offPeak?.start || '22:00'}"></div>
+                            <div><label>Off-Peak Until</label><input type="time" id="tariff-offpeak-end" class="w-full bg-gray-700 p-2 rounded" value="${tariff.offPeak?.end || '06:00'}"></div>
+                            <div><label>Weekend Price/kWh</label><input type="number" step="0.01" id="tariff-weekend-price" class="w-full bg-gray-700 p-2 rounded" value="${tariff.weekend?.price || ''}"></div>
+                            <div><label>Fee per Minute</label><input type="number" step="0.01" id="tariff-minute-fee" class="w-full bg-gray-700 p-2 rounded" value="${tariff.perMinuteFee || ''}"></div>
+                            <div><label>Session Fee</label><input type="number" step="0.01" id="tariff-session-fee" class="w-full bg-gray-700 p-2 rounded" value="${tariff.sessionFee || ''}"></div>
+                        </div>
+                    </fieldset>
+                    <fieldset class="border border-gray-600 rounded p-4">
+                        <legend class="px-2 font-semibold">Idle Fee <span class="text-xs text-gray-400">(charged per minute a car stays plugged in after charging finishes; leave empty for none)</span></legend>
+                        <div class="grid grid-cols-2 gap-4">
+                            <div><label>Idle Fee per Minute</label><input type="number" step="0.01" min="0" id="tariff-idle-fee" class="w-full bg-gray-700 p-2 rounded" value="${tariff.idleFee?.perMinute || ''}"></div>
+                            <div><label>Grace Period (mins)</label><input type="number" step="1" min="0" id="tariff-idle-grace" class="w-full bg-gray-700 p-2 rounded" value="${tariff.idleFee?.graceMinutes ?? 10}"></div>
+                        </div>
+                    </fieldset>
                     <button type="submit" class="w-full bg-green-600 text-white py-2 rounded-lg hover:bg-green-700">${isEditing ? 'Save Changes' : 'Create Station'}</button>
                 </form>
             </div>`;
         modal.classList.remove('hidden');
     }
 
+    async function openQueueModal(stationId) {
+        const station = stations.find(s => s.id === stationId);
+        const modal = document.getElementById('queue-modal');
+        if (!station) { modal.classList.add('hidden'); return; }
+        modal.dataset.stationId = stationId;
+        const queue = getWaitingQueue(station);
+        const queueOffers = station.queueOffers || [];
+        const userIds = [...new Set([...queueOffers.map(o => o.userId), ...queue])];
+        let emails = {};
+        try {
+            const users = await Promise.all(userIds.map(uid => store.users.get(uid)));
+            emails = Object.fromEntries(userIds.map((uid, i) => [uid, users[i]?.email || 'Unknown user']));
+        } catch (error) {
+            log.error('Error loading queued users:', error);
+        }
+
+        const offersHtml = queueOffers.map(o => `
+            <li class="flex justify-between items-center py-2">
+                <span><i class="fas fa-hourglass-half text-green-400 mr-2"></i>${emails[o.userId] || o.userId} <span class="text-xs text-gray-400">offered until ${o.expiresAt.toDate().toLocaleTimeString('en-IN', { timeStyle: 'short' })}</span></span>
+                <button class="queue-action-btn bg-red-600 hover:bg-red-700 text-white px-3 py-1 rounded-md text-sm" data-id="${stationId}" data-user="${o.userId}" data-action="revoke-offer">Revoke</button>
+            </li>`).join('');
+        const queueHtml = queue.map((uid, i) => `
+            <li class="flex justify-between items-center py-2">
+                <span><span class="font-bold mr-2">#${i + 1}</span>${emails[uid] || uid} <span class="text-xs text-gray-400">~${getQueueWaitMinutes(station, i + 1)} mins</span></span>
+                <span>
+                    <button class="queue-action-btn bg-gray-600 hover:bg-gray-500 text-white px-3 py-1 rounded-md text-sm mr-2" data-id="${stationId}" data-user="${uid}" data-action="move-up" ${i === 0 ? 'disabled' : ''}><i class="fas fa-arrow-up"></i></button>
+                    <button class="queue-action-btn bg-red-600 hover:bg-red-700 text-white px-3 py-1 rounded-md text-sm" data-id="${stationId}" data-user="${uid}" data-action="remove"><i class="fas fa-times"></i></button>
+                </span>
+            </li>`).join('');
+
+        modal.innerHTML = `
+            <div class="bg-gray-800 p-6 rounded-lg shadow-xl w-full max-w-xl relative text-white max-h-[90vh] flex flex-col">
+                <button class="close-modal-btn absolute top-3 right-4 text-2xl">&times;</button>
+                <h3 class="text-2xl font-bold mb-1">Queue</h3>
+                <p class="text-gray-400 mb-6">${station.name} | ${station.slots.available} / ${station.slots.total} connectors free</p>
+                <div class="flex-grow overflow-y-auto pr-2">
+                    <h4 class="font-semibold mb-2">Pending Offers</h4>
+                    ${offersHtml ? `<ul class="divide-y divide-gray-700 mb-6">${offersHtml}</ul>` : '<p class="text-gray-400 mb-6">No pending offers.</p>'}
+                    <h4 class="font-semibold mb-2">Waiting</h4>
+                    ${queueHtml ? `<ul class="divide-y divide-gray-700">${queueHtml}</ul>` : '<p class="text-gray-400">Nobody is waiting.</p>'}
+                </div>
+            </div>`;
+        modal.classList.remove('hidden');
+    }
+
+    async function manageQueue(stationId, action, userId) {
+        const stationRef = store.stations.ref(stationId);
+        try {
+            await store.runTransaction(async (transaction) => {
+                const stationDoc = await transaction.get(stationRef);
+                if (!stationDoc.exists) throw "Station does not exist!";
+                const stationData = stationDoc.data();
+                if (action === 'revoke-offer') {
+                    const offer = (stationData.queueOffers || []).find(o => o.userId === userId);
+                    if (!offer) throw "The offer is no longer pending.";
+                    releaseConnectors(store, transaction, stationRef, { ...stationData, ...leaveQueueFields(stationData, userId) }, [offer.connectorId]);
+                    return;
+                }
+                const waiting = getWaitingQueue(stationData);
+                const index = waiting.indexOf(userId);
+                if (index === -1) throw "User is no longer in the queue.";
+                if (action === 'remove') {
+                    const { queue, queueConnectorTypes } = leaveQueueFields(stationData, userId);
+                    transaction.update(stationRef, { queue, queueConnectorTypes });
+                } else if (action === 'move-up' && index > 0) {
+                    // Swaps places with the driver waiting just ahead; drivers holding an offer keep theirs.
+                    const ahead = waiting[index - 1];
+                    const queue = stationData.queue.map(uid => uid === ahead ? userId : uid === userId ? ahead : uid);
+                    transaction.update(stationRef, { queue });
+                }
+            });
+            log.info(`Admin queue action '${action}' on station ID: ${stationId}.`, { userId });
+            showToast('Queue updated.', 'success');
+        } catch (error) {
+            log.error('Error managing queue:', error);
+            showToast('Could not update queue. ' + error, 'error');
+        }
+    }
+
+    function readTariffForm() {
+        const price = id => parseFloat(document.getElementById(id).value) || null;
+        return {
+            peak: { price: price('tariff-peak-price'), start: document.getElementById('tariff-peak-start').value, end: document.getElementById('tariff-peak-end').value },
+            offPeak: { price: price('tariff-offpeak-price'), start: document.getElementById('tariff-offpeak-start').value, end: document.getElementById('tariff-offpeak-end').value },
+            weekend: { price: price('tariff-weekend-price') },
+            perMinuteFee: price('tariff-minute-fee') || 0,
+            sessionFee: price('tariff-session-fee') || 0,
+            idleFee: { perMinute: price('tariff-idle-fee') || 0, graceMinutes: parseInt(document.getElementById('tariff-idle-grace').value) || 0 },
+        };
+    }
+
     function closeModal(modalId) {
         document.getElementById(modalId).classList.add('hidden');
         log.info(`Modal '${modalId}' closed.`);
     }
 
+    // --- REVIEWS ---
+    // A review's id is the booking it reviews, so drivers can only review a session they charged
+    // and only once. Each station keeps ratingSum, ratingCount and ratingAvg, which change in the
+    // same transaction as its reviews. Reviews from before this have no bookingId and don't count
+    // towards the rating.
+    function renderStars(rating) {
+        return `${'★'.repeat(rating)}${'☆'.repeat(5 - rating)}`;
+    }
+
+    function renderRatingSummary(station) {
+        if (!station.ratingCount) return '<span class="text-gray-500 dark:text-gray-400">No ratings yet</span>';
+        return `<span class="text-yellow-400">★</span> ${station.ratingAvg.toFixed(1)} <span class="text-gray-500 dark:text-gray-400">(${station.ratingCount})</span>`;
+    }
+
+    function getRatingFields(station, countChange, sumChange) {
+        const ratingCount = (station.ratingCount || 0) + countChange;
+        const ratingSum = (station.ratingSum || 0) + sumChange;
+        return { ratingCount, ratingSum, ratingAvg: ratingCount ? Math.round(ratingSum / ratingCount * 100) / 100 : 0 };
+    }
+
+    // Reasons to hold a review for a moderator before it is shown; none for most reviews.
+    function getReviewFlags(text) {
+        const words = text.toLowerCase().match(/[a-z]+/g) || [];
+        const flags = REVIEW_SPAM_PATTERNS.filter(({ pattern }) => pattern.test(text)).map(({ reason }) => reason);
+        return words.some(word => REVIEW_BANNED_WORDS.includes(word)) ? ['Banned words', ...flags] : flags;
+    }
+
+    // Verified reviews count towards their station's rating while they are approved. Reviews from
+    // before moderation have no status and count as approved.
+    function getRatingWeight(review) {
+        return review && review.bookingId && (review.status || 'approved') === 'approved' ? 1 : 0;
+    }
+
+    // Moves the station's rating for a review changing from `before` to `after` (null when the
+    // review is created or deleted). ratingReviewId names the review (its id is its bookingId), so
+    // firestore.rules can check that the rating moved by exactly that review's change.
+    function updateStationRating(transaction, stationRef, stationDoc, before, after) {
+        const countChange = getRatingWeight(after) - getRatingWeight(before);
+        const sumChange = getRatingWeight(after) * (after?.rating || 0) - getRatingWeight(before) * (before?.rating || 0);
+        if (stationDoc.exists && (countChange || sumChange)) {
+            transaction.update(stationRef, { ...getRatingFields(stationDoc.data(), countChange, sumChange), ratingReviewId: (after || before).bookingId });
+        }
+    }
+
+    // Timestamps inside arrays can't come from the server, so history entries use the device's
+    // clock. Only moderators are named; drivers' entries show as automatic.
+    function getHistoryEntry(action, reason = null) {
+        return {
+            action,
+            reason,
+            by: loggedInUser.uid,
+            ...(isAdminRole(loggedInUser.role) ? { byName: loggedInUser.username } : {}),
+            at: store.timestampFromMillis(Date.now()),
+        };
+    }
+
+    // The driver's completed sessions at a station that they haven't reviewed yet.
+    function getUnreviewedBookings(stationId) {
+        return bookings.filter(booking => booking.stationId === stationId && !myReviews.some(review => review.id === booking.id));
+    }
+
+    // Loads the next page of a station's reviews into the detail modal, or the first page when
+    // the station or sort order changes.
+    async function loadStationReviews(stationId, sort = 'newest', more = false) {
+        const current = more && stationReviews?.stationId === stationId && stationReviews.sort === sort
+            ? stationReviews
+            : { stationId, sort, items: [], hasMore: false };
+        const last = current.items[current.items.length - 1];
+        try {
+            const page = await store.reviews.find({
+                where: [['stationId', '==', stationId], ['status', '==', 'approved']],
+                orderBy: REVIEW_SORTS[sort].orderBy,
+                limit: REVIEWS_PAGE_SIZE + 1,
+                ...(last ? { startAfterId: last.id } : {}),
+            });
+            stationReviews = { ...current, items: [...current.items, ...page.slice(0, REVIEWS_PAGE_SIZE)], hasMore: page.length > REVIEWS_PAGE_SIZE };
+            renderStationReviews();
+        } catch (error) {
+            log.error('Error loading reviews:', error);
+            const list = document.getElementById('review-list');
+            if (list?.dataset.id === stationId) list.innerHTML = '<p class="text-sm text-red-500">Could not load reviews.</p>';
+        }
+    }
+
+    function renderStationReviews() {
+        const list = document.getElementById('review-list');
+        if (!list || list.dataset.id !== stationReviews?.stationId) return;
+        // The driver's own reviews that aren't shown to others, with why.
+        const held = myReviews.filter(review => review.stationId === stationReviews.stationId && (review.status || 'approved') !== 'approved');
+        const items = [...held, ...stationReviews.items];
+        list.innerHTML = items.length ? items.map(renderReview).join('') : '<p>No reviews yet.</p>';
+        document.getElementById('load-more-reviews-btn').classList.toggle('hidden', !stationReviews.hasMore);
+    }
+
+    function renderReview(review) {
+        const isOwn = review.userId === loggedInUser.uid;
+        const status = review.status || 'approved';
+        const hasVoted = (review.helpfulBy || []).includes(loggedInUser.uid);
+        const hasReported = !!review.reports?.[loggedInUser.uid];
+        const actions = isOwn
+            ? `${review.bookingId && ['approved', 'pending'].includes(status) ? `<button class="edit-review-btn hover:underline" data-id="${review.id}">Edit</button>` : ''}
+               <button class="delete-own-review-btn hover:underline text-red-500" data-id="${review.id}">Delete</button>`
+            : `<button class="helpful-review-btn hover:underline ${hasVoted ? 'text-indigo-600 dark:text-indigo-400 font-semibold' : ''}" data-id="${review.id}"><i class="${hasVoted ? 'fas' : 'far'} fa-thumbs-up mr-1"></i>Helpful${review.helpfulCount ? ` (${review.helpfulCount})` : ''}</button>
+               ${hasReported ? '<span>Reported</span>' : `<button class="report-review-btn hover:underline" data-id="${review.id}"><i class="far fa-flag mr-1"></i>Report</button>`}`;
+        const notice = {
+            pending: 'Only you can see this review until a moderator has checked it.',
+            hidden: `Hidden by a moderator${review.statusReason ? `: ${review.statusReason}` : ''}.`,
+            removed: `Removed by a moderator${review.statusReason ? `: ${review.statusReason}` : ''}.`,
+        }[status];
+        return `
+            <div class="bg-gray-100 dark:bg-gray-700 p-3 rounded-md">
+                ${notice ? `<p class="text-xs text-yellow-700 dark:text-yellow-300 mb-1"><i class="fas fa-eye-slash mr-1"></i>${notice}</p>` : ''}
+                <div class="flex justify-between items-center">
+                    <p class="text-yellow-400">${renderStars(review.rating)}</p>
+                    ${review.bookingId ? '<span class="text-xs text-green-600 dark:text-green-400"><i class="fas fa-check-circle mr-1"></i>Verified session</span>' : ''}
+                </div>
+                <p class="italic">"${review.text}"</p>
+                <div class="flex justify-between items-center mt-1 text-xs text-gray-500 dark:text-gray-400">
+                    <span>- ${review.username}${review.createdAt ? `, ${review.createdAt.toDate().toLocaleDateString()}` : ''}${review.updatedAt ? ' (edited)' : ''}</span>
+                    <span class="flex gap-3">${actions}</span>
+                </div>
+                ${review.reply ? `
+                <div class="mt-2 ml-3 pl-3 border-l-2 border-indigo-400 text-sm">
+                    <p class="font-semibold">Response from ${review.reply.byName}</p>
+                    <p>${review.reply.text}</p>
+                </div>` : ''}
+                ${isOwn || hasReported ? '' : `
+                <form class="report-review-form hidden mt-2 flex gap-2 text-sm" data-id="${review.id}">
+                    <select class="report-reason flex-grow rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-800 text-sm">${REVIEW_REPORT_REASONS.map(reason => `<option>${reason}</option>`).join('')}</select>
+                    <button type="submit" class="bg-red-600 hover:bg-red-700 text-white px-3 rounded-md">Report</button>
+                </form>`}
+            </div>`;
+    }
+
+    // The footer of the station detail modal: the form for reviewing one of the driver's sessions
+    // there (`bookingId` picks which), or for editing `review`.
+    function renderReviewForm(station, { bookingId = null, review = null } = {}) {
+        const container = document.getElementById('review-form-container');
+        const unreviewed = getUnreviewedBookings(station.id);
+        if (!review && unreviewed.length === 0) {
+            container.innerHTML = `<p class="text-sm text-gray-500 dark:text-gray-400">${bookings.some(b => b.stationId === station.id)
+                ? "You've reviewed all your sessions here. Edit a review above to change it."
+                : 'Reviews come from drivers who have charged here. Complete a session to leave one.'}</p>`;
+            return;
+        }
+        const sessionOptions = unreviewed.map(booking => {
+            const { end } = getBookingTimes(booking);
+            return `<option value="${booking.id}" ${booking.id === bookingId ? 'selected' : ''}>${end ? end.toLocaleDateString() : 'Session'} | ${(booking.kwhConsumed || 0).toFixed(1)} kWh</option>`;
+        }).join('');
+        container.innerHTML = `
+            <form id="review-form" data-id="${station.id}" ${review ? `data-review-id="${review.id}"` : ''}>
+                <div class="flex justify-between items-center mb-2">
+                    <h4 class="font-semibold">${review ? 'Edit Your Review' : 'Review Your Session'}</h4>
+                    ${review
+                        ? '<button type="button" id="cancel-review-edit-btn" class="text-sm hover:underline">Cancel</button>'
+                        : `<select id="review-booking" class="text-sm rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700">${sessionOptions}</select>`}
+                </div>
+                <div class="flex items-center mb-2">
+                    <div class="flex text-2xl text-gray-300" id="star-rating">${[...Array(5)].map((_, i) => `<i class="${i < (review?.rating || 0) ? 'fas fa-star text-yellow-400' : 'far fa-star'} cursor-pointer" data-value="${i+1}"></i>`).join('')}</div>
+                    <input type="hidden" id="rating-value" value="${review?.rating || ''}" required>
+                </div>
+                <div class="flex gap-2">
+                    <textarea id="review-text" rows="1" class="flex-grow rounded-md border-gray-300 dark:border-gray-600 dark:bg-gray-700" placeholder="Your experience..." required>${review?.text || ''}</textarea>
+                    <button type="submit" class="bg-indigo-600 text-white px-4 rounded-lg hover:bg-indigo-700">${review ? 'Save' : 'Submit'}</button>
+                </div>
+            </form>`;
+
+        const stars = container.querySelectorAll('#star-rating i');
+        stars.forEach(star => {
+            star.addEventListener('mouseover', (e) => {
+                const rating = e.target.dataset.value;
+                stars.forEach((s, i) => s.className = i < rating ? 'fas fa-star text-yellow-400' : 'far fa-star');
+            });
+            star.addEventListener('mouseout', () => {
+                const currentRating = document.getElementById('rating-value').value || 0;
+                stars.forEach((s, i) => s.className = i < currentRating ? 'fas fa-star text-yellow-400' : 'far fa-star');
+            });
+            star.addEventListener('click', (e) => {
+                document.getElementById('rating-value').value = e.target.dataset.value;
+            });
+        });
+    }
+
+    // Writes the review of a booking, or updates the driver's existing one, and moves the
+    // station's rating with it. Flagged text holds the review for a moderator. Returns the
+    // review's status.
+    async function saveReview({ bookingId, stationId, rating, text }) {
+        const reviewRef = store.reviews.ref(bookingId);
+        const stationRef = store.stations.ref(stationId);
+        const flags = getReviewFlags(text);
+        return store.runTransaction(async (transaction) => {
+            const reviewDoc = await transaction.get(reviewRef);
+            const stationDoc = await transaction.get(stationRef);
+            if (!stationDoc.exists) throw "Station does not exist!";
+            if (reviewDoc.exists) {
+                const previous = reviewDoc.data();
+                const previousStatus = previous.status || 'approved';
+                if (previous.userId !== loggedInUser.uid) throw "You can only edit your own reviews.";
+                if (!['approved', 'pending'].includes(previousStatus)) throw "A moderator has taken this review down, so it can't be edited.";
+                const update = { rating, text, flags, status: flags.length ? 'pending' : previousStatus, updatedAt: store.fields.serverTimestamp() };
+                if (update.status !== previousStatus) update.history = [...(previous.history || []), getHistoryEntry('flagged', flags.join(', '))];
+                transaction.update(reviewRef, update);
+                updateStationRating(transaction, stationRef, stationDoc, previous, { ...previous, ...update });
+                return update.status;
+            }
+            const review = {
+                userId: loggedInUser.uid,
+                username: loggedInUser.username,
+                stationId,
+                operatorId: stationDoc.data().operatorId || null,
+                bookingId,
+                rating,
+                text,
+                status: flags.length ? 'pending' : 'approved',
+                flags,
+                reportCount: 0,
+                history: flags.length ? [getHistoryEntry('flagged', flags.join(', '))] : [],
+                helpfulBy: [],
+                helpfulCount: 0,
+                createdAt: store.fields.serverTimestamp(),
+            };
+            transaction.set(reviewRef, review);
+            updateStationRating(transaction, stationRef, stationDoc, null, review);
+            return review.status;
+        });
+    }
+
+    // Deletes one of the driver's own reviews and takes it out of the station's rating. Moderators
+    // remove reviews with moderateReview() instead, so they can be restored.
+    async function deleteReview(reviewId) {
+        const reviewRef = store.reviews.ref(reviewId);
+        await store.runTransaction(async (transaction) => {
+            const reviewDoc = await transaction.get(reviewRef);
+            if (!reviewDoc.exists) return;
+            const review = reviewDoc.data();
+            const stationRef = store.stations.ref(review.stationId);
+            const stationDoc = await transaction.get(stationRef);
+            transaction.delete(reviewRef);
+            updateStationRating(transaction, stationRef, stationDoc, review, null);
+        });
+    }
+
+    // Adds or takes back the user's helpful vote and returns the updated review.
+    async function toggleHelpfulVote(reviewId) {
+        const reviewRef = store.reviews.ref(reviewId);
+        return store.runTransaction(async (transaction) => {
+            const reviewDoc = await transaction.get(reviewRef);
+            if (!reviewDoc.exists) throw "Review not found!";
+            const review = reviewDoc.data();
+            if (review.userId === loggedInUser.uid) throw "You can't vote on your own review.";
+            const votes = review.helpfulBy || [];
+            const helpfulBy = votes.includes(loggedInUser.uid) ? votes.filter(uid => uid !== loggedInUser.uid) : [...votes, loggedInUser.uid];
+            transaction.update(reviewRef, { helpfulBy, helpfulCount: helpfulBy.length });
+            return { id: reviewId, ...review, helpfulBy, helpfulCount: helpfulBy.length };
+        });
+    }
+
+    // Records the user's report. Enough reports send an approved review back to the moderation
+    // queue, out of sight until a moderator has looked at it.
+    async function reportReview(reviewId, reason) {
+        const reviewRef = store.reviews.ref(reviewId);
+        await store.runTransaction(async (transaction) => {
+            const reviewDoc = await transaction.get(reviewRef);
+            if (!reviewDoc.exists) throw "Review not found!";
+            const review = reviewDoc.data();
+            if (review.userId === loggedInUser.uid) throw "You can't report your own review.";
+            if (review.reports?.[loggedInUser.uid]) throw "You've already reported this review.";
+            const update = { [`reports.${loggedInUser.uid}`]: { reason, at: store.fields.serverTimestamp() }, reportCount: (review.reportCount || 0) + 1 };
+            if (update.reportCount >= REVIEW_REPORTS_TO_HOLD && (review.status || 'approved') === 'approved') {
+                const stationRef = store.stations.ref(review.stationId);
+                const stationDoc = await transaction.get(stationRef);
+                update.status = 'pending';
+                update.history = [...(review.history || []), getHistoryEntry('held', `Reported ${update.reportCount} times`)];
+                updateStationRating(transaction, stationRef, stationDoc, review, { ...review, status: 'pending' });
+            }
+            transaction.update(reviewRef, update);
+        });
+    }
+
+    // Approves, hides, removes or restores a review (see MODERATION_ACTIONS). Any open reports
+    // are settled with it.
+    async function moderateReview(reviewId, action, reason = null) {
+        const reviewRef = store.reviews.ref(reviewId);
+        await store.runTransaction(async (transaction) => {
+            const reviewDoc = await transaction.get(reviewRef);
+            if (!reviewDoc.exists) throw "Review not found!";
+            const review = reviewDoc.data();
+            const stationRef = store.stations.ref(review.stationId);
+            const stationDoc = await transaction.get(stationRef);
+            const { status, done } = MODERATION_ACTIONS[action];
+            const update = { status, statusReason: reason, reportCount: 0, history: [...(review.history || []), getHistoryEntry(done, reason)] };
+            transaction.update(reviewRef, update);
+            updateStationRating(transaction, stationRef, stationDoc, review, { ...review, ...update });
+        });
+    }
+
+    // Posts, edits or (with empty text) removes the station owner's public reply to a review.
+    async function saveReviewReply(reviewId, text) {
+        const reviewRef = store.reviews.ref(reviewId);
+        await store.runTransaction(async (transaction) => {
+            const reviewDoc = await transaction.get(reviewRef);
+            if (!reviewDoc.exists) throw "Review not found!";
+            const review = reviewDoc.data();
+            const operator = operators.find(o => o.id === review.operatorId);
+            const reply = text ? { text, by: loggedInUser.uid, byName: operator?.name || 'EV ChargeNet', at: store.fields.serverTimestamp() } : null;
+            transaction.update(reviewRef, { reply, history: [...(review.history || []), getHistoryEntry(text ? 'replied' : 'reply-removed')] });
+        });
+    }
+
+    // Stations are loaded by area, so one reviewed from My Sessions may need fetching first.
+    async function openStationForReview(stationId, bookingId) {
+        if (!stations.some(s => s.id === stationId)) {
+            const station = await store.stations.get(stationId);
+            if (!station) { showToast('This station no longer exists.', 'error'); return; }
+            followStation(stationId, station);
+            mergeStations();
+        }
+        openStationDetailModal(stationId, { bookingId });
+    }
+
+    // Loads a page of the moderation queue for the selected tab: a status, 'reported' (reviews
+    // with open reports) or 'all'.
+    async function loadAdminReviews(more = false) {
+        const { status } = adminReviews;
+        const last = more ? adminReviews.items[adminReviews.items.length - 1] : null;
+        // Operator-admins may only read their operator's reviews, so the query has to say so.
+        const where = loggedInUser.role === 'superadmin' ? [] : [['operatorId', '==', loggedInUser.operatorId]];
+        if (REVIEW_STATUSES[status]) where.push(['status', '==', status]);
+        if (status === 'reported') where.push(['reportCount', '>', 0]);
+        const orderBy = status === 'reported' ? ['reportCount', 'desc'] : ['createdAt', 'desc'];
+        try {
+            const page = await store.reviews.find({ where, orderBy, limit: ADMIN_REVIEWS_PAGE_SIZE + 1, ...(last ? { startAfterId: last.id } : {}) });
+            if (adminReviews.status !== status) return;
+            adminReviews = { status, items: [...(more ? adminReviews.items : []), ...page.slice(0, ADMIN_REVIEWS_PAGE_SIZE)], hasMore: page.length > ADMIN_REVIEWS_PAGE_SIZE };
+            if (status === 'all') backfillReviewStatuses(page);
+        } catch (error) {
+            log.error('Error loading reviews for moderation:', error);
+            showToast('Could not load reviews.', 'error');
+        }
+        renderAdminReviewList();
+    }
+
+    // Reviews from before moderation have no status, so they only appear under All, and get
+    // 'approved' once a moderator has seen them there.
+    async function backfillReviewStatuses(reviews) {
+        const missing = reviews.filter(review => !review.status);
+        if (missing.length === 0) return;
+        try {
+            const batch = store.batch();
+            missing.forEach(review => batch.update(store.reviews.ref(review.id), { status: 'approved' }));
+            await batch.commit();
+            missing.forEach(review => { review.status = 'approved'; });
+            log.info(`Marked ${missing.length} older review(s) as approved.`);
+        } catch (error) {
+            log.error('Error adding statuses to reviews:', error);
+        }
+    }
+
+    // Reloads a review after a moderator's change, dropping it from a tab it no longer belongs in.
+    async function refreshAdminReview(reviewId) {
+        const review = await store.reviews.get(reviewId);
+        const { status } = adminReviews;
+        const belongs = review && (status === 'all' || review.status === status || (status === 'reported' && review.reportCount > 0));
+        adminReviews.items = belongs
+            ? adminReviews.items.map(item => (item.id === reviewId ? review : item))
+            : adminReviews.items.filter(item => item.id !== reviewId);
+        renderAdminReviewList();
+    }
+
+    // --- TARIFFS ---
+    // Band lookup and session pricing live in billing.js.
+    // currentPrice is only ever worked out in the app, from the tariff, and never stored: this
+    // re-derives it as bands change over time.
+    function refreshStationPrices() {
+        const changed = stations.filter(station => getCurrentPrice(station) !== station.currentPrice);
+        if (changed.length === 0) return;
+        changed.forEach(station => { station.currentPrice = getCurrentPrice(station); });
+        const activePage = document.querySelector('.nav-link.active')?.dataset.page;
+        if (activePage === 'station-list') renderStationList();
+        if (activePage === 'map-view') updateMarkers();
+    }
+
+    function renderConnectorRow(connector = { type: 'Type 2', powerKw: 22, status: 'available' }) {
+        const isOccupied = connector.status === 'occupied';
+        return `
+            <div class="connector-row grid grid-cols-4 gap-2 items-center" data-id="${connector.id || ''}">
+                <select class="connector-type bg-gray-700 p-2 rounded" ${isOccupied ? 'disabled' : ''}>${Object.keys(CONNECTOR_SPECS).map(type => `<option ${type === connector.type ? 'selected' : ''}>${type}</option>`).join('')}</select>
+                <input type="number" step="0.1" min="1" class="connector-power bg-gray-700 p-2 rounded" value="${connector.powerKw}" title="Rated power (kW)" required ${isOccupied ? 'disabled' : ''}>
+                <select class="connector-status bg-gray-700 p-2 rounded" ${isOccupied ? 'disabled' : ''}>
+                    ${isOccupied ? '<option value="occupied" selected>Occupied</option>' : ''}
+                    <option value="available" ${connector.status === 'available' ? 'selected' : ''}>Available</option>
+                    <option value="faulted" ${connector.status === 'faulted' ? 'selected' : ''}>Faulted</option>
+                </select>
+                <button type="button" class="remove-connector-btn text-red-400 hover:text-red-300 disabled:opacity-30" ${isOccupied ? 'disabled' : ''}><i class="fas fa-trash"></i></button>
+            </div>`;
+    }
+
+    // Merges the editor rows into the station's current connectors. Occupied connectors are kept
+    // exactly as they are so a live session, held reservation or queue offer keeps its claim.
+    function readConnectorForm(currentConnectors) {
+        let nextNumber = Math.max(0, ...currentConnectors.map(c => parseInt(c.id.slice(1)) || 0)) + 1;
+        const rows = [...document.querySelectorAll('#connector-rows .connector-row')];
+        const connectors = rows.map(row => {
+            const current = currentConnectors.find(c => c.id === row.dataset.id);
+            if (current?.status === 'occupied') return current;
+            return {
+                id: current ? current.id : `c${nextNumber++}`,
+                type: row.querySelector('.connector-type').value,
+                powerKw: parseFloat(row.querySelector('.connector-power').value),
+                status: row.querySelector('.connector-status').value,
+                claim: null,
+            };
+        });
+        // Connectors claimed since the form was opened can't be removed from under their holder.
+        currentConnectors.filter(c => c.status === 'occupied' && !connectors.includes(c)).forEach(c => connectors.push(c));
+        return connectors;
+    }
+
+    function renderTariffSummary(station) {
+        const tariff = station.tariff || {};
+        const rows = [`<li>Standard: ₹${station.pricePerKwh.toFixed(2)}/kWh</li>`];
+        if (tariff.peak?.price) rows.push(`<li>Peak (${tariff.peak.start}-${tariff.peak.end}): ₹${tariff.peak.price.toFixed(2)}/kWh</li>`);
+        if (tariff.offPeak?.price) rows.push(`<li>Off-Peak (${tariff.offPeak.start}-${tariff.offPeak.end}): ₹${tariff.offPeak.price.toFixed(2)}/kWh</li>`);
+        if (tariff.weekend?.price) rows.push(`<li>Weekends: ₹${tariff.weekend.price.toFixed(2)}/kWh</li>`);
+        if (tariff.perMinuteFee) rows.push(`<li>Time fee: ₹${tariff.perMinuteFee.toFixed(2)}/min</li>`);
+        if (tariff.sessionFee) rows.push(`<li>Session fee: ₹${tariff.sessionFee.toFixed(2)}</li>`);
+        if (tariff.idleFee?.perMinute) rows.push(`<li>Idle fee: ₹${tariff.idleFee.perMinute.toFixed(2)}/min from ${tariff.idleFee.graceMinutes} min after charging finishes</li>`);
+        return `<ul class="text-sm space-y-1">${rows.join('')}</ul>`;
+    }
+
+    // --- CONNECTORS ---
+    // The connector model, vehicle models and queue hand-over live in connectors.js.
+    // Connector types that count for the logged-in driver: the charger-type filter if set,
+    // otherwise whatever their vehicle can use.
+    function getUserConnectorTypes() {
+        return filterState.chargerType ? [filterState.chargerType] : getVehicle(userProfile.vehicle).compatible;
+    }
+
+    function renderConnectorChips(station) {
+        const colors = { available: 'var(--green)', occupied: 'var(--red)', faulted: 'var(--yellow)' };
+        return getConnectors(station).map(c => `
+            <span class="inline-flex items-center bg-indigo-100 dark:bg-indigo-900 text-indigo-800 dark:text-indigo-200 text-xs font-medium px-2.5 py-0.5 rounded" title="${c.status}">
+                <span class="w-2 h-2 rounded-full mr-1" style="background-color: ${colors[c.status]};"></span>${c.type} ${c.powerKw} kW
+            </span>`).join('');
+    }
+
+    // --- BUSY TIMES ---
+    // How busy a station usually is, from its charging history (see occupancy.js).
+    function getBusyTimes(station) {
+        return getOccupancyProfile(station, getConnectorCounts(station).total);
+    }
+
+    // Predicted chance that a connector of one of `types` is free at `time`, taking each to be in
+    // use as often as the station's connectors usually are in that hour. Null without enough history.
+    function predictAvailability(station, time, types = null) {
+        const busyTimes = getBusyTimes(station);
+        if (!busyTimes) return null;
+        const date = new Date(time);
+        const count = getConnectorCounts(station, types).total;
+        return count ? 1 - busyTimes[date.getDay()][date.getHours()] ** count : 0;
+    }
+
+    function renderPrediction(chance) {
+        if (chance === null) return '<span class="text-gray-500 dark:text-gray-400">No busy-time history yet</span>';
+        const [text, color] = chance >= LIKELY_FREE_CHANCE ? ['Likely free', 'var(--green)']
+            : chance >= MAYBE_FREE_CHANCE ? ['May be busy', 'var(--yellow)'] : ['Usually busy', 'var(--red)'];
+        return `<span style="color: ${color};">${text}</span> <span class="text-gray-500 dark:text-gray-400">(${Math.round(chance * 100)}% chance of a free connector)</span>`;
+    }
+
+    // "Popular times" of the station detail modal: the usual occupancy of each hour of `day`.
+    function renderBusyTimesChart(station, day) {
+        const busyTimes = getBusyTimes(station);
+        const ctx = document.getElementById('busy-times-chart')?.getContext('2d');
+        if (!busyTimes || !ctx) return;
+        const now = new Date();
+        busyTimesChart?.destroy();
+        busyTimesChart = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: [...Array(24)].map((_, hour) => String(hour).padStart(2, '0')),
+                datasets: [{
+                    label: 'Usually in use (%)',
+                    data: busyTimes[day].map(share => Math.round(share * 100)),
+                    backgroundColor: busyTimes[day].map((_, hour) => (day === now.getDay() && hour === now.getHours() ? '#4f46e5' : '#a5b4fc')),
+                }]
+            },
+            options: { scales: { y: { beginAtZero: true, max: 100 } }, plugins: { legend: { display: false } }, responsive: true, maintainAspectRatio: false }
+        });
+    }
+
+    // Recounts the busy times of the admin's stations from the last OCCUPANCY_REBUILD_WEEKS of
+    // bookings, for stations whose sessions were recorded before busy times were kept. Sessions
+    // that end while it runs may be left out.
+    async function rebuildBusyTimes() {
+        const managed = getManagedStations();
+        if (managed.length === 0) return;
+        if (!confirm(`Recount the busy times of ${managed.length} station(s) from the last ${OCCUPANCY_REBUILD_WEEKS} weeks of bookings?`)) return;
+        const since = Date.now() - OCCUPANCY_REBUILD_WEEKS * 7 * 24 * 3600000;
+        const where = [['createdAt', '>=', store.timestampFromMillis(since)]];
+        if (loggedInUser.role !== 'superadmin') where.unshift(['operatorId', '==', loggedInUser.operatorId]);
+        try {
+            const history = await store.bookings.find({ where });
+            const minutesByStation = Object.fromEntries(managed.map(station => [station.id, {}]));
+            history.forEach(booking => {
+                const minutes = minutesByStation[booking.stationId];
+                const { start, end } = getBookingTimes(booking);
+                if (!minutes || !start) return;
+                Object.entries(getOccupancyMinutes(Math.max(start.getTime(), since), end.getTime())).forEach(([key, value]) => {
+                    minutes[key] = Math.round(((minutes[key] || 0) + value) * 10) / 10;
+                });
+            });
+            for (let i = 0; i < managed.length; i += 500) { // Firestore's limit of 500 writes per batch
+                const batch = store.batch();
+                managed.slice(i, i + 500).forEach(station => batch.update(store.stations.ref(station.id), {
+                    occupancy: { since: store.timestampFromMillis(since), minutes: minutesByStation[station.id] },
+                }));
+                await batch.commit();
+            }
+            log.info(`Rebuilt busy times of ${managed.length} station(s) from ${history.length} booking(s).`);
+            showToast(`Busy times rebuilt from ${history.length} booking(s).`, 'success');
+        } catch (error) {
+            log.error('Error rebuilding busy times:', error);
+            showToast('Could not rebuild busy times.', 'error');
+        }
+    }
+
+    // --- CHARGING MODEL ---
+    // Shared by the booking estimate, the live session readout, settlement and the trip planner.
+    // A connector's power for a vehicle is getConnectorPower() in connectors.js.
+
+    function getPowerAtSoc(peakKw, soc) {
+        if (soc <= TAPER_START_SOC) return peakKw;
+        return peakKw * (1 - (1 - TAPER_END_FACTOR) * (soc - TAPER_START_SOC) / (100 - TAPER_START_SOC));
+    }
+
+    // Integrates the curve in small SoC steps into a list of { seconds, soc, kwh } points.
+    function buildChargeProfile({ battery, startSoc, targetSoc, peakKw }) {
+        const step = 0.5;
+        const points = [{ seconds: 0, soc: startSoc, kwh: 0 }];
+        let soc = startSoc, seconds = 0, kwh = 0;
+        while (soc < targetSoc && peakKw > 0) {
+            const delta = Math.min(step, targetSoc - soc);
+            const stepKwh = battery * delta / 100;
+            seconds += stepKwh / getPowerAtSoc(peakKw, soc + delta / 2) * 3600;
+            kwh += stepKwh;
+            soc += delta;
+            points.push({ seconds, soc, kwh });
+        }
+        return { points, totalSeconds: seconds, totalKwh: kwh };
+    }
+
+    // State after elapsedSeconds of charging; holds at the final point once the target is reached.
+    function sampleChargeProfile(profile, elapsedSeconds) {
+        const points = profile.points;
+        if (elapsedSeconds >= profile.totalSeconds) return points[points.length - 1];
+        const i = points.findIndex(p => p.seconds > elapsedSeconds);
+        if (i <= 0) return points[0];
+        const a = points[i - 1], b = points[i];
+        const f = (elapsedSeconds - a.seconds) / (b.seconds - a.seconds);
+        return { seconds: elapsedSeconds, soc: a.soc + (b.soc - a.soc) * f, kwh: a.kwh + (b.kwh - a.kwh) * f };
+    }
+
+    // Profile of an active session, charging until its target (or full, for sessions without one).
+    function getSessionProfile(session) {
+        const car = getVehicle(session.vehicle);
+        return buildChargeProfile({
+            battery: car.battery,
+            startSoc: session.startSoc ?? DEFAULT_START_SOC,
+            targetSoc: session.targetSoc ?? 100,
+            peakKw: session.powerKw || 25, // sessions started before the charging model was introduced ran at a flat 25kW
+        });
+    }
+
+    // When the car finishes charging, for idle fees. Simulated sessions finish when their target or
+    // budget stops them (see getAutoStop()) or else when their profile does; OCPP chargers report
+    // it, and until they do this is null.
+    function getChargingEndedAt(session, station) {
+        if (session.ocpp) return session.chargingEndedAt?.toMillis() || null;
+        return getAutoStop(session, station)?.at ?? session.startTime.toMillis() + getSessionProfile(session).totalSeconds * 1000;
+    }
+
+    // Energy a simulated session has delivered by time `t` (ms): nothing is added once it has finished charging.
+    function getSessionEnergyAt(session, station) {
+        const startTime = session.startTime.toMillis();
+        const profile = getSessionProfile(session);
+        const chargingEndedAt = getChargingEndedAt(session, station);
+        return t => sampleChargeProfile(profile, (Math.min(t, chargingEndedAt) - startTime) / 1000).kwh;
+    }
+
     // --- CHARGING SESSION & SIMULATION ---
-    async function startCharging(stationId) {
-        const stationRef = db.collection('stations').doc(stationId);
+    // With `redeemPoints`, the driver's points pay for what they can of the session when it is settled.
+    // The session stops by itself at `targetSoc`, or once `budgetKwh` or `budgetAmount` (₹) is used up.
+    async function startCharging(stationId, startSoc = DEFAULT_START_SOC, { redeemPoints = false, targetSoc = null, budgetKwh = null, budgetAmount = null } = {}) {
+        if (!requireOnline()) return;
+        const station = stations.find(s => s.id === stationId);
+        if (isOcppStation(station)) { await startRemoteCharging(station); return; }
+        const stationRef = store.stations.ref(stationId);
+        const car = getVehicle(userProfile.vehicle);
+        const heldReservation = reservations.find(r => r.stationId === stationId && r.status === 'held');
+        const userRef = store.users.ref(loggedInUser.uid);
         try {
-            await db.runTransaction(async (transaction) => {
+            const upcomingReservations = await findUpcomingReservations(stationId);
+            await store.runTransaction(async (transaction) => {
+                const userDoc = await transaction.get(userRef);
+                const balance = getWalletBalance(userDoc.data());
+                if (balance < WALLET_MIN_BALANCE) throw getLowBalanceError(balance);
                 const stationDoc = await transaction.get(stationRef);
                 if (!stationDoc.exists) throw "Station does not exist!";
                 const stationData = stationDoc.data();
-                if (stationData.slots.available <= 0) throw "No available slots!";
-                
-                transaction.update(stationRef, { "slots.available": stationData.slots.available - 1 });
-                
+                const connectors = getConnectors(stationData);
+
+                // A held reservation already owns a connector, so it is claimed instead of taking a free one.
+                let reservationRef = null;
+                let connectorId = null;
+                if (heldReservation) {
+                    const candidateRef = store.reservations.ref(heldReservation.id);
+                    const reservationDoc = await transaction.get(candidateRef);
+                    if (reservationDoc.exists && reservationDoc.data().status === 'held') {
+                        reservationRef = candidateRef;
+                        connectorId = reservationDoc.data().connectorId;
+                    }
+                }
+                // Likewise a queue offer already holds the freed connector for this user.
+                const queueOffer = (stationData.queueOffers || []).find(o => o.userId === loggedInUser.uid && o.expiresAt.toMillis() > Date.now());
+                if (!reservationRef && queueOffer) connectorId = queueOffer.connectorId;
+                let connector = connectorId ? connectors.find(c => c.id === connectorId) : null;
+                if (!reservationRef && !queueOffer) {
+                    connector = getWalkUpConnector(stationData, car, upcomingReservations);
+                    if (findWaitingDriver(stationData, connector.type)) throw "There is a queue for this station. Please join the queue.";
+                }
+                if (!connector) throw "The held connector no longer exists!";
+                const powerKw = getConnectorPower(connector.type, car, connector.ratedKw || connector.powerKw);
+                if (powerKw <= 0) throw "The held connector is not compatible with your vehicle!";
+
+                const sessionRef = store.activeSessions.ref();
+                // Starting takes the driver out of the queue, along with any offer they didn't use.
+                transaction.update(stationRef, {
+                    ...leaveQueueFields(stationData, loggedInUser.uid),
+                    ...getConnectorFields(setConnectorStatus(connectors, connector.id, 'occupied', { kind: 'session', userId: loggedInUser.uid, id: sessionRef.id })),
+                });
                 const sessionData = {
                     userId: loggedInUser.uid,
                     stationId: stationId,
-                    startTime: firebase.firestore.FieldValue.serverTimestamp(),
+                    startTime: store.fields.serverTimestamp(),
+                    vehicle: userProfile.vehicle,
+                    startSoc,
+                    targetSoc,
+                    budgetKwh,
+                    budgetAmount,
+                    connectorId: connector.id,
+                    connectorType: connector.type,
+                    powerKw,
+                    operatorId: stationData.operatorId || null,
+                    redeemPoints: redeemPoints ? getLoyaltyBalance(loyaltyConfig, userDoc.data()) : 0,
                 };
-                const sessionRef = db.collection('activeSessions').doc();
+                if (reservationRef) {
+                    sessionData.reservationId = reservationRef.id;
+                    transaction.update(reservationRef, { status: 'fulfilled', sessionId: sessionRef.id });
+                }
                 transaction.set(sessionRef, sessionData);
             });
             log.info(`User ${loggedInUser.username} started charging at station ID: ${stationId}.`);
@@ -938,93 +3022,1756 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    // When a simulated session will stop charging by itself, as { at, reason }: on reaching its
+    // target ('target') or using up its kWh ('kwh') or rupee ('amount') budget, whichever comes
+    // first. The car stays on the connector, and any idle fee runs, until the driver ends the session.
+    function getAutoStop(session, station) {
+        if (!session.startTime || session.ocpp) return null;
+        const startTime = session.startTime.toMillis();
+        const profile = getSessionProfile(session);
+        const kwhAt = t => sampleChargeProfile(profile, (t - startTime) / 1000).kwh;
+        const fullAt = startTime + profile.totalSeconds * 1000;
+        const stops = [];
+        if (session.targetSoc) stops.push({ at: fullAt, reason: 'target' });
+        if (session.budgetKwh && profile.totalKwh >= session.budgetKwh) {
+            const i = profile.points.findIndex(p => p.kwh >= session.budgetKwh);
+            const a = profile.points[Math.max(i - 1, 0)], b = profile.points[i];
+            const seconds = b.kwh > a.kwh ? a.seconds + (b.seconds - a.seconds) * (session.budgetKwh - a.kwh) / (b.kwh - a.kwh) : b.seconds;
+            stops.push({ at: startTime + Math.ceil(seconds * 1000), reason: 'kwh' });
+        }
+        // Only what is spent while charging counts: a budget can't stop a car that has already finished.
+        if (session.budgetAmount && station) {
+            const costAt = t => priceSession(station, startTime, t, kwhAt).total;
+            let low = startTime, high = Math.min(fullAt, ...stops.map(stop => stop.at));
+            if (costAt(high) >= session.budgetAmount) {
+                while (high - low > 1000) {
+                    const mid = Math.floor((low + high) / 2);
+                    if (costAt(mid) >= session.budgetAmount) high = mid; else low = mid;
+                }
+                stops.push({ at: high, reason: 'amount' });
+            }
+        }
+        return stops.sort((a, b) => a.at - b.at)[0] || null;
+    }
+
+    // Sets a timer for each of the driver's sessions that stops charging by itself, so the driver is
+    // told on whatever page they are. Sessions that stopped charging while the app was closed are
+    // told about straight away. The session itself goes on until the driver stops it.
+    function scheduleAutoStops() {
+        const ids = new Set(activeSessions.map(s => s.id));
+        autoStopTimers.forEach((entry, id) => {
+            if (ids.has(id) || !entry.timer) return;
+            clearTimeout(entry.timer);
+            autoStopTimers.delete(id);
+        });
+        activeSessions.forEach(session => {
+            const station = stations.find(s => s.id === session.stationId);
+            if (!station) return; // Scheduled once the station has loaded
+            const stop = getAutoStop(session, station);
+            const entry = autoStopTimers.get(session.id);
+            if (entry && (!entry.timer || entry.at === stop?.at)) return;
+            if (entry) clearTimeout(entry.timer);
+            if (!stop) { autoStopTimers.delete(session.id); return; }
+            autoStopTimers.set(session.id, { at: stop.at, timer: setTimeout(() => notifyChargingStopped(session, stop), Math.max(stop.at - Date.now(), 0)) });
+        });
+    }
+
+    function clearAutoStops() {
+        autoStopTimers.forEach(entry => clearTimeout(entry.timer));
+        autoStopTimers = new Map();
+    }
+
+    function notifyChargingStopped(session, stop) {
+        autoStopTimers.set(session.id, { at: stop.at, timer: null }); // Told; not to be scheduled again
+        const station = stations.find(s => s.id === session.stationId);
+        const where = station ? ` at ${station.name}` : '';
+        const { perMinute = 0, graceMinutes = 0 } = station?.tariff?.idleFee || {};
+        const unplug = perMinute ? ` Please unplug and stop the session: an idle fee of ₹${perMinute.toFixed(2)}/min starts ${graceMinutes} min after charging stopped.`
+            : ' Please unplug and stop the session so others can charge.';
+        notify({
+            type: 'session-target',
+            key: session.id,
+            stationId: session.stationId,
+            sessionId: session.id,
+            title: stop.reason === 'target' ? `Charged to ${session.targetSoc}%` : 'Charging budget reached',
+            body: (stop.reason === 'target' ? `Your car reached ${session.targetSoc}%${where}, so charging stopped.`
+                : stop.reason === 'kwh' ? `Your ${session.budgetKwh} kWh budget${where} is used up, so charging stopped.`
+                : `Your ₹${session.budgetAmount} budget${where} is used up, so charging stopped.`) + unplug,
+        });
+    }
+
     function startSessionTimer(session) {
         clearInterval(sessionInterval);
+        stopWatchingChargerSession();
         if (!session.startTime) return; 
         const startTime = session.startTime.toDate().getTime();
         const station = stations.find(s => s.id === session.stationId);
         if (!station) return;
+        if (session.ocpp) { watchChargerSession(session, station); return; }
+        const profile = getSessionProfile(session);
+        const stop = getAutoStop(session, station);
+        const chargingEndedAt = getChargingEndedAt(session, station);
+        const energyAt = getSessionEnergyAt(session, station);
 
         sessionInterval = setInterval(() => {
             const now = Date.now();
             const elapsedTime = Math.floor((now - startTime) / 1000);
-            const kwhConsumed = (elapsedTime / 3600) * 25; // Assume 25kW speed
-            const cost = kwhConsumed * (station.currentPrice || station.pricePerKwh);
+            const state = sampleChargeProfile(profile, (Math.min(now, chargingEndedAt) - startTime) / 1000);
+            const cost = priceSession(station, startTime, now, energyAt).total + getIdleFee(station, chargingEndedAt, now).idleFee;
 
             const timerEl = document.getElementById('session-timer');
             if (timerEl) {
-                document.getElementById('session-kwh').textContent = `${kwhConsumed.toFixed(2)} kWh`;
+                document.getElementById('session-kwh').textContent = `${state.kwh.toFixed(2)} kWh`;
                 document.getElementById('session-cost').textContent = `₹${cost.toFixed(2)}`;
                 timerEl.textContent = new Date(elapsedTime * 1000).toISOString().substr(11, 8);
+                renderSessionSoc(state.soc, chargingEndedAt - now, { stops: !!stop });
+                renderSessionIdle(station, chargingEndedAt, now);
             } else {
                 clearInterval(sessionInterval);
             }
         }, 1000);
     }
 
+    // `msLeft` is the time until the session stops charging by itself, or else until the battery is full; null if unknown.
+    function renderSessionSoc(soc, msLeft, { stops = true } = {}) {
+        document.getElementById('session-soc').textContent = `${Math.floor(soc)}%`;
+        document.getElementById('session-soc-bar').style.width = `${Math.min(soc, 100)}%`;
+        const minutesLeft = Math.ceil(msLeft / 60000);
+        document.getElementById('session-remaining').textContent = msLeft === null ? ''
+            : msLeft <= 0 ? (stops ? 'Charging stopped' : 'Fully charged')
+            : minutesLeft >= 60 ? `${Math.floor(minutesLeft / 60)} h ${minutesLeft % 60} min left` : `${minutesLeft} min left`;
+    }
+
+    // Shown once the car has finished charging but is still on the connector.
+    function renderSessionIdle(station, chargingEndedAt, now) {
+        const idle = chargingEndedAt !== null && now >= chargingEndedAt;
+        document.getElementById('session-idle').classList.toggle('hidden', !idle);
+        if (!idle) return;
+        const { perMinute = 0, graceMinutes = 0 } = station.tariff?.idleFee || {};
+        const { idleMinutes, idleFee } = getIdleFee(station, chargingEndedAt, now);
+        document.getElementById('session-idle-timer').textContent = new Date(now - chargingEndedAt).toISOString().substr(11, 8);
+        document.getElementById('session-idle-fee').textContent = !perMinute ? 'Please move your car so others can charge.'
+            : idleMinutes < graceMinutes ? `An idle fee of ₹${perMinute.toFixed(2)}/min starts in ${graceMinutes - idleMinutes} min.`
+            : `Idle fee so far: ₹${idleFee.toFixed(2)} at ₹${perMinute.toFixed(2)}/min.`;
+    }
+
     async function stopCharging(sessionId) {
+        const session = activeSessions.find(s => s.id === sessionId);
+        if (session?.ocpp) { await stopRemoteCharging(session); return; }
         clearInterval(sessionInterval);
-        const sessionRef = db.collection('activeSessions').doc(sessionId);
+        const endTime = Date.now();
+        if (!navigator.onLine) {
+            // Settled later with this end time, so the driver pays for the time they actually charged.
+            queueOfflineAction('stop-session', { sessionId, endTime });
+            activeSessions = activeSessions.filter(session => session.id !== sessionId);
+            saveOfflineCache({ activeSessions });
+            showToast("You're offline. The session is stopped and will be billed once you reconnect.");
+            showUserPage('my-sessions');
+            return;
+        }
         try {
-            const sessionDoc = await sessionRef.get();
-            if (!sessionDoc.exists) throw "Session not found!";
-            const session = sessionDoc.data();
-            
-            const stationRef = db.collection('stations').doc(session.stationId);
-            const userRef = db.collection('users').doc(loggedInUser.uid);
-
-            const startTime = session.startTime.toDate().getTime();
-            const duration = Math.floor((Date.now() - startTime) / 1000);
-            const kwhConsumed = (duration / 3600) * 25;
-            const stationData = stations.find(s => s.id === session.stationId);
-            const cost = kwhConsumed * (stationData.currentPrice || stationData.pricePerKwh);
-
-            await db.runTransaction(async (transaction) => {
-                transaction.delete(sessionRef);
-                transaction.update(stationRef, { "slots.available": firebase.firestore.FieldValue.increment(1) });
-                transaction.update(userRef, { "profile.loyaltyPoints": firebase.firestore.FieldValue.increment(10) });
-                
-                const bookingRef = db.collection('bookings').doc();
-                transaction.set(bookingRef, {
-                    userId: session.userId,
-                    stationId: session.stationId,
-                    createdAt: firebase.firestore.FieldValue.serverTimestamp(),
-                    duration,
-                    cost,
-                    kwhConsumed
-                });
-            });
-
+            const booking = await settleSession(sessionId, endTime);
             log.info(`User ${loggedInUser.username} stopped charging session.`);
-            userProfile.loyaltyPoints += 10;
             await fetchUserData();
-            showToast(`Charging complete! You earned 10 loyalty points.`, 'success');
+            showToast(getSessionCompleteMessage(booking), 'success');
             showUserPage('my-sessions');
         } catch (error) {
             log.error("Error stopping charging session:", error);
             showToast("Failed to stop session.", "error");
         }
     }
-    
-    // --- ANALYTICS ---
-    function renderAnalyticsCharts() {
-        log.info('Rendering admin analytics charts.');
-        Object.values(charts).forEach(chart => chart.destroy());
 
-        const sessionHistoryCtx = document.getElementById('station-usage-chart')?.getContext('2d');
-        if (sessionHistoryCtx) {
-            const stationUsage = bookings.reduce((acc, booking) => {
-                const stationName = stations.find(s => s.id === booking.stationId)?.name || 'Unknown';
-                acc[stationName] = (acc[stationName] || 0) + 1;
-                return acc;
-            }, {});
+    // Ends a session at endTime: frees its connector, writes the booking, spends the points the
+    // driver chose to redeem, debits the wallet, adds the session to the station's busy times and
+    // awards loyalty points. The booking's `stopReason` is why charging stopped: 'driver', or the
+    // target or budget that stopped it before the driver ended the session (see getAutoStop()).
+    // Returns the booking.
+    async function settleSession(sessionId, endTime) {
+        const sessionRef = store.activeSessions.ref(sessionId);
+        const session = await store.activeSessions.get(sessionId);
+        if (!session) throw "Session not found!";
+
+        const stationRef = store.stations.ref(session.stationId);
+        const userRef = store.users.ref(session.userId);
+        const counterRef = getInvoiceCounterRef(new Date(endTime));
+
+        // Read rather than taken from `stations`, which only holds the stations loaded for the map: a
+        // stop queued offline is replayed on the next sign-in, before they have loaded again.
+        const stationData = await store.stations.get(session.stationId);
+        if (!stationData) throw "Station not found!";
+        const startTime = session.startTime.toDate().getTime();
+        const duration = Math.floor((endTime - startTime) / 1000);
+        const autoStop = getAutoStop(session, stationData);
+        const stopReason = autoStop && autoStop.at <= endTime ? autoStop.reason : 'driver';
+        const chargingEndedAt = getChargingEndedAt(session, stationData);
+        const finalState = sampleChargeProfile(getSessionProfile(session), (Math.min(endTime, chargingEndedAt) - startTime) / 1000);
+        const kwhConsumed = finalState.kwh;
+        const pricing = priceSession(stationData, startTime, endTime, getSessionEnergyAt(session, stationData));
+        const idle = getIdleFee(stationData, chargingEndedAt, endTime);
+        const promotions = await store.loyaltyPromotions.find({ where: [['active', '==', true]] });
+        const promotion = getLoyaltyPromotion(promotions, stationData, getTariffBand(stationData, new Date(startTime)).name, startTime);
+
+        return store.runTransaction(async (transaction) => {
+            // Re-read so a session settled meanwhile (e.g. from another tab) isn't billed twice.
+            const sessionDoc = await transaction.get(sessionRef);
+            if (!sessionDoc.exists) throw "Session already ended!";
+            const stationDoc = await transaction.get(stationRef);
+            const counterDoc = await transaction.get(counterRef);
+            const userDoc = await transaction.get(userRef);
+            const loyaltyDoc = await transaction.get(store.meta.ref(LOYALTY_CONFIG_ID));
+            const invoiceNumber = claimInvoiceNumber(transaction, counterRef, counterDoc, new Date(endTime));
+            const station = stationDoc.exists ? stationDoc.data() : stationData;
+            transaction.delete(sessionRef);
+            if (stationDoc.exists) {
+                releaseConnectors(store, transaction, stationRef, stationDoc.data(), [session.connectorId]);
+                transaction.update(stationRef, getOccupancyUpdate(store, stationDoc.data(), startTime, endTime, sessionId));
+            }
+            
+            const config = getLoyaltyConfig(loyaltyDoc.exists ? loyaltyDoc.data() : null);
+            const loyalty = getSessionLoyalty(config, userDoc.data(), promotion, { cost: pricing.total, kwh: kwhConsumed, redeemPoints: session.redeemPoints || 0, now: endTime });
+            // Idle fees are a penalty: points neither pay for them nor are earned on them.
+            const cost = loyalty.cost + idle.idleFee;
+            const bookingRef = store.bookings.ref();
+            const booking = {
+                userId: session.userId,
+                stationId: session.stationId,
+                sessionId,
+                createdAt: store.fields.serverTimestamp(),
+                startTime: store.timestampFromMillis(startTime),
+                endTime: store.timestampFromMillis(endTime),
+                invoiceNumber,
+                // Station details are copied so the invoice doesn't change if the station is edited later.
+                stationName: station?.name || null,
+                stationCity: station?.city || null,
+                stationMobile: station?.mobile || null,
+                stationGstin: station?.gstin || null,
+                operatorId: station?.operatorId || null,
+                tax: getTaxBreakdown(cost),
+                duration,
+                cost,
+                kwhConsumed,
+                vehicle: session.vehicle || null,
+                connectorType: session.connectorType || null,
+                connectorId: session.connectorId || null,
+                startSoc: session.startSoc ?? null,
+                endSoc: session.startSoc !== undefined ? finalState.soc : null,
+                targetSoc: session.targetSoc ?? null,
+                stopReason,
+                tariffBreakdown: pricing.segments,
+                energyCost: pricing.energyCost,
+                timeFee: pricing.timeFee,
+                sessionFee: pricing.sessionFee,
+                idleMinutes: idle.idleMinutes,
+                idleBilledMinutes: idle.billedMinutes,
+                idleFee: idle.idleFee,
+                loyaltyDiscount: loyalty.loyaltyDiscount,
+                pointsRedeemed: loyalty.pointsRedeemed,
+                pointsEarned: loyalty.pointsEarned,
+                loyaltyTier: loyalty.loyaltyTier,
+                promotionId: loyalty.promotionId,
+            };
+            transaction.set(bookingRef, booking);
+            chargeSession(store, transaction, userRef, userDoc.data(), bookingRef.id, booking);
+            updateLoyalty(store, transaction, userRef, userDoc.data(), config, {
+                now: endTime, bookingId: bookingRef.id, earned: loyalty.pointsEarned, redeemed: loyalty.pointsRedeemed, promotion,
+            });
+            return { id: bookingRef.id, ...booking };
+        });
+    }
+    
+    // --- OCPP CHARGERS ---
+    // Stations with a `chargePointId` whose charger has connected to the central system (server/ocpp)
+    // are run by the charger: it reports connector status, starts and stops sessions, and the central
+    // system bills them. The app can't reach a charger itself, so it asks through ocppCommands.
+    function isOcppStation(station) {
+        return !!(station?.chargePointId && station.ocppStatus);
+    }
+
+    async function sendChargerCommand(station, action, { payload = {}, sessionId = null } = {}) {
+        const commandId = await store.ocppCommands.add({
+            stationId: station.id,
+            operatorId: station.operatorId || null,
+            action,
+            payload,
+            sessionId,
+            requestedBy: loggedInUser.uid,
+            status: 'pending',
+            createdAt: store.fields.serverTimestamp(),
+        });
+        log.info(`Sent ${action} for charger ${station.chargePointId}.`);
+        return waitForChargerCommand(commandId);
+    }
+
+    // Resolves with the command once the central system has recorded the charger's answer.
+    function waitForChargerCommand(commandId) {
+        return new Promise(resolve => {
+            let unsubscribe = null;
+            const finish = command => {
+                clearTimeout(timer);
+                if (unsubscribe) unsubscribe();
+                resolve(command);
+            };
+            const timer = setTimeout(() => finish({ status: 'failed', error: 'The charging network did not respond.' }), CHARGER_COMMAND_TIMEOUT_MS);
+            unsubscribe = store.ocppCommands.subscribeDoc(commandId, command => {
+                if (command && command.status !== 'pending') finish(command);
+            }, error => finish({ status: 'failed', error: error.message }));
+        });
+    }
+
+    function getCommandError(command) {
+        return command.status === 'rejected' ? 'The charger rejected the request.' : command.error || 'The request failed.';
+    }
+
+    // Resolves once the charger has reported the driver's session to the central system.
+    function waitForChargerSession(stationId) {
+        return new Promise((resolve, reject) => {
+            let unsubscribe = null;
+            const timer = setTimeout(() => {
+                if (unsubscribe) unsubscribe();
+                reject("The charger didn't start charging. Check that your vehicle is plugged in.");
+            }, CHARGER_START_TIMEOUT_MS);
+            unsubscribe = store.activeSessions.subscribe({ where: [['userId', '==', loggedInUser.uid]] }, sessions => {
+                if (!sessions.some(session => session.stationId === stationId)) return;
+                clearTimeout(timer);
+                if (unsubscribe) unsubscribe();
+                resolve();
+            }, error => {
+                clearTimeout(timer);
+                reject(error);
+            });
+        });
+    }
+
+    // The same connector choice as startCharging(): a held reservation or queue offer, else the best free connector.
+    async function startRemoteCharging(station) {
+        try {
+            // The central system checks the balance again when the charger asks to authorize the driver.
+            if (wallet.balance < WALLET_MIN_BALANCE) throw getLowBalanceError(wallet.balance);
+            if (!station.ocppStatus.connected) throw "The charger is offline.";
+            const held = reservations.find(r => r.stationId === station.id && r.status === 'held');
+            const offer = (station.queueOffers || []).find(o => o.userId === loggedInUser.uid && o.expiresAt.toMillis() > Date.now());
+            const connector = held || offer
+                ? getConnectors(station).find(c => c.id === (held || offer).connectorId)
+                : getWalkUpConnector(station, getVehicle(userProfile.vehicle), await findUpcomingReservations(station.id));
+            if (!connector) throw "The held connector no longer exists!";
+            if (!held && !offer && findWaitingDriver(station, connector.type)) throw "There is a queue for this station. Please join the queue.";
+
+            showToast('Starting the charger...');
+            const command = await sendChargerCommand(station, 'RemoteStartTransaction', {
+                payload: { connectorId: getOcppConnectorId(station, connector.id), idTag: userProfile.idTag },
+            });
+            if (command.status !== 'accepted') throw getCommandError(command);
+            showToast('The charger is ready. Plug in your vehicle to start charging.');
+            await waitForChargerSession(station.id);
+            log.info(`User ${loggedInUser.username} started charging at OCPP station ID: ${station.id}.`);
+            await fetchUserData();
+            showToast('Charging session started!', 'success');
+            showUserPage('my-sessions');
+        } catch (error) {
+            log.error("Remote start failed: ", error);
+            showToast("Could not start charging session. " + error, "error");
+        }
+    }
+
+    // The charger ends the session and the central system bills it; watchChargerSession() picks up the result.
+    async function stopRemoteCharging(session) {
+        if (!requireOnline()) return;
+        const station = stations.find(s => s.id === session.stationId);
+        try {
+            if (!station?.ocppStatus?.connected) throw "The charger is offline.";
+            const command = await sendChargerCommand(station, 'RemoteStopTransaction', { sessionId: session.id });
+            if (command.status !== 'accepted') throw getCommandError(command);
+            showToast('Stopping the charger...');
+        } catch (error) {
+            log.error("Remote stop failed:", error);
+            showToast("Failed to stop session. " + error, "error");
+        }
+    }
+
+    // Sessions on OCPP chargers show the charger's meter readings instead of the charging model.
+    function watchChargerSession(session, station) {
+        const startTime = session.startTime.toMillis();
+        let current = session;
+        const render = () => {
+            const timerEl = document.getElementById('session-timer');
+            if (!timerEl) { stopWatchingChargerSession(); return; }
+            const now = Date.now();
+            const { meterStart, meterSamples = [], lastSample } = current.ocpp;
+            const readings = [...meterSamples, ...(lastSample ? [lastSample] : [])].filter(s => s.wh !== undefined).sort((a, b) => a.at - b.at);
+            const points = [{ at: startTime, kwh: 0 }, ...readings.map(s => ({ at: s.at, kwh: Math.max(s.wh - meterStart, 0) / 1000 }))];
+            const chargingEndedAt = getChargingEndedAt(current);
+            const cost = priceSession(station, startTime, now, getMeteredEnergyAt(points)).total + getIdleFee(station, chargingEndedAt, now).idleFee;
+            document.getElementById('session-kwh').textContent = `${(current.kwh || 0).toFixed(2)} kWh`;
+            document.getElementById('session-cost').textContent = `₹${cost.toFixed(2)}`;
+            timerEl.textContent = new Date(Math.max(now - startTime, 0)).toISOString().substr(11, 8);
+            if (current.soc !== undefined) renderSessionSoc(current.soc, null);
+            renderSessionIdle(station, chargingEndedAt, now);
+        };
+        sessionInterval = setInterval(render, 1000);
+        sessionUnsubscribe = store.activeSessions.subscribeDoc(session.id, async (latest) => {
+            if (latest) { current = latest; return; }
+            // Settled by the central system, whether stopped from the app or at the charger.
+            stopWatchingChargerSession();
+            const [booking] = await store.bookings.find({ where: [['userId', '==', loggedInUser.uid], ['ocppTransactionId', '==', session.ocpp.transactionId]], limit: 1 });
+            await fetchUserData();
+            showToast(getSessionCompleteMessage(booking), 'success');
+            if (document.querySelector('.nav-link.active')?.dataset.page === 'my-sessions') showUserPage('my-sessions');
+        }, error => log.error('Error listening to the charging session:', error));
+    }
+
+    function stopWatchingChargerSession() {
+        clearInterval(sessionInterval);
+        if (sessionUnsubscribe) sessionUnsubscribe();
+        sessionUnsubscribe = null;
+    }
+
+    // Admin view of a station's charger: connection, connector states, sessions and remote commands.
+    async function openChargerModal(stationId) {
+        const station = stations.find(s => s.id === stationId);
+        const modal = document.getElementById('charger-modal');
+        if (!station) { modal.classList.add('hidden'); return; }
+        modal.dataset.stationId = stationId;
+        const status = station.ocppStatus || {};
+        let sessions = [];
+        let commands = [];
+        try {
+            // Filtering on operatorId keeps the queries within what firestore.rules lets operator-admins read.
+            const scope = [['stationId', '==', stationId], ['operatorId', '==', station.operatorId || null]];
+            [sessions, commands] = await Promise.all([store.activeSessions.find({ where: scope }), store.ocppCommands.find({ where: scope })]);
+            commands = commands.sort((a, b) => (b.createdAt?.toMillis() || 0) - (a.createdAt?.toMillis() || 0)).slice(0, 5);
+        } catch (error) {
+            log.error('Error loading charger sessions and commands:', error);
+        }
+
+        const connectorRows = getConnectors(station).map((c, i) => {
+            const reported = status.connectors?.[i + 1];
+            const session = sessions.find(s => s.connectorId === c.id && s.ocpp);
+            return `
+                <tr class="border-b border-gray-700">
+                    <td class="p-2">${i + 1}</td>
+                    <td class="p-2">${c.type} ${c.powerKw} kW</td>
+                    <td class="p-2 capitalize">${c.status}</td>
+                    <td class="p-2">${reported ? `${reported.status}${reported.errorCode !== 'NoError' ? ` <span class="text-xs text-yellow-400">(${reported.errorCode})</span>` : ''}` : '<span class="text-gray-500">Not reported</span>'}</td>
+                    <td class="p-2 text-right">${session ? `<button class="charger-command-btn bg-red-600 hover:bg-red-700 text-white px-3 py-1 rounded-md text-sm" data-action="RemoteStopTransaction" data-session="${session.id}">Stop (${(session.kwh || 0).toFixed(1)} kWh)</button>` : ''}</td>
+                </tr>`;
+        }).join('');
+        const commandRows = commands.map(c => `
+            <li class="flex justify-between text-sm py-1">
+                <span>${c.action}${c.payload?.type ? ` (${c.payload.type})` : ''} <span class="text-xs text-gray-400">${c.createdAt ? c.createdAt.toDate().toLocaleString('en-IN', { dateStyle: 'short', timeStyle: 'short' }) : ''}</span></span>
+                <span class="${c.status === 'accepted' ? 'text-green-400' : c.status === 'pending' ? 'text-gray-400' : 'text-red-400'}" title="${c.error || ''}">${c.status}</span>
+            </li>`).join('');
+
+        modal.innerHTML = `
+            <div class="bg-gray-800 p-6 rounded-lg shadow-xl w-full max-w-2xl relative text-white max-h-[90vh] flex flex-col">
+                <button class="close-modal-btn absolute top-3 right-4 text-2xl">&times;</button>
+                <h3 class="text-2xl font-bold mb-1">Charger</h3>
+                <p class="text-gray-400 mb-4">${station.name} | Charge point <span class="font-mono">${station.chargePointId}</span>
+                    <span class="ml-2 px-2 py-1 text-xs font-semibold rounded-full ${status.connected ? 'bg-green-500 text-white' : 'bg-gray-600 text-gray-200'}">${status.connected ? 'Online' : 'Offline'}</span></p>
+                <div class="flex-grow overflow-y-auto pr-2">
+                    <p class="text-sm text-gray-400 mb-4">${status.vendor ? `${status.vendor} ${status.model}${status.firmwareVersion ? `, firmware ${status.firmwareVersion}` : ''}` : 'This charger has not connected yet.'}${status.lastSeen ? ` | Last seen ${status.lastSeen.toDate().toLocaleString('en-IN', { dateStyle: 'short', timeStyle: 'short' })}` : ''}</p>
+                    <table class="w-full text-left text-sm mb-6">
+                        <thead><tr class="bg-gray-700"><th class="p-2">#</th><th class="p-2">Connector</th><th class="p-2">Status</th><th class="p-2">Charger Reports</th><th class="p-2"></th></tr></thead>
+                        <tbody>${connectorRows}</tbody>
+                    </table>
+                    <form id="remote-start-form" class="grid grid-cols-3 gap-2 items-end mb-6">
+                        <div><label class="text-sm">Connector</label><select id="remote-start-connector" class="w-full bg-gray-700 p-2 rounded">${getConnectors(station).map((c, i) => `<option value="${i + 1}" ${c.status !== 'available' ? 'disabled' : ''}>${i + 1}: ${c.type}</option>`).join('')}</select></div>
+                        <div><label class="text-sm">Driver email or charging ID</label><input type="text" id="remote-start-driver" class="w-full bg-gray-700 p-2 rounded" required></div>
+                        <button type="submit" class="bg-green-600 hover:bg-green-700 text-white py-2 rounded-lg" ${status.connected ? '' : 'disabled'}>Remote Start</button>
+                    </form>
+                    <div class="flex gap-2 mb-6">
+                        <button class="charger-command-btn bg-gray-600 hover:bg-gray-500 text-white px-4 py-2 rounded-lg" data-action="Reset" data-type="Soft" ${status.connected ? '' : 'disabled'}>Soft Reset</button>
+                        <button class="charger-command-btn bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg" data-action="Reset" data-type="Hard" ${status.connected ? '' : 'disabled'}>Hard Reset</button>
+                    </div>
+                    <h4 class="font-semibold mb-2">Recent Commands</h4>
+                    ${commandRows ? `<ul class="divide-y divide-gray-700">${commandRows}</ul>` : '<p class="text-gray-400">No commands sent yet.</p>'}
+                </div>
+            </div>`;
+        modal.classList.remove('hidden');
+    }
+
+    // Admins can start a session for a driver by email or by the charging ID on their profile.
+    async function resolveIdTag(value) {
+        if (!value.includes('@')) return value;
+        const [user] = await store.users.find({ where: [['email', '==', value]], limit: 1 });
+        if (!user) throw "No user with that email.";
+        return user.profile?.idTag || getChargingIdTag(user.id);
+    }
+
+    async function runChargerCommand(stationId, action, options) {
+        const station = stations.find(s => s.id === stationId);
+        try {
+            showToast(`Sending ${action} to the charger...`);
+            const command = await sendChargerCommand(station, action, options);
+            if (command.status !== 'accepted') throw getCommandError(command);
+            showToast(`The charger accepted ${action}.`, 'success');
+        } catch (error) {
+            log.error(`Charger command ${action} failed:`, error);
+            showToast(`${action} failed. ${error}`, 'error');
+        }
+        if (!document.getElementById('charger-modal').classList.contains('hidden')) openChargerModal(stationId);
+    }
+
+    // --- RESERVATIONS ---
+    function getReservationOverlaps(stationReservations, start, end) {
+        return stationReservations.filter(r => ['booked', 'held'].includes(r.status) && r.startTime.toMillis() < end && r.endTime.toMillis() > start);
+    }
+
+    // Other drivers' reservations at a station that start within RESERVATION_HOLD_AHEAD_MINUTES:
+    // starting without a reservation mustn't take the connectors they need.
+    async function findUpcomingReservations(stationId) {
+        const horizon = Date.now() + RESERVATION_HOLD_AHEAD_MINUTES * 60000;
+        const booked = await store.reservations.find({ where: [['stationId', '==', stationId], ['status', '==', 'booked']] });
+        return booked.filter(r => r.userId !== loggedInUser.uid && r.startTime.toMillis() <= horizon);
+    }
+
+    // The best free connector for a driver without a reservation or queue offer, or an error saying why there is none.
+    function getWalkUpConnector(station, car, upcomingReservations) {
+        const connector = getBestConnector(station, car, { availableOnly: true, reservations: upcomingReservations });
+        if (connector) return connector;
+        throw getBestConnector(station, car, { availableOnly: true }) ? "The free connectors are reserved for drivers arriving soon." : "No compatible connector available!";
+    }
+
+    async function createReservation(stationId, startDate, durationMinutes) {
+        if (!requireOnline()) return;
+        const start = startDate.getTime();
+        const end = start + durationMinutes * 60000;
+        const stationRef = store.stations.ref(stationId);
+        try {
+            if (isNaN(start) || start <= Date.now()) throw "Please choose a time in the future.";
+            await store.runTransaction(async (transaction) => {
+                const stationDoc = await transaction.get(stationRef);
+                if (!stationDoc.exists) throw "Station does not exist!";
+                const stationData = stationDoc.data();
+                if (stationData.status !== 'Operational') throw "Station is under maintenance.";
+
+                // Bumping reservationsVersion makes concurrent bookings for this station retry and re-check overlaps.
+                const activeReservations = await store.reservations.find({ where: [['stationId', '==', stationId], ['status', 'in', ['booked', 'held']]] });
+                const overlaps = getReservationOverlaps(activeReservations, start, end);
+                if (overlaps.some(r => r.userId === loggedInUser.uid)) throw "You already have a reservation here at that time.";
+                // Only connectors this vehicle can use, and reservations competing for them, count.
+                const types = getVehicle(userProfile.vehicle).compatible;
+                const capacity = getConnectorCounts(stationData, types).total;
+                if (capacity === 0) throw "No connector compatible with your vehicle!";
+                const competing = overlaps.filter(r => getVehicle(r.vehicle).compatible.some(type => types.includes(type)));
+                if (competing.length >= capacity) throw "All compatible connectors are reserved for that time.";
+
+                transaction.update(stationRef, { reservationsVersion: store.fields.increment(1) });
+                transaction.set(store.reservations.ref(), {
+                    userId: loggedInUser.uid,
+                    stationId,
+                    startTime: store.timestampFromMillis(start),
+                    endTime: store.timestampFromMillis(end),
+                    vehicle: userProfile.vehicle,
+                    status: 'booked',
+                    createdAt: store.fields.serverTimestamp(),
+                });
+            });
+            log.info(`User ${loggedInUser.username} reserved station ID: ${stationId}.`, { start: startDate.toISOString(), durationMinutes });
+            await fetchUserData();
+            showToast('Reservation confirmed!', 'success');
+            showUserPage('my-sessions');
+        } catch (error) {
+            log.error("Reservation failed: ", error);
+            showToast("Could not reserve slot. " + error, "error");
+        }
+    }
+
+    async function cancelReservation(reservationId) {
+        if (!requireOnline()) return;
+        const reservationRef = store.reservations.ref(reservationId);
+        try {
+            await store.runTransaction(async (transaction) => {
+                const reservationDoc = await transaction.get(reservationRef);
+                if (!reservationDoc.exists) throw "Reservation not found!";
+                const reservation = reservationDoc.data();
+                if (!['booked', 'held'].includes(reservation.status)) throw "Reservation is no longer active.";
+                const stationRef = store.stations.ref(reservation.stationId);
+                const stationDoc = await transaction.get(stationRef);
+                if (reservation.status === 'held' && stationDoc.exists) {
+                    releaseConnectors(store, transaction, stationRef, stationDoc.data(), [reservation.connectorId]);
+                }
+                transaction.update(reservationRef, { status: 'cancelled', cancelledAt: store.fields.serverTimestamp() });
+            });
+            log.info(`User ${loggedInUser.username} cancelled reservation ID: ${reservationId}.`);
+            await fetchUserData();
+            showToast('Reservation cancelled.');
+            showUserPage('my-sessions');
+        } catch (error) {
+            log.error("Error cancelling reservation:", error);
+            showToast("Could not cancel reservation. " + error, "error");
+        }
+    }
+
+    // Drivers sweep their own reservations and admins the ones at stations they manage, so each
+    // reservation is only read by the few clients that care about it. The transactions make it
+    // safe for the driver and an admin to process the same reservation.
+    async function findSweepableReservations() {
+        const active = ['status', 'in', ['booked', 'held']];
+        if (loggedInUser.role === 'superadmin') return store.reservations.find({ where: [active] });
+        if (loggedInUser.role !== 'admin') return store.reservations.find({ where: [['userId', '==', loggedInUser.uid], active] });
+        // 15 stations to a query: Firestore allows 30 combinations of 'in' values per query.
+        const ids = getManagedStations().map(s => s.id);
+        const chunks = [];
+        for (let i = 0; i < ids.length; i += 15) chunks.push(ids.slice(i, i + 15));
+        const results = await Promise.all(chunks.map(chunk => store.reservations.find({ where: [['stationId', 'in', chunk], active] })));
+        return results.flat();
+    }
+
+    async function processReservations() {
+        if (!loggedInUser) return;
+        const now = Date.now();
+        try {
+            const activeReservations = await findSweepableReservations();
+            const due = activeReservations.filter(r => r.startTime.toMillis() <= now);
+            let ownReservationChanged = false;
+            for (const reservation of due) {
+                const changed = await advanceReservation(store, store.reservations.ref(reservation.id), now);
+                if (changed) {
+                    log.info(`Reservation ${reservation.id} advanced by sweeper.`);
+                    if (reservation.userId === loggedInUser?.uid) ownReservationChanged = true;
+                }
+            }
+            if (ownReservationChanged) {
+                await fetchUserData();
+                const activePage = document.querySelector('.nav-link.active')?.dataset.page;
+                if (activePage === 'my-sessions') showUserPage('my-sessions');
+            }
+        } catch (error) {
+            log.error('Error processing reservations:', error);
+        }
+    }
+
+    function startSweeper() {
+        clearInterval(sweepInterval);
+        const sweep = async () => {
+            await processReservations();
+            await processQueueOffers();
+            refreshStationPrices();
+        };
+        sweep();
+        sweepInterval = setInterval(sweep, SWEEP_INTERVAL_MS);
+    }
+
+    // --- WALLET ---
+    function getLowBalanceError(balance) {
+        return `Your wallet balance is ₹${balance.toFixed(2)}, and at least ₹${WALLET_MIN_BALANCE} is needed to start charging. Please top up your wallet.`;
+    }
+
+    function formatWalletAmount(amount) {
+        return `${amount < 0 ? '-' : '+'}₹${Math.abs(amount).toFixed(2)}`;
+    }
+
+    // The gateway takes the payment first and the wallet is credited once it has gone through. The
+    // payment id is the ledger entry's id, so a payment can't be credited twice.
+    async function topUpWallet(amount) {
+        const payment = await paymentGateway.charge({ userId: loggedInUser.uid, amount });
+        const userRef = store.users.ref(loggedInUser.uid);
+        try {
+            await store.runTransaction(async (transaction) => {
+                const userDoc = await transaction.get(userRef);
+                addWalletTransaction(store, transaction, userRef, userDoc.data(), {
+                    type: 'topup',
+                    amount,
+                    paymentId: payment.paymentId,
+                    gateway: paymentGateway.name,
+                    createdBy: loggedInUser.uid,
+                }, payment.paymentId);
+            });
+        } catch (error) {
+            log.error(`Top-up payment ${payment.paymentId} went through but the wallet wasn't credited:`, error);
+            throw `Your payment went through but your wallet couldn't be updated. Please contact support with payment ID ${payment.paymentId}.`;
+        }
+        log.info(`User ${loggedInUser.username} topped up ₹${amount} (payment ${payment.paymentId}).`);
+    }
+
+    // Refunds part or all of a session's cost to the driver's wallet. However many refunds a
+    // session gets, they can't add up to more than it cost.
+    async function refundBooking(bookingId, amount, reason) {
+        const bookingRef = store.bookings.ref(bookingId);
+        await store.runTransaction(async (transaction) => {
+            const bookingDoc = await transaction.get(bookingRef);
+            if (!bookingDoc.exists) throw "Session not found!";
+            const booking = bookingDoc.data();
+            const refundable = roundCurrency((booking.cost || 0) - (booking.refundedAmount || 0));
+            if (amount > refundable) throw `Only ₹${refundable.toFixed(2)} of this session is left to refund.`;
+            if (booking.ocpiToken) throw "This session was billed by a roaming partner, who handles its refunds.";
+            const userRef = store.users.ref(booking.userId);
+            const userDoc = await transaction.get(userRef);
+            if (!userDoc.exists) throw "The driver's account no longer exists.";
+            const refundId = store.walletTransactions.ref().id;
+            transaction.update(bookingRef, { refundedAmount: roundCurrency((booking.refundedAmount || 0) + amount), lastRefundId: refundId });
+            addWalletTransaction(store, transaction, userRef, userDoc.data(), {
+                type: 'refund',
+                amount,
+                bookingId,
+                operatorId: booking.operatorId || null,
+                reason,
+                createdBy: loggedInUser.uid,
+            }, refundId);
+        });
+        log.info(`Admin ${loggedInUser.username} refunded ₹${amount} of booking ${bookingId}: ${reason}`);
+    }
+
+    // Corrections by a super-admin, in either direction.
+    async function adjustWallet(userId, amount, reason) {
+        const userRef = store.users.ref(userId);
+        await store.runTransaction(async (transaction) => {
+            const userDoc = await transaction.get(userRef);
+            if (!userDoc.exists) throw "User not found!";
+            addWalletTransaction(store, transaction, userRef, userDoc.data(), { type: 'adjustment', amount, reason, createdBy: loggedInUser.uid });
+        });
+        log.info(`Admin ${loggedInUser.username} adjusted the wallet of ${userId} by ₹${amount}: ${reason}`);
+    }
+
+    async function loadWalletLedger(userId, more = false) {
+        const last = more ? walletLedger.items[walletLedger.items.length - 1] : null;
+        try {
+            const page = await store.walletTransactions.find({
+                where: [['userId', '==', userId]],
+                orderBy: ['createdAt', 'desc'],
+                limit: WALLET_PAGE_SIZE + 1,
+                ...(last ? { startAfterId: last.id } : {}),
+            });
+            walletLedger = { userId, items: [...(more ? walletLedger.items : []), ...page.slice(0, WALLET_PAGE_SIZE)], hasMore: page.length > WALLET_PAGE_SIZE };
+        } catch (error) {
+            log.error('Error loading wallet transactions:', error);
+            showToast('Could not load wallet transactions.', 'error');
+        }
+        renderWalletLedger();
+    }
+
+    // Shared by the driver's wallet page and the super-admin's wallet lookup.
+    function renderWalletLedger() {
+        const list = document.getElementById('wallet-ledger');
+        if (!list) return;
+        list.innerHTML = walletLedger.items.length === 0 ? '<p class="text-gray-500 dark:text-gray-400">No transactions yet.</p>' : walletLedger.items.map(entry => {
+            const type = WALLET_TRANSACTION_TYPES[entry.type] || WALLET_TRANSACTION_TYPES.adjustment;
+            const detail = entry.type === 'topup' ? `Paid through ${entry.gateway} | ${entry.paymentId}` : entry.reason || '';
+            const date = entry.createdAt ? entry.createdAt.toDate().toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' }) : '';
+            return `
+                <div class="flex justify-between items-center py-3">
+                    <div class="flex items-center gap-3">
+                        <i class="fas ${type.icon} text-xl w-6 text-center"></i>
+                        <div>
+                            <p class="font-semibold">${type.label}</p>
+                            <p class="text-xs text-gray-500 dark:text-gray-400">${date}${detail ? ` | ${detail}` : ''}</p>
+                        </div>
+                    </div>
+                    <div class="text-right">
+                        <p class="font-mono font-semibold ${entry.amount < 0 ? 'text-red-500' : 'text-green-500'}">${formatWalletAmount(entry.amount)}</p>
+                        <p class="text-xs text-gray-500 dark:text-gray-400">Balance ₹${entry.balanceAfter.toFixed(2)}</p>
+                    </div>
+                </div>`;
+        }).join('');
+        document.getElementById('load-more-wallet-btn')?.classList.toggle('hidden', !walletLedger.hasMore);
+    }
+
+    // --- LOYALTY ---
+    function getSessionCompleteMessage(booking) {
+        const parts = ['Charging complete!'];
+        if (booking?.idleFee) parts.push(`It includes an idle fee of ₹${booking.idleFee.toFixed(2)} for ${booking.idleBilledMinutes} min past the grace period.`);
+        if (booking?.pointsEarned) parts.push(`You earned ${booking.pointsEarned} loyalty points.`);
+        return parts.join(' ');
+    }
+
+    // Points expire when a session is settled, and on sign-in so the balance shown is current.
+    async function expireLoyaltyPoints() {
+        if (getLoyaltyBalance(loyaltyConfig, { loyalty }) === loyalty.points) return;
+        const userRef = store.users.ref(loggedInUser.uid);
+        try {
+            loyalty = await store.runTransaction(async (transaction) => {
+                const userDoc = await transaction.get(userRef);
+                return updateLoyalty(store, transaction, userRef, userDoc.data(), loyaltyConfig);
+            });
+            log.info(`Expired loyalty points of ${loggedInUser.username}.`);
+        } catch (error) {
+            log.warn('Could not expire loyalty points:', error);
+        }
+    }
+
+    async function loadLoyaltyLedger(more = false) {
+        const last = more ? loyaltyLedger.items[loyaltyLedger.items.length - 1] : null;
+        try {
+            const page = await store.loyaltyTransactions.find({
+                where: [['userId', '==', loggedInUser.uid]],
+                orderBy: ['createdAt', 'desc'],
+                limit: LOYALTY_PAGE_SIZE + 1,
+                ...(last ? { startAfterId: last.id } : {}),
+            });
+            loyaltyLedger = { items: [...(more ? loyaltyLedger.items : []), ...page.slice(0, LOYALTY_PAGE_SIZE)], hasMore: page.length > LOYALTY_PAGE_SIZE };
+        } catch (error) {
+            log.error('Error loading loyalty points history:', error);
+            showToast('Could not load your points history.', 'error');
+        }
+        renderLoyaltyLedger();
+    }
+
+    function renderLoyaltyLedger() {
+        const list = document.getElementById('loyalty-ledger');
+        if (!list) return;
+        list.innerHTML = loyaltyLedger.items.length === 0 ? '<p class="text-gray-500 dark:text-gray-400">No points yet. Complete a charge to start earning.</p>' : loyaltyLedger.items.map(entry => {
+            const type = LOYALTY_TRANSACTION_TYPES[entry.type] || LOYALTY_TRANSACTION_TYPES.earn;
+            const booking = bookings.find(b => b.id === entry.bookingId);
+            const detail = [booking?.stationName, entry.reason].filter(Boolean).join(' | ');
+            const date = entry.createdAt ? entry.createdAt.toDate().toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' }) : '';
+            return `
+                <div class="flex justify-between items-center py-3">
+                    <div class="flex items-center gap-3">
+                        <i class="fas ${type.icon} text-xl w-6 text-center"></i>
+                        <div>
+                            <p class="font-semibold">${type.label}</p>
+                            <p class="text-xs text-gray-500 dark:text-gray-400">${date}${detail ? ` | ${detail}` : ''}</p>
+                        </div>
+                    </div>
+                    <div class="text-right">
+                        <p class="font-mono font-semibold ${entry.points < 0 ? 'text-red-500' : 'text-green-500'}">${entry.points > 0 ? '+' : ''}${entry.points}</p>
+                        <p class="text-xs text-gray-500 dark:text-gray-400">Balance ${entry.balanceAfter}</p>
+                    </div>
+                </div>`;
+        }).join('');
+        document.getElementById('load-more-loyalty-btn')?.classList.toggle('hidden', !loyaltyLedger.hasMore);
+    }
+
+    // Earn and burn rules for everyone, kept by super-admins.
+    async function saveLoyaltyConfig(config) {
+        await store.meta.set(LOYALTY_CONFIG_ID, { ...config, updatedAt: store.fields.serverTimestamp(), updatedBy: loggedInUser.uid });
+        loyaltyConfig = getLoyaltyConfig(config);
+        log.info(`Admin ${loggedInUser.username} updated the loyalty rules.`, config);
+    }
+
+    // Operator-admins' promotions only apply at their own stations.
+    async function addLoyaltyPromotion(promotion) {
+        await store.loyaltyPromotions.add({
+            ...promotion,
+            operatorId: loggedInUser.role === 'superadmin' ? promotion.operatorId : loggedInUser.operatorId,
+            active: true,
+            createdBy: loggedInUser.uid,
+            createdAt: store.fields.serverTimestamp(),
+        });
+        log.info(`Admin ${loggedInUser.username} started the promotion "${promotion.name}".`);
+    }
+
+    async function setLoyaltyPromotionActive(promotionId, active) {
+        await store.loyaltyPromotions.update(promotionId, { active });
+        log.info(`Admin ${loggedInUser.username} ${active ? 'resumed' : 'ended'} promotion ${promotionId}.`);
+    }
+
+    // --- NOTIFICATIONS ---
+    // Events are added to the driver's inbox (see notifications.js), and the inbox listener shows
+    // whatever arrives as a toast and browser notification, so one the notification service added
+    // first is shown the same way.
+    function getNotificationUser() {
+        return { id: loggedInUser.uid, email: loggedInUser.username, profile: userProfile };
+    }
+
+    function listenToNotifications() {
+        if (notificationsUnsubscribe) notificationsUnsubscribe();
+        let isFirstSnapshot = true;
+        notificationsUnsubscribe = store.notifications.subscribe({ where: [['userId', '==', loggedInUser.uid]], orderBy: ['createdAt', 'desc'], limit: NOTIFICATIONS_SHOWN }, items => {
+            const known = new Set(notifications.map(n => n.id));
+            if (!isFirstSnapshot) items.filter(n => !known.has(n.id) && !n.read).reverse().forEach(alertNotification);
+            isFirstSnapshot = false;
+            notifications = items;
+            updateNotificationBadge();
+            renderNotificationList();
+        }, error => log.error('Error listening to notifications:', error));
+    }
+
+    function stopListeningToNotifications() {
+        if (notificationsUnsubscribe) notificationsUnsubscribe();
+        notificationsUnsubscribe = null;
+    }
+
+    function alertNotification(notification) {
+        const prefs = getNotificationPrefs({ profile: userProfile }, notification.type);
+        showToast(notification.body, notification.type === 'station-maintenance' ? 'info' : 'success');
+        if (prefs.browser && 'Notification' in window && Notification.permission === 'granted') {
+            new Notification(notification.title, { body: notification.body, icon: 'icons/icon-192.png', tag: notification.id });
+        }
+    }
+
+    async function notify(event) {
+        try {
+            await addNotification(store, getNotificationUser(), event);
+        } catch (error) {
+            // Offline: the driver still hears about it now, though it won't be in their inbox.
+            log.warn(`Could not add a ${event.type} notification:`, error);
+            if (getNotificationPrefs({ profile: userProfile }, event.type).enabled) showToast(event.body, 'success');
+        }
+    }
+
+    // Tells the driver about changes at stations they use: their turn in a queue, maintenance at a
+    // station they favorited, are charging at or have reserved, and favorites freeing up a connector
+    // their vehicle can use.
+    function notifyStationEvents(previousStations) {
+        const favorites = userProfile.favorites || [];
+        const used = new Set([...favorites, ...activeSessions.map(s => s.stationId), ...reservations.filter(r => ['booked', 'held'].includes(r.status)).map(r => r.stationId)]);
+        const types = getVehicle(userProfile.vehicle).compatible;
+        stations.forEach(station => {
+            const before = previousStations.get(station.id);
+            getStationEvents(before, station).forEach(event => {
+                if (event.type === 'queue-turn' ? event.userId === loggedInUser.uid : used.has(station.id)) notify(event);
+            });
+            if (!before || !favorites.includes(station.id)) return;
+            const event = getFavoriteAvailableEvent(station, getConnectorCounts(before, types), getConnectorCounts(station, types));
+            if (event) notify(event);
+        });
+    }
+
+    function updateNotificationBadge() {
+        const badge = document.getElementById('notification-badge');
+        if (!badge) return;
+        const unread = notifications.filter(n => !n.read).length;
+        badge.textContent = unread >= NOTIFICATIONS_SHOWN ? `${NOTIFICATIONS_SHOWN - 1}+` : unread;
+        badge.classList.toggle('hidden', unread === 0);
+    }
+
+    function renderNotificationList() {
+        const list = document.getElementById('notification-list');
+        if (!list) return;
+        list.innerHTML = notifications.length === 0 ? '<p class="text-gray-500 dark:text-gray-400">No notifications yet.</p>' : notifications.map(n => {
+            const type = NOTIFICATION_ICONS[n.type] || 'fa-bell text-gray-500';
+            const date = n.createdAt ? n.createdAt.toDate().toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' }) : '';
+            return `
+                <div class="notification-item flex justify-between items-start gap-3 py-3 cursor-pointer ${n.read ? 'opacity-60' : ''}" data-id="${n.id}">
+                    <div class="flex items-start gap-3">
+                        <i class="fas ${type} text-xl w-6 text-center mt-1"></i>
+                        <div>
+                            <p class="font-semibold">${n.title}</p>
+                            <p class="text-sm">${n.body}</p>
+                            <p class="text-xs text-gray-500 dark:text-gray-400">${date}</p>
+                        </div>
+                    </div>
+                    <div class="flex items-center gap-3">
+                        ${stations.some(s => s.id === n.stationId) ? `<button class="view-details-btn text-sm text-indigo-500 hover:underline" data-id="${n.stationId}">Station</button>` : ''}
+                        ${n.read ? '' : '<span class="w-2 h-2 rounded-full bg-indigo-500"></span>'}
+                    </div>
+                </div>`;
+        }).join('');
+        document.getElementById('mark-all-read-btn')?.classList.toggle('hidden', !notifications.some(n => !n.read));
+    }
+
+    async function markNotificationsRead(ids) {
+        if (!ids.length) return;
+        const batch = store.batch();
+        ids.forEach(id => batch.update(store.notifications.ref(id), { read: true, readAt: store.fields.serverTimestamp() }));
+        await batch.commit();
+    }
+
+    async function requestBrowserNotifications() {
+        if (!('Notification' in window)) throw "This browser doesn't support notifications.";
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') throw "Notifications are blocked for this site. Allow them in your browser's site settings.";
+    }
+
+    // --- INVOICES & EXPORT ---
+    // Tax and invoice numbering helpers live in billing.js.
+    function getInvoiceCounterRef(date) {
+        return store.counters.ref(getInvoiceCounterId(date));
+    }
+
+    // Bookings from before start and end times were stored only have createdAt (the end) and a duration.
+    function getBookingTimes(booking) {
+        const end = booking.endTime?.toDate() || booking.createdAt?.toDate?.() || null;
+        const start = booking.startTime?.toDate() || (end ? new Date(end.getTime() - (booking.duration || 0) * 1000) : null);
+        return { start, end };
+    }
+
+    // Older bookings get their invoice number the first time the invoice is opened.
+    async function ensureInvoiceNumber(booking) {
+        if (booking.invoiceNumber) return booking;
+        const bookingRef = store.bookings.ref(booking.id);
+        const issuedAt = getBookingTimes(booking).end || new Date();
+        const counterRef = getInvoiceCounterRef(issuedAt);
+        const invoiceNumber = await store.runTransaction(async (transaction) => {
+            const bookingDoc = await transaction.get(bookingRef);
+            const counterDoc = await transaction.get(counterRef);
+            if (!bookingDoc.exists) throw "Booking not found!";
+            if (bookingDoc.data().invoiceNumber) return bookingDoc.data().invoiceNumber;
+            const number = claimInvoiceNumber(transaction, counterRef, counterDoc, issuedAt);
+            transaction.update(bookingRef, { invoiceNumber: number, tax: getTaxBreakdown(booking.cost || 0) });
+            return number;
+        });
+        return Object.assign(booking, { invoiceNumber, tax: booking.tax || getTaxBreakdown(booking.cost || 0) });
+    }
+
+    function renderInvoiceHtml(booking) {
+        const station = stations.find(s => s.id === booking.stationId) || {};
+        const { start, end } = getBookingTimes(booking);
+        const tax = booking.tax || getTaxBreakdown(booking.cost || 0);
+        const formatDateTime = date => date ? date.toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' }) : 'N/A';
+        const money = amount => `₹${(amount || 0).toFixed(2)}`;
+        const segments = booking.tariffBreakdown?.length
+            ? booking.tariffBreakdown
+            : [{ band: 'Energy', kwh: booking.kwhConsumed || 0, price: booking.kwhConsumed ? (booking.energyCost ?? booking.cost) / booking.kwhConsumed : 0, cost: booking.energyCost ?? booking.cost }];
+        const chargeRows = [
+            ...segments.map(seg => `<tr><td>Charging energy (${seg.band})</td><td>${seg.kwh.toFixed(2)} kWh</td><td>${money(seg.price)}/kWh</td><td>${money(seg.cost)}</td></tr>`),
+            booking.timeFee ? `<tr><td>Time fee</td><td>${Math.ceil(booking.duration / 60)} min</td><td></td><td>${money(booking.timeFee)}</td></tr>` : '',
+            booking.sessionFee ? `<tr><td>Session fee</td><td>1</td><td></td><td>${money(booking.sessionFee)}</td></tr>` : '',
+            booking.idleFee ? `<tr><td>Idle fee (${booking.idleMinutes} min after charging, ${booking.idleMinutes - booking.idleBilledMinutes} min free)</td><td>${booking.idleBilledMinutes} min</td><td>${money(booking.idleFee / booking.idleBilledMinutes)}/min</td><td>${money(booking.idleFee)}</td></tr>` : '',
+            booking.loyaltyDiscount ? `<tr><td>Loyalty discount</td><td>${booking.pointsRedeemed} points</td><td></td><td>-${money(booking.loyaltyDiscount)}</td></tr>` : '',
+        ].join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Invoice ${booking.invoiceNumber}</title>
+    <style>
+        body { font-family: Arial, sans-serif; color: #1f2937; max-width: 760px; margin: 24px auto; padding: 0 16px; }
+        h1 { color: #4f46e5; margin-bottom: 0; }
+        table { width: 100%; border-collapse: collapse; margin: 16px 0; }
+        th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e5e7eb; }
+        td:last-child, th:last-child { text-align: right; }
+        .grid { display: flex; justify-content: space-between; gap: 24px; }
+        .muted { color: #6b7280; font-size: 12px; }
+        .total td { font-weight: bold; border-top: 2px solid #1f2937; }
+        @media print { .no-print { display: none; } }
+    </style>
+</head>
+<body>
+    <div class="grid">
+        <div><h1>Tax Invoice</h1><p class="muted">EV ChargeNet</p></div>
+        <div style="text-align:right">
+            <p><strong>Invoice No:</strong> ${booking.invoiceNumber}<br><strong>Invoice Date:</strong> ${formatDateTime(end)}</p>
+        </div>
+    </div>
+    <div class="grid">
+        <div>
+            <h3>Supplier</h3>
+            <p>${booking.stationName || station.name || 'Unknown Station'}<br>${booking.stationCity || station.city || ''}<br>${booking.stationMobile || station.mobile || ''}<br>GSTIN: ${booking.stationGstin || station.gstin || 'Not registered'}</p>
+        </div>
+        <div style="text-align:right">
+            <h3>Billed To</h3>
+            <p>${loggedInUser.username}<br>${booking.vehicle || ''}</p>
+        </div>
+    </div>
+    <h3>Session</h3>
+    <table>
+        <tr><td>Started</td><td>${formatDateTime(start)}</td></tr>
+        <tr><td>Ended</td><td>${formatDateTime(end)}</td></tr>
+        <tr><td>Duration</td><td>${Math.floor(booking.duration / 60)}m ${booking.duration % 60}s</td></tr>
+        ${booking.connectorType ? `<tr><td>Connector</td><td>${booking.connectorType}</td></tr>` : ''}
+        <tr><td>Energy delivered</td><td>${(booking.kwhConsumed || 0).toFixed(2)} kWh</td></tr>
+        ${booking.startSoc != null ? `<tr><td>Battery</td><td>${Math.round(booking.startSoc)}% → ${Math.round(booking.endSoc)}%</td></tr>` : ''}
+    </table>
+    <h3>Charges</h3>
+    <table>
+        <tr><th>Description</th><th>Quantity</th><th>Rate</th><th>Amount</th></tr>
+        ${chargeRows}
+        <tr class="total"><td colspan="3">Total (incl. GST)</td><td>${money(tax.total)}</td></tr>
+    </table>
+    <h3>GST Breakdown</h3>
+    <table>
+        <tr><td>Taxable value</td><td>${money(tax.taxableValue)}</td></tr>
+        <tr><td>CGST @ ${tax.rate / 2}%</td><td>${money(tax.cgst)}</td></tr>
+        <tr><td>SGST @ ${tax.rate / 2}%</td><td>${money(tax.sgst)}</td></tr>
+    </table>
+    <p class="muted">All prices are inclusive of GST. This is a computer-generated invoice and does not require a signature.</p>
+    <button class="no-print" onclick="window.print()">Print / Save as PDF</button>
+</body>
+</html>`;
+    }
+
+    async function showInvoice(bookingId) {
+        const booking = bookings.find(b => b.id === bookingId);
+        if (!booking) return;
+        // Opened before the await so pop-up blockers still see it as a response to the click.
+        const invoiceWindow = window.open('', '_blank', 'width=820,height=900');
+        if (!invoiceWindow) {
+            showToast('Please allow pop-ups to view the invoice.', 'error');
+            return;
+        }
+        try {
+            await ensureInvoiceNumber(booking);
+            invoiceWindow.document.write(renderInvoiceHtml(booking));
+            invoiceWindow.document.close();
+            invoiceWindow.focus();
+            log.info(`Invoice ${booking.invoiceNumber} opened.`);
+        } catch (error) {
+            invoiceWindow.close();
+            log.error('Error preparing invoice:', error);
+            showToast('Could not prepare the invoice. ' + (navigator.onLine ? error : 'Please try again when online.'), 'error');
+        }
+    }
+
+    function toCsv(rows) {
+        return rows.map(row => row.map(value => {
+            const text = String(value ?? '');
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }).join(',')).join('\r\n');
+    }
+
+    function downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    // Dates are the yyyy-mm-dd values of the date inputs; both ends are inclusive.
+    function exportSessionsCsv(fromValue, toValue) {
+        const from = fromValue ? new Date(`${fromValue}T00:00:00`).getTime() : -Infinity;
+        const to = toValue ? new Date(`${toValue}T23:59:59.999`).getTime() : Infinity;
+        if (from > to) {
+            showToast('The start date must be before the end date.', 'error');
+            return;
+        }
+        const inRange = bookings.filter(booking => {
+            const end = getBookingTimes(booking).end?.getTime();
+            return end !== undefined && end >= from && end <= to;
+        });
+        if (inRange.length === 0) {
+            showToast('No sessions in that date range.', 'error');
+            return;
+        }
+        const formatDateTime = date => date ? toDateTimeInputValue(date).replace('T', ' ') : '';
+        const rows = [
+            ['Invoice Number', 'Start', 'End', 'Station', 'City', 'Connector', 'Energy (kWh)', 'Duration (min)', 'Energy Cost (INR)', 'Time Fee (INR)', 'Session Fee (INR)', 'Idle Fee (INR)', 'Taxable Value (INR)', 'CGST (INR)', 'SGST (INR)', 'Total (INR)'],
+            ...inRange.map(booking => {
+                const station = stations.find(s => s.id === booking.stationId);
+                const { start, end } = getBookingTimes(booking);
+                const tax = booking.tax || getTaxBreakdown(booking.cost || 0);
+                return [
+                    booking.invoiceNumber || '',
+                    formatDateTime(start),
+                    formatDateTime(end),
+                    booking.stationName || station?.name || '',
+                    booking.stationCity || station?.city || '',
+                    booking.connectorType || '',
+                    (booking.kwhConsumed || 0).toFixed(2),
+                    (booking.duration / 60).toFixed(1),
+                    (booking.energyCost ?? booking.cost ?? 0).toFixed(2),
+                    (booking.timeFee || 0).toFixed(2),
+                    (booking.sessionFee || 0).toFixed(2),
+                    (booking.idleFee || 0).toFixed(2),
+                    tax.taxableValue.toFixed(2),
+                    tax.cgst.toFixed(2),
+                    tax.sgst.toFixed(2),
+                    tax.total.toFixed(2),
+                ];
+            }),
+        ];
+        downloadFile(`evchargenet-sessions-${fromValue || 'all'}-to-${toValue || 'all'}.csv`, toCsv(rows), 'text/csv;charset=utf-8');
+        log.info(`Exported ${inRange.length} sessions to CSV.`);
+    }
+
+    // --- CITY INDEX ---
+    // meta/cities counts the stations of each city and sums their coordinates, so drivers get city
+    // lists, city centres and the zoomed-out map without loading every station. Admin writes update
+    // it in the same transaction as the stations. A station is counted once it has a tile.
+    function applyCityIndexChanges(cities, removed, added) {
+        const next = { ...cities };
+        removed.filter(station => station.tile).forEach(({ city, lat, lng }) => {
+            const entry = next[city];
+            if (!entry) return;
+            next[city] = { count: entry.count - 1, latSum: entry.latSum - lat, lngSum: entry.lngSum - lng };
+            if (next[city].count <= 0) delete next[city];
+        });
+        added.forEach(({ city, lat, lng }) => {
+            const entry = next[city] || { count: 0, latSum: 0, lngSum: 0 };
+            next[city] = { count: entry.count + 1, latSum: entry.latSum + lat, lngSum: entry.lngSum + lng };
+        });
+        return next;
+    }
+
+    // Reads the index in a transaction and returns a function that writes the changes to it.
+    // Call it with the transaction's other reads, since all reads must come before the writes.
+    async function readCityIndex(transaction) {
+        const indexRef = store.meta.ref(CITY_INDEX_ID);
+        const indexDoc = await transaction.get(indexRef);
+        const cities = indexDoc.exists ? indexDoc.data().cities || {} : {};
+        return (removed, added) => transaction.set(indexRef, { cities: applyCityIndexChanges(cities, removed, added), updatedAt: store.fields.serverTimestamp() });
+    }
+
+    // Stations created before tiles were added get theirs, and join the index, when an admin
+    // who manages them signs in.
+    async function backfillStationTiles(managed) {
+        const missing = managed.filter(station => !station.tile && typeof station.lat === 'number' && typeof station.lng === 'number');
+        if (isBackfillingTiles || missing.length === 0) return;
+        isBackfillingTiles = true;
+        try {
+            for (let i = 0; i < missing.length; i += IMPORT_MAX_ROWS) {
+                const chunk = missing.slice(i, i + IMPORT_MAX_ROWS);
+                await store.runTransaction(async (transaction) => {
+                    const docs = await Promise.all(chunk.map(station => transaction.get(store.stations.ref(station.id))));
+                    const writeIndex = await readCityIndex(transaction);
+                    const untiled = docs.filter(doc => doc.exists && !doc.data().tile).map(doc => ({ id: doc.id, ...doc.data() }));
+                    untiled.forEach(station => transaction.update(store.stations.ref(station.id), { tile: getStationTile(station.lat, station.lng) }));
+                    writeIndex([], untiled);
+                });
+            }
+            log.info(`Added map tiles to ${missing.length} station(s).`);
+        } catch (error) {
+            log.error('Error adding map tiles to stations:', error);
+        } finally {
+            isBackfillingTiles = false;
+        }
+    }
+
+    // --- STATION IMPORT ---
+    // Stations can be imported from CSV (one station per row, with a header row) or from a GeoJSON
+    // FeatureCollection of Points whose properties use the same names. Connectors are given either as
+    // `connectors` ("CCS:60; Type 2:22") or as `chargerTypes` ("CCS; Type 2") with `totalSlots` and
+    // optionally `availableSlots`; slots beyond the available count are imported as faulted.
+    const IMPORT_TEMPLATE_CSV = [
+        'name,city,lat,lng,pricePerKwh,mobile,status,amenities,chargerTypes,totalSlots,availableSlots,connectors,gstin',
+        'Example Fast Charge,Ahmedabad,23.0225,72.5714,18,+91 98765 00000,Operational,Cafe; WiFi,CCS; Type 2,4,4,,',
+        'Example Highway Hub,Vadodara,22.3072,73.1812,19,,Operational,Restroom,,,,CCS:120; CCS:120; Type 2:22,',
+    ].join('\r\n');
+
+    // Accepted spellings of each column, compared case-insensitively without spaces, '_' or '-'.
+    const IMPORT_COLUMNS = {
+        name: ['name', 'stationname'],
+        city: ['city'],
+        lat: ['lat', 'latitude'],
+        lng: ['lng', 'lon', 'long', 'longitude'],
+        pricePerKwh: ['priceperkwh', 'price'],
+        mobile: ['mobile', 'phone'],
+        status: ['status'],
+        amenities: ['amenities'],
+        chargerTypes: ['chargertypes', 'chargertype', 'connectortypes'],
+        totalSlots: ['totalslots', 'slots', 'total'],
+        availableSlots: ['availableslots', 'available'],
+        connectors: ['connectors'],
+        gstin: ['gstin'],
+    };
+
+    const normalizeKey = key => String(key).toLowerCase().replace(/[\s_-]/g, '');
+
+    function parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+                else if (char === '"') inQuotes = false;
+                else field += char;
+            } else if (char === '"' && field === '') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field || row.length) rows.push([...row, field]);
+        return rows.filter(r => r.some(value => value.trim() !== ''));
+    }
+
+    // Maps whatever column names the file uses onto IMPORT_COLUMNS.
+    function mapImportFields(source) {
+        const byKey = Object.fromEntries(Object.entries(source).map(([key, value]) => [normalizeKey(key), value]));
+        return Object.fromEntries(Object.entries(IMPORT_COLUMNS).map(([field, aliases]) => {
+            const alias = aliases.find(a => byKey[a] !== undefined && byKey[a] !== null && byKey[a] !== '');
+            return [field, alias ? byKey[alias] : undefined];
+        }));
+    }
+
+    // Returns [{ rowNumber, fields, errors }] with rowNumber as the admin sees it in the file.
+    function parseStationImport(fileName, text) {
+        if (/\.(geo)?json$/i.test(fileName)) {
+            const geojson = JSON.parse(text);
+            if (geojson.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) throw "GeoJSON must be a FeatureCollection.";
+            return geojson.features.map((feature, i) => {
+                const fields = mapImportFields(feature.properties || {});
+                const errors = [];
+                if (feature.geometry?.type === 'Point' && Array.isArray(feature.geometry.coordinates)) {
+                    [fields.lng, fields.lat] = feature.geometry.coordinates;
+                } else {
+                    errors.push('Geometry must be a Point.');
+                }
+                return { rowNumber: i + 1, fields, errors };
+            });
+        }
+        const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+        if (!header) throw "The file is empty.";
+        return rows.map((values, i) => ({
+            rowNumber: i + 2,
+            fields: mapImportFields(Object.fromEntries(header.map((key, col) => [key, values[col]?.trim()]))),
+            errors: [],
+        }));
+    }
+
+    function toList(value) {
+        if (Array.isArray(value)) return value;
+        return value === undefined ? [] : String(value).split(/[;|]/).map(item => item.trim()).filter(Boolean);
+    }
+
+    function findConnectorType(value) {
+        return Object.keys(CONNECTOR_SPECS).find(type => normalizeKey(type) === normalizeKey(value)) || null;
+    }
+
+    function parseImportConnectors(fields, errors) {
+        if (fields.connectors !== undefined) {
+            const entries = toList(fields.connectors);
+            if (entries.length > STATION_MAX_CONNECTORS) errors.push(`A station can have up to ${STATION_MAX_CONNECTORS} connectors.`);
+            return entries.map((entry, i) => {
+                const [typeName, power] = typeof entry === 'object' ? [entry.type, entry.powerKw] : entry.split(':').map(part => part.trim());
+                const type = findConnectorType(typeName);
+                if (!type) errors.push(`Unknown charger type "${typeName}".`);
+                const powerKw = power === undefined || power === '' ? CONNECTOR_SPECS[type]?.powerKw : Number(power);
+                if (type && !(powerKw > 0)) errors.push(`Connector ${i + 1} needs a positive power in kW.`);
+                return { id: `c${i + 1}`, type, powerKw, status: 'available', claim: null };
+            });
+        }
+        const types = toList(fields.chargerTypes).map(name => {
+            const type = findConnectorType(name);
+            if (!type) errors.push(`Unknown charger type "${name}".`);
+            return type;
+        });
+        const total = Number(fields.totalSlots);
+        const available = fields.availableSlots === undefined ? total : Number(fields.availableSlots);
+        if (types.length === 0) errors.push('Give chargerTypes with totalSlots, or connectors.');
+        if (!Number.isInteger(total) || total < 1 || total > STATION_MAX_CONNECTORS) errors.push(`totalSlots must be a whole number from 1 to ${STATION_MAX_CONNECTORS}.`);
+        else if (!Number.isInteger(available) || available < 0) errors.push('availableSlots must be a whole number.');
+        else if (available > total) errors.push(`availableSlots (${available}) is more than totalSlots (${total}).`);
+        if (errors.length) return [];
+        return [...Array(total)].map((_, i) => ({
+            id: `c${i + 1}`,
+            type: types[i % types.length],
+            powerKw: CONNECTOR_SPECS[types[i % types.length]].powerKw,
+            status: i < available ? 'available' : 'faulted',
+            claim: null,
+        }));
+    }
+
+    // Builds the station document for a parsed row, or records why it can't be imported.
+    function validateImportRow(row, operatorId) {
+        const { fields, errors } = row;
+        const name = String(fields.name ?? '').trim();
+        const city = String(fields.city ?? '').trim();
+        const lat = Number(fields.lat);
+        const lng = Number(fields.lng);
+        const pricePerKwh = Number(fields.pricePerKwh);
+        const status = fields.status === undefined ? 'Operational' : ['Operational', 'Maintenance'].find(s => normalizeKey(s) === normalizeKey(fields.status));
+        if (!name) errors.push('Name is required.');
+        if (!city) errors.push('City is required.');
+        if (fields.lat === undefined || !Number.isFinite(lat) || lat < -90 || lat > 90) errors.push(`Latitude "${fields.lat ?? ''}" must be between -90 and 90.`);
+        if (fields.lng === undefined || !Number.isFinite(lng) || lng < -180 || lng > 180) errors.push(`Longitude "${fields.lng ?? ''}" must be between -180 and 180.`);
+        if (!(pricePerKwh > 0)) errors.push('pricePerKwh must be a positive number.');
+        if (!status) errors.push(`Status "${fields.status}" must be Operational or Maintenance.`);
+        const connectors = parseImportConnectors(fields, errors);
+        if (errors.length) return { ...row, station: null };
+
+        const station = {
+            name,
+            city,
+            lat,
+            lng,
+            mobile: String(fields.mobile ?? ''),
+            gstin: String(fields.gstin ?? '').trim().toUpperCase(),
+            pricePerKwh,
+            status,
+            images: ['https://placehold.co/600x400'],
+            amenities: toList(fields.amenities),
+            operatorId,
+            queue: [],
+            ...getConnectorFields(connectors),
+        };
+        return { ...row, station };
+    }
+
+    // Likely duplicates: any station at practically the same spot, or one with the same name nearby.
+    // Earlier rows of the same file count too.
+    function findLikelyDuplicate(station, candidates) {
+        const name = normalizeKey(station.name);
+        let match = null;
+        for (const other of candidates) {
+            const distanceKm = getDistanceKm(station, other);
+            const isDuplicate = distanceKm <= DUPLICATE_SAME_SITE_KM || (normalizeKey(other.name) === name && distanceKm <= DUPLICATE_SAME_NAME_KM);
+            if (isDuplicate && (!match || distanceKm < match.distanceKm)) match = { name: other.name, distanceKm };
+        }
+        return match;
+    }
+
+    function openStationImportModal() {
+        pendingImport = null;
+        const modal = document.getElementById('station-import-modal');
+        const operatorField = loggedInUser.role === 'superadmin' ? `
+            <div><label for="import-operator" class="block mb-1">Operator for the imported stations</label>
+                <select id="import-operator" class="w-full bg-gray-700 p-2 rounded">${operators.map(o => `<option value="${o.id}">${o.name}</option>`).join('')}</select></div>` : '';
+        modal.innerHTML = `
+            <div class="bg-gray-800 p-6 rounded-lg shadow-xl w-full max-w-5xl relative text-white max-h-[90vh] flex flex-col">
+                <button class="close-modal-btn absolute top-3 right-4 text-2xl">&times;</button>
+                <h3 class="text-2xl font-bold mb-1">Import Stations</h3>
+                <p class="text-gray-400 mb-4 text-sm">Upload a CSV file or a GeoJSON FeatureCollection (up to ${IMPORT_MAX_ROWS} stations). Give connectors as
+                    <code>chargerTypes</code> + <code>totalSlots</code> (+ optional <code>availableSlots</code>; the rest are imported as faulted) or as
+                    <code>connectors</code> like <code>CCS:60; Type 2:22</code>.
+                    <button id="import-template-btn" class="underline text-indigo-300">Download a CSV template</button></p>
+                <div class="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                    <div><label for="import-file" class="block mb-1">File</label><input type="file" id="import-file" accept=".csv,.geojson,.json" class="w-full bg-gray-700 p-2 rounded"></div>
+                    ${operatorField}
+                </div>
+                <div id="import-preview" class="flex-grow overflow-y-auto pr-2"></div>
+            </div>`;
+        modal.classList.remove('hidden');
+    }
+
+    async function previewStationImport(file) {
+        const preview = document.getElementById('import-preview');
+        try {
+            const operatorId = document.getElementById('import-operator')?.value || loggedInUser.operatorId;
+            if (!operatorId) throw "Add an operator before importing stations.";
+            const rows = parseStationImport(file.name, await file.text());
+            if (rows.length === 0) throw "The file has no stations.";
+            if (rows.length > IMPORT_MAX_ROWS) throw `The file has ${rows.length} stations. Split it into files of at most ${IMPORT_MAX_ROWS}.`;
+
+            const validated = rows.map(row => validateImportRow(row, operatorId));
+            // Existing stations are only compared with rows close enough to be duplicates.
+            const tiles = new Set(validated.filter(row => row.station).flatMap(row => getTilesAround(row.station, DUPLICATE_SAME_NAME_KM)));
+            const seen = await findStationsInTiles([...tiles]);
+            validated.forEach(row => {
+                if (!row.station) return;
+                row.duplicateOf = findLikelyDuplicate(row.station, seen);
+                seen.push(row.station);
+            });
+            pendingImport = { fileName: file.name, operatorId, rows: validated };
+            log.info(`Previewing import of ${rows.length} stations from '${file.name}'.`);
+            renderImportPreview();
+        } catch (error) {
+            pendingImport = null;
+            log.warn('Station import file rejected.', error);
+            preview.innerHTML = `<p class="text-red-400">${error instanceof SyntaxError ? 'The GeoJSON file is not valid JSON.' : error}</p>`;
+        }
+    }
+
+    function getImportSelection() {
+        const includeDuplicates = document.getElementById('import-include-duplicates')?.checked || false;
+        return pendingImport.rows.filter(row => row.station && (!row.duplicateOf || includeDuplicates));
+    }
+
+    function renderImportPreview() {
+        const preview = document.getElementById('import-preview');
+        const includeDuplicates = document.getElementById('import-include-duplicates')?.checked || false;
+        const { rows } = pendingImport;
+        const invalid = rows.filter(row => !row.station).length;
+        const duplicates = rows.filter(row => row.duplicateOf).length;
+        const selected = getImportSelection().length;
+        const tableRows = rows.map(row => {
+            const f = row.fields;
+            let result = '<span class="text-green-400">Ready</span>';
+            if (!row.station) result = `<ul class="text-red-400 list-disc ml-4">${row.errors.map(error => `<li>${error}</li>`).join('')}</ul>`;
+            else if (row.duplicateOf) result = `<span class="text-yellow-400">Likely duplicate of ${row.duplicateOf.name} (${Math.round(row.duplicateOf.distanceKm * 1000)} m away)</span>`;
+            return `
+                <tr class="border-b border-gray-700 align-top ${row.station ? '' : 'bg-red-900/20'}">
+                    <td class="p-2 text-gray-400">${row.rowNumber}</td>
+                    <td class="p-2">${f.name ?? ''}</td>
+                    <td class="p-2">${f.city ?? ''}</td>
+                    <td class="p-2 whitespace-nowrap">${f.lat ?? ''}, ${f.lng ?? ''}</td>
+                    <td class="p-2">${row.station ? row.station.connectors.map(c => `${c.type} ${c.powerKw} kW${c.status === 'faulted' ? ' (faulted)' : ''}`).join(', ') : ''}</td>
+                    <td class="p-2">${result}</td>
+                </tr>`;
+        }).join('');
+        preview.innerHTML = `
+            <div class="flex flex-wrap justify-between items-center gap-4 mb-3">
+                <p>${rows.length} rows: <span class="text-green-400">${rows.length - invalid - duplicates} ready</span>,
+                    <span class="text-yellow-400">${duplicates} likely duplicates</span>, <span class="text-red-400">${invalid} with errors</span>.</p>
+                <label class="text-sm"><input type="checkbox" id="import-include-duplicates" ${includeDuplicates ? 'checked' : ''}> Import likely duplicates too</label>
+                <button id="import-commit-btn" class="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-lg disabled:opacity-50" ${selected ? '' : 'disabled'}>Import ${selected} Station${selected === 1 ? '' : 's'}</button>
+            </div>
+            <table class="w-full text-left text-sm">
+                <thead><tr class="text-gray-400 border-b border-gray-700"><th class="p-2">Row</th><th class="p-2">Name</th><th class="p-2">City</th><th class="p-2">Location</th><th class="p-2">Connectors</th><th class="p-2">Result</th></tr></thead>
+                <tbody>${tableRows}</tbody>
+            </table>`;
+    }
+
+    // Writes the selected rows in one transaction with the city index, so either every station is
+    // created or none is.
+    async function commitStationImport() {
+        if (!pendingImport) return;
+        const selected = getImportSelection();
+        if (selected.length === 0) return;
+        const commitBtn = document.getElementById('import-commit-btn');
+        commitBtn.disabled = true;
+        commitBtn.textContent = 'Importing...';
+        try {
+            await store.runTransaction(async (transaction) => {
+                const writeIndex = await readCityIndex(transaction);
+                const created = selected.map(row => {
+                    row.stationRef = store.stations.ref();
+                    const station = { ...row.station, tile: getStationTile(row.station.lat, row.station.lng) };
+                    transaction.set(row.stationRef, { ...station, updatedAt: store.fields.serverTimestamp() });
+                    return station;
+                });
+                writeIndex([], created);
+            });
+            log.info(`Admin imported ${selected.length} stations from '${pendingImport.fileName}'.`);
+            showToast(`Imported ${selected.length} station${selected.length === 1 ? '' : 's'}.`, 'success');
+            renderImportReport(selected);
+        } catch (error) {
+            log.error('Error importing stations:', error);
+            showToast('Import failed. No stations were created.', 'error');
+            renderImportPreview();
+        }
+    }
+
+    function renderImportReport(imported) {
+        const { rows, fileName } = pendingImport;
+        const results = rows.map(row => {
+            if (imported.includes(row)) return { row, result: 'Imported', detail: row.stationRef.id };
+            if (!row.station) return { row, result: 'Skipped: errors', detail: row.errors.join(' ') };
+            return { row, result: 'Skipped: likely duplicate', detail: `${row.duplicateOf.name} (${Math.round(row.duplicateOf.distanceKm * 1000)} m away)` };
+        });
+        const report = toCsv([['Row', 'Name', 'City', 'Result', 'Details'], ...results.map(r => [r.row.rowNumber, r.row.fields.name ?? '', r.row.fields.city ?? '', r.result, r.detail])]);
+        const count = label => results.filter(r => r.result === label).length;
+        pendingImport = null;
+        document.getElementById('import-preview').innerHTML = `
+            <div class="bg-gray-900 p-4 rounded-lg">
+                <h4 class="text-xl font-semibold mb-2">Import Summary</h4>
+                <p>File: ${fileName}</p>
+                <p class="text-green-400">Imported: ${count('Imported')}</p>
+                <p class="text-yellow-400">Skipped as likely duplicates: ${count('Skipped: likely duplicate')}</p>
+                <p class="text-red-400">Skipped with errors: ${count('Skipped: errors')}</p>
+                <button id="import-report-btn" class="mt-4 bg-gray-700 hover:bg-gray-600 px-4 py-2 rounded-lg"><i class="fas fa-download mr-2"></i>Download Report</button>
+            </div>`;
+        document.getElementById('import-report-btn').addEventListener('click', () => downloadFile(`import-report-${fileName.replace(/\.[^.]+$/, '')}.csv`, report, 'text/csv;charset=utf-8'));
+    }
+
+    // --- OFFLINE SUPPORT ---
+    function readOfflineCache() {
+        try {
+            return parseStoredData(localStorage.getItem(OFFLINE_CACHE_KEY) || '{}');
+        } catch (error) {
+            log.warn('Ignoring unreadable offline cache.', error);
+            return {};
+        }
+    }
+
+    function saveOfflineCache(changes) {
+        try {
+            localStorage.setItem(OFFLINE_CACHE_KEY, serializeStoredData({ ...readOfflineCache(), ...changes }));
+        } catch (error) {
+            log.warn('Could not save offline cache.', error);
+        }
+    }
+
+    function getOutbox() {
+        return parseStoredData(localStorage.getItem(OUTBOX_KEY) || '[]');
+    }
+
+    function saveOutbox(outbox) {
+        localStorage.setItem(OUTBOX_KEY, serializeStoredData(outbox));
+        updateOfflineBanner();
+    }
+
+    // Only the latest favourites list matters, so it replaces any earlier one still waiting.
+    function queueOfflineAction(type, payload) {
+        const outbox = getOutbox().filter(a => !(type === 'favorites' && a.type === 'favorites' && a.userId === loggedInUser.uid));
+        outbox.push({ id: `${Date.now()}-${outbox.length}`, type, userId: loggedInUser.uid, payload, queuedAt: Date.now() });
+        saveOutbox(outbox);
+        log.info(`Queued offline action '${type}'.`, payload);
+    }
+
+    const OFFLINE_ACTIONS = {
+        favorites: action => store.users.update(action.userId, { 'profile.favorites': action.payload.favorites }),
+        review: action => saveReview(action.payload),
+        'stop-session': action => settleSession(action.payload.sessionId, action.payload.endTime),
+    };
+
+    // Replays the signed-in user's queued writes in order. A network failure stops the run and keeps
+    // the rest for the next attempt; any other failure drops that action so it can't block the queue.
+    async function flushOutbox() {
+        if (!loggedInUser || !navigator.onLine || isFlushingOutbox) return;
+        isFlushingOutbox = true;
+        let synced = 0;
+        let failed = 0;
+        try {
+            for (const action of getOutbox().filter(a => a.userId === loggedInUser.uid)) {
+                try {
+                    await OFFLINE_ACTIONS[action.type](action);
+                    synced++;
+                } catch (error) {
+                    if (!navigator.onLine || error?.code === 'unavailable') break;
+                    log.error(`Dropping offline action '${action.type}':`, error);
+                    failed++;
+                }
+                saveOutbox(getOutbox().filter(a => a.id !== action.id));
+            }
+        } finally {
+            isFlushingOutbox = false;
+        }
+        if (synced + failed === 0) return;
+        log.info('Offline actions synced.', { synced, failed });
+        showToast(failed ? `${synced} offline change(s) synced, ${failed} could not be applied.` : `${synced} offline change(s) synced.`, failed ? 'error' : 'success');
+        await fetchUserData();
+        const activePage = document.querySelector('.nav-link.active')?.dataset.page;
+        if (activePage) showUserPage(activePage);
+    }
+
+    function requireOnline() {
+        if (navigator.onLine) return true;
+        showToast("You're offline. This needs a connection.", 'error');
+        return false;
+    }
+
+    function updateOfflineBanner() {
+        const banner = document.getElementById('offline-banner');
+        if (!banner) return;
+        const pending = loggedInUser ? getOutbox().filter(a => a.userId === loggedInUser.uid).length : 0;
+        const messages = [];
+        if (!navigator.onLine) messages.push("You're offline.");
+        if (stationsSavedAt) messages.push(`Station data is from ${new Date(stationsSavedAt).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' })} and may be out of date.`);
+        if (pending) messages.push(`${pending} change(s) waiting to sync.`);
+        banner.classList.toggle('hidden', messages.length === 0);
+        banner.querySelector('span').textContent = messages.join(' ');
+    }
+
+    function registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || !location.protocol.startsWith('http')) return;
+        navigator.serviceWorker.register('sw.js')
+            .then(() => log.info('Service worker registered.'))
+            .catch(error => log.warn('Service worker registration failed.', error));
+    }
+
+    // --- ANALYTICS ---
+    function getAnalyticsRange() {
+        const fromValue = document.getElementById('analytics-from')?.value;
+        const toValue = document.getElementById('analytics-to')?.value;
+        return {
+            from: fromValue ? new Date(`${fromValue}T00:00:00`) : null,
+            to: toValue ? new Date(`${toValue}T23:59:59.999`) : null,
+        };
+    }
+
+    // Loads the bookings in the selected range that this admin may see; city, operator and grouping
+    // are applied client-side.
+    async function loadAdminAnalytics() {
+        const { from, to } = getAnalyticsRange();
+        const summary = document.getElementById('analytics-summary');
+        if (!summary) return;
+        if (!from || !to || from > to) {
+            summary.innerHTML = '<p class="text-red-400">Choose a start date on or before the end date.</p>';
+            return;
+        }
+        summary.innerHTML = '<p class="text-gray-400">Loading analytics...</p>';
+        try {
+            const where = [['createdAt', '>=', store.timestampFromMillis(from.getTime())], ['createdAt', '<=', store.timestampFromMillis(to.getTime())]];
+            // Operator-admins may only read their operator's bookings, so the query has to say so.
+            if (loggedInUser.role !== 'superadmin') where.unshift(['operatorId', '==', loggedInUser.operatorId]);
+            adminBookings = await store.bookings.find({ where, orderBy: ['createdAt', 'asc'] });
+            log.info(`Loaded ${adminBookings.length} bookings for admin analytics.`);
+            renderAnalyticsCharts();
+        } catch (error) {
+            log.error('Error loading admin analytics:', error);
+            summary.innerHTML = '<p class="text-red-400">Could not load bookings for this range.</p>';
+        }
+    }
+
+    // Start of the day, week (Monday) or month containing a date.
+    function getPeriodStart(date, groupBy) {
+        const start = new Date(date.getFullYear(), date.getMonth(), groupBy === 'month' ? 1 : date.getDate());
+        if (groupBy === 'week') start.setDate(start.getDate() - (start.getDay() + 6) % 7);
+        return start;
+    }
+
+    // Every period overlapping the range, so days without sessions still show as zero.
+    function getAnalyticsPeriods(from, to, groupBy) {
+        const periods = [];
+        for (let start = getPeriodStart(from, groupBy); start <= to;) {
+            const label = groupBy === 'month'
+                ? start.toLocaleDateString('en-IN', { month: 'short', year: 'numeric' })
+                : `${groupBy === 'week' ? 'Week of ' : ''}${start.toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })}`;
+            periods.push({ key: start.getTime(), label });
+            start = new Date(start);
+            if (groupBy === 'month') start.setMonth(start.getMonth() + 1);
+            else start.setDate(start.getDate() + (groupBy === 'week' ? 7 : 1));
+        }
+        return periods;
+    }
+
+    function getBookingOperatorId(booking) {
+        return booking.operatorId || stations.find(s => s.id === booking.stationId)?.operatorId || null;
+    }
+
+    function getBookingCity(booking) {
+        return booking.stationCity || stations.find(s => s.id === booking.stationId)?.city || 'Unknown';
+    }
+
+    function summarizeBookings(list) {
+        const revenue = list.reduce((sum, b) => sum + (b.cost || 0), 0);
+        const kwh = list.reduce((sum, b) => sum + (b.kwhConsumed || 0), 0);
+        const seconds = list.reduce((sum, b) => sum + (b.duration || 0), 0);
+        return { sessions: list.length, revenue, kwh, avgMinutes: list.length ? seconds / list.length / 60 : 0 };
+    }
+
+    function renderAnalyticsCharts() {
+        log.info('Rendering admin analytics charts.');
+        Object.values(charts).forEach(chart => chart.destroy());
+
+        const { from, to } = getAnalyticsRange();
+        const groupBy = document.getElementById('analytics-group')?.value || 'day';
+        const city = document.getElementById('analytics-city')?.value || 'all';
+        const operatorId = document.getElementById('analytics-operator')?.value || 'all';
+        const selected = adminBookings.filter(b => (city === 'all' || getBookingCity(b) === city)
+            && (operatorId === 'all' || getBookingOperatorId(b) === operatorId));
+        const totals = summarizeBookings(selected);
+
+        const summary = document.getElementById('analytics-summary');
+        if (summary) {
+            const cards = [
+                ['Revenue', `₹${totals.revenue.toFixed(2)}`, 'fa-rupee-sign'],
+                ['Sessions', totals.sessions, 'fa-bolt'],
+                ['Energy Delivered', `${totals.kwh.toFixed(1)} kWh`, 'fa-battery-three-quarters'],
+                ['Avg. Session Length', `${totals.avgMinutes.toFixed(1)} min`, 'fa-clock'],
+            ];
+            summary.innerHTML = cards.map(([label, value, icon]) => `
+                <div class="bg-gray-900 p-4 rounded-lg shadow-xl">
+                    <p class="text-sm text-gray-400"><i class="fas ${icon} mr-1"></i>${label}</p>
+                    <p class="text-2xl font-bold text-white">${value}</p>
+                </div>`).join('');
+        }
+
+        const revenueCtx = document.getElementById('bookings-chart')?.getContext('2d');
+        if (revenueCtx && from && to) {
+            const periods = getAnalyticsPeriods(from, to, groupBy);
+            const revenueByPeriod = Object.fromEntries(periods.map(p => [p.key, 0]));
+            selected.forEach(booking => {
+                const key = getPeriodStart(booking.createdAt.toDate(), groupBy).getTime();
+                if (key in revenueByPeriod) revenueByPeriod[key] += booking.cost || 0;
+            });
+            document.getElementById('revenue-chart-title').textContent = `Revenue Per ${groupBy[0].toUpperCase()}${groupBy.slice(1)}`;
+            charts.revenue = new Chart(revenueCtx, {
+                type: 'bar',
+                data: {
+                    labels: periods.map(p => p.label),
+                    datasets: [{ label: 'Revenue (₹)', data: periods.map(p => revenueByPeriod[p.key].toFixed(2)), backgroundColor: '#10b981' }]
+                },
+                options: { scales: { y: { beginAtZero: true } }, responsive: true, maintainAspectRatio: false }
+            });
+        }
+
+        const byStation = selected.reduce((acc, booking) => {
+            const stationName = booking.stationName || stations.find(s => s.id === booking.stationId)?.name || 'Unknown';
+            acc[stationName] = acc[stationName] || { sessions: 0, kwh: 0 };
+            acc[stationName].sessions += 1;
+            acc[stationName].kwh += booking.kwhConsumed || 0;
+            return acc;
+        }, {});
+
+        const sessionHistoryCtx = document.getElementById('station-usage-chart')?.getContext('2d');
+        if (sessionHistoryCtx) {
             charts.stationUsage = new Chart(sessionHistoryCtx, {
                 type: 'bar',
                 data: {
-                    labels: Object.keys(stationUsage),
+                    labels: Object.keys(byStation),
                     datasets: [{
                         label: '# of Sessions',
-                        data: Object.values(stationUsage),
+                        data: Object.values(byStation).map(s => s.sessions),
                         backgroundColor: 'rgba(79, 70, 229, 0.8)',
                         borderColor: 'rgba(79, 70, 229, 1)',
                         borderWidth: 1
@@ -1033,6 +4780,82 @@ document.addEventListener('DOMContentLoaded', () => {
                 options: { scales: { y: { beginAtZero: true, ticks: { stepSize: 1 } } }, responsive: true, maintainAspectRatio: false }
             });
         }
+
+        const stationKwhCtx = document.getElementById('station-kwh-chart')?.getContext('2d');
+        if (stationKwhCtx) {
+            charts.stationKwh = new Chart(stationKwhCtx, {
+                type: 'bar',
+                data: {
+                    labels: Object.keys(byStation),
+                    datasets: [{ label: 'kWh Delivered', data: Object.values(byStation).map(s => s.kwh.toFixed(2)), backgroundColor: '#3b82f6' }]
+                },
+                options: { scales: { y: { beginAtZero: true } }, responsive: true, maintainAspectRatio: false }
+            });
+        }
+
+        const citiesContainer = document.getElementById('analytics-cities');
+        if (citiesContainer) {
+            const cities = [...new Set(selected.map(getBookingCity))].sort();
+            const rows = cities.map(name => {
+                const cityTotals = summarizeBookings(selected.filter(b => getBookingCity(b) === name));
+                return `
+                    <tr class="border-b border-gray-700">
+                        <td class="p-3 font-semibold">${name}</td>
+                        <td class="p-3">${cityTotals.sessions}</td>
+                        <td class="p-3">₹${cityTotals.revenue.toFixed(2)}</td>
+                        <td class="p-3">${cityTotals.kwh.toFixed(1)}</td>
+                        <td class="p-3">${cityTotals.avgMinutes.toFixed(1)} min</td>
+                    </tr>`;
+            }).join('');
+            citiesContainer.innerHTML = cities.length === 0
+                ? '<p class="text-gray-400">No completed sessions in this range.</p>'
+                : `<table class="w-full text-left">
+                    <thead><tr class="text-gray-400 border-b border-gray-700"><th class="p-3">City</th><th class="p-3">Sessions</th><th class="p-3">Revenue</th><th class="p-3">kWh</th><th class="p-3">Avg. Length</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>`;
+        }
+        renderIdleOffenders(selected);
+    }
+
+    // Drivers who keep leaving their car plugged in after charging, most often first.
+    function renderIdleOffenders(selected) {
+        const container = document.getElementById('analytics-idle-offenders');
+        if (!container) return;
+        const byDriver = new Map();
+        selected.filter(b => b.idleFee > 0 && b.userId).forEach(booking => {
+            const entry = byDriver.get(booking.userId) || { userId: booking.userId, sessions: 0, minutes: 0, fees: 0, stations: new Set(), last: 0 };
+            entry.sessions += 1;
+            entry.minutes += booking.idleMinutes || 0;
+            entry.fees += booking.idleFee;
+            entry.stations.add(booking.stationName || stations.find(s => s.id === booking.stationId)?.name || 'Unknown');
+            entry.last = Math.max(entry.last, getBookingTimes(booking).end?.getTime() || 0);
+            byDriver.set(booking.userId, entry);
+        });
+        const offenders = [...byDriver.values()].filter(e => e.sessions >= IDLE_REPEAT_SESSIONS).sort((a, b) => b.sessions - a.sessions || b.fees - a.fees);
+        container.innerHTML = offenders.length === 0
+            ? '<p class="text-gray-400">No repeat offenders in this range.</p>'
+            : `<table class="w-full text-left">
+                <thead><tr class="text-gray-400 border-b border-gray-700"><th class="p-3">Driver</th><th class="p-3">Sessions</th><th class="p-3">Idle Time</th><th class="p-3">Idle Fees</th><th class="p-3">Stations</th><th class="p-3">Last</th></tr></thead>
+                <tbody>${offenders.map(e => `
+                    <tr class="border-b border-gray-700">
+                        <td class="p-3 font-semibold" data-user-id="${e.userId}">${driverEmails.get(e.userId) || e.userId}</td>
+                        <td class="p-3">${e.sessions}</td>
+                        <td class="p-3">${e.minutes} min</td>
+                        <td class="p-3">₹${e.fees.toFixed(2)}</td>
+                        <td class="p-3">${[...e.stations].join(', ')}</td>
+                        <td class="p-3">${new Date(e.last).toLocaleDateString('en-IN')}</td>
+                    </tr>`).join('')}</tbody>
+            </table>`;
+        // Bookings only have the driver's id; emails are looked up once and filled in as they arrive.
+        offenders.filter(e => !driverEmails.has(e.userId)).forEach(async ({ userId }) => {
+            try {
+                const user = await store.users.get(userId);
+                driverEmails.set(userId, user?.email || userId);
+                container.querySelectorAll(`[data-user-id="${userId}"]`).forEach(cell => { cell.textContent = driverEmails.get(userId); });
+            } catch (error) {
+                log.error(`Could not look up driver ${userId}:`, error);
+            }
+        });
     }
 
     function renderPersonalAnalytics() {
@@ -1121,41 +4944,203 @@ document.addEventListener('DOMContentLoaded', () => {
         showStep();
     }
 
-    function planTrip() {
+    function getCityCenter(cityName) {
+        const entry = cityIndex[cityName];
+        if (!entry?.count) return null;
+        return { lat: entry.latSum / entry.count, lng: entry.lngSum / entry.count };
+    }
+
+    // Finds stations within TRIP_CORRIDOR_KM of the straight start->end line and works out
+    // how far along the route (in road km) each one sits. A flat projection around the start
+    // point is accurate enough at corridor scale.
+    function findCorridorStations(candidates, start, end, totalKm, car) {
+        const kmPerDegLat = 110.57;
+        const kmPerDegLng = 111.32 * Math.cos(start.lat * Math.PI / 180);
+        const toXY = (p) => ({ x: (p.lng - start.lng) * kmPerDegLng, y: (p.lat - start.lat) * kmPerDegLat });
+        const d = toXY(end);
+        const lengthSq = d.x * d.x + d.y * d.y;
+
+        return candidates.map(station => {
+            if (station.status !== 'Operational') return null;
+            if (!getBestConnector(station, car)) return null;
+            const p = toXY(station);
+            const t = (p.x * d.x + p.y * d.y) / lengthSq;
+            if (t <= 0 || t >= 1) return null;
+            const offsetKm = Math.hypot(p.x - t * d.x, p.y - t * d.y);
+            if (offsetKm > TRIP_CORRIDOR_KM) return null;
+            return { station, alongKm: t * totalKm, detourKm: offsetKm * TRIP_ROAD_FACTOR };
+        }).filter(Boolean).sort((a, b) => a.alongKm - b.alongKm);
+    }
+
+    // Greedy range-based planner: drive as far as the battery allows (keeping the reserve),
+    // stop at the furthest reachable corridor station and charge to TRIP_CHARGE_TO_SOC. A station
+    // that is usually busy when we'd get there is passed over for the furthest one that isn't, as
+    // long as that is at least half way across the remaining range.
+    function buildTripItinerary({ routeStations, start, end, car, startSoc, consumption, departureTime }) {
+        const totalKm = getDistanceKm(start, end) * TRIP_ROAD_FACTOR;
+        const socPerKm = (consumption / 100) / car.battery * 100;
+        const driveMs = km => km / TRIP_AVG_SPEED_KMH * 3600000;
+        const candidates = findCorridorStations(routeStations, start, end, totalKm, car);
+        const stops = [];
+        let positionKm = 0;
+        let soc = startSoc;
+        let clock = departureTime;
+
+        while (true) {
+            const rangeKm = (soc - TRIP_RESERVE_SOC) / socPerKm;
+            if (totalKm - positionKm <= rangeKm) {
+                return { totalKm, stops, arrivalSoc: soc - (totalKm - positionKm) * socPerKm, arrivalTime: clock + driveMs(totalKm - positionKm) };
+            }
+            const reachable = candidates.filter(c => c.alongKm > positionKm && (c.alongKm - positionKm + c.detourKm) <= rangeKm);
+            if (reachable.length === 0) {
+                return { totalKm, stops, error: `No compatible station within range after ${Math.round(positionKm)} km.` };
+            }
+            const arrivalAt = c => clock + driveMs(c.alongKm - positionKm + c.detourKm);
+            const next = [...reachable].reverse().find(c => c.alongKm - positionKm >= rangeKm / 2
+                && (predictAvailability(c.station, arrivalAt(c), car.compatible) ?? 1) >= MAYBE_FREE_CHANCE) || reachable[reachable.length - 1];
+            const arrivalTime = arrivalAt(next);
+            const arrivalSoc = soc - (next.alongKm - positionKm + next.detourKm) * socPerKm;
+            const departureSoc = arrivalSoc >= TRIP_CHARGE_TO_SOC ? 100 : TRIP_CHARGE_TO_SOC;
+            const connector = getBestConnector(next.station, car);
+            const profile = buildChargeProfile({ battery: car.battery, startSoc: arrivalSoc, targetSoc: departureSoc, peakKw: connector.powerKw });
+            const kwhAdded = profile.totalKwh;
+            // Priced at the bands in force while we'd be charging there, not at today's price.
+            const pricing = priceSession(next.station, arrivalTime, arrivalTime + profile.totalSeconds * 1000,
+                t => sampleChargeProfile(profile, (t - arrivalTime) / 1000).kwh);
+            stops.push({
+                station: next.station,
+                distanceKm: next.alongKm + next.detourKm,
+                arrivalSoc,
+                arrivalTime,
+                availability: predictAvailability(next.station, arrivalTime, car.compatible),
+                departureSoc,
+                kwhAdded,
+                chargeMinutes: profile.totalSeconds / 60,
+                connector,
+                cost: pricing.total,
+            });
+            positionKm = next.alongKm;
+            soc = departureSoc - next.detourKm * socPerKm; // drive back to the route
+            clock = arrivalTime + profile.totalSeconds * 1000 + driveMs(next.detourKm);
+        }
+    }
+
+    // Every tile of the box around the route, widened by the corridor. A long route covers a few
+    // hundred tiles; they are fetched once.
+    function getRouteTiles(start, end) {
+        const dLat = TRIP_CORRIDOR_KM / 110.57;
+        const dLng = TRIP_CORRIDOR_KM / (111.32 * Math.cos(Math.max(Math.abs(start.lat), Math.abs(end.lat)) * Math.PI / 180));
+        return getTilesInBounds(Math.min(start.lat, end.lat) - dLat, Math.min(start.lng, end.lng) - dLng,
+            Math.max(start.lat, end.lat) + dLat, Math.max(start.lng, end.lng) + dLng, Infinity);
+    }
+
+    function formatTripTime(time) {
+        return new Date(time).toLocaleString('en-IN', { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+    }
+
+    async function planTrip() {
         const startCityName = document.getElementById('start-city').value;
         const endCityName = document.getElementById('end-city').value;
-        log.info(`Planning trip from ${startCityName} to ${endCityName}`);
+        const vehicle = document.getElementById('trip-vehicle').value;
+        const startSoc = parseFloat(document.getElementById('trip-start-soc').value) || 0;
+        const consumption = parseFloat(document.getElementById('trip-consumption').value) || 0;
+        const departureTime = new Date(document.getElementById('trip-departure').value).getTime() || Date.now();
+        log.info(`Planning trip from ${startCityName} to ${endCityName}`, { vehicle, startSoc, consumption, departureTime });
         if (startCityName === endCityName) {
             showToast('Start and end cities cannot be the same.', 'error');
             return;
         }
-        const startStation = stations.find(s => s.city === startCityName);
-        const endStation = stations.find(s => s.city === endCityName);
-        if (!startStation || !endStation) {
+        if (startSoc <= TRIP_RESERVE_SOC || startSoc > 100) {
+            showToast(`Starting charge must be between ${TRIP_RESERVE_SOC + 1}% and 100%.`, 'error');
+            return;
+        }
+        if (consumption <= 0) {
+            showToast('Please enter a valid consumption figure.', 'error');
+            return;
+        }
+        const start = getCityCenter(startCityName);
+        const end = getCityCenter(endCityName);
+        if (!start || !end) {
             showToast('Could not find coordinates for cities.', 'error');
             return;
         }
-        const startCoords = [startStation.lat, startStation.lng];
-        const endCoords = [endStation.lat, endStation.lng];
-        const routeStations = stations.filter(s => s.city === startCityName || s.city === endCityName);
-        const listContainer = document.getElementById('trip-stations-list');
-        const resultsContainer = document.getElementById('trip-results');
-        listContainer.innerHTML = routeStations.map(station => {
-            const status = getStationStatus(station);
-            return `<div class="bg-white dark:bg-gray-800 rounded-lg shadow-md p-4"><h4 class="font-bold">${station.name} (${station.city})</h4><p class="text-sm text-gray-500 dark:text-gray-400">${status.text}</p><button class="view-details-btn mt-2 bg-indigo-600 text-white px-3 py-1 rounded-md text-sm" data-id="${station.id}">View Details</button></div>`;
-        }).join('');
-        resultsContainer.classList.remove('hidden');
+
+        let routeStations;
+        try {
+            routeStations = await findStationsInTiles(getRouteTiles(start, end));
+        } catch (error) {
+            log.error('Error loading stations along the route:', error);
+            showToast('Could not load the stations along this route.', 'error');
+            return;
+        }
+        const trip = buildTripItinerary({ routeStations, start, end, car: EV_MODELS[vehicle], startSoc, consumption, departureTime });
+        trip.stops.forEach(stop => followStation(stop.station.id, stop.station));
+        mergeStations();
+        const totalMinutes = trip.stops.reduce((sum, stop) => sum + stop.chargeMinutes, 0);
+        const totalCost = trip.stops.reduce((sum, stop) => sum + stop.cost, 0);
+
+        document.getElementById('trip-summary').innerHTML = trip.error
+            ? `<div class="bg-red-100 dark:bg-red-900/50 border-l-4 border-red-500 p-4 rounded-lg"><p class="font-semibold text-red-700 dark:text-red-300"><i class="fas fa-exclamation-triangle mr-2"></i>${trip.error}</p><p class="text-sm mt-1">Try a higher starting charge or check back when more stations are added along this route.</p></div>`
+            : `<div class="bg-white dark:bg-gray-800 p-4 rounded-lg shadow-md grid grid-cols-2 md:grid-cols-4 gap-4 text-center">
+                    <div><p class="text-sm text-gray-500 dark:text-gray-400">Distance</p><p class="text-xl font-bold">~${Math.round(trip.totalKm)} km</p></div>
+                    <div><p class="text-sm text-gray-500 dark:text-gray-400">Charging Stops</p><p class="text-xl font-bold">${trip.stops.length}</p></div>
+                    <div><p class="text-sm text-gray-500 dark:text-gray-400">Charging Time</p><p class="text-xl font-bold">~${Math.round(totalMinutes)} mins</p></div>
+                    <div><p class="text-sm text-gray-500 dark:text-gray-400">Charging Cost</p><p class="text-xl font-bold">₹${totalCost.toFixed(2)}</p></div>
+               </div>`;
+
+        const stopsHtml = trip.stops.map((stop, i) => `
+            <li class="bg-white dark:bg-gray-800 rounded-lg shadow-md p-4 flex gap-4 items-start">
+                <span class="flex-shrink-0 w-8 h-8 rounded-full bg-indigo-600 text-white flex items-center justify-center font-bold">${i + 1}</span>
+                <div class="flex-grow">
+                    <h4 class="font-bold">${stop.station.name} (${stop.station.city})</h4>
+                    <p class="text-sm text-gray-500 dark:text-gray-400">After ~${Math.round(stop.distanceKm)} km, around ${formatTripTime(stop.arrivalTime)} | Now: ${getStationStatus(stop.station, [stop.connector.type]).text}</p>
+                    <p class="text-sm mt-1"><i class="fas fa-chart-bar mr-1"></i>${renderPrediction(stop.availability)}</p>
+                    <div class="grid grid-cols-2 md:grid-cols-4 gap-2 mt-2 text-sm">
+                        <span><i class="fas fa-battery-quarter mr-1"></i> Arrive at ${Math.round(stop.arrivalSoc)}%</span>
+                        <span><i class="fas fa-battery-three-quarters mr-1"></i> Charge to ${stop.departureSoc}%</span>
+                        <span><i class="fas fa-clock mr-1"></i> ~${Math.round(stop.chargeMinutes)} mins (${stop.connector.type}, ${stop.connector.powerKw} kW)</span>
+                        <span><i class="fas fa-rupee-sign mr-1"></i> ~${stop.cost.toFixed(2)}</span>
+                    </div>
+                </div>
+                <button class="view-details-btn bg-indigo-600 text-white px-3 py-1 rounded-md text-sm" data-id="${stop.station.id}">View Details</button>
+            </li>`).join('');
+        document.getElementById('trip-itinerary').innerHTML = `
+            <li class="bg-white dark:bg-gray-800 rounded-lg shadow-md p-4 flex gap-4 items-center">
+                <span class="flex-shrink-0 w-8 h-8 rounded-full bg-green-500 text-white flex items-center justify-center"><i class="fas fa-flag"></i></span>
+                <div><h4 class="font-bold">Depart ${startCityName}</h4><p class="text-sm text-gray-500 dark:text-gray-400">${formatTripTime(departureTime)} | Battery at ${startSoc}%</p></div>
+            </li>
+            ${stopsHtml}
+            ${trip.error ? '' : `
+            <li class="bg-white dark:bg-gray-800 rounded-lg shadow-md p-4 flex gap-4 items-center">
+                <span class="flex-shrink-0 w-8 h-8 rounded-full bg-red-500 text-white flex items-center justify-center"><i class="fas fa-flag-checkered"></i></span>
+                <div><h4 class="font-bold">Arrive ${endCityName}</h4><p class="text-sm text-gray-500 dark:text-gray-400">Around ${formatTripTime(trip.arrivalTime)} | Battery at ~${Math.round(trip.arrivalSoc)}%</p></div>
+            </li>`}`;
+        document.getElementById('trip-results').classList.remove('hidden');
+
+        const routeCoords = [[start.lat, start.lng], ...trip.stops.map(stop => [stop.station.lat, stop.station.lng]), [end.lat, end.lng]];
         setTimeout(() => {
-            initMap(startCoords, 7);
-            L.polyline([startCoords, endCoords], {color: 'blue', dashArray: '5, 10'}).addTo(map);
-            map.fitBounds([startCoords, endCoords], {padding: [50, 50]});
+            initMap(routeCoords[0], 7);
+            L.polyline(trip.error ? routeCoords.slice(0, -1) : routeCoords, { color: 'blue' }).addTo(map);
+            if (trip.error) L.polyline(routeCoords.slice(-2), { color: 'blue', dashArray: '5, 10' }).addTo(map);
+            map.fitBounds(routeCoords, { padding: [50, 50] });
         }, 100);
     }
 
     // --- MISC & UTILITIES ---
-    function getStationStatus(station) {
+    function getDistanceKm(a, b) {
+        const toRad = deg => deg * Math.PI / 180;
+        const dLat = toRad(b.lat - a.lat);
+        const dLng = toRad(b.lng - a.lng);
+        const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+        return 6371 * 2 * Math.asin(Math.sqrt(h));
+    }
+
+    // With connector types given, only connectors of those types count towards availability.
+    function getStationStatus(station, types = null) {
         if (station.status !== 'Operational') return { text: 'Under Maintenance', color: 'var(--yellow)' };
-        if (station.slots.available === 0) return { text: 'Busy', color: 'var(--red)' };
+        const counts = getConnectorCounts(station, types);
+        if (counts.total === 0) return { text: 'No Compatible Connector', color: 'var(--gray)' };
+        if (counts.available === 0) return { text: 'Busy', color: 'var(--red)' };
         return { text: 'Available', color: 'var(--green)' };
     }
 
@@ -1168,16 +5153,24 @@ document.addEventListener('DOMContentLoaded', () => {
             userProfile.favorites.push(stationId);
             showToast('Added to favorites!', 'success');
         }
-        await updateUserProfile();
+        if (navigator.onLine) {
+            await updateUserProfile();
+        } else {
+            queueOfflineAction('favorites', { favorites: [...userProfile.favorites] });
+            saveOfflineCache({ user: { ...readOfflineCache().user, profile: userProfile } });
+        }
+        followUserStations();
         const activePage = document.querySelector('.nav-link.active')?.dataset.page;
         if (activePage) showUserPage(activePage);
     }
 
     async function joinQueue(stationId) {
-        const stationRef = db.collection('stations').doc(stationId);
+        if (!requireOnline()) return;
         try {
-            await stationRef.update({
-                queue: firebase.firestore.FieldValue.arrayUnion(loggedInUser.uid)
+            // The connector types are kept so a freed connector is only offered to drivers who can use it.
+            await store.stations.update(stationId, {
+                queue: store.fields.arrayUnion(loggedInUser.uid),
+                [`queueConnectorTypes.${loggedInUser.uid}`]: getVehicle(userProfile.vehicle).compatible,
             });
             log.info(`User ${loggedInUser.username} joined the queue for station ID: ${stationId}.`);
             showToast(`You've been added to the queue.`, 'success');
@@ -1187,6 +5180,79 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    // Leaving also declines a pending offer, which passes the held connector on to the next in line.
+    async function leaveQueue(stationId) {
+        if (!requireOnline()) return;
+        const stationRef = store.stations.ref(stationId);
+        try {
+            await store.runTransaction(async (transaction) => {
+                const stationDoc = await transaction.get(stationRef);
+                if (!stationDoc.exists) throw "Station does not exist!";
+                const stationData = stationDoc.data();
+                const remaining = { ...stationData, ...leaveQueueFields(stationData, loggedInUser.uid) };
+                const offer = (stationData.queueOffers || []).find(o => o.userId === loggedInUser.uid);
+                if (offer) {
+                    releaseConnectors(store, transaction, stationRef, remaining, [offer.connectorId]);
+                } else {
+                    transaction.update(stationRef, { queue: remaining.queue, queueConnectorTypes: remaining.queueConnectorTypes });
+                }
+            });
+            log.info(`User ${loggedInUser.username} left the queue for station ID: ${stationId}.`);
+            showToast('You have left the queue.');
+        } catch (error) {
+            log.error("Error leaving queue:", error);
+            showToast("Could not leave queue.", "error");
+        }
+    }
+
+    // Passes expired offers to the next suitable driver in line and turns free connectors at
+    // stations with a queue into offers (e.g. after an admin adds or repairs a connector). Admins do
+    // this for the stations they manage; drivers only pass on their own expired offers, and the
+    // sweeper service (server/sweeper) does the rest.
+    async function processQueueOffers() {
+        if (!loggedInUser) return;
+        const now = Date.now();
+        for (const station of stations) {
+            const scope = canManageStation(station) ? {} : { userId: loggedInUser.uid };
+            if (!hasQueueOffersDue(station, now, scope)) continue;
+            const stationRef = store.stations.ref(station.id);
+            try {
+                await store.runTransaction(async (transaction) => {
+                    const stationDoc = await transaction.get(stationRef);
+                    if (stationDoc.exists) passOnQueueOffers(store, transaction, stationRef, stationDoc.data(), now, scope);
+                });
+                log.info(`Queue offers processed for station ID: ${station.id}.`);
+            } catch (error) {
+                log.error('Error processing queue offers:', error);
+            }
+        }
+    }
+
+    function getReservationBadge(reservation) {
+        const badges = {
+            booked: { text: 'Booked', classes: 'bg-indigo-500 text-white' },
+            held: { text: 'Slot Held', classes: 'bg-green-500 text-white' },
+            fulfilled: { text: 'Fulfilled', classes: 'bg-gray-500 text-white' },
+            expired: { text: 'Expired', classes: 'bg-red-500 text-white' },
+            cancelled: { text: 'Cancelled', classes: 'bg-gray-400 text-black' },
+        };
+        return badges[reservation.status] || badges.booked;
+    }
+
+    function toDateInputValue(date) {
+        return toDateTimeInputValue(date).slice(0, 10);
+    }
+
+    function toDateTimeInputValue(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    function getQueueWaitMinutes(station, position) {
+        const total = Math.max(getConnectorCounts(station, getUserConnectorTypes()).total, 1);
+        return Math.ceil(position / total) * AVG_SESSION_MINUTES;
+    }
+
     function updateClock() {
         const clock = document.getElementById('live-clock');
         if (clock) clock.textContent = new Date().toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short'});
@@ -1207,9 +5273,35 @@ document.addEventListener('DOMContentLoaded', () => {
         });
 
         document.body.addEventListener('change', (e) => {
-            if (['charger-type-filter', 'amenities-filter', 'available-only-checkbox'].includes(e.target.id)) {
+            if (['charger-type-filter', 'amenities-filter', 'rating-filter', 'available-only-checkbox', 'sort-filter', 'radius-filter'].includes(e.target.id)) {
                 applyFilters();
             }
+            if (e.target.id === 'review-sort') {
+                loadStationReviews(document.getElementById('review-list').dataset.id, e.target.value);
+            }
+            if (e.target.id === 'location-select') {
+                const city = e.target.value;
+                if (city === 'current') locateUser();
+                else setUserLocation(city ? { ...getCityCenter(city), source: 'city', label: city } : null);
+            }
+            if (['analytics-from', 'analytics-to'].includes(e.target.id)) {
+                loadAdminAnalytics();
+            }
+            if (['analytics-group', 'analytics-city', 'analytics-operator'].includes(e.target.id)) {
+                renderAnalyticsCharts();
+            }
+            if (e.target.id === 'import-file' && e.target.files[0]) {
+                previewStationImport(e.target.files[0]);
+            }
+            if (e.target.id === 'import-include-duplicates' && pendingImport) {
+                renderImportPreview();
+            }
+            if (e.target.classList.contains('user-operator-select')) {
+                updateUserAccess(e.target.dataset.id, 'assign-operator', { operatorId: e.target.value || null });
+            }
+            if (e.target.id === 'trip-vehicle') {
+                document.getElementById('trip-consumption').value = EV_MODELS[e.target.value].consumption;
+            }
         });
 
         document.body.addEventListener('click', async (e) => {
@@ -1220,27 +5312,211 @@ document.addEventListener('DOMContentLoaded', () => {
             }
             // --- User Buttons ---
             const bookBtn = e.target.closest('.book-slot-btn');
-            if (bookBtn) { openBookingModal(bookBtn.dataset.id); return; }
+            if (bookBtn) { openBookingModal(bookBtn.dataset.id, bookBtn.dataset.mode); return; }
 
             const joinQueueBtn = e.target.closest('.join-queue-btn');
             if(joinQueueBtn) { await joinQueue(joinQueueBtn.dataset.id); return; }
 
+            const leaveQueueBtn = e.target.closest('.leave-queue-btn');
+            if (leaveQueueBtn) { await leaveQueue(leaveQueueBtn.dataset.id); return; }
+
+            const nearestStationBtn = e.target.closest('#nearest-station-btn');
+            if (nearestStationBtn) { await showNearestAvailableStation(); return; }
+
+            // Opening a notification (or its station) marks it read.
+            const notificationItem = e.target.closest('.notification-item');
+            if (notificationItem && notifications.some(n => n.id === notificationItem.dataset.id && !n.read)) {
+                markNotificationsRead([notificationItem.dataset.id]).catch(error => log.error('Error marking a notification read:', error));
+            }
+
+            const markAllReadBtn = e.target.closest('#mark-all-read-btn');
+            if (markAllReadBtn) {
+                try {
+                    await markNotificationsRead(notifications.filter(n => !n.read).map(n => n.id));
+                } catch (error) {
+                    log.error('Error marking notifications read:', error);
+                    showToast('Could not update your notifications.', 'error');
+                }
+                return;
+            }
+
+            const allowNotificationsBtn = e.target.closest('#allow-browser-notifications-btn');
+            if (allowNotificationsBtn) {
+                try {
+                    await requestBrowserNotifications();
+                    showToast('Browser notifications are on.', 'success');
+                } catch (error) {
+                    showToast(error, 'error');
+                }
+                showUserPage('profile');
+                return;
+            }
+
             const detailsBtn = e.target.closest('.view-details-btn');
             if (detailsBtn) { openStationDetailModal(detailsBtn.dataset.id); return; }
 
+            const rateBookingBtn = e.target.closest('.rate-booking-btn');
+            if (rateBookingBtn) { await openStationForReview(rateBookingBtn.dataset.station, rateBookingBtn.dataset.id); return; }
+
+            const loadMoreReviewsBtn = e.target.closest('#load-more-reviews-btn');
+            if (loadMoreReviewsBtn) { await loadStationReviews(stationReviews.stationId, stationReviews.sort, true); return; }
+
+            const editReviewBtn = e.target.closest('.edit-review-btn');
+            if (editReviewBtn) {
+                // The driver's own held reviews come from myReviews rather than the page.
+                const review = [...stationReviews.items, ...myReviews].find(r => r.id === editReviewBtn.dataset.id);
+                renderReviewForm(stations.find(s => s.id === review.stationId), { review });
+                return;
+            }
+
+            const cancelReviewEditBtn = e.target.closest('#cancel-review-edit-btn');
+            if (cancelReviewEditBtn) { renderReviewForm(stations.find(s => s.id === stationReviews.stationId)); return; }
+
+            const deleteOwnReviewBtn = e.target.closest('.delete-own-review-btn');
+            if (deleteOwnReviewBtn) {
+                if (!confirm('Delete your review?')) return;
+                const stationId = stationReviews.stationId;
+                try {
+                    await deleteReview(deleteOwnReviewBtn.dataset.id);
+                    showToast('Review deleted.', 'success');
+                    await fetchUserData();
+                    openStationDetailModal(stationId);
+                } catch (error) {
+                    log.error('Error deleting review:', error);
+                    showToast('Could not delete review.', 'error');
+                }
+                return;
+            }
+
+            const helpfulReviewBtn = e.target.closest('.helpful-review-btn');
+            if (helpfulReviewBtn) {
+                try {
+                    const updated = await toggleHelpfulVote(helpfulReviewBtn.dataset.id);
+                    stationReviews.items = stationReviews.items.map(r => (r.id === updated.id ? updated : r));
+                    renderStationReviews();
+                } catch (error) {
+                    log.error('Error voting on review:', error);
+                    showToast(typeof error === 'string' ? error : 'Could not save your vote.', 'error');
+                }
+                return;
+            }
+
+            const reportReviewBtn = e.target.closest('.report-review-btn');
+            if (reportReviewBtn) {
+                document.querySelector(`.report-review-form[data-id="${reportReviewBtn.dataset.id}"]`).classList.toggle('hidden');
+                return;
+            }
+
+            const loadMoreAdminReviewsBtn = e.target.closest('#load-more-admin-reviews-btn');
+            if (loadMoreAdminReviewsBtn) { await loadAdminReviews(true); return; }
+
+            const topUpPresetBtn = e.target.closest('.top-up-preset-btn');
+            if (topUpPresetBtn) { document.getElementById('top-up-amount').value = topUpPresetBtn.dataset.amount; return; }
+
+            const loadMoreWalletBtn = e.target.closest('#load-more-wallet-btn');
+            if (loadMoreWalletBtn) { await loadWalletLedger(walletLedger.userId, true); return; }
+
+            const loadMoreLoyaltyBtn = e.target.closest('#load-more-loyalty-btn');
+            if (loadMoreLoyaltyBtn) { await loadLoyaltyLedger(true); return; }
+
+            if (e.target.closest('#add-loyalty-tier-btn')) { document.getElementById('loyalty-tiers').insertAdjacentHTML('beforeend', renderLoyaltyTierRow()); return; }
+
+            const removeLoyaltyTierBtn = e.target.closest('.remove-loyalty-tier-btn');
+            if (removeLoyaltyTierBtn) { removeLoyaltyTierBtn.closest('.loyalty-tier-row').remove(); return; }
+
+            const togglePromotionBtn = e.target.closest('.toggle-promotion-btn');
+            if (togglePromotionBtn) {
+                try {
+                    await setLoyaltyPromotionActive(togglePromotionBtn.dataset.id, togglePromotionBtn.dataset.active === 'true');
+                    await fetchUserData();
+                    renderLoyaltyPromotions();
+                } catch (error) {
+                    log.error('Error updating promotion:', error);
+                    showToast('Could not update the promotion.', 'error');
+                }
+                return;
+            }
+
             const favoriteBtn = e.target.closest('.favorite-btn');
             if (favoriteBtn) { await toggleFavorite(favoriteBtn.dataset.id); return; }
             
+            const startReservationBtn = e.target.closest('.start-reservation-btn');
+            if (startReservationBtn) {
+                const reservation = reservations.find(r => r.id === startReservationBtn.dataset.id);
+                if (reservation) openBookingModal(reservation.stationId);
+                return;
+            }
+
+            const cancelReservationBtn = e.target.closest('.cancel-reservation-btn');
+            if (cancelReservationBtn) {
+                if (confirm('Cancel this reservation?')) await cancelReservation(cancelReservationBtn.dataset.id);
+                return;
+            }
+
             const stopChargingBtn = e.target.closest('#stop-charging-btn');
             if (stopChargingBtn) { await stopCharging(stopChargingBtn.dataset.id); return; }
             
+            const invoiceBtn = e.target.closest('.invoice-btn');
+            if (invoiceBtn) { await showInvoice(invoiceBtn.dataset.id); return; }
+
+            const exportCsvBtn = e.target.closest('#export-csv-btn');
+            if (exportCsvBtn) { exportSessionsCsv(document.getElementById('export-from').value, document.getElementById('export-to').value); return; }
+
             const planTripBtn = e.target.closest('#plan-trip-btn');
-            if (planTripBtn) { planTrip(); return; }
+            if (planTripBtn) { await planTrip(); return; }
 
             // --- Admin Buttons ---
             const addStationBtn = e.target.closest('#add-station-btn');
             if (addStationBtn) { openAdminStationModal(); return; }
 
+            const importStationsBtn = e.target.closest('#import-stations-btn');
+            if (importStationsBtn) { openStationImportModal(); return; }
+
+            const rebuildBusyTimesBtn = e.target.closest('#rebuild-busy-times-btn');
+            if (rebuildBusyTimesBtn) { await rebuildBusyTimes(); return; }
+
+            const importTemplateBtn = e.target.closest('#import-template-btn');
+            if (importTemplateBtn) { downloadFile('evchargenet-station-import-template.csv', IMPORT_TEMPLATE_CSV, 'text/csv;charset=utf-8'); return; }
+
+            const importCommitBtn = e.target.closest('#import-commit-btn');
+            if (importCommitBtn) { await commitStationImport(); return; }
+
+            const addConnectorBtn = e.target.closest('#add-connector-btn');
+            if (addConnectorBtn) {
+                const rows = document.getElementById('connector-rows');
+                if (rows.children.length >= STATION_MAX_CONNECTORS) showToast(`A station can have up to ${STATION_MAX_CONNECTORS} connectors.`, 'error');
+                else rows.insertAdjacentHTML('beforeend', renderConnectorRow());
+                return;
+            }
+
+            const removeConnectorBtn = e.target.closest('.remove-connector-btn');
+            if (removeConnectorBtn) { removeConnectorBtn.closest('.connector-row').remove(); return; }
+
+            const manageQueueBtn = e.target.closest('.manage-queue-btn');
+            if (manageQueueBtn) { openQueueModal(manageQueueBtn.dataset.id); return; }
+
+            const queueActionBtn = e.target.closest('.queue-action-btn');
+            if (queueActionBtn) {
+                const { id, user, action } = queueActionBtn.dataset;
+                if (action !== 'remove' || confirm('Remove this user from the queue?')) await manageQueue(id, action, user);
+                return;
+            }
+
+            const chargerBtn = e.target.closest('.charger-btn');
+            if (chargerBtn) { openChargerModal(chargerBtn.dataset.id); return; }
+
+            const chargerCommandBtn = e.target.closest('.charger-command-btn');
+            if (chargerCommandBtn) {
+                const { action, type, session } = chargerCommandBtn.dataset;
+                const stationId = document.getElementById('charger-modal').dataset.stationId;
+                if (action === 'Reset' && type === 'Hard' && !confirm('A hard reset reboots the charger and ends any running sessions. Continue?')) return;
+                await runChargerCommand(stationId, action, action === 'Reset' ? { payload: { type } } : { sessionId: session });
+                return;
+            }
+
+            const reservationCalendarBtn = e.target.closest('.reservation-calendar-btn');
+            if (reservationCalendarBtn) { openReservationCalendar(reservationCalendarBtn.dataset.id); return; }
+
             const editStationBtn = e.target.closest('.edit-station-btn');
             if (editStationBtn) { openAdminStationModal(editStationBtn.dataset.id); return; }
 
@@ -1249,7 +5525,14 @@ document.addEventListener('DOMContentLoaded', () => {
                 if(confirm('Are you sure you want to delete this station?')){
                     const stationId = deleteStationBtn.dataset.id;
                     try {
-                        await db.collection('stations').doc(stationId).delete();
+                        const stationRef = store.stations.ref(stationId);
+                        await store.runTransaction(async (transaction) => {
+                            const stationDoc = await transaction.get(stationRef);
+                            if (!stationDoc.exists) return;
+                            const writeIndex = await readCityIndex(transaction);
+                            transaction.delete(stationRef);
+                            writeIndex([stationDoc.data()], []);
+                        });
                         log.info(`Admin deleted station ID: ${stationId}`);
                         showToast('Station deleted.', 'success');
                     } catch (error) {
@@ -1259,20 +5542,34 @@ document.addEventListener('DOMContentLoaded', () => {
                 }
                 return;
             }
-            const deleteReviewBtn = e.target.closest('.delete-review-btn');
-            if (deleteReviewBtn) {
-                if(confirm('Are you sure you want to delete this review?')){
-                    const reviewId = deleteReviewBtn.dataset.id;
-                    try {
-                        await db.collection('reviews').doc(reviewId).delete();
-                        log.info(`Admin deleted a review.`);
-                        showToast('Review deleted.', 'success');
-                        await fetchUserData();
-                        renderAdminReviews(document.getElementById('admin-main-content'));
-                    } catch (error) {
-                        log.error("Error deleting review:", error);
-                        showToast('Failed to delete review.', 'error');
-                    }
+            const userAccessBtn = e.target.closest('.user-access-btn');
+            if (userAccessBtn) {
+                const { id, action } = userAccessBtn.dataset;
+                if (!['suspend', 'demote', 'reject', 'make-superadmin'].includes(action) || confirm(`${userAccessBtn.textContent.trim()}: are you sure?`)) {
+                    await updateUserAccess(id, action);
+                }
+                return;
+            }
+
+            const reviewQueueTab = e.target.closest('.review-queue-tab');
+            if (reviewQueueTab) {
+                adminReviews = { status: reviewQueueTab.dataset.status, items: [], hasMore: false };
+                renderAdminReviews(document.getElementById('admin-main-content'));
+                return;
+            }
+
+            const moderateReviewBtn = e.target.closest('.moderate-review-btn');
+            if (moderateReviewBtn) {
+                const { id, action } = moderateReviewBtn.dataset;
+                const reason = ['hide', 'remove'].includes(action) ? document.querySelector(`.moderation-reason[data-id="${id}"]`).value : null;
+                try {
+                    await moderateReview(id, action, reason);
+                    log.info(`Admin ${MODERATION_ACTIONS[action].done} a review.`);
+                    showToast(`Review ${MODERATION_ACTIONS[action].done}.`, 'success');
+                    await refreshAdminReview(id);
+                } catch (error) {
+                    log.error("Error moderating review:", error);
+                    showToast('Failed to update review.', 'error');
                 }
                 return;
             }
@@ -1284,29 +5581,65 @@ document.addEventListener('DOMContentLoaded', () => {
             if (bookingForm) {
                 e.preventDefault();
                 const stationId = bookingForm.dataset.id;
-                await startCharging(stationId);
+                const mode = bookingForm.querySelector('input[name="booking-mode"]:checked').value;
+                if (mode === 'reserve') {
+                    const startDate = new Date(document.getElementById('reservation-start').value);
+                    const durationMinutes = parseInt(document.getElementById('reservation-duration').value);
+                    await createReservation(stationId, startDate, durationMinutes);
+                } else {
+                    await startCharging(stationId, parseInt(document.getElementById('current-soc').value) || 0, {
+                        redeemPoints: document.getElementById('redeem-points').checked,
+                        targetSoc: parseInt(document.getElementById('target-soc').value) || null,
+                        budgetKwh: parseFloat(document.getElementById('budget-kwh').value) || null,
+                        budgetAmount: parseFloat(document.getElementById('budget-amount').value) || null,
+                    });
+                }
                 closeModal('booking-modal');
                 return;
             }
             
+            const notificationPrefsForm = e.target.closest('#notification-prefs-form');
+            if (notificationPrefsForm) {
+                e.preventDefault();
+                const prefs = {};
+                notificationPrefsForm.querySelectorAll('.notification-pref').forEach(input => {
+                    prefs[input.dataset.type] = { ...prefs[input.dataset.type], [input.dataset.channel]: input.checked };
+                });
+                const phone = document.getElementById('notification-phone').value.trim();
+                if (Object.values(prefs).some(p => p.enabled && p.sms) && !phone) {
+                    showToast('Add a mobile number to get SMS notifications.', 'error');
+                    return;
+                }
+                userProfile.notifications = prefs;
+                userProfile.phone = phone || null;
+                await updateUserProfile();
+                showToast('Notification preferences saved!', 'success');
+                return;
+            }
+
             const reviewForm = e.target.closest('#review-form');
             if (reviewForm) {
                 e.preventDefault();
                 const stationId = reviewForm.dataset.id;
-                const rating = parseInt(document.getElementById('rating-value').value);
-                const text = document.getElementById('review-text').value;
-                if (!rating) { showToast('Please select a star rating.', 'error'); return; }
-                
+                const isEditing = !!reviewForm.dataset.reviewId;
+                const review = {
+                    bookingId: reviewForm.dataset.reviewId || document.getElementById('review-booking').value,
+                    stationId,
+                    rating: parseInt(document.getElementById('rating-value').value),
+                    text: document.getElementById('review-text').value,
+                };
+                if (!review.rating) { showToast('Please select a star rating.', 'error'); return; }
+                if (!navigator.onLine) {
+                    queueOfflineAction('review', review);
+                    showToast(`You're offline. Your review will be ${isEditing ? 'updated' : 'posted'} when you reconnect.`);
+                    closeModal('station-detail-modal');
+                    return;
+                }
+
                 try {
-                    await db.collection('reviews').add({
-                        userId: loggedInUser.uid,
-                        username: loggedInUser.username,
-                        stationId,
-                        rating,
-                        text,
-                        createdAt: firebase.firestore.FieldValue.serverTimestamp()
-                    });
-                    showToast('Thank you for your review!', 'success');
+                    const status = await saveReview(review);
+                    if (status === 'pending') showToast("Thanks! Your review will appear once a moderator has checked it.");
+                    else showToast(isEditing ? 'Review updated.' : 'Thank you for your review!', 'success');
                     await fetchUserData();
                     openStationDetailModal(stationId);
                 } catch (error) {
@@ -1316,15 +5649,206 @@ document.addEventListener('DOMContentLoaded', () => {
                 return;
             }
 
+            const reportReviewForm = e.target.closest('.report-review-form');
+            if (reportReviewForm) {
+                e.preventDefault();
+                const reviewId = reportReviewForm.dataset.id;
+                try {
+                    await reportReview(reviewId, reportReviewForm.querySelector('.report-reason').value);
+                    showToast('Thanks, a moderator will take a look.', 'success');
+                    const review = await store.reviews.get(reviewId);
+                    stationReviews.items = review?.status === 'approved'
+                        ? stationReviews.items.map(r => (r.id === reviewId ? review : r))
+                        : stationReviews.items.filter(r => r.id !== reviewId);
+                    renderStationReviews();
+                } catch (error) {
+                    log.error('Error reporting review:', error);
+                    showToast(typeof error === 'string' ? error : 'Could not send your report.', 'error');
+                }
+                return;
+            }
+
+            const reviewReplyForm = e.target.closest('.review-reply-form');
+            if (reviewReplyForm) {
+                e.preventDefault();
+                const reviewId = reviewReplyForm.dataset.id;
+                const text = reviewReplyForm.querySelector('.review-reply-text').value.trim();
+                if (!text && !adminReviews.items.find(r => r.id === reviewId)?.reply) { showToast('Write a reply first.', 'error'); return; }
+                try {
+                    await saveReviewReply(reviewId, text);
+                    showToast(text ? 'Reply posted.' : 'Reply removed.', 'success');
+                    await refreshAdminReview(reviewId);
+                } catch (error) {
+                    log.error('Error saving reply:', error);
+                    showToast('Could not save the reply.', 'error');
+                }
+                return;
+            }
+
+            const topUpForm = e.target.closest('#top-up-form');
+            if (topUpForm) {
+                e.preventDefault();
+                if (!requireOnline()) return;
+                const amount = roundCurrency(parseFloat(document.getElementById('top-up-amount').value));
+                if (!(amount > 0 && amount <= WALLET_MAX_TOP_UP)) { showToast(`Top-ups can be up to ₹${WALLET_MAX_TOP_UP}.`, 'error'); return; }
+                const topUpBtn = document.getElementById('top-up-btn');
+                topUpBtn.disabled = true;
+                topUpBtn.textContent = 'Processing payment...';
+                try {
+                    await topUpWallet(amount);
+                    await fetchUserData();
+                    showToast(`₹${amount.toFixed(2)} added to your wallet.`, 'success');
+                } catch (error) {
+                    log.warn('Top-up failed:', error);
+                    showToast(typeof error === 'string' ? error : 'The payment failed.', 'error');
+                }
+                showUserPage('wallet');
+                return;
+            }
+
+            const refundForm = e.target.closest('.refund-form');
+            if (refundForm) {
+                e.preventDefault();
+                const amount = roundCurrency(parseFloat(refundForm.querySelector('.refund-amount').value));
+                const reason = refundForm.querySelector('.refund-reason').value.trim();
+                if (!(amount > 0) || !reason) { showToast('Enter an amount and a reason.', 'error'); return; }
+                try {
+                    await refundBooking(refundForm.dataset.id, amount, reason);
+                    showToast(`Refunded ₹${amount.toFixed(2)}.`, 'success');
+                    loadRefundBookings();
+                } catch (error) {
+                    log.error('Error refunding session:', error);
+                    showToast(typeof error === 'string' ? error : 'Could not refund the session.', 'error');
+                }
+                return;
+            }
+
+            const walletLookupForm = e.target.closest('#wallet-lookup-form');
+            if (walletLookupForm) {
+                e.preventDefault();
+                await lookUpWallet(document.getElementById('wallet-lookup-email').value.trim().toLowerCase());
+                return;
+            }
+
+            const walletAdjustForm = e.target.closest('#wallet-adjust-form');
+            if (walletAdjustForm) {
+                e.preventDefault();
+                const amount = roundCurrency(parseFloat(document.getElementById('wallet-adjust-amount').value));
+                const reason = document.getElementById('wallet-adjust-reason').value.trim();
+                if (!amount || !reason) { showToast('Enter a non-zero amount and a reason.', 'error'); return; }
+                try {
+                    await adjustWallet(walletAdjustForm.dataset.id, amount, reason);
+                    showToast('Wallet adjusted.', 'success');
+                    await lookUpWallet(document.getElementById('wallet-lookup-email').value.trim().toLowerCase());
+                } catch (error) {
+                    log.error('Error adjusting wallet:', error);
+                    showToast(typeof error === 'string' ? error : 'Could not adjust the wallet.', 'error');
+                }
+                return;
+            }
+
+            const loyaltyConfigForm = e.target.closest('#loyalty-config-form');
+            if (loyaltyConfigForm) {
+                e.preventDefault();
+                const tiers = [...loyaltyConfigForm.querySelectorAll('.loyalty-tier-row')].map(row => ({
+                    name: row.querySelector('.tier-name').value.trim(),
+                    minPoints: parseInt(row.querySelector('.tier-min-points').value) || 0,
+                    multiplier: parseFloat(row.querySelector('.tier-multiplier').value) || 1,
+                    maxRedeemPercent: parseInt(row.querySelector('.tier-max-redeem').value) || 0,
+                })).sort((a, b) => a.minPoints - b.minPoints);
+                if (!tiers.length || tiers[0].minPoints !== 0) { showToast('The first tier must start at 0 points.', 'error'); return; }
+                if (new Set(tiers.map(t => t.minPoints)).size !== tiers.length) { showToast('Each tier needs a different number of points.', 'error'); return; }
+                if (tiers.some((tier, i) => i && tier.multiplier < tiers[i - 1].multiplier)) { showToast('A higher tier cannot earn fewer points.', 'error'); return; }
+                try {
+                    await saveLoyaltyConfig({
+                        earnBasis: document.getElementById('loyalty-earn-basis').value,
+                        pointsPerKwh: parseFloat(document.getElementById('loyalty-points-per-kwh').value),
+                        pointsPerRupee: parseFloat(document.getElementById('loyalty-points-per-rupee').value),
+                        rupeesPerPoint: parseFloat(document.getElementById('loyalty-rupees-per-point').value),
+                        minRedeemPoints: parseInt(document.getElementById('loyalty-min-redeem').value),
+                        expiryMonths: parseInt(document.getElementById('loyalty-expiry-months').value),
+                        tiers,
+                    });
+                    showToast('Loyalty rules saved.', 'success');
+                } catch (error) {
+                    log.error('Error saving loyalty rules:', error);
+                    showToast('Could not save the loyalty rules.', 'error');
+                }
+                return;
+            }
+
+            const loyaltyPromotionForm = e.target.closest('#loyalty-promotion-form');
+            if (loyaltyPromotionForm) {
+                e.preventDefault();
+                const startsAt = new Date(document.getElementById('promotion-starts').value);
+                const endsAt = new Date(document.getElementById('promotion-ends').value);
+                if (!(endsAt > startsAt)) { showToast('The promotion must end after it starts.', 'error'); return; }
+                try {
+                    await addLoyaltyPromotion({
+                        name: document.getElementById('promotion-name').value.trim(),
+                        multiplier: parseFloat(document.getElementById('promotion-multiplier').value),
+                        tariffBand: document.getElementById('promotion-band').value || null,
+                        operatorId: document.getElementById('promotion-operator')?.value || null,
+                        startsAt: store.timestampFromMillis(startsAt.getTime()),
+                        endsAt: store.timestampFromMillis(endsAt.getTime()),
+                    });
+                    showToast('Promotion started.', 'success');
+                    loyaltyPromotionForm.reset();
+                    await fetchUserData();
+                    renderLoyaltyPromotions();
+                } catch (error) {
+                    log.error('Error starting promotion:', error);
+                    showToast('Could not start the promotion.', 'error');
+                }
+                return;
+            }
+
+            const operatorForm = e.target.closest('#operator-form');
+            if (operatorForm) {
+                e.preventDefault();
+                try {
+                    await store.operators.add({
+                        name: document.getElementById('operator-name').value.trim(),
+                        contactEmail: document.getElementById('operator-email').value.trim(),
+                        createdAt: store.fields.serverTimestamp(),
+                    });
+                    operators = await store.operators.find({ orderBy: ['name', 'asc'] });
+                    log.info('Super-admin added an operator.');
+                    showToast('Operator added.', 'success');
+                    renderAdminUsers(document.getElementById('admin-main-content'));
+                } catch (error) {
+                    log.error('Error adding operator:', error);
+                    showToast('Failed to add operator.', 'error');
+                }
+                return;
+            }
+
+            const remoteStartForm = e.target.closest('#remote-start-form');
+            if (remoteStartForm) {
+                e.preventDefault();
+                const stationId = document.getElementById('charger-modal').dataset.stationId;
+                try {
+                    const idTag = await resolveIdTag(document.getElementById('remote-start-driver').value.trim());
+                    await runChargerCommand(stationId, 'RemoteStartTransaction', { payload: { connectorId: Number(document.getElementById('remote-start-connector').value), idTag } });
+                } catch (error) {
+                    log.error('Error finding the driver:', error);
+                    showToast(`Could not start charging. ${error}`, 'error');
+                }
+                return;
+            }
+
             const adminStationForm = e.target.closest('#admin-station-form');
             if (adminStationForm) {
                 e.preventDefault();
                 const stationId = document.getElementById('station-id').value;
                 const isEditing = !!stationId;
-                const totalSlots = parseInt(document.getElementById('station-slots-total').value);
-                const availableSlots = parseInt(document.getElementById('station-slots-available').value);
-                if (availableSlots > totalSlots) {
-                    showToast('Available slots cannot be greater than total slots.', 'error');
+                if (document.querySelectorAll('#connector-rows .connector-row').length === 0) {
+                    showToast('A station needs at least one connector.', 'error');
+                    return;
+                }
+                const tariff = readTariffForm();
+                if ([tariff.peak, tariff.offPeak].some(band => band.price && (!band.start || !band.end || band.start === band.end))) {
+                    showToast('Each priced tariff band needs different start and end times.', 'error');
                     return;
                 }
                 const formData = {
@@ -1333,20 +5857,51 @@ document.addEventListener('DOMContentLoaded', () => {
                     lat: parseFloat(document.getElementById('station-lat').value),
                     lng: parseFloat(document.getElementById('station-lng').value),
                     mobile: document.getElementById('station-mobile').value,
-                    slots: { total: totalSlots, available: availableSlots },
-                    pricePerKwh: parseInt(document.getElementById('station-price').value),
+                    gstin: document.getElementById('station-gstin').value.trim().toUpperCase(),
+                    pricePerKwh: parseFloat(document.getElementById('station-price').value),
                     status: document.getElementById('station-status').value,
                     images: [document.getElementById('station-image').value],
                     amenities: document.getElementById('station-amenities').value.split(',').map(s => s.trim()).filter(Boolean),
-                    chargerTypes: document.getElementById('station-chargers').value.split(',').map(s => s.trim()).filter(Boolean),
+                    tariff,
+                    chargePointId: document.getElementById('station-charge-point-id').value.trim() || null,
+                    tile: getStationTile(parseFloat(document.getElementById('station-lat').value), parseFloat(document.getElementById('station-lng').value)),
+                    updatedAt: store.fields.serverTimestamp(),
+                    // Operator-admins can only create and keep stations under their own operator.
+                    operatorId: document.getElementById('station-operator')?.value || loggedInUser.operatorId,
                 };
+                if (!formData.operatorId) {
+                    showToast('Add an operator before creating stations.', 'error');
+                    return;
+                }
                 try {
+                    // Checked against the whole network: operator-admins only have their own stations loaded.
+                    if (formData.chargePointId) {
+                        const sameCharger = await store.stations.find({ where: [['chargePointId', '==', formData.chargePointId]], limit: 2 });
+                        if (sameCharger.some(s => s.id !== stationId)) {
+                            showToast('Another station already uses that charge point ID.', 'error');
+                            return;
+                        }
+                    }
                     if (isEditing) {
-                        await db.collection('stations').doc(stationId).update(formData);
+                        // Connectors are merged inside a transaction so claims made meanwhile aren't lost.
+                        const stationRef = store.stations.ref(stationId);
+                        await store.runTransaction(async (transaction) => {
+                            const stationDoc = await transaction.get(stationRef);
+                            if (!stationDoc.exists) throw "Station does not exist!";
+                            const writeIndex = await readCityIndex(transaction);
+                            transaction.update(stationRef, { ...formData, ...getConnectorFields(readConnectorForm(getConnectors(stationDoc.data()))) });
+                            writeIndex([stationDoc.data()], [formData]);
+                        });
                         log.info(`Admin updated station ID: ${stationId}`);
                     } else {
+                        Object.assign(formData, getConnectorFields(readConnectorForm([])));
                         formData.queue = [];
-                        await db.collection('stations').add(formData);
+                        const stationRef = store.stations.ref();
+                        await store.runTransaction(async (transaction) => {
+                            const writeIndex = await readCityIndex(transaction);
+                            transaction.set(stationRef, formData);
+                            writeIndex([], [formData]);
+                        });
                         log.info(`Admin created a new station.`);
                     }
                     showToast(`Station ${isEditing ? 'updated' : 'created'}!`, 'success');
@@ -1363,4 +5918,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // --- INITIALIZATION ---
     setupEventListeners();
+    registerServiceWorker();
+    window.addEventListener('online', () => { updateOfflineBanner(); flushOutbox(); });
+    window.addEventListener('offline', updateOfflineBanner);
 });
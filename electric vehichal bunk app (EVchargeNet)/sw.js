@@ -0,0 +1,95 @@
+// sw.js
+// Service worker: keeps the app shell and recently viewed map tiles available offline.
+// Live data (Firestore, auth) is never cached here; the app keeps its own offline copy of stations.
+
+const CACHE_VERSION = 'v7';
+const SHELL_CACHE = `evchargenet-shell-${CACHE_VERSION}`;
+const TILE_CACHE = `evchargenet-tiles-${CACHE_VERSION}`;
+const MAX_TILES = 500;
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'style.css',
+    'config.js',
+    'data-layer.js',
+    'demo-data.js',
+    'billing.js',
+    'connectors.js',
+    'occupancy.js',
+    'wallet.js',
+    'loyalty.js',
+    'notifications.js',
+    'script.js',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+    'https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.css',
+    'https://unpkg.com/leaflet.markercluster@1.5.3/dist/leaflet.markercluster.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.1/css/all.min.css',
+    'https://cdn.tailwindcss.com',
+    'https://cdn.jsdelivr.net/npm/chart.js',
+    'https://www.gstatic.com/firebasejs/8.10.0/firebase-app.js',
+    'https://www.gstatic.com/firebasejs/8.10.0/firebase-firestore.js',
+    'https://www.gstatic.com/firebasejs/8.10.0/firebase-auth.js',
+];
+
+const isTileRequest = url => url.hostname.endsWith('tile.openstreetmap.org');
+const isShellAsset = url => url.origin === self.location.origin || SHELL_FILES.includes(url.href) ||
+    ['fonts.googleapis.com', 'fonts.gstatic.com', 'cdnjs.cloudflare.com'].includes(url.hostname);
+
+self.addEventListener('install', event => {
+    // Files are cached one by one so a missing optional file (e.g. config.js) doesn't fail the install.
+    event.waitUntil(caches.open(SHELL_CACHE)
+        .then(cache => Promise.all(SHELL_FILES.map(file => cache.add(file).catch(() => null))))
+        .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(key => ![SHELL_CACHE, TILE_CACHE].includes(key)).map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+async function trimCache(cacheName, maxEntries) {
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(keys.length - maxEntries, 0)).map(key => cache.delete(key)));
+}
+
+// Tiles: cache first, since a tile rarely changes and the cache is what makes the map work offline.
+async function handleTile(request) {
+    const cache = await caches.open(TILE_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        await cache.put(request, response.clone());
+        trimCache(TILE_CACHE, MAX_TILES);
+    }
+    return response;
+}
+
+// App shell: network first so deployments show up straight away, with the cache as the fallback.
+async function handleShell(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        if (request.mode === 'navigate') return cache.match('index.html');
+        throw error;
+    }
+}
+
+self.addEventListener('fetch', event => {
+    if (event.request.method !== 'GET') return;
+    const url = new URL(event.request.url);
+    if (isTileRequest(url)) event.respondWith(handleTile(event.request));
+    else if (isShellAsset(url)) event.respondWith(handleShell(event.request));
+});
@@ -0,0 +1,60 @@
+// wallet.js
+// Prepaid wallets that drivers top up and sessions are paid from, with a ledger of every movement
+// so a balance can always be traced back. A user's balance is kept on users/{uid}.wallet:
+//   { balance, lastTransactionId, updatedAt }
+// and every change to it is written to the walletTransactions ledger in the same transaction:
+//   { userId, type: 'topup' | 'charge' | 'refund' | 'adjustment', amount, balanceAfter, bookingId,
+//     paymentId, gateway, reason, operatorId, createdBy, createdAt }
+// Amounts are in rupees, positive for money in and negative for money out. A session's charge has
+// the booking's id, so each booking is charged once.
+
+// Wallet rules
+const WALLET_MIN_BALANCE = 100;     // needed to start a session; the final cost may take the balance below it
+const WALLET_MAX_TOP_UP = 10000;    // largest single top-up
+
+function getWalletBalance(user) {
+    return user?.wallet?.balance || 0;
+}
+
+// Adds an entry to the ledger and moves the user's balance with it. `userData` is the user
+// document as read in the same transaction. Returns the entry's id.
+function addWalletTransaction(store, transaction, userRef, userData, entry, id = null) {
+    const ref = id ? store.walletTransactions.ref(id) : store.walletTransactions.ref();
+    const balanceAfter = Math.round((getWalletBalance(userData) + entry.amount) * 100) / 100;
+    transaction.set(ref, { ...entry, userId: userRef.id, balanceAfter, createdAt: store.fields.serverTimestamp() });
+    transaction.update(userRef, { wallet: { balance: balanceAfter, lastTransactionId: ref.id, updatedAt: store.fields.serverTimestamp() } });
+    return ref.id;
+}
+
+// The debit for a settled session, written with its booking.
+function chargeSession(store, transaction, userRef, userData, bookingId, booking) {
+    return addWalletTransaction(store, transaction, userRef, userData, {
+        type: 'charge',
+        amount: -booking.cost,
+        bookingId,
+        operatorId: booking.operatorId || null,
+        reason: booking.stationName ? `Charging at ${booking.stationName}` : 'Charging session',
+        createdBy: userRef.id,
+    }, bookingId);
+}
+
+// Payment gateways take the money for a top-up. An adapter has a `name` and
+// charge({ userId, amount }), which resolves to { paymentId } once the payment has gone through
+// and rejects with the reason it was declined.
+const MOCK_GATEWAY_DECLINE_AMOUNT = 13; // top-ups ending in ₹13 are declined, to try failures
+
+// Approves every other payment after a short pause, like a test card would.
+function createMockGateway({ delayMs = 800 } = {}) {
+    return {
+        name: 'mock',
+        async charge({ amount }) {
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+            if (amount % 100 === MOCK_GATEWAY_DECLINE_AMOUNT) throw "The test card was declined.";
+            return { paymentId: `mock_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}` };
+        },
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WALLET_MIN_BALANCE, WALLET_MAX_TOP_UP, getWalletBalance, addWalletTransaction, chargeSession, createMockGateway };
+}
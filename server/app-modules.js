@@ -0,0 +1,20 @@
+// app-modules.js
+// The app's plain scripts that the server shares: the data layer, demo data, billing, the
+// connector model, busy times, wallets, loyalty points and notifications. They live next to
+// index.html so the browser can load them without a build step.
+
+const path = require('path');
+
+const APP_DIR = path.join(__dirname, '..', 'electric vehichal bunk app (EVchargeNet)');
+const load = file => require(path.join(APP_DIR, file));
+
+module.exports = {
+    ...load('data-layer.js'),
+    ...load('demo-data.js'),
+    ...load('billing.js'),
+    ...load('connectors.js'),
+    ...load('occupancy.js'),
+    ...load('wallet.js'),
+    ...load('loyalty.js'),
+    ...load('notifications.js'),
+};
@@ -0,0 +1,46 @@
+// dispatcher.js
+// Sends the emails and text messages drivers asked for. Notifications are added with emailStatus or
+// smsStatus 'pending' (see notifications.js in the app); each is sent through the channel's
+// transport to the driver's email address or profile.phone, and the result written back as
+// 'sent' (with emailSentAt / smsSentAt) or 'failed' (with emailError / smsError).
+
+const NOTIFICATION_TTL_MS = 60 * 60 * 1000; // Older pending messages are failed rather than sent late
+
+function startDispatcher({ store, transports, log }) {
+    const inFlight = new Set();
+
+    async function deliver(notification, channel) {
+        try {
+            if (notification.createdAt && Date.now() - notification.createdAt.toMillis() > NOTIFICATION_TTL_MS) throw "The notification expired before it could be sent.";
+            const user = await store.users.get(notification.userId);
+            const to = channel === 'email' ? user?.email : user?.profile?.phone;
+            if (!to) throw `The driver has no ${channel === 'email' ? 'email address' : 'mobile number'}.`;
+            await transports[channel].send({ to, subject: notification.title, text: notification.body });
+            await store.notifications.update(notification.id, {
+                [`${channel}Status`]: 'sent',
+                [`${channel}SentAt`]: store.fields.serverTimestamp(),
+            });
+            log.info(`Sent ${notification.type} ${channel} for ${notification.userId}.`);
+        } catch (error) {
+            log.warn(`Could not send ${channel} for notification ${notification.id}:`, error.message || error);
+            await store.notifications.update(notification.id, {
+                [`${channel}Status`]: 'failed',
+                [`${channel}Error`]: error.message || String(error),
+            });
+        }
+    }
+
+    const stops = Object.keys(transports).map(channel => store.notifications.subscribe({ where: [[`${channel}Status`, '==', 'pending']] }, notifications => {
+        notifications.filter(notification => !inFlight.has(`${notification.id}/${channel}`)).forEach(notification => {
+            const key = `${notification.id}/${channel}`;
+            inFlight.add(key);
+            deliver(notification, channel)
+                .catch(error => log.error(`Could not record the ${channel} result of notification ${notification.id}:`, error))
+                .finally(() => inFlight.delete(key));
+        });
+    }, error => log.error(`Error listening for ${channel} notifications:`, error)));
+
+    return () => stops.forEach(stop => stop());
+}
+
+module.exports = { startDispatcher };
@@ -0,0 +1,42 @@
+// index.js
+// Starts the notification service: `npm run notifications` from the server directory. It adds
+// station events to drivers' inboxes (station-watcher.js) and sends the emails and text messages
+// they asked for (dispatcher.js). NOTIFY_EMAIL_WEBHOOK_URL and NOTIFY_SMS_WEBHOOK_URL send them
+// through a relay, with NOTIFY_WEBHOOK_TOKEN as its bearer token; without them messages are only
+// logged. See store.js for choosing Firestore or the demo data.
+
+const { log } = require('../log');
+const { createStore } = require('../store');
+const { createLogTransport, createWebhookTransport } = require('./transports');
+const { startDispatcher } = require('./dispatcher');
+const { startStationWatcher } = require('./station-watcher');
+
+function createTransport(channel, url) {
+    return url ? createWebhookTransport(channel, { url, token: process.env.NOTIFY_WEBHOOK_TOKEN || null }) : createLogTransport(channel, log);
+}
+
+async function main() {
+    const store = createStore();
+    log.info(`Using the ${store.backend} data backend.`);
+    const transports = {
+        email: createTransport('email', process.env.NOTIFY_EMAIL_WEBHOOK_URL),
+        sms: createTransport('sms', process.env.NOTIFY_SMS_WEBHOOK_URL),
+    };
+    log.info(`Sending email by ${transports.email.name} and SMS by ${transports.sms.name}.`);
+    const stopDispatcher = startDispatcher({ store, transports, log });
+    const stopWatcher = startStationWatcher({ store, log });
+
+    const shutdown = () => {
+        log.info('Shutting down the notification service.');
+        stopWatcher();
+        stopDispatcher();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+    log.error('The notification service failed to start:', error);
+    process.exit(1);
+});
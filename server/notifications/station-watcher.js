@@ -0,0 +1,70 @@
+// station-watcher.js
+// Adds notifications for station events to the inboxes of the drivers they concern, whether or not
+// the app is open: queue turns for the driver offered the connector, maintenance for drivers who
+// favorited the station or are charging or have a reservation there, and free connectors for
+// drivers who favorited it and whose vehicle can use them. Events are found by getStationEvents()
+// and getFavoriteAvailableEvent() in notifications.js, comparing each snapshot with the one
+// before, so nothing is sent for the state the service starts up in.
+
+const {
+    addNotification, getConnectorCounts, getConnectors, getFavoriteAvailableEvent, getStationEvents, getVehicle,
+} = require('../app-modules');
+
+function startStationWatcher({ store, log }) {
+    let previous = null; // Station id -> the last snapshot's copy
+
+    async function getRecipientIds(event) {
+        if (event.type === 'queue-turn') return [event.userId];
+        const favorited = await store.users.find({ where: [['profile.favorites', 'array-contains', event.stationId]] });
+        const [sessions, reservations] = await Promise.all([
+            store.activeSessions.find({ where: [['stationId', '==', event.stationId]] }),
+            store.reservations.find({ where: [['stationId', '==', event.stationId], ['status', 'in', ['booked', 'held']]] }),
+        ]);
+        // Roaming partners' sessions have no userId: their drivers aren't ours to notify.
+        return [...new Set([...favorited.map(user => user.id), ...sessions.map(s => s.userId), ...reservations.map(r => r.userId)].filter(Boolean))];
+    }
+
+    async function deliver(event) {
+        const userIds = await getRecipientIds(event);
+        for (const userId of userIds) {
+            const user = await store.users.get(userId);
+            if (user?.role !== 'user') continue;
+            const notification = await addNotification(store, user, event);
+            if (notification) log.info(`Notified ${userId}: ${notification.title}.`);
+        }
+    }
+
+    // Whether a connector is free has to be worked out per driver, from their vehicle's connector types.
+    async function deliverFreedConnectors(before, after, now) {
+        const favorited = await store.users.find({ where: [['profile.favorites', 'array-contains', after.id]] });
+        for (const user of favorited.filter(u => u.role === 'user')) {
+            const types = getVehicle(user.profile?.vehicle).compatible;
+            const event = getFavoriteAvailableEvent(after, getConnectorCounts(before, types), getConnectorCounts(after, types), now);
+            if (!event) continue;
+            const notification = await addNotification(store, user, event);
+            if (notification) log.info(`Notified ${user.id}: ${notification.title}.`);
+        }
+    }
+
+    // Only a connector that has just become free can concern anyone's favorites.
+    function hasFreedConnector(before, after) {
+        const wasFree = new Set(getConnectors(before).filter(c => c.status === 'available').map(c => c.id));
+        return getConnectors(after).some(c => c.status === 'available' && !wasFree.has(c.id));
+    }
+
+    return store.stations.subscribe({}, stations => {
+        const now = Date.now();
+        if (previous) {
+            stations.flatMap(station => getStationEvents(previous.get(station.id), station, now)).forEach(event => {
+                deliver(event).catch(error => log.error(`Could not deliver the ${event.type} event for station ${event.stationId}:`, error));
+            });
+            stations.filter(station => previous.has(station.id) && hasFreedConnector(previous.get(station.id), station)).forEach(station => {
+                deliverFreedConnectors(previous.get(station.id), station, now)
+                    .catch(error => log.error(`Could not deliver the favorite-available event for station ${station.id}:`, error));
+            });
+        }
+        previous = new Map(stations.map(station => [station.id, station]));
+    }, error => log.error('Error listening to stations:', error));
+}
+
+module.exports = { startStationWatcher };
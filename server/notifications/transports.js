@@ -0,0 +1,32 @@
+// transports.js
+// How emails and text messages leave the notification service. A transport has a `name` and
+// send({ to, subject, text }), which resolves once the message has been handed over and rejects
+// with the reason it couldn't be. The log transport stands in locally; the webhook transport posts
+// each message as JSON to a relay in front of an email or SMS provider:
+//   { channel: 'email' | 'sms', to, subject, text }
+
+function createLogTransport(channel, log) {
+    return {
+        name: 'log',
+        async send({ to, subject, text }) {
+            log.info(`[${channel} to ${to}] ${subject}: ${text}`);
+        },
+    };
+}
+
+// `token`, when set, is sent as a bearer token.
+function createWebhookTransport(channel, { url, token = null }) {
+    return {
+        name: 'webhook',
+        async send({ to, subject, text }) {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+                body: JSON.stringify({ channel, to, subject, text }),
+            });
+            if (!response.ok) throw `The ${channel} relay answered ${response.status} ${response.statusText}.`;
+        },
+    };
+}
+
+module.exports = { createLogTransport, createWebhookTransport };
@@ -0,0 +1,31 @@
+// add-partner.js
+// Registers a roaming partner and prints the token A it registers with:
+//   npm run ocpi:partner -- "<partner name>" <country code> <party id>
+// The country code and party id (e.g. NL MSP) are the partner's OCPI party. It can only register
+// with roles for that party and only push tokens for it, and no other partner can take it.
+// Run it against the same Firestore project as the OCPI interface. The in-memory demo data has a
+// partner of its own (token A 'demo-registration-token') because it isn't shared between processes.
+
+const { createStore } = require('../store');
+const { createCredentialsService } = require('./credentials');
+
+async function main() {
+    const [name, countryCode, partyId] = process.argv.slice(2).map((arg, i) => (i > 0 ? arg.toUpperCase() : arg));
+    if (!name || !countryCode || !partyId) {
+        console.log('Usage: npm run ocpi:partner -- "<partner name>" <country code> <party id>');
+        process.exit(1);
+    }
+    const store = createStore();
+    if (store.backend === 'memory') {
+        console.log('No Firestore configured: a partner added to the in-memory data would be lost. Set FIRESTORE_EMULATOR_HOST or GOOGLE_APPLICATION_CREDENTIALS.');
+        process.exit(1);
+    }
+    const { id, tokenA } = await createCredentialsService({ store }).addPartner(name, countryCode, partyId);
+    console.log(`Added partner ${name} (${id}) as ${countryCode}*${partyId}. Send them this token A with the versions URL:\n${tokenA}`);
+    process.exit(0);
+}
+
+main().catch(error => {
+    console.error('Could not add the partner:', error);
+    process.exit(1);
+});
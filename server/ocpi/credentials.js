@@ -0,0 +1,143 @@
+// credentials.js
+// OCPI credentials and partner registration. A partner (an eMSP) is registered in ocpiPartners:
+//   { name, countryCode, partyId, status: 'pending' | 'registered' | 'unregistered', tokenA,
+//     tokenB, tokenC, versionsUrl, version, endpoints, roles, createdAt, registeredAt, updatedAt }
+// We fix the partner's party (countryCode and partyId) when adding it and hand it token A out of
+// band (see add-partner.js), so a partner can't claim another's party later. The partner calls our
+// credentials endpoint with it, sending its own token B and versions URL; we fetch its endpoints
+// with token B and answer with token C, which it uses from then on. Token A stops working once
+// it has been used.
+
+const crypto = require('crypto');
+
+const OCPI_VERSION = '2.2';
+
+const ocpiError = (statusCode, message, httpStatus = 400) => Object.assign(new Error(message), { statusCode, httpStatus });
+
+function generateToken() {
+    return crypto.randomBytes(24).toString('base64url');
+}
+
+// OCPI 2.2 sends tokens base64 encoded, though some partners still send them as they are.
+function readToken(header) {
+    const match = /^Token\s+(\S+)$/i.exec(header || '');
+    if (!match) return [];
+    const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+    return Buffer.from(decoded, 'utf8').toString('base64').replace(/=+$/, '') === match[1].replace(/=+$/, '') ? [decoded, match[1]] : [match[1]];
+}
+
+const encodeToken = token => Buffer.from(token, 'utf8').toString('base64');
+
+// Calls one of the partner's endpoints and unwraps the OCPI response.
+async function callPartner(url, token) {
+    let response;
+    try {
+        response = await fetch(url, {
+            headers: { Authorization: `Token ${encodeToken(token)}`, 'X-Request-ID': crypto.randomUUID(), 'X-Correlation-ID': crypto.randomUUID() },
+        });
+    } catch (error) {
+        throw ocpiError(3001, `Could not reach ${url}: ${error.message}`);
+    }
+    const body = await response.json().catch(() => null);
+    if (!response.ok || body?.status_code !== 1000) throw ocpiError(3001, `${url} answered ${response.status}${body?.status_message ? `: ${body.status_message}` : ''}.`);
+    return body.data;
+}
+
+function createCredentialsService({ store, party, versionsUrl }) {
+    async function findPartner(field, token) {
+        const [partner] = await store.ocpiPartners.find({ where: [[field, '==', token]], limit: 1 });
+        return partner || null;
+    }
+
+    // Finds the partner a request's token belongs to. `registration` is true for token A.
+    async function authenticate(header) {
+        for (const token of readToken(header)) {
+            const registered = await findPartner('tokenC', token);
+            if (registered?.status === 'registered') return { partner: registered, registration: false };
+            const pending = await findPartner('tokenA', token);
+            if (pending?.status === 'pending') return { partner: pending, registration: true };
+        }
+        return null;
+    }
+
+    function getOwnCredentials(token) {
+        return {
+            token,
+            url: versionsUrl,
+            roles: [{ role: 'CPO', country_code: party.countryCode, party_id: party.partyId, business_details: { name: party.name } }],
+        };
+    }
+
+    // Every role has to be for the party the partner was added with.
+    function validateCredentials(partner, credentials) {
+        if (!credentials || typeof credentials.token !== 'string' || !credentials.token || typeof credentials.url !== 'string' || !credentials.url) {
+            throw ocpiError(2001, 'Credentials need a token and a url.');
+        }
+        if (!Array.isArray(credentials.roles) || !credentials.roles.some(role => role?.role === 'EMSP')) {
+            throw ocpiError(2001, 'Only eMSPs can register with this CPO.');
+        }
+        if (!partner.countryCode || !partner.partyId) throw ocpiError(2001, 'This partner was added without a party; add it again with its country code and party id.');
+        const other = credentials.roles.find(role => role?.country_code !== partner.countryCode || role?.party_id !== partner.partyId);
+        if (other) throw ocpiError(2001, `This partner registers as ${partner.countryCode}*${partner.partyId}, not ${other?.country_code}*${other?.party_id}.`);
+    }
+
+    // Partners that aren't unregistered keep their party to themselves.
+    async function findPartyClash(countryCode, partyId, partnerId = null) {
+        const partners = await store.ocpiPartners.find({ where: [['countryCode', '==', countryCode], ['partyId', '==', partyId]] });
+        return partners.find(other => other.id !== partnerId && other.status !== 'unregistered') || null;
+    }
+
+    // Fetches the partner's endpoints for our OCPI version with its token B.
+    async function fetchPartnerEndpoints(credentials) {
+        const versions = await callPartner(credentials.url, credentials.token);
+        const version = (Array.isArray(versions) ? versions : []).find(v => v.version === OCPI_VERSION || v.version === '2.2.1');
+        if (!version) throw ocpiError(3002, `The partner doesn't support OCPI ${OCPI_VERSION}.`);
+        const details = await callPartner(version.url, credentials.token);
+        if (!Array.isArray(details?.endpoints)) throw ocpiError(3003, 'The partner listed no endpoints.');
+        return { version: version.version, endpoints: details.endpoints };
+    }
+
+    // POST (first registration, with token A) and PUT (updating, with token C) both exchange
+    // credentials and issue a new token C.
+    async function register(partner, credentials) {
+        validateCredentials(partner, credentials);
+        if (await findPartyClash(partner.countryCode, partner.partyId, partner.id)) {
+            throw ocpiError(2001, `${partner.countryCode}*${partner.partyId} is registered by another partner.`);
+        }
+        const { version, endpoints } = await fetchPartnerEndpoints(credentials);
+        const tokenC = generateToken();
+        await store.ocpiPartners.update(partner.id, {
+            status: 'registered',
+            tokenA: null,
+            tokenB: credentials.token,
+            tokenC,
+            versionsUrl: credentials.url,
+            version,
+            endpoints,
+            roles: credentials.roles,
+            ...(partner.status === 'registered' ? { updatedAt: store.fields.serverTimestamp() } : { registeredAt: store.fields.serverTimestamp() }),
+        });
+        return getOwnCredentials(tokenC);
+    }
+
+    async function unregister(partner) {
+        await store.ocpiPartners.update(partner.id, { status: 'unregistered', tokenC: null, tokenB: null, updatedAt: store.fields.serverTimestamp() });
+    }
+
+    // Creates a partner for the party `countryCode`*`partyId` that can register with the returned
+    // token A.
+    async function addPartner(name, countryCode, partyId) {
+        if (!/^[A-Z]{2}$/.test(countryCode || '') || !/^[A-Z0-9]{3}$/.test(partyId || '')) {
+            throw 'The country code must be 2 letters and the party id 3 letters or digits, e.g. NL MSP.';
+        }
+        const clash = await findPartyClash(countryCode, partyId);
+        if (clash) throw `${countryCode}*${partyId} already belongs to partner ${clash.name} (${clash.id}).`;
+        const tokenA = generateToken();
+        const id = await store.ocpiPartners.add({ name, countryCode, partyId, status: 'pending', tokenA, createdAt: store.fields.serverTimestamp() });
+        return { id, tokenA };
+    }
+
+    return { authenticate, getOwnCredentials, register, unregister, addPartner };
+}
+
+module.exports = { OCPI_VERSION, ocpiError, readToken, encodeToken, callPartner, generateToken, createCredentialsService };
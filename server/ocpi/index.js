@@ -0,0 +1,43 @@
+// index.js
+// Starts the OCPI 2.2 CPO interface: `npm run ocpi` from the server directory.
+// OCPI_PORT sets the port (default 9200) and OCPI_BASE_URL the public address partners use
+// (default http://localhost:<port>). OCPI_COUNTRY_CODE, OCPI_PARTY_ID and OCPI_PARTY_NAME
+// identify us to partners. See store.js for choosing Firestore or the demo data.
+
+// Tariff bands are local times, so the service runs on the stations' time zone unless told otherwise.
+process.env.TZ = process.env.TZ || 'Asia/Kolkata';
+
+const { log } = require('../log');
+const { createStore } = require('../store');
+const { createOcpiServer } = require('./server');
+
+async function main() {
+    const store = createStore();
+    log.info(`Using the ${store.backend} data backend.`);
+    const port = Number(process.env.OCPI_PORT) || 9200;
+    const server = createOcpiServer({
+        store,
+        port,
+        baseUrl: (process.env.OCPI_BASE_URL || `http://localhost:${port}`).replace(/\/$/, ''),
+        party: {
+            countryCode: process.env.OCPI_COUNTRY_CODE || 'IN',
+            partyId: process.env.OCPI_PARTY_ID || 'EVC',
+            name: process.env.OCPI_PARTY_NAME || 'EV ChargeNet',
+        },
+        log,
+    });
+    await server.listen();
+
+    const shutdown = async () => {
+        log.info('Shutting down the OCPI interface.');
+        await server.close();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+    log.error('The OCPI interface failed to start:', error);
+    process.exit(1);
+});
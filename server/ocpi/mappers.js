@@ -0,0 +1,237 @@
+// mappers.js
+// Turns the app's documents into OCPI 2.2 objects: stations into Locations (one EVSE per
+// connector, since each connector charges one vehicle at a time), station tariffs into Tariffs,
+// and completed bookings into Sessions and CDRs. `party` is our own { countryCode, partyId }.
+//
+// OCPI prices exclude VAT while ours include GST, so prices are converted with GST_RATE and
+// carry it as `vat`.
+
+const { GST_RATE, getConnectors, getTariffBand, roundCurrency } = require('../app-modules');
+
+const TIME_ZONE = 'Asia/Kolkata';
+const COUNTRY = 'IND';
+const CURRENCY = 'INR';
+const AC_VOLTAGE = 400; // three-phase
+const DC_VOLTAGE = 500;
+
+// Connector types as OCPI standard, format and power type
+const CONNECTOR_TYPES = {
+    'Type 2': { standard: 'IEC_62196_T2', format: 'SOCKET', powerType: 'AC_3_PHASE' },
+    'CCS': { standard: 'IEC_62196_T2_COMBO', format: 'CABLE', powerType: 'DC' },
+    'CHAdeMO': { standard: 'CHADEMO', format: 'CABLE', powerType: 'DC' },
+};
+
+const toIso = value => (value ? new Date(value.toMillis ? value.toMillis() : value).toISOString() : null);
+const latestOf = dates => new Date(Math.max(0, ...dates.filter(Boolean).map(date => Date.parse(date)))).toISOString();
+const excludingVat = price => Math.round(price / (1 + GST_RATE / 100) * 10000) / 10000;
+const costOf = total => ({ excl_vat: roundCurrency(total / (1 + GST_RATE / 100)), incl_vat: roundCurrency(total) });
+
+function getEvseUid(stationId, connectorId) {
+    return `${stationId}-${connectorId}`;
+}
+
+// EVSE ids follow the eMI3 format, e.g. IN*EVC*EAHDSGHIGHWAYC1.
+function getEvseId(party, stationId, connectorId) {
+    return `${party.countryCode}*${party.partyId}*E${`${stationId}${connectorId}`.toUpperCase().replace(/[^A-Z0-9]/g, '')}`;
+}
+
+function getEvseStatus(station, connector) {
+    if (station.status !== 'Operational') return 'INOPERATIVE';
+    if (station.ocppStatus && !station.ocppStatus.connected) return 'UNKNOWN';
+    if (connector.status === 'faulted') return 'OUTOFORDER';
+    if (connector.status === 'available') return 'AVAILABLE';
+    return connector.claim?.kind === 'session' ? 'CHARGING' : 'RESERVED';
+}
+
+function toConnector(station, connector, lastUpdated) {
+    const type = CONNECTOR_TYPES[connector.type] || CONNECTOR_TYPES['Type 2'];
+    const voltage = type.powerType === 'DC' ? DC_VOLTAGE : AC_VOLTAGE;
+    const watts = connector.powerKw * 1000;
+    return {
+        id: '1',
+        standard: type.standard,
+        format: type.format,
+        power_type: type.powerType,
+        max_voltage: voltage,
+        max_amperage: Math.round(type.powerType === 'DC' ? watts / voltage : watts / (Math.sqrt(3) * voltage)),
+        max_electric_power: watts,
+        tariff_ids: [station.id],
+        last_updated: lastUpdated,
+    };
+}
+
+// An EVSE changes when the station is edited or when its charger reports a new status. Status
+// changes made by the app itself aren't timestamped, so partners should pull the full list now
+// and then to stay current.
+function toEvse(party, station, connector, index) {
+    const reported = station.ocppStatus?.connectors?.[index + 1];
+    const lastUpdated = latestOf([toIso(station.updatedAt), toIso(reported?.at)]);
+    return {
+        uid: getEvseUid(station.id, connector.id),
+        evse_id: getEvseId(party, station.id, connector.id),
+        status: getEvseStatus(station, connector),
+        capabilities: station.chargePointId ? ['REMOTE_START_STOP_CAPABLE'] : [],
+        connectors: [toConnector(station, connector, lastUpdated)],
+        last_updated: lastUpdated,
+    };
+}
+
+function toLocation(party, station, operatorName) {
+    const evses = getConnectors(station).map((connector, i) => toEvse(party, station, connector, i));
+    return {
+        country_code: party.countryCode,
+        party_id: party.partyId,
+        id: station.id,
+        publish: true,
+        name: station.name,
+        address: station.address || station.name,
+        city: station.city,
+        country: COUNTRY,
+        coordinates: { latitude: station.lat.toFixed(6), longitude: station.lng.toFixed(6) },
+        evses,
+        ...(operatorName ? { operator: { name: operatorName } } : {}),
+        facilities: [],
+        time_zone: TIME_ZONE,
+        ...(station.images?.[0] ? { images: [{ url: station.images[0], category: 'LOCATION', type: 'jpeg' }] } : {}),
+        last_updated: latestOf([toIso(station.updatedAt), ...evses.map(evse => evse.last_updated)]),
+    };
+}
+
+// Tariff elements apply in order, so the bands come first in the same precedence as
+// getTariffBand(), and the standard rate last. The time and session fees sit on the last element,
+// which has no restrictions and so always applies to them.
+function toTariff(party, station) {
+    const tariff = station.tariff || {};
+    const energy = price => ({ type: 'ENERGY', price: excludingVat(price), vat: GST_RATE, step_size: 1 });
+    const elements = [];
+    if (tariff.weekend?.price) elements.push({ price_components: [energy(tariff.weekend.price)], restrictions: { day_of_week: ['SATURDAY', 'SUNDAY'] } });
+    [tariff.peak, tariff.offPeak].filter(band => band?.price).forEach(band => {
+        elements.push({ price_components: [energy(band.price)], restrictions: { start_time: band.start, end_time: band.end } });
+    });
+    const standard = [energy(station.pricePerKwh)];
+    if (tariff.perMinuteFee) standard.push({ type: 'TIME', price: excludingVat(tariff.perMinuteFee * 60), vat: GST_RATE, step_size: 60 });
+    if (tariff.sessionFee) standard.push({ type: 'FLAT', price: excludingVat(tariff.sessionFee), vat: GST_RATE, step_size: 1 });
+    elements.push({ price_components: standard });
+    return {
+        country_code: party.countryCode,
+        party_id: party.partyId,
+        id: station.id,
+        currency: CURRENCY,
+        tariff_alt_text: [{ language: 'en', text: `${station.name}: from ₹${getTariffBand(station, new Date()).price}/kWh incl. GST` }],
+        elements,
+        last_updated: toIso(station.updatedAt) || new Date(0).toISOString(),
+    };
+}
+
+// Same fallbacks as getBookingTimes() in script.js: bookings from before start and end times
+// were recorded only have createdAt (the end) and a duration.
+function getBookingTimes(booking) {
+    const end = booking.endTime?.toMillis() || booking.createdAt?.toMillis() || 0;
+    const start = booking.startTime?.toMillis() || end - (booking.duration || 0) * 1000;
+    return { start, end };
+}
+
+// A booking is written once, when the session ends, so that is when its Session and CDR last changed.
+function getBookingUpdated(booking) {
+    return toIso(booking.createdAt) || new Date(getBookingTimes(booking).end).toISOString();
+}
+
+// Bookings record the connector since OCPI was added; older ones fall back to the first
+// connector of the type they used.
+function getBookingConnector(station, booking) {
+    const connectors = station ? getConnectors(station) : [];
+    return connectors.find(c => c.id === booking.connectorId)
+        || connectors.find(c => c.type === booking.connectorType)
+        || connectors[0]
+        || { id: booking.connectorId || 'c1', type: booking.connectorType || 'Type 2' };
+}
+
+// The partner's own token the session was authorized with. Our drivers' uids and charging IDs
+// are never sent to partners.
+function toCdrToken(booking) {
+    const { country_code, party_id, uid, type, contract_id } = booking.ocpiToken;
+    return { country_code, party_id, uid, type, contract_id };
+}
+
+function toSession(party, booking, station) {
+    const { start, end } = getBookingTimes(booking);
+    const connector = getBookingConnector(station, booking);
+    return {
+        country_code: party.countryCode,
+        party_id: party.partyId,
+        id: booking.id,
+        start_date_time: new Date(start).toISOString(),
+        end_date_time: new Date(end).toISOString(),
+        kwh: booking.kwhConsumed || 0,
+        cdr_token: toCdrToken(booking),
+        auth_method: 'WHITELIST', // Accepted against the tokens the partner pushed (tokens.js)
+        location_id: booking.stationId,
+        evse_uid: getEvseUid(booking.stationId, connector.id),
+        connector_id: '1',
+        currency: CURRENCY,
+        total_cost: costOf(booking.cost || 0),
+        status: 'COMPLETED',
+        last_updated: getBookingUpdated(booking),
+    };
+}
+
+// Charging periods follow the tariff bands the session was billed in. Their exact boundaries
+// aren't stored, so the session's time is divided in proportion to the energy of each band.
+function toChargingPeriods(booking, start, end) {
+    const segments = booking.tariffBreakdown?.length
+        ? booking.tariffBreakdown
+        : [{ kwh: booking.kwhConsumed || 0 }];
+    const totalKwh = segments.reduce((sum, seg) => sum + seg.kwh, 0);
+    let at = start;
+    return segments.map(seg => {
+        const period = { start_date_time: new Date(at).toISOString(), dimensions: [{ type: 'ENERGY', volume: roundCurrency(seg.kwh) }], tariff_id: booking.stationId };
+        at += totalKwh ? (end - start) * seg.kwh / totalKwh : 0;
+        return period;
+    });
+}
+
+function toCdr(party, booking, station, tariff) {
+    const { start, end } = getBookingTimes(booking);
+    const connector = getBookingConnector(station, booking);
+    const type = CONNECTOR_TYPES[connector.type] || CONNECTOR_TYPES['Type 2'];
+    const hours = (end - start) / 3600000;
+    return {
+        country_code: party.countryCode,
+        party_id: party.partyId,
+        id: booking.id,
+        start_date_time: new Date(start).toISOString(),
+        end_date_time: new Date(end).toISOString(),
+        session_id: booking.id,
+        cdr_token: toCdrToken(booking),
+        auth_method: 'WHITELIST', // Accepted against the tokens the partner pushed (tokens.js)
+        cdr_location: {
+            id: booking.stationId,
+            name: booking.stationName || station?.name || null,
+            address: station?.address || booking.stationName || station?.name || '',
+            city: booking.stationCity || station?.city || '',
+            country: COUNTRY,
+            coordinates: station ? { latitude: station.lat.toFixed(6), longitude: station.lng.toFixed(6) } : { latitude: '0.000000', longitude: '0.000000' },
+            evse_uid: getEvseUid(booking.stationId, connector.id),
+            evse_id: getEvseId(party, booking.stationId, connector.id),
+            connector_id: '1',
+            connector_standard: type.standard,
+            connector_format: type.format,
+            connector_power_type: type.powerType,
+        },
+        currency: CURRENCY,
+        ...(tariff ? { tariffs: [tariff] } : {}),
+        charging_periods: toChargingPeriods(booking, start, end),
+        total_cost: costOf(booking.cost || 0),
+        total_fixed_cost: costOf(booking.sessionFee || 0),
+        total_energy: booking.kwhConsumed || 0,
+        total_energy_cost: costOf(booking.energyCost ?? booking.cost ?? 0),
+        total_time: Math.round(hours * 10000) / 10000,
+        total_time_cost: costOf(booking.timeFee || 0),
+        // Idle time after charging finished is OCPI's parking time.
+        ...(booking.idleMinutes ? { total_parking_time: Math.round(booking.idleMinutes / 60 * 10000) / 10000, total_parking_cost: costOf(booking.idleFee || 0) } : {}),
+        ...(booking.invoiceNumber ? { invoice_reference_id: booking.invoiceNumber } : {}),
+        last_updated: getBookingUpdated(booking),
+    };
+}
+
+module.exports = { CONNECTOR_TYPES, getEvseUid, getEvseId, getEvseStatus, getBookingTimes, toLocation, toEvse, toConnector, toTariff, toSession, toCdr };
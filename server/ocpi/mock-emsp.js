@@ -0,0 +1,129 @@
+// mock-emsp.js
+// A minimal eMSP for trying the OCPI interface locally:
+//
+//   npm run ocpi:mock-emsp -- [--cpo http://localhost:9200/ocpi/versions] [--token <token A>]
+//                             [--party NL*MSP] [--rfid MOCK-RFID-1] [--port 9300] [--unregister]
+//
+// It serves its own versions and credentials endpoints, registers with the CPO using token A
+// (the demo data's 'demo-registration-token' by default) as the party the CPO added it with,
+// pushes an RFID token its drivers can start charging with, then pulls every page of locations,
+// tariffs, sessions and CDRs and prints a summary. With --unregister it deletes its credentials
+// before exiting, so the partner can't be used again.
+
+const http = require('http');
+const crypto = require('crypto');
+const { OCPI_VERSION, readToken, encodeToken, generateToken } = require('./credentials');
+
+function parseArgs(argv) {
+    const options = { cpo: 'http://localhost:9200/ocpi/versions', token: 'demo-registration-token', party: 'NL*MSP', rfid: 'MOCK-RFID-1', port: 9300, unregister: false };
+    for (let i = 0; i < argv.length; i++) {
+        const key = argv[i].replace(/^--/, '');
+        if (key === 'unregister') options.unregister = true;
+        else if (key in options) options[key] = key === 'port' ? Number(argv[++i]) : argv[++i];
+    }
+    return options;
+}
+
+// Calls the CPO and returns the unwrapped data with the response headers.
+async function request(url, token, { method = 'GET', body } = {}) {
+    const response = await fetch(url, {
+        method,
+        headers: {
+            Authorization: `Token ${encodeToken(token)}`,
+            'Content-Type': 'application/json',
+            'X-Request-ID': crypto.randomUUID(),
+            'X-Correlation-ID': crypto.randomUUID(),
+        },
+        body: body ? JSON.stringify(body) : undefined,
+    });
+    const envelope = await response.json();
+    if (envelope.status_code !== 1000) throw new Error(`${method} ${url}: ${response.status} ${envelope.status_code} ${envelope.status_message}`);
+    return { data: envelope.data, headers: response.headers };
+}
+
+// Follows the Link headers until the last page.
+async function fetchAll(url, token) {
+    const items = [];
+    let next = url;
+    while (next) {
+        const { data, headers } = await request(next, token);
+        items.push(...data);
+        next = /<([^>]+)>;\s*rel="next"/.exec(headers.get('link') || '')?.[1] || null;
+    }
+    return items;
+}
+
+function startEndpoints(port, tokenB) {
+    const baseUrl = `http://localhost:${port}/ocpi`;
+    const routes = {
+        '/ocpi/versions': () => [{ version: OCPI_VERSION, url: `${baseUrl}/${OCPI_VERSION}` }],
+        [`/ocpi/${OCPI_VERSION}`]: () => ({ version: OCPI_VERSION, endpoints: [{ identifier: 'credentials', role: 'RECEIVER', url: `${baseUrl}/${OCPI_VERSION}/credentials` }] }),
+    };
+    const server = http.createServer((req, res) => {
+        const route = routes[req.url.replace(/\/$/, '')];
+        const authorized = readToken(req.headers.authorization).includes(tokenB);
+        res.writeHead(!authorized ? 401 : route ? 200 : 404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(authorized && route
+            ? { data: route(), status_code: 1000, timestamp: new Date().toISOString() }
+            : { status_code: 2000, status_message: authorized ? 'Not found.' : 'Unknown token.', timestamp: new Date().toISOString() }));
+        console.log(`CPO called ${req.method} ${req.url}: ${authorized ? 'ok' : 'unauthorized'}`);
+    });
+    return new Promise(resolve => server.listen(port, () => resolve({ server, versionsUrl: `${baseUrl}/versions` })));
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const tokenB = generateToken();
+    const { server, versionsUrl } = await startEndpoints(options.port, tokenB);
+    try {
+        const { data: versions } = await request(options.cpo, options.token);
+        const version = versions.find(v => v.version === OCPI_VERSION);
+        if (!version) throw new Error(`The CPO doesn't offer OCPI ${OCPI_VERSION}.`);
+        const { data: details } = await request(version.url, options.token);
+        const endpoints = Object.fromEntries(details.endpoints.map(e => [e.identifier, e.url]));
+        console.log(`CPO modules: ${Object.keys(endpoints).join(', ')}`);
+
+        const [countryCode, partyId] = options.party.split('*');
+        const { data: credentials } = await request(endpoints.credentials, options.token, {
+            method: 'POST',
+            body: { token: tokenB, url: versionsUrl, roles: [{ role: 'EMSP', country_code: countryCode, party_id: partyId, business_details: { name: 'Mock eMSP' } }] },
+        });
+        const tokenC = credentials.token;
+        const cpo = credentials.roles[0];
+        console.log(`Registered with ${cpo.business_details.name} (${cpo.country_code}*${cpo.party_id}).`);
+
+        await request(`${endpoints.tokens}/${countryCode}/${partyId}/${encodeURIComponent(options.rfid)}?type=RFID`, tokenC, {
+            method: 'PUT',
+            body: {
+                country_code: countryCode, party_id: partyId, uid: options.rfid, type: 'RFID', contract_id: `${countryCode}-${partyId}-C${options.rfid.replace(/[^A-Z0-9]/gi, '')}`,
+                issuer: 'Mock eMSP', valid: true, whitelist: 'ALLOWED', last_updated: new Date().toISOString(),
+            },
+        });
+        console.log(`Pushed RFID token ${options.rfid}: chargers now accept it as an idTag.`);
+
+        const locations = await fetchAll(endpoints.locations, tokenC);
+        console.log(`\n${locations.length} locations:`);
+        locations.forEach(l => console.log(`  ${l.id}: ${l.name}, ${l.city} | ${l.evses.map(e => `${e.connectors[0].standard} ${e.connectors[0].max_electric_power / 1000} kW ${e.status}`).join(', ')}`));
+        const tariffs = await fetchAll(endpoints.tariffs, tokenC);
+        console.log(`\n${tariffs.length} tariffs:`);
+        tariffs.forEach(t => console.log(`  ${t.id}: ${t.elements.map(e => e.price_components.map(p => `${p.type} ${p.price} ${t.currency} + ${p.vat}% VAT`).join(' / ')).join(' | ')}`));
+        const sessions = await fetchAll(endpoints.sessions, tokenC);
+        console.log(`\n${sessions.length} sessions:`);
+        sessions.forEach(s => console.log(`  ${s.id}: ${s.location_id} ${s.kwh} kWh ${s.total_cost.incl_vat} ${s.currency} ${s.status}`));
+        const cdrs = await fetchAll(endpoints.cdrs, tokenC);
+        console.log(`\n${cdrs.length} CDRs:`);
+        cdrs.forEach(c => console.log(`  ${c.id}: ${c.cdr_location.name} ${c.total_energy} kWh, ${c.total_time} h, ${c.total_cost.excl_vat} + VAT = ${c.total_cost.incl_vat} ${c.currency}${c.invoice_reference_id ? ` (${c.invoice_reference_id})` : ''}`));
+
+        if (options.unregister) {
+            await request(endpoints.credentials, tokenC, { method: 'DELETE' });
+            console.log('\nUnregistered.');
+        }
+    } finally {
+        server.close();
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,228 @@
+// server.js
+// OCPI 2.2 CPO interface over plain HTTP. Partners discover it at <baseUrl>/ocpi/versions and use
+// these modules:
+//   credentials  registration and token exchange (credentials.js)
+//   locations    stations, with an EVSE per connector
+//   tariffs      each station's tariff, with id = station id
+//   sessions     completed charging sessions (bookings) authorized with the partner's tokens
+//   cdrs         charge detail records for the same bookings
+//   tokens       Receiver: the partner pushes the tokens its drivers charge with (tokens.js)
+// Every response uses the OCPI envelope { data, status_code, status_message, timestamp }. Lists
+// take date_from, date_to, offset and limit, and page with the Link, X-Total-Count and X-Limit
+// headers.
+
+const http = require('http');
+const crypto = require('crypto');
+const { OCPI_VERSION, ocpiError, createCredentialsService } = require('./credentials');
+const { createTokensService } = require('./tokens');
+const { toLocation, toEvse, toTariff, toSession, toCdr } = require('./mappers');
+const { getConnectors } = require('../app-modules');
+
+const MAX_LIMIT = 100;
+const MODULES = [
+    { identifier: 'credentials', role: 'SENDER' },
+    { identifier: 'locations', role: 'SENDER' },
+    { identifier: 'tariffs', role: 'SENDER' },
+    { identifier: 'sessions', role: 'SENDER' },
+    { identifier: 'cdrs', role: 'SENDER' },
+    { identifier: 'tokens', role: 'RECEIVER' },
+];
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            if (!body) return resolve(null);
+            try {
+                resolve(JSON.parse(body));
+            } catch (error) {
+                reject(ocpiError(2001, 'The request body is not valid JSON.'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function parseDate(value, name) {
+    if (value === null) return null;
+    const ms = Date.parse(value);
+    if (Number.isNaN(ms)) throw ocpiError(2001, `${name} must be an ISO 8601 date.`);
+    return ms;
+}
+
+function createOcpiServer({ store, party, baseUrl, port, log }) {
+    const versionsUrl = `${baseUrl}/ocpi/versions`;
+    const versionUrl = `${baseUrl}/ocpi/${OCPI_VERSION}`;
+    const credentials = createCredentialsService({ store, party, versionsUrl });
+    const tokens = createTokensService({ store });
+
+    // Filters a list on last_updated and returns the requested page with its paging headers.
+    function paginate(items, url) {
+        const from = parseDate(url.searchParams.get('date_from'), 'date_from');
+        const to = parseDate(url.searchParams.get('date_to'), 'date_to');
+        const offset = Math.max(parseInt(url.searchParams.get('offset'), 10) || 0, 0);
+        const limit = Math.min(parseInt(url.searchParams.get('limit'), 10) || MAX_LIMIT, MAX_LIMIT);
+        const matching = items
+            .filter(item => (from === null || Date.parse(item.last_updated) >= from) && (to === null || Date.parse(item.last_updated) < to))
+            .sort((a, b) => Date.parse(a.last_updated) - Date.parse(b.last_updated) || a.id.localeCompare(b.id));
+        const headers = { 'X-Total-Count': String(matching.length), 'X-Limit': String(MAX_LIMIT) };
+        if (offset + limit < matching.length) {
+            const next = new URL(url.pathname, baseUrl);
+            url.searchParams.forEach((value, key) => next.searchParams.set(key, value));
+            next.searchParams.set('offset', String(offset + limit));
+            next.searchParams.set('limit', String(limit));
+            headers.Link = `<${next}>; rel="next"`;
+        }
+        return { data: matching.slice(offset, offset + limit), headers };
+    }
+
+    async function loadStations() {
+        const [stations, operators] = await Promise.all([store.stations.find({}), store.operators.find({})]);
+        const operatorNames = Object.fromEntries(operators.map(o => [o.id, o.name]));
+        return stations.map(station => ({ station, operatorName: operatorNames[station.operatorId] || null }));
+    }
+
+    // A partner only gets the sessions its own drivers charged with its tokens (a booking's
+    // ocpiToken, for the party the partner was added with), never our drivers'. A booking is only
+    // written when a session ends, so the date range can be applied to createdAt.
+    async function loadBookings(url, partner) {
+        if (!partner.countryCode || !partner.partyId) return [];
+        const from = parseDate(url.searchParams.get('date_from'), 'date_from');
+        const to = parseDate(url.searchParams.get('date_to'), 'date_to');
+        const where = [['ocpiToken.country_code', '==', partner.countryCode], ['ocpiToken.party_id', '==', partner.partyId]];
+        if (from !== null) where.push(['createdAt', '>=', store.timestampFromMillis(from)]);
+        if (to !== null) where.push(['createdAt', '<', store.timestampFromMillis(to)]);
+        const [bookings, stations] = await Promise.all([store.bookings.find({ where }), store.stations.find({})]);
+        const stationsById = Object.fromEntries(stations.map(s => [s.id, s]));
+        return bookings.map(booking => ({ booking, station: stationsById[booking.stationId] || null }));
+    }
+
+    async function getLocations(url, [locationId, evseUid, connectorId]) {
+        if (!locationId) {
+            const stations = await loadStations();
+            return paginate(stations.map(({ station, operatorName }) => toLocation(party, station, operatorName)), url);
+        }
+        const station = await store.stations.get(locationId);
+        if (!station) throw ocpiError(2003, `Unknown location ${locationId}.`, 404);
+        if (!evseUid) {
+            const operator = station.operatorId ? await store.operators.get(station.operatorId) : null;
+            return { data: toLocation(party, station, operator?.name || null) };
+        }
+        const index = getConnectors(station).findIndex(c => `${station.id}-${c.id}` === evseUid);
+        if (index === -1) throw ocpiError(2003, `Unknown EVSE ${evseUid}.`, 404);
+        const evse = toEvse(party, station, getConnectors(station)[index], index);
+        if (!connectorId) return { data: evse };
+        const connector = evse.connectors.find(c => c.id === connectorId);
+        if (!connector) throw ocpiError(2003, `Unknown connector ${connectorId}.`, 404);
+        return { data: connector };
+    }
+
+    async function getTariffs(url) {
+        const stations = await loadStations();
+        return paginate(stations.map(({ station }) => toTariff(party, station)), url);
+    }
+
+    async function getSessions(url, partner) {
+        const bookings = await loadBookings(url, partner);
+        return paginate(bookings.map(({ booking, station }) => toSession(party, booking, station)), url);
+    }
+
+    async function getCdrs(url, partner) {
+        const bookings = await loadBookings(url, partner);
+        return paginate(bookings.map(({ booking, station }) => toCdr(party, booking, station, station ? toTariff(party, station) : null)), url);
+    }
+
+    async function handleCredentials(req, auth) {
+        switch (req.method) {
+            case 'GET':
+                if (auth.registration) throw ocpiError(2000, 'Register before reading credentials.', 401);
+                return { data: credentials.getOwnCredentials(auth.partner.tokenC) };
+            case 'POST':
+                if (!auth.registration) throw ocpiError(2000, 'Already registered; use PUT to update credentials.', 405);
+                return { data: await credentials.register(auth.partner, await readJsonBody(req)) };
+            case 'PUT':
+                if (auth.registration) throw ocpiError(2000, 'Not registered yet; use POST to register.', 405);
+                return { data: await credentials.register(auth.partner, await readJsonBody(req)) };
+            case 'DELETE':
+                if (auth.registration) throw ocpiError(2000, 'Not registered.', 405);
+                await credentials.unregister(auth.partner);
+                return { data: null };
+            default:
+                throw ocpiError(2000, `${req.method} is not supported.`, 405);
+        }
+    }
+
+    // Partners push a whole token with PUT and change part of it with PATCH.
+    async function handleTokens(req, url, partner, ids) {
+        const type = url.searchParams.get('type');
+        switch (req.method) {
+            case 'GET':
+                return { data: await tokens.getToken(partner, ids, type) };
+            case 'PUT':
+                await tokens.putToken(partner, ids, await readJsonBody(req), type);
+                return { data: null };
+            case 'PATCH':
+                await tokens.patchToken(partner, ids, await readJsonBody(req), type);
+                return { data: null };
+            default:
+                throw ocpiError(2000, `${req.method} is not supported.`, 405);
+        }
+    }
+
+    // Token A only opens version discovery and registration; everything else needs token C.
+    async function route(req, url, auth) {
+        const [root, version, module, ...ids] = url.pathname.replace(/^\/+|\/+$/g, '').split('/').map(decodeURIComponent);
+        if (root !== 'ocpi') throw ocpiError(2000, 'Not found.', 404);
+        if (version === 'versions' && !module) return { data: [{ version: OCPI_VERSION, url: versionUrl }] };
+        if (version !== OCPI_VERSION) throw ocpiError(3002, `Unsupported version ${version}.`, 404);
+        if (!module) {
+            return { data: { version: OCPI_VERSION, endpoints: MODULES.map(({ identifier, role }) => ({ identifier, role, url: `${versionUrl}/${identifier}` })) } };
+        }
+        if (module === 'credentials') return handleCredentials(req, auth);
+        if (auth.registration) throw ocpiError(2000, 'Register before using this module.', 401);
+        if (module === 'tokens') return handleTokens(req, url, auth.partner, ids);
+        if (req.method !== 'GET') throw ocpiError(2000, `${req.method} is not supported.`, 405);
+        if (module !== 'locations' && ids.length) throw ocpiError(2000, 'Not found.', 404);
+        switch (module) {
+            case 'locations': return getLocations(url, ids);
+            case 'tariffs': return getTariffs(url);
+            case 'sessions': return getSessions(url, auth.partner);
+            case 'cdrs': return getCdrs(url, auth.partner);
+            default: throw ocpiError(2000, `Unknown module ${module}.`, 404);
+        }
+    }
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, baseUrl);
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-Request-ID': req.headers['x-request-id'] || crypto.randomUUID(),
+            'X-Correlation-ID': req.headers['x-correlation-id'] || crypto.randomUUID(),
+        };
+        const send = (httpStatus, statusCode, statusMessage, data, extraHeaders = {}) => {
+            res.writeHead(httpStatus, { ...headers, ...extraHeaders });
+            res.end(JSON.stringify({ ...(data !== undefined ? { data } : {}), status_code: statusCode, status_message: statusMessage, timestamp: new Date().toISOString() }));
+        };
+        try {
+            const auth = await credentials.authenticate(req.headers.authorization);
+            if (!auth) return send(401, 2000, 'Missing or unknown token.');
+            const result = await route(req, url, auth);
+            send(200, 1000, 'Success', result.data, result.headers);
+        } catch (error) {
+            if (!error.statusCode) log.error(`Error handling ${req.method} ${url.pathname}:`, error);
+            send(error.httpStatus || 500, error.statusCode || 3000, error.message || String(error));
+        }
+    });
+
+    return {
+        credentials,
+        listen: () => new Promise(resolve => server.listen(port, () => {
+            log.info(`OCPI ${OCPI_VERSION} CPO interface listening on ${versionsUrl}`);
+            resolve();
+        })),
+        close: () => new Promise(resolve => server.close(() => resolve())),
+    };
+}
+
+module.exports = { createOcpiServer };
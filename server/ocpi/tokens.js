@@ -0,0 +1,97 @@
+// tokens.js
+// OCPI Tokens module, Receiver side: partners push the tokens their drivers charge with (RFID
+// cards, app accounts) and we keep them in ocpiTokens:
+//   ocpiTokens/{country_code}-{party_id}-{uid} = { partnerId, country_code, party_id, uid, type,
+//     contract_id, visual_number, issuer, group_id, valid, whitelist, language, last_updated }
+// A partner only pushes tokens for its own party, the one it was added with (add-partner.js).
+// Chargers accept a pushed token's uid as an OCPP idTag (see authorize() in server/ocpp/handlers.js),
+// and the sessions charged with it go back to the partner through the sessions and cdrs modules.
+
+const { ocpiError } = require('./credentials');
+
+const TOKEN_TYPES = ['AD_HOC_USER', 'APP_USER', 'OTHER', 'RFID'];
+const WHITELIST_TYPES = ['ALWAYS', 'ALLOWED', 'ALLOWED_OFFLINE', 'NEVER'];
+const TOKEN_FIELDS = ['country_code', 'party_id', 'uid', 'type', 'contract_id', 'visual_number', 'issuer', 'group_id', 'valid', 'whitelist', 'language', 'last_updated'];
+const MAX_UID_LENGTH = 20; // OCPP 1.6 idTags are at most 20 characters
+
+function getTokenId(countryCode, partyId, uid) {
+    return `${countryCode}-${partyId}-${uid}`;
+}
+
+function validateToken(token) {
+    const missing = ['country_code', 'party_id', 'uid', 'type', 'contract_id', 'issuer', 'whitelist', 'last_updated'].filter(field => typeof token[field] !== 'string' || !token[field]);
+    if (typeof token.valid !== 'boolean') missing.push('valid');
+    if (missing.length) throw ocpiError(2001, `The token needs ${missing.join(', ')}.`);
+    if (token.uid.length > MAX_UID_LENGTH) throw ocpiError(2001, `Token uids can be at most ${MAX_UID_LENGTH} characters, as chargers send them as OCPP idTags.`);
+    if (!TOKEN_TYPES.includes(token.type)) throw ocpiError(2001, `Unknown token type ${token.type}.`);
+    if (!WHITELIST_TYPES.includes(token.whitelist)) throw ocpiError(2001, `Unknown whitelist type ${token.whitelist}.`);
+    if (Number.isNaN(Date.parse(token.last_updated))) throw ocpiError(2001, 'last_updated must be an ISO 8601 date.');
+}
+
+const pickTokenFields = token => Object.fromEntries(TOKEN_FIELDS.filter(field => token[field] !== undefined).map(field => [field, token[field]]));
+
+// The token as a booking records it (a booking's `ocpiToken`).
+function toBookingToken(token) {
+    const { country_code, party_id, uid, type, contract_id } = token;
+    return { country_code, party_id, uid, type, contract_id };
+}
+
+// The pushed token a charger's idTag stands for, or null. It has to be valid, allowed without
+// asking the partner first (we don't call partners for real-time authorization, so NEVER is
+// refused), and its partner still registered. Like a driver's idTag, a uid two partners both
+// use charges nobody.
+async function findChargingToken(store, idTag) {
+    const tokens = await store.ocpiTokens.find({ where: [['uid', '==', idTag]] });
+    const usable = [];
+    for (const token of tokens) {
+        if (!token.valid || token.whitelist === 'NEVER') continue;
+        const partner = await store.ocpiPartners.get(token.partnerId);
+        if (partner?.status === 'registered' && partner.countryCode === token.country_code && partner.partyId === token.party_id) usable.push(token);
+    }
+    return usable.length === 1 ? usable[0] : null;
+}
+
+function createTokensService({ store }) {
+    // Partners only reach the tokens of their own party, and of the type asked for (RFID by default).
+    async function findToken(partner, [countryCode, partyId, uid], type) {
+        if (!countryCode || !partyId || !uid) throw ocpiError(2001, 'Tokens are addressed as /tokens/{country_code}/{party_id}/{uid}.', 404);
+        if (countryCode !== partner.countryCode || partyId !== partner.partyId) {
+            throw ocpiError(2001, `Tokens of ${countryCode}*${partyId} belong to another party.`, 403);
+        }
+        const token = await store.ocpiTokens.get(getTokenId(countryCode, partyId, uid));
+        return { id: getTokenId(countryCode, partyId, uid), token: token && token.type === (type || 'RFID') ? token : null };
+    }
+
+    async function getToken(partner, ids, type) {
+        const { token } = await findToken(partner, ids, type);
+        if (!token) throw ocpiError(2004, `Unknown token ${ids[2]}.`, 404);
+        return pickTokenFields(token);
+    }
+
+    async function putToken(partner, ids, body, type) {
+        const [countryCode, partyId, uid] = ids;
+        const { id } = await findToken(partner, ids, type);
+        if (!body || body.country_code !== countryCode || body.party_id !== partyId || body.uid !== uid || body.type !== (type || 'RFID')) {
+            throw ocpiError(2001, 'The token must match its URL.');
+        }
+        validateToken(body);
+        await store.ocpiTokens.set(id, { ...pickTokenFields(body), partnerId: partner.id });
+    }
+
+    // PATCH changes some of a token's fields; the ones that identify it can't change.
+    async function patchToken(partner, ids, body, type) {
+        const { id, token } = await findToken(partner, ids, type);
+        if (!token) throw ocpiError(2004, `Unknown token ${ids[2]}.`, 404);
+        if (!body || typeof body.last_updated !== 'string') throw ocpiError(2001, 'A token update needs last_updated.');
+        if (['country_code', 'party_id', 'uid', 'type'].some(field => body[field] !== undefined && body[field] !== token[field])) {
+            throw ocpiError(2001, "A token's country_code, party_id, uid and type can't change.");
+        }
+        const updated = { ...pickTokenFields(token), ...pickTokenFields(body) };
+        validateToken(updated);
+        await store.ocpiTokens.set(id, { ...updated, partnerId: partner.id });
+    }
+
+    return { getToken, putToken, patchToken };
+}
+
+module.exports = { getTokenId, toBookingToken, findChargingToken, createTokensService };
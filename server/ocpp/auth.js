@@ -0,0 +1,39 @@
+// auth.js
+// Charger credentials for OCPP security profiles 1 and 2 (HTTP Basic auth, with TLS for profile 2).
+// A charger logs in with its charge point id as the username and its own password; only a hash
+// of the password is kept, in ocppChargePoints/{chargePointId}:
+//   { passwordHash: 'scrypt:<salt>:<hash>', updatedAt }
+// Set or replace a charger's password with set-password.js.
+
+const crypto = require('crypto');
+
+const PASSWORD_BYTES = 24;  // 32 characters once encoded, within OCPP's 16 to 40
+const SCRYPT_KEY_LENGTH = 32;
+
+function generatePassword() {
+    return crypto.randomBytes(PASSWORD_BYTES).toString('base64url');
+}
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    return `scrypt:${salt.toString('base64url')}:${crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH).toString('base64url')}`;
+}
+
+function verifyPassword(password, passwordHash) {
+    const [scheme, salt, hash] = (passwordHash || '').split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'base64url');
+    const actual = crypto.scryptSync(password, Buffer.from(salt, 'base64url'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// The username and password of a Basic Authorization header, or null.
+function readBasicAuth(header) {
+    const match = /^Basic\s+(\S+)$/i.exec(header || '');
+    if (!match) return null;
+    const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+    const colon = decoded.indexOf(':');
+    return colon === -1 ? null : { username: decoded.slice(0, colon), password: decoded.slice(colon + 1) };
+}
+
+module.exports = { generatePassword, hashPassword, verifyPassword, readBasicAuth };
@@ -0,0 +1,172 @@
+// central-system.js
+// OCPP 1.6J transport: a WebSocket endpoint at ws://<host>:<port>/ocpp/<chargePointId> that speaks
+// the OCPP-J RPC framing. Messages are JSON arrays:
+//   [2, id, action, payload]                  CALL, a request from either side
+//   [3, id, payload]                          CALLRESULT, the answer to a CALL
+//   [4, id, errorCode, description, details]  CALLERROR
+// Requests from a charger go to the handlers in handlers.js; requests to a charger are sent with
+// chargePoint.call(). The charge point id is the station's `chargePointId`.
+//
+// Chargers log in with HTTP Basic auth (OCPP security profile 1), over TLS when the service is
+// given a key and certificate (profile 2). A charger can only be connected once: a second
+// connection is refused until the first one closes or stops answering pings.
+
+const http = require('http');
+const https = require('https');
+const { WebSocketServer } = require('ws');
+const { ocppError } = require('./errors');
+const { readBasicAuth } = require('./auth');
+
+const CALL = 2;
+const CALLRESULT = 3;
+const CALLERROR = 4;
+
+const OCPP_PROTOCOL = 'ocpp1.6';
+const CALL_TIMEOUT_MS = 30 * 1000; // How long a charger gets to answer a request
+const PING_INTERVAL_MS = 30 * 1000; // A connection that doesn't answer a ping by the next one is dropped
+
+// `authenticate(chargePointId, password)` returns the charger's station, or null if the charger is
+// unknown or the password is wrong. `tls` ({ key, cert }) serves wss:// instead of ws://.
+function createCentralSystem({ port, handlers, authenticate, onDisconnect, log, tls = null }) {
+    const chargePoints = new Map(); // chargePointId -> connected charge point
+    const wss = new WebSocketServer({ noServer: true, handleProtocols: protocols => (protocols.has(OCPP_PROTOCOL) ? OCPP_PROTOCOL : false) });
+    const onRequest = (req, res) => {
+        res.writeHead(426, { 'Content-Type': 'text/plain' });
+        res.end('OCPP 1.6J central system. Connect over WebSocket to /ocpp/<chargePointId>.');
+    };
+    const server = tls ? https.createServer(tls, onRequest) : http.createServer(onRequest);
+
+    const rejectUpgrade = (socket, status, message, headers = []) => {
+        socket.end(`HTTP/1.1 ${status} ${message}\r\n${headers.map(header => `${header}\r\n`).join('')}Connection: close\r\n\r\n`);
+    };
+
+    // Only chargers registered on a station, with their password, may connect.
+    server.on('upgrade', async (req, socket, head) => {
+        const match = /^\/ocpp\/([^/?]+)\/?(\?.*)?$/.exec(req.url);
+        const protocols = (req.headers['sec-websocket-protocol'] || '').split(',').map(p => p.trim());
+        if (!match) return rejectUpgrade(socket, 404, 'Not Found');
+        if (!protocols.includes(OCPP_PROTOCOL)) return rejectUpgrade(socket, 400, 'Bad Request');
+        const chargePointId = decodeURIComponent(match[1]);
+        const unauthorized = () => rejectUpgrade(socket, 401, 'Unauthorized', ['WWW-Authenticate: Basic realm="OCPP"']);
+        const credentials = readBasicAuth(req.headers.authorization);
+        if (!credentials || credentials.username !== chargePointId) return unauthorized();
+        try {
+            const station = await authenticate(chargePointId, credentials.password);
+            if (!station) {
+                log.warn(`Rejected charge point ${chargePointId}: unknown or wrong password.`);
+                return unauthorized();
+            }
+            if (chargePoints.has(chargePointId)) {
+                log.warn(`Rejected a second connection for charge point ${chargePointId}.`);
+                return rejectUpgrade(socket, 409, 'Conflict');
+            }
+            wss.handleUpgrade(req, socket, head, ws => attach(ws, chargePointId, station.id));
+        } catch (error) {
+            log.error(`Could not look up charge point ${chargePointId}:`, error);
+            rejectUpgrade(socket, 500, 'Internal Server Error');
+        }
+    });
+
+    function attach(ws, chargePointId, stationId) {
+        // Another connection may have been accepted while this one was being upgraded.
+        if (chargePoints.has(chargePointId)) {
+            ws.close(1008, 'Already connected');
+            return;
+        }
+
+        const pending = new Map(); // message id -> { resolve, reject, timer }
+        let messageCounter = 0;
+        const send = message => ws.send(JSON.stringify(message));
+
+        const chargePoint = {
+            id: chargePointId,
+            stationId,
+            call(action, payload = {}) {
+                const id = `${Date.now().toString(36)}-${messageCounter++}`;
+                return new Promise((resolve, reject) => {
+                    const timer = setTimeout(() => {
+                        pending.delete(id);
+                        reject(ocppError('Timeout', `${chargePointId} did not answer ${action} in time.`));
+                    }, CALL_TIMEOUT_MS);
+                    pending.set(id, { resolve, reject, timer });
+                    send([CALL, id, action, payload]);
+                });
+            },
+            close: () => ws.close(),
+        };
+        chargePoints.set(chargePointId, chargePoint);
+        log.info(`Charge point ${chargePointId} connected (station ${stationId}).`);
+
+        // A charger that lost its connection without closing it would otherwise be locked out.
+        let alive = true;
+        ws.on('pong', () => { alive = true; });
+        const pingTimer = setInterval(() => {
+            if (!alive) {
+                log.warn(`Charge point ${chargePointId} stopped answering pings.`);
+                ws.terminate();
+                return;
+            }
+            alive = false;
+            ws.ping();
+        }, PING_INTERVAL_MS);
+
+        ws.on('message', async raw => {
+            let message;
+            try {
+                message = JSON.parse(raw);
+            } catch (error) {
+                log.warn(`Unreadable message from ${chargePointId}.`, String(raw));
+                return;
+            }
+            if (!Array.isArray(message)) return;
+            const [type, id] = message;
+
+            if (type === CALL) {
+                const [, , action, payload] = message;
+                const handler = handlers[action];
+                if (!handler) return send([CALLERROR, id, 'NotImplemented', `${action} is not supported.`, {}]);
+                try {
+                    send([CALLRESULT, id, await handler(chargePoint, payload || {})]);
+                } catch (error) {
+                    if (!error.code) log.error(`Error handling ${action} from ${chargePointId}:`, error);
+                    send([CALLERROR, id, error.code || 'InternalError', error.message || String(error), {}]);
+                }
+            } else if (type === CALLRESULT || type === CALLERROR) {
+                const call = pending.get(id);
+                if (!call) return;
+                pending.delete(id);
+                clearTimeout(call.timer);
+                if (type === CALLRESULT) call.resolve(message[2] || {});
+                else call.reject(ocppError(message[2], message[3] || message[2]));
+            }
+        });
+
+        ws.on('close', () => {
+            clearInterval(pingTimer);
+            pending.forEach(call => {
+                clearTimeout(call.timer);
+                call.reject(ocppError('Disconnected', `${chargePointId} disconnected.`));
+            });
+            pending.clear();
+            if (chargePoints.get(chargePointId) !== chargePoint) return;
+            chargePoints.delete(chargePointId);
+            log.info(`Charge point ${chargePointId} disconnected.`);
+            if (onDisconnect) onDisconnect(chargePoint);
+        });
+    }
+
+    return {
+        chargePoints,
+        listen: () => new Promise(resolve => server.listen(port, () => {
+            log.info(`OCPP central system listening on ${tls ? 'wss' : 'ws'}://localhost:${port}/ocpp/<chargePointId>`);
+            resolve();
+        })),
+        close: () => new Promise(resolve => {
+            chargePoints.forEach(chargePoint => chargePoint.close());
+            wss.close();
+            server.close(() => resolve());
+        }),
+    };
+}
+
+module.exports = { createCentralSystem, OCPP_PROTOCOL };
@@ -0,0 +1,66 @@
+// commands.js
+// Remote commands for chargers. The app can't reach a charger itself, so it writes a document to
+// ocppCommands and this processor sends the matching OCPP request to the connected charger:
+//   { stationId, operatorId, action, payload, sessionId?, requestedBy, createdAt, status: 'pending' }
+// action is 'RemoteStartTransaction' (payload { connectorId, idTag }), 'RemoteStopTransaction'
+// (sessionId of the session to stop) or 'Reset' (payload { type: 'Soft' | 'Hard' }). The result is
+// written back as status 'accepted', 'rejected' or 'failed', with the charger's response or an error.
+
+const COMMAND_TTL_MS = 2 * 60 * 1000; // Older pending commands are failed rather than sent late
+
+function startCommandProcessor({ store, centralSystem, log }) {
+    const inFlight = new Set();
+
+    // Turns a command document into the OCPP request payload.
+    async function buildRequest(command) {
+        const payload = command.payload || {};
+        switch (command.action) {
+            case 'RemoteStartTransaction':
+                if (!payload.idTag) throw "No idTag to start the transaction for.";
+                return payload.connectorId ? { connectorId: payload.connectorId, idTag: payload.idTag } : { idTag: payload.idTag };
+            case 'RemoteStopTransaction': {
+                const session = command.sessionId ? await store.activeSessions.get(command.sessionId) : null;
+                if (!session?.ocpp) throw "The session has already ended.";
+                return { transactionId: session.ocpp.transactionId };
+            }
+            case 'Reset':
+                return { type: payload.type === 'Hard' ? 'Hard' : 'Soft' };
+            default:
+                throw `Unsupported command ${command.action}.`;
+        }
+    }
+
+    async function run(command) {
+        try {
+            if (command.createdAt && Date.now() - command.createdAt.toMillis() > COMMAND_TTL_MS) throw "The command expired before it could be sent.";
+            const station = await store.stations.get(command.stationId);
+            const chargePoint = station?.chargePointId && centralSystem.chargePoints.get(station.chargePointId);
+            if (!chargePoint) throw "The charger is offline.";
+            const response = await chargePoint.call(command.action, await buildRequest(command));
+            await store.ocppCommands.update(command.id, {
+                status: response.status === 'Accepted' ? 'accepted' : 'rejected',
+                response: response.status || null,
+                completedAt: store.fields.serverTimestamp(),
+            });
+            log.info(`${command.action} on ${chargePoint.id}: ${response.status}.`);
+        } catch (error) {
+            log.warn(`${command.action} for station ${command.stationId} failed:`, error.message || error);
+            await store.ocppCommands.update(command.id, {
+                status: 'failed',
+                error: error.message || String(error),
+                completedAt: store.fields.serverTimestamp(),
+            });
+        }
+    }
+
+    return store.ocppCommands.subscribe({ where: [['status', '==', 'pending']] }, commands => {
+        commands.filter(command => !inFlight.has(command.id)).forEach(command => {
+            inFlight.add(command.id);
+            run(command)
+                .catch(error => log.error(`Could not record the result of command ${command.id}:`, error))
+                .finally(() => inFlight.delete(command.id));
+        });
+    }, error => log.error('Error listening for charger commands:', error));
+}
+
+module.exports = { startCommandProcessor };
@@ -0,0 +1,7 @@
+// errors.js
+// Errors that answer a charger's request with a CALLERROR: `code` is the OCPP-J error code
+// (e.g. 'OccurenceConstraintViolation') and the message its description.
+
+const ocppError = (code, message) => Object.assign(new Error(message), { code });
+
+module.exports = { ocppError };
@@ -0,0 +1,420 @@
+// handlers.js
+// What the central system does with each OCPP 1.6 request from a charger. Chargers drive the same
+// documents the app uses: connector status on stations/{id}, the session in activeSessions while
+// a transaction runs, and a booking with its invoice once it stops. Pricing and invoice numbers
+// come from billing.js, so a session is billed exactly as the app would bill it.
+//
+// A driver's idTag is their `profile.idTag` (see getChargingIdTag() in script.js), and it is
+// blocked while their wallet is below WALLET_MIN_BALANCE (wallet.js). Roaming partners' drivers
+// charge with the tokens their partner pushed (server/ocpi/tokens.js): their sessions have no
+// userId but an `ocpiToken`, and the partner bills them from the CDR. Charger state
+// is recorded on the station as `ocppStatus`: { connected, vendor, model, firmwareVersion,
+// bootedAt, lastSeen, status, connectors: { <connectorId>: { status, errorCode, at } } }.
+
+const {
+    getConnectors, getConnectorFields, setConnectorStatus, getConnectorByOcppId, handOverConnector, leaveQueueFields, releaseConnectors,
+    priceSession, getTariffBand, getMeteredEnergyAt, getIdleFee, getInvoiceCounterId, claimInvoiceNumber, getTaxBreakdown, getOccupancyUpdate,
+    WALLET_MIN_BALANCE, getWalletBalance, chargeSession,
+    LOYALTY_CONFIG_ID, getLoyaltyConfig, getLoyaltyPromotion, getSessionLoyalty, updateLoyalty,
+} = require('../app-modules');
+const { findChargingToken, toBookingToken } = require('../ocpi/tokens');
+const { ocppError } = require('./errors');
+const { verifyPassword } = require('./auth');
+
+const HEARTBEAT_INTERVAL_SECONDS = 60;
+const TRANSACTION_COUNTER_ID = 'ocpp-transactions'; // counters/ocpp-transactions hands out transaction ids
+const FAULT_STATUSES = ['Faulted', 'Unavailable'];
+const CHARGING_ENDED_STATUS = 'SuspendedEV'; // The car stopped taking power: it is full, and idle fees start
+const ENERGY_MEASURAND = 'Energy.Active.Import.Register';
+
+function requireFields(payload, fields) {
+    const missing = fields.filter(field => payload[field] === undefined || payload[field] === null);
+    if (missing.length) throw ocppError('OccurenceConstraintViolation', `Missing ${missing.join(', ')}.`);
+}
+
+function parseTimestamp(value) {
+    const ms = Date.parse(value);
+    if (Number.isNaN(ms)) throw ocppError('TypeConstraintViolation', `Invalid timestamp "${value}".`);
+    return ms;
+}
+
+// Reads the energy register (in Wh), state of charge and power from one MeterValues entry.
+function readMeterValue(meterValue) {
+    const sample = { at: parseTimestamp(meterValue.timestamp) };
+    (meterValue.sampledValue || []).forEach(({ value, measurand = ENERGY_MEASURAND, unit }) => {
+        const number = parseFloat(value);
+        if (Number.isNaN(number)) return;
+        if (measurand === ENERGY_MEASURAND) sample.wh = unit === 'kWh' ? number * 1000 : number;
+        if (measurand === 'SoC') sample.soc = number;
+        if (measurand === 'Power.Active.Import') sample.powerKw = unit === 'kW' ? number : number / 1000;
+    });
+    return sample;
+}
+
+// How a charger's connector status maps onto ours. Connectors held for a session, reservation or
+// queue offer keep their claim: sessions end with StopTransaction, and reservations and offers are
+// released by the app's sweeper. Returns the updated station, or null if nothing changes.
+function applyChargerStatus(store, station, connector, chargerStatus) {
+    const connectors = getConnectors(station);
+    if (FAULT_STATUSES.includes(chargerStatus)) {
+        if (connector.status === 'faulted' || (connector.status === 'occupied' && connector.claim)) return null;
+        return { ...station, connectors: setConnectorStatus(connectors, connector.id, 'faulted') };
+    }
+    if (chargerStatus === 'Available') {
+        if (connector.status === 'available' || connector.claim) return null;
+        // A repaired or unplugged connector goes to the queue first, like one freed by a session.
+        return handOverConnector(store, { ...station, connectors: setConnectorStatus(connectors, connector.id, 'available') }, connector.id);
+    }
+    // Preparing, Charging, SuspendedEV, SuspendedEVSE, Finishing and Reserved: the connector is in use.
+    if (connector.status === 'occupied') return null;
+    return { ...station, connectors: setConnectorStatus(connectors, connector.id, 'occupied') };
+}
+
+function createChargePointService({ store, log }) {
+    async function findStation(chargePointId) {
+        const [station] = await store.stations.find({ where: [['chargePointId', '==', chargePointId]], limit: 1 });
+        return station || null;
+    }
+
+    // The station of a charger logging in with `password` (see auth.js), or null.
+    async function authenticate(chargePointId, password) {
+        const credentials = await store.ocppChargePoints.get(chargePointId);
+        if (!credentials || !verifyPassword(password, credentials.passwordHash)) return null;
+        return findStation(chargePointId);
+    }
+
+    // Our drivers come first; an idTag none of them uses may be a roaming partner's token.
+    async function authorize(idTag) {
+        const [user, other] = await store.users.find({ where: [['profile.idTag', '==', idTag]], limit: 2 });
+        if (other) return { user: null, idTagInfo: { status: 'Invalid' } };
+        if (!user) {
+            const token = await findChargingToken(store, idTag);
+            return { user: null, token, idTagInfo: { status: token ? 'Accepted' : 'Invalid' } };
+        }
+        if ((user.status || 'active') !== 'active') return { user, idTagInfo: { status: 'Blocked' } };
+        if (getWalletBalance(user) < WALLET_MIN_BALANCE) return { user, idTagInfo: { status: 'Blocked' } };
+        return { user, idTagInfo: { status: 'Accepted' } };
+    }
+
+    async function findSession(chargePoint, transactionId) {
+        const [session] = await store.activeSessions.find({
+            where: [['stationId', '==', chargePoint.stationId], ['ocpp.transactionId', '==', transactionId]],
+            limit: 1,
+        });
+        return session || null;
+    }
+
+    // Ends a transaction like settleSession() in script.js: frees the connector, writes the
+    // booking with its invoice, debits the driver's wallet, adds the session to the station's busy
+    // times and awards loyalty points. Points are only redeemed in the app, for its own sessions.
+    async function settleTransaction(session, { meterStop, endTime, reason, samples }) {
+        const sessionRef = store.activeSessions.ref(session.id);
+        const stationRef = store.stations.ref(session.stationId);
+        const userRef = session.userId ? store.users.ref(session.userId) : null;
+        const counterRef = store.counters.ref(getInvoiceCounterId(new Date(endTime)));
+        const station = await store.stations.get(session.stationId);
+
+        const startTime = session.startTime.toMillis();
+        const toPoint = (at, wh) => ({ at, kwh: Math.max(wh - session.ocpp.meterStart, 0) / 1000 });
+        const recorded = [...(session.ocpp.meterSamples || []), ...(session.ocpp.lastSample ? [session.ocpp.lastSample] : [])];
+        const points = [
+            toPoint(startTime, session.ocpp.meterStart),
+            ...[...recorded, ...samples].filter(s => s.wh !== undefined && s.at > startTime && s.at < endTime).map(s => toPoint(s.at, s.wh)),
+            toPoint(endTime, meterStop),
+        ].sort((a, b) => a.at - b.at);
+        const kwhConsumed = points[points.length - 1].kwh;
+        const pricing = priceSession(station, startTime, endTime, getMeteredEnergyAt(points));
+        const idle = getIdleFee(station, session.chargingEndedAt?.toMillis() || null, endTime);
+        const promotions = await store.loyaltyPromotions.find({ where: [['active', '==', true]] });
+        const promotion = getLoyaltyPromotion(promotions, station, getTariffBand(station, new Date(startTime)).name, startTime);
+        // Sessions from before ocpp.startSoc have every reading in meterSamples.
+        const socs = [...(session.ocpp.meterSamples || []), ...samples].filter(s => s.soc !== undefined).map(s => s.soc);
+
+        const { booking, charged } = await store.runTransaction(async (transaction) => {
+            const sessionDoc = await transaction.get(sessionRef);
+            if (!sessionDoc.exists) throw "Session already ended!";
+            const stationDoc = await transaction.get(stationRef);
+            const counterDoc = await transaction.get(counterRef);
+            const userDoc = userRef ? await transaction.get(userRef) : null;
+            const loyaltyDoc = await transaction.get(store.meta.ref(LOYALTY_CONFIG_ID));
+            const invoiceNumber = claimInvoiceNumber(transaction, counterRef, counterDoc, new Date(endTime));
+            const current = stationDoc.exists ? stationDoc.data() : station;
+            transaction.delete(sessionRef);
+            if (stationDoc.exists) {
+                releaseConnectors(store, transaction, stationRef, current, [session.connectorId]);
+                transaction.update(stationRef, getOccupancyUpdate(store, current, startTime, endTime, session.id));
+            }
+            const config = getLoyaltyConfig(loyaltyDoc.exists ? loyaltyDoc.data() : null);
+            const user = userDoc?.exists ? userDoc.data() : null;
+            const loyalty = user
+                ? getSessionLoyalty(config, user, promotion, { cost: pricing.total, kwh: kwhConsumed, now: endTime })
+                : { cost: pricing.total, loyaltyDiscount: 0, pointsRedeemed: 0, pointsEarned: 0, loyaltyTier: null, promotionId: null };
+            const cost = loyalty.cost + idle.idleFee; // As in the app, points don't touch idle fees
+            const bookingRef = store.bookings.ref();
+            const booking = {
+                userId: session.userId,
+                stationId: session.stationId,
+                sessionId: session.id,
+                createdAt: store.fields.serverTimestamp(),
+                startTime: session.startTime,
+                endTime: store.timestampFromMillis(endTime),
+                invoiceNumber,
+                stationName: current?.name || null,
+                stationCity: current?.city || null,
+                stationMobile: current?.mobile || null,
+                stationGstin: current?.gstin || null,
+                operatorId: current?.operatorId || null,
+                tax: getTaxBreakdown(cost),
+                duration: Math.floor((endTime - startTime) / 1000),
+                cost,
+                kwhConsumed,
+                vehicle: session.vehicle || null,
+                connectorType: session.connectorType || null,
+                connectorId: session.connectorId || null,
+                startSoc: session.ocpp.startSoc ?? socs[0] ?? null,
+                endSoc: samples.filter(s => s.soc !== undefined).pop()?.soc ?? session.soc ?? null,
+                tariffBreakdown: pricing.segments,
+                energyCost: pricing.energyCost,
+                timeFee: pricing.timeFee,
+                sessionFee: pricing.sessionFee,
+                idleMinutes: idle.idleMinutes,
+                idleBilledMinutes: idle.billedMinutes,
+                idleFee: idle.idleFee,
+                loyaltyDiscount: loyalty.loyaltyDiscount,
+                pointsRedeemed: loyalty.pointsRedeemed,
+                pointsEarned: loyalty.pointsEarned,
+                loyaltyTier: loyalty.loyaltyTier,
+                promotionId: loyalty.promotionId,
+                ocppTransactionId: session.ocpp.transactionId,
+                stopReason: reason || 'Local',
+                ...(session.ocpiToken ? { ocpiToken: session.ocpiToken } : {}),
+            };
+            transaction.set(bookingRef, booking);
+            // A driver deleted mid-session has no wallet to pay from or points to earn, but the
+            // session still ends and its booking stays on the operator's records. Roaming drivers
+            // pay their partner instead.
+            if (user) {
+                chargeSession(store, transaction, userRef, user, bookingRef.id, booking);
+                updateLoyalty(store, transaction, userRef, user, config, {
+                    now: endTime, bookingId: bookingRef.id, earned: loyalty.pointsEarned, redeemed: loyalty.pointsRedeemed, promotion,
+                });
+            }
+            return { booking, charged: !!user };
+        });
+        if (!charged && !session.ocpiToken) log.warn(`Transaction ${session.ocpp.transactionId} settled without payment: driver ${session.userId} no longer exists.`);
+        log.info(`Transaction ${session.ocpp.transactionId} settled: ${kwhConsumed.toFixed(2)} kWh, ₹${booking.cost.toFixed(2)}.`);
+    }
+
+    const handlers = {
+        async BootNotification(chargePoint, payload) {
+            requireFields(payload, ['chargePointVendor', 'chargePointModel']);
+            await store.stations.update(chargePoint.stationId, {
+                'ocppStatus.connected': true,
+                'ocppStatus.vendor': payload.chargePointVendor,
+                'ocppStatus.model': payload.chargePointModel,
+                'ocppStatus.firmwareVersion': payload.firmwareVersion || null,
+                'ocppStatus.bootedAt': store.fields.serverTimestamp(),
+                'ocppStatus.lastSeen': store.fields.serverTimestamp(),
+            });
+            log.info(`Boot from ${chargePoint.id}: ${payload.chargePointVendor} ${payload.chargePointModel}.`);
+            return { status: 'Accepted', currentTime: new Date().toISOString(), interval: HEARTBEAT_INTERVAL_SECONDS };
+        },
+
+        async Heartbeat(chargePoint) {
+            await store.stations.update(chargePoint.stationId, { 'ocppStatus.lastSeen': store.fields.serverTimestamp() });
+            return { currentTime: new Date().toISOString() };
+        },
+
+        async Authorize(chargePoint, payload) {
+            requireFields(payload, ['idTag']);
+            const { idTagInfo } = await authorize(payload.idTag);
+            return { idTagInfo };
+        },
+
+        async StatusNotification(chargePoint, payload) {
+            requireFields(payload, ['connectorId', 'status', 'errorCode']);
+            const { connectorId, status, errorCode } = payload;
+            const stationRef = store.stations.ref(chargePoint.stationId);
+            const reported = { status, errorCode, at: store.timestampFromMillis(payload.timestamp ? parseTimestamp(payload.timestamp) : Date.now()) };
+            if (connectorId === 0) {
+                await store.stations.update(chargePoint.stationId, { 'ocppStatus.status': status, 'ocppStatus.lastSeen': store.fields.serverTimestamp() });
+                return {};
+            }
+            await store.runTransaction(async (transaction) => {
+                const stationDoc = await transaction.get(stationRef);
+                if (!stationDoc.exists) throw ocppError('GenericError', 'The station no longer exists.');
+                const station = stationDoc.data();
+                const connector = getConnectorByOcppId(station, connectorId);
+                if (!connector) throw ocppError('PropertyConstraintViolation', `Connector ${connectorId} is not configured on the station.`);
+                // The session on the connector records when its car finished charging, for idle fees,
+                // and forgets it if the car starts taking power again.
+                const sessionRef = connector.claim?.kind === 'session' ? store.activeSessions.ref(connector.claim.id) : null;
+                const sessionDoc = sessionRef && [CHARGING_ENDED_STATUS, 'Charging'].includes(status) ? await transaction.get(sessionRef) : null;
+                const next = applyChargerStatus(store, station, connector, status);
+                const update = { [`ocppStatus.connectors.${connectorId}`]: reported, 'ocppStatus.lastSeen': store.fields.serverTimestamp() };
+                if (next) {
+                    Object.assign(update, {
+                        queue: next.queue || [],
+                        queueConnectorTypes: next.queueConnectorTypes || {},
+                        queueOffers: next.queueOffers || [],
+                        ...getConnectorFields(getConnectors(next)),
+                    });
+                }
+                transaction.update(stationRef, update);
+                if (sessionDoc?.exists) {
+                    const endedAt = sessionDoc.data().chargingEndedAt || null;
+                    if (status === CHARGING_ENDED_STATUS && !endedAt) transaction.update(sessionRef, { chargingEndedAt: reported.at });
+                    if (status === 'Charging' && endedAt) transaction.update(sessionRef, { chargingEndedAt: null });
+                }
+            });
+            return {};
+        },
+
+        async StartTransaction(chargePoint, payload) {
+            requireFields(payload, ['connectorId', 'idTag', 'meterStart', 'timestamp']);
+            const { connectorId, idTag, meterStart } = payload;
+            const startTime = parseTimestamp(payload.timestamp);
+            const { user, token, idTagInfo: authorized } = await authorize(idTag);
+            const ocpiToken = token ? toBookingToken(token) : null;
+            let idTagInfo = authorized;
+            if (idTagInfo.status === 'Accepted') {
+                const [running] = await store.activeSessions.find({
+                    where: user ? [['userId', '==', user.id]] : [['ocpiToken.country_code', '==', ocpiToken.country_code], ['ocpiToken.party_id', '==', ocpiToken.party_id], ['ocpiToken.uid', '==', ocpiToken.uid]],
+                    limit: 1,
+                });
+                if (running) idTagInfo = { status: 'ConcurrentTx' };
+            }
+
+            const stationRef = store.stations.ref(chargePoint.stationId);
+            const counterRef = store.counters.ref(TRANSACTION_COUNTER_ID);
+            const sessionRef = store.activeSessions.ref();
+            // A transaction id is issued even when the idTag is refused, as OCPP requires; the
+            // charger then stops the transaction and no session is recorded.
+            const { transactionId, status } = await store.runTransaction(async (transaction) => {
+                let status = idTagInfo.status;
+                const stationDoc = await transaction.get(stationRef);
+                const counterDoc = await transaction.get(counterRef);
+                if (!stationDoc.exists) throw ocppError('GenericError', 'The station no longer exists.');
+                const station = stationDoc.data();
+                const connector = getConnectorByOcppId(station, connectorId);
+                if (!connector) throw ocppError('PropertyConstraintViolation', `Connector ${connectorId} is not configured on the station.`);
+                const claim = connector.claim;
+                // A connector held for another driver's reservation or queue offer can't be taken,
+                // and roaming drivers can't hold one.
+                if (status === 'Accepted' && claim && claim.userId !== user?.id) status = 'Invalid';
+                const reservationRef = status === 'Accepted' && claim?.kind === 'reservation' ? store.reservations.ref(claim.id) : null;
+                const reservationDoc = reservationRef ? await transaction.get(reservationRef) : null;
+
+                const id = (counterDoc.exists ? counterDoc.data().lastNumber : 0) + 1;
+                transaction.set(counterRef, { lastNumber: id });
+                if (status !== 'Accepted') return { transactionId: id, status };
+
+                const sessionData = {
+                    userId: user?.id || null,
+                    stationId: chargePoint.stationId,
+                    startTime: store.timestampFromMillis(startTime),
+                    vehicle: user?.profile?.vehicle || null,
+                    connectorId: connector.id,
+                    connectorType: connector.type,
+                    powerKw: connector.powerKw,
+                    operatorId: station.operatorId || null,
+                    ocpp: { chargePointId: chargePoint.id, connectorId, transactionId: id, meterStart, meterWh: meterStart, meterSamples: [], lastSample: { at: startTime, wh: meterStart } },
+                    kwh: 0,
+                    ...(ocpiToken ? { ocpiToken } : {}),
+                };
+                if (reservationDoc?.exists && reservationDoc.data().status === 'held') {
+                    sessionData.reservationId = reservationRef.id;
+                    transaction.update(reservationRef, { status: 'fulfilled', sessionId: sessionRef.id });
+                }
+                transaction.update(stationRef, {
+                    ...(user ? leaveQueueFields(station, user.id) : {}),
+                    ...getConnectorFields(setConnectorStatus(getConnectors(station), connector.id, 'occupied', { kind: 'session', userId: user?.id || null, id: sessionRef.id })),
+                });
+                transaction.set(sessionRef, sessionData);
+                return { transactionId: id, status };
+            });
+            log.info(`StartTransaction ${transactionId} on ${chargePoint.id}/${connectorId} for ${idTag}: ${status}.`);
+            return { transactionId, idTagInfo: { ...idTagInfo, status } };
+        },
+
+        // The session keeps its latest energy reading (ocpp.lastSample) and, in ocpp.meterSamples,
+        // only the readings either side of each tariff band change: enough for priceSession() to
+        // split the energy across bands, without the document growing for as long as the car charges.
+        async MeterValues(chargePoint, payload) {
+            requireFields(payload, ['connectorId', 'meterValue']);
+            if (payload.transactionId === undefined) return {};
+            const session = await findSession(chargePoint, payload.transactionId);
+            if (!session) return {};
+            const station = await store.stations.get(chargePoint.stationId);
+            const samples = payload.meterValue.map(readMeterValue).sort((a, b) => a.at - b.at);
+            const bandAt = at => {
+                const band = getTariffBand(station, new Date(at));
+                return `${band.name}/${band.price}`;
+            };
+            const update = {};
+            const bandChanges = [];
+            let last = session.ocpp.lastSample || null;
+            samples.filter(s => s.wh !== undefined).forEach(sample => {
+                if (last && station && bandAt(last.at) !== bandAt(sample.at)) bandChanges.push(last, sample);
+                last = sample;
+            });
+            if (bandChanges.length) update['ocpp.meterSamples'] = store.fields.arrayUnion(...bandChanges);
+            if (last && last !== session.ocpp.lastSample) {
+                update['ocpp.lastSample'] = last;
+                update['ocpp.meterWh'] = last.wh;
+                update.kwh = Math.max(last.wh - session.ocpp.meterStart, 0) / 1000;
+            }
+            const socSamples = samples.filter(s => s.soc !== undefined);
+            if (socSamples.length) {
+                update.soc = socSamples[socSamples.length - 1].soc;
+                if (session.soc === undefined) update['ocpp.startSoc'] = socSamples[0].soc;
+            }
+            const power = samples.filter(s => s.powerKw !== undefined).pop();
+            if (power) update['ocpp.powerKw'] = power.powerKw;
+            if (Object.keys(update).length) await store.activeSessions.update(session.id, update);
+            return {};
+        },
+
+        async StopTransaction(chargePoint, payload) {
+            requireFields(payload, ['transactionId', 'meterStop', 'timestamp']);
+            const idTagInfo = payload.idTag ? (await authorize(payload.idTag)).idTagInfo : undefined;
+            const session = await findSession(chargePoint, payload.transactionId);
+            // Chargers resend StopTransaction until it is confirmed, so an unknown or already settled
+            // transaction is simply acknowledged.
+            if (!session) {
+                log.warn(`StopTransaction for unknown transaction ${payload.transactionId} from ${chargePoint.id}.`);
+            } else {
+                try {
+                    await settleTransaction(session, {
+                        meterStop: payload.meterStop,
+                        endTime: parseTimestamp(payload.timestamp),
+                        reason: payload.reason,
+                        samples: (payload.transactionData || []).map(readMeterValue),
+                    });
+                } catch (error) {
+                    if (error !== "Session already ended!") throw error;
+                }
+            }
+            return idTagInfo ? { idTagInfo } : {};
+        },
+    };
+
+    return {
+        handlers,
+        authenticate,
+        async onDisconnect(chargePoint) {
+            try {
+                await store.stations.update(chargePoint.stationId, { 'ocppStatus.connected': false, 'ocppStatus.lastSeen': store.fields.serverTimestamp() });
+            } catch (error) {
+                log.error(`Could not mark ${chargePoint.id} as disconnected:`, error);
+            }
+        },
+        // Chargers that were connected when the service last stopped are marked disconnected until they reconnect.
+        async resetConnections() {
+            const stations = await store.stations.find({ where: [['ocppStatus.connected', '==', true]] });
+            await Promise.all(stations.map(station => store.stations.update(station.id, { 'ocppStatus.connected': false })));
+        },
+    };
+}
+
+module.exports = { createChargePointService, readMeterValue, applyChargerStatus };
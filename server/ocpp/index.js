@@ -0,0 +1,48 @@
+// index.js
+// Starts the OCPP 1.6J central system: `npm run ocpp` from the server directory.
+// OCPP_PORT sets the port (default 9000). With OCPP_TLS_KEY and OCPP_TLS_CERT (PEM files) it serves
+// wss:// for OCPP security profile 2. See store.js for choosing Firestore or the demo data.
+
+// Tariff bands are local times, so the service runs on the stations' time zone unless told otherwise.
+process.env.TZ = process.env.TZ || 'Asia/Kolkata';
+
+const fs = require('fs');
+const { log } = require('../log');
+const { createStore } = require('../store');
+const { createCentralSystem } = require('./central-system');
+const { createChargePointService } = require('./handlers');
+const { startCommandProcessor } = require('./commands');
+
+async function main() {
+    const store = createStore();
+    log.info(`Using the ${store.backend} data backend.`);
+    const service = createChargePointService({ store, log });
+    await service.resetConnections();
+
+    const centralSystem = createCentralSystem({
+        port: Number(process.env.OCPP_PORT) || 9000,
+        handlers: service.handlers,
+        authenticate: service.authenticate,
+        onDisconnect: service.onDisconnect,
+        log,
+        tls: process.env.OCPP_TLS_KEY && process.env.OCPP_TLS_CERT
+            ? { key: fs.readFileSync(process.env.OCPP_TLS_KEY), cert: fs.readFileSync(process.env.OCPP_TLS_CERT) }
+            : null,
+    });
+    await centralSystem.listen();
+    const stopCommands = startCommandProcessor({ store, centralSystem, log });
+
+    const shutdown = async () => {
+        log.info('Shutting down the central system.');
+        stopCommands();
+        await centralSystem.close();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+    log.error('The central system failed to start:', error);
+    process.exit(1);
+});
@@ -0,0 +1,37 @@
+// set-password.js
+// Gives a charger a new password and prints it, to be entered as the charger's Basic auth
+// password (its username is the charge point id):
+//   npm run ocpp:password -- <chargePointId>
+// Run it against the same Firestore project as the central system. Only the password's hash is
+// stored, so a lost password is replaced by running this again. The in-memory demo data's chargers
+// have the password 'demo-charger-password' because it isn't shared between processes.
+
+const { createStore } = require('../store');
+const { generatePassword, hashPassword } = require('./auth');
+
+async function main() {
+    const chargePointId = process.argv[2];
+    if (!chargePointId) {
+        console.log('Usage: npm run ocpp:password -- <chargePointId>');
+        process.exit(1);
+    }
+    const store = createStore();
+    if (store.backend === 'memory') {
+        console.log('No Firestore configured: a password set on the in-memory data would be lost. Set FIRESTORE_EMULATOR_HOST or GOOGLE_APPLICATION_CREDENTIALS.');
+        process.exit(1);
+    }
+    const [station] = await store.stations.find({ where: [['chargePointId', '==', chargePointId]], limit: 1 });
+    if (!station) {
+        console.log(`No station has the charge point id ${chargePointId}. Set it on the station first.`);
+        process.exit(1);
+    }
+    const password = generatePassword();
+    await store.ocppChargePoints.set(chargePointId, { passwordHash: hashPassword(password), updatedAt: store.fields.serverTimestamp() });
+    console.log(`New password for ${chargePointId} (${station.name}). Enter it on the charger; any other connection using the old one will be refused:\n${password}`);
+    process.exit(0);
+}
+
+main().catch(error => {
+    console.error('Could not set the password:', error);
+    process.exit(1);
+});
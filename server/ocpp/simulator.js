@@ -0,0 +1,246 @@
+// simulator.js
+// A charge point that speaks OCPP 1.6J, for trying the central system without hardware:
+//
+//   npm run simulate -- <chargePointId> --password <password> [--url ws://localhost:9000/ocpp] [--connectors 2]
+//                       [--power 22] [--meter-interval 10] [--speed 1] [--id-tag <idTag> [--duration <seconds>]]
+//
+// It logs in with the charger's password (see set-password.js), boots, reports its connectors as Available, sends heartbeats and answers RemoteStartTransaction,
+// RemoteStopTransaction and Reset. While a transaction runs it sends MeterValues, with energy flowing
+// at --power kW times --speed. With --id-tag it plugs in on connector 1 and starts charging straight
+// away; with --duration as well it stops after that many seconds and exits.
+// Type commands on stdin to act like a driver, a car or a fault (`full` is a car that has finished
+// charging but is still plugged in):
+//   start <connector> <idTag> | full <connector> | stop <connector> | fault <connector> | repair <connector> | status | quit
+
+const readline = require('readline');
+const WebSocket = require('ws');
+
+const CALL = 2;
+const CALLRESULT = 3;
+const CALLERROR = 4;
+const RECONNECT_DELAY_MS = 3000;
+
+function parseArgs(argv) {
+    const options = { url: 'ws://localhost:9000/ocpp', password: null, connectors: 2, power: 22, meterInterval: 10, speed: 1, idTag: null, duration: null };
+    const positional = [];
+    for (let i = 0; i < argv.length; i++) {
+        const match = /^--(.+)$/.exec(argv[i]);
+        if (!match) { positional.push(argv[i]); continue; }
+        const key = match[1].replace(/-(\w)/g, (_, c) => c.toUpperCase());
+        const value = argv[++i];
+        options[key] = typeof options[key] === 'number' ? Number(value) : value;
+    }
+    options.chargePointId = positional[0];
+    return options;
+}
+
+function createChargePoint(options) {
+    const log = (message) => console.log(`[${options.chargePointId}] ${message}`);
+    const connectors = [...Array(options.connectors)].map((_, i) => ({ id: i + 1, status: 'Available', transaction: null }));
+    const pending = new Map();
+    let ws = null;
+    let messageCounter = 0;
+    let heartbeatTimer = null;
+    let stopping = false;
+    let meterWh = 0; // The charger's energy register, shared by all connectors
+
+    function call(action, payload) {
+        const id = `sim-${messageCounter++}`;
+        return new Promise((resolve, reject) => {
+            pending.set(id, { resolve, reject });
+            ws.send(JSON.stringify([CALL, id, action, payload]));
+        });
+    }
+
+    const setStatus = (connector, status, errorCode = 'NoError') => {
+        connector.status = status;
+        return call('StatusNotification', { connectorId: connector.id, status, errorCode, timestamp: new Date().toISOString() });
+    };
+
+    const readMeter = connector => {
+        const { transaction } = connector;
+        const now = Date.now();
+        if (!transaction.full) meterWh += options.power * 1000 * options.speed * (now - transaction.readAt) / 3600000;
+        transaction.readAt = now;
+        return Math.round(meterWh);
+    };
+
+    async function startTransaction(connector, idTag) {
+        if (connector.transaction || connector.status === 'Faulted') return false;
+        await setStatus(connector, 'Preparing');
+        const response = await call('StartTransaction', { connectorId: connector.id, idTag, meterStart: Math.round(meterWh), timestamp: new Date().toISOString() });
+        if (response.idTagInfo?.status !== 'Accepted') {
+            log(`StartTransaction refused for ${idTag}: ${response.idTagInfo?.status}.`);
+            // The transaction the central system opened is closed straight away, as OCPP requires.
+            await call('StopTransaction', { transactionId: response.transactionId, meterStop: Math.round(meterWh), timestamp: new Date().toISOString(), reason: 'DeAuthorized' });
+            await setStatus(connector, 'Available');
+            return false;
+        }
+        connector.transaction = { id: response.transactionId, idTag, readAt: Date.now() };
+        connector.transaction.timer = setInterval(() => {
+            call('MeterValues', {
+                connectorId: connector.id,
+                transactionId: connector.transaction.id,
+                meterValue: [{
+                    timestamp: new Date().toISOString(),
+                    sampledValue: [
+                        { value: String(readMeter(connector)), measurand: 'Energy.Active.Import.Register', unit: 'Wh' },
+                        { value: String(connector.transaction.full ? 0 : options.power), measurand: 'Power.Active.Import', unit: 'kW' },
+                    ],
+                }],
+            }).catch(error => log(`MeterValues failed: ${error.message}`));
+        }, options.meterInterval * 1000);
+        await setStatus(connector, 'Charging');
+        log(`Charging on connector ${connector.id}, transaction ${response.transactionId}.`);
+        return true;
+    }
+
+    // The car stops taking power but stays plugged in, until the transaction is stopped.
+    async function finishCharging(connector) {
+        const { transaction } = connector;
+        if (!transaction || transaction.full) return false;
+        readMeter(connector);
+        transaction.full = true;
+        await setStatus(connector, 'SuspendedEV');
+        log(`The car on connector ${connector.id} is full.`);
+        return true;
+    }
+
+    async function stopTransaction(connector, reason = 'Local') {
+        const { transaction } = connector;
+        if (!transaction) return false;
+        clearInterval(transaction.timer);
+        const meterStop = readMeter(connector);
+        connector.transaction = null;
+        await call('StopTransaction', { transactionId: transaction.id, idTag: transaction.idTag, meterStop, timestamp: new Date().toISOString(), reason });
+        await setStatus(connector, 'Finishing');
+        await setStatus(connector, 'Available');
+        log(`Stopped transaction ${transaction.id} (${reason}).`);
+        return true;
+    }
+
+    // Requests from the central system. Each returns the response payload; afterReply runs once the response is sent.
+    const handlers = {
+        RemoteStartTransaction({ connectorId, idTag }) {
+            const connector = connectorId ? connectors.find(c => c.id === connectorId) : connectors.find(c => c.status === 'Available');
+            if (!connector || connector.transaction || connector.status === 'Faulted') return { status: 'Rejected' };
+            return { status: 'Accepted', afterReply: () => startTransaction(connector, idTag) };
+        },
+        RemoteStopTransaction({ transactionId }) {
+            const connector = connectors.find(c => c.transaction?.id === transactionId);
+            if (!connector) return { status: 'Rejected' };
+            return { status: 'Accepted', afterReply: () => stopTransaction(connector, 'Remote') };
+        },
+        Reset({ type }) {
+            return {
+                status: 'Accepted',
+                afterReply: async () => {
+                    for (const connector of connectors) await stopTransaction(connector, type === 'Hard' ? 'HardReset' : 'SoftReset');
+                    log(`${type} reset: rebooting.`);
+                    ws.close();
+                },
+            };
+        },
+    };
+
+    async function boot() {
+        const response = await call('BootNotification', { chargePointVendor: 'EVChargeNet', chargePointModel: 'Simulator', firmwareVersion: '1.0.0' });
+        if (response.status !== 'Accepted') {
+            log(`Boot ${response.status}.`);
+            return;
+        }
+        log('Booted.');
+        clearInterval(heartbeatTimer);
+        heartbeatTimer = setInterval(() => call('Heartbeat', {}).catch(() => {}), (response.interval || 60) * 1000);
+        await call('StatusNotification', { connectorId: 0, status: 'Available', errorCode: 'NoError' });
+        for (const connector of connectors) await setStatus(connector, connector.status === 'Faulted' ? 'Faulted' : 'Available', connector.status === 'Faulted' ? 'OtherError' : 'NoError');
+    }
+
+    function connect(onBooted) {
+        const authorization = `Basic ${Buffer.from(`${options.chargePointId}:${options.password}`).toString('base64')}`;
+        ws = new WebSocket(`${options.url.replace(/\/$/, '')}/${encodeURIComponent(options.chargePointId)}`, 'ocpp1.6', { headers: { Authorization: authorization } });
+        ws.on('open', () => boot().then(onBooted).catch(error => log(`Boot failed: ${error.message}`)));
+        ws.on('message', async raw => {
+            const message = JSON.parse(raw);
+            const [type, id] = message;
+            if (type === CALL) {
+                const [, , action, payload] = message;
+                const handler = handlers[action];
+                if (!handler) return ws.send(JSON.stringify([CALLERROR, id, 'NotImplemented', `${action} is not supported.`, {}]));
+                const { afterReply, ...response } = handler(payload);
+                log(`${action}: ${response.status}.`);
+                ws.send(JSON.stringify([CALLRESULT, id, response]));
+                if (afterReply) afterReply().catch(error => log(`${action} failed: ${error.message}`));
+            } else if (pending.has(id)) {
+                const { resolve, reject } = pending.get(id);
+                pending.delete(id);
+                if (type === CALLRESULT) resolve(message[2]);
+                else reject(new Error(`${message[2]}: ${message[3]}`));
+            }
+        });
+        ws.on('close', () => {
+            clearInterval(heartbeatTimer);
+            pending.forEach(({ reject }) => reject(new Error('Connection closed.')));
+            pending.clear();
+            if (stopping) return;
+            log(`Disconnected, reconnecting in ${RECONNECT_DELAY_MS / 1000}s.`);
+            setTimeout(() => connect(), RECONNECT_DELAY_MS);
+        });
+        ws.on('error', error => log(`Connection error: ${error.message}`));
+    }
+
+    return {
+        connectors,
+        connect,
+        startTransaction,
+        finishCharging,
+        stopTransaction,
+        setStatus,
+        async quit() {
+            stopping = true;
+            for (const connector of connectors) await stopTransaction(connector).catch(() => {});
+            ws.close();
+        },
+    };
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (!options.chargePointId || !options.password) {
+        console.log('Usage: npm run simulate -- <chargePointId> --password <password> [--id-tag <idTag> [--duration <seconds>]] [--connectors 2] [--power 22] [--speed 1]');
+        process.exit(1);
+    }
+    const chargePoint = createChargePoint(options);
+    const quit = () => chargePoint.quit().finally(() => process.exit(0));
+    const connectorOf = number => chargePoint.connectors.find(c => c.id === Number(number));
+
+    let started = false;
+    chargePoint.connect(async () => {
+        if (!options.idTag || started) return;
+        started = true;
+        const charging = await chargePoint.startTransaction(chargePoint.connectors[0], options.idTag);
+        if (options.duration) setTimeout(quit, charging ? options.duration * 1000 : 0);
+    });
+
+    const commands = {
+        start: (number, idTag) => chargePoint.startTransaction(connectorOf(number), idTag),
+        full: number => chargePoint.finishCharging(connectorOf(number)),
+        stop: number => chargePoint.stopTransaction(connectorOf(number)),
+        fault: number => chargePoint.setStatus(connectorOf(number), 'Faulted', 'OtherError'),
+        repair: number => chargePoint.setStatus(connectorOf(number), 'Available'),
+        status: async () => chargePoint.connectors.forEach(c => console.log(`  ${c.id}: ${c.status}${c.transaction ? ` (transaction ${c.transaction.id})` : ''}`)),
+        quit,
+    };
+    readline.createInterface({ input: process.stdin }).on('line', line => {
+        const [name, ...args] = line.trim().split(/\s+/);
+        if (!name) return;
+        if (!commands[name] || (name !== 'status' && name !== 'quit' && !connectorOf(args[0]))) {
+            console.log('Commands: start <connector> <idTag> | full <connector> | stop <connector> | fault <connector> | repair <connector> | status | quit');
+            return;
+        }
+        commands[name](...args).catch(error => console.log(`${name} failed: ${error.message}`));
+    });
+    process.on('SIGINT', quit);
+}
+
+main();
@@ -0,0 +1,18 @@
+// store.js
+// Opens the data layer for server processes. With FIRESTORE_EMULATOR_HOST or
+// GOOGLE_APPLICATION_CREDENTIALS set it uses Firestore through the Admin SDK (which is not bound by
+// firestore.rules); otherwise it runs on an in-memory copy of the demo data, which is enough to try
+// the protocol but isn't shared with the app.
+
+const { createDataLayer, createFirestoreBackend, createMemoryBackend, demoData } = require('./app-modules');
+
+function createStore() {
+    if (process.env.FIRESTORE_EMULATOR_HOST || process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+        const admin = require('firebase-admin');
+        if (!admin.apps.length) admin.initializeApp();
+        return createDataLayer(createFirestoreBackend(admin.firestore(), admin.firestore));
+    }
+    return createDataLayer(createMemoryBackend({ seed: demoData.collections }));
+}
+
+module.exports = { createStore };
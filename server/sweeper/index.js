@@ -0,0 +1,27 @@
+// index.js
+// Starts the sweeper: `npm run sweeper` from the server directory. It moves reservations and queue
+// offers along on time for every station (see sweeper.js). See store.js for choosing Firestore or
+// the demo data.
+
+const { log } = require('../log');
+const { createStore } = require('../store');
+const { startSweeper } = require('./sweeper');
+
+async function main() {
+    const store = createStore();
+    log.info(`Using the ${store.backend} data backend.`);
+    const stopSweeper = startSweeper({ store, log });
+
+    const shutdown = () => {
+        log.info('Shutting down the sweeper.');
+        stopSweeper();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+    log.error('The sweeper failed to start:', error);
+    process.exit(1);
+});
@@ -0,0 +1,66 @@
+// sweeper.js
+// Keeps reservations and queue offers on time whether or not anyone has the app open: holds a
+// connector when a reservation's window opens, expires no-shows once the grace period is over,
+// and passes expired queue offers (and free connectors) to the next suitable driver in line. The
+// app does the same for its own driver's reservations and the stations it has loaded; both run
+// in transactions, so it doesn't matter which gets there first.
+
+const { advanceReservation, hasQueueOffersDue, passOnQueueOffers } = require('../app-modules');
+
+const SWEEP_INTERVAL_MS = 30 * 1000; // Same as the app's
+
+function startSweeper({ store, log }) {
+    let stations = []; // The latest snapshot of every station
+    let sweeping = false;
+
+    async function sweepReservations(now) {
+        const active = await store.reservations.find({ where: [['status', 'in', ['booked', 'held']]] });
+        for (const reservation of active.filter(r => r.startTime.toMillis() <= now)) {
+            try {
+                if (await advanceReservation(store, store.reservations.ref(reservation.id), now)) log.info(`Reservation ${reservation.id} advanced.`);
+            } catch (error) {
+                log.error(`Could not advance reservation ${reservation.id}:`, error);
+            }
+        }
+    }
+
+    async function sweepQueueOffers(now) {
+        for (const station of stations.filter(s => hasQueueOffersDue(s, now))) {
+            const stationRef = store.stations.ref(station.id);
+            try {
+                const changed = await store.runTransaction(async (transaction) => {
+                    const stationDoc = await transaction.get(stationRef);
+                    return stationDoc.exists && passOnQueueOffers(store, transaction, stationRef, stationDoc.data(), now);
+                });
+                if (changed) log.info(`Queue offers passed on at station ${station.id}.`);
+            } catch (error) {
+                log.error(`Could not pass on queue offers at station ${station.id}:`, error);
+            }
+        }
+    }
+
+    async function sweep() {
+        if (sweeping) return; // The last sweep is still running
+        sweeping = true;
+        const now = Date.now();
+        try {
+            await sweepReservations(now);
+            await sweepQueueOffers(now);
+        } catch (error) {
+            log.error('Sweep failed:', error);
+        } finally {
+            sweeping = false;
+        }
+    }
+
+    const unsubscribe = store.stations.subscribe({}, items => { stations = items; }, error => log.error('Error watching stations:', error));
+    const timer = setInterval(sweep, SWEEP_INTERVAL_MS);
+    sweep();
+    log.info('Sweeping reservations and queue offers.');
+    return () => {
+        clearInterval(timer);
+        unsubscribe();
+    };
+}
+
+module.exports = { startSweeper };
@@ -0,0 +1,71 @@
+// billing.test.js
+// Tariff pricing from billing.js: a session is billed in pieces at the band in force for each, so
+// the band boundaries (including an off-peak band that runs past midnight, and the weekend that
+// starts at midnight) must all be found, and idle fees only start after the grace period.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const { getNextBandChange, priceSession, getIdleFee } = require(path.join(__dirname, '..', 'electric vehichal bunk app (EVchargeNet)', 'billing.js'));
+
+const station = {
+    pricePerKwh: 18,
+    tariff: {
+        peak: { price: 24, start: '18:00', end: '22:00' },
+        offPeak: { price: 12, start: '22:00', end: '06:00' },
+        weekend: { price: 15 },
+        perMinuteFee: 0,
+        sessionFee: 0,
+        idleFee: { perMinute: 5, graceMinutes: 10 },
+    },
+};
+// Local times, as the bands are: 21 October 2026 is a Wednesday.
+const at = (day, hours, minutes = 0) => new Date(2026, 9, day, hours, minutes).getTime();
+const HOUR = 60 * 60000;
+const steadyEnergy = (startMs, kw) => ms => (ms - startMs) / HOUR * kw;
+
+test('getNextBandChange() finds the next band start or end, or midnight', () => {
+    assert.strictEqual(getNextBandChange(station, at(21, 12)), at(21, 18));
+    assert.strictEqual(getNextBandChange(station, at(21, 18)), at(21, 22));
+    assert.strictEqual(getNextBandChange(station, at(21, 23)), at(22, 0));
+    assert.strictEqual(getNextBandChange(station, at(22, 0)), at(22, 6));
+    assert.strictEqual(getNextBandChange({ pricePerKwh: 18 }, at(21, 12)), at(22, 0));
+});
+
+test('priceSession() splits the energy at each band change', () => {
+    const start = at(21, 17);
+    const pricing = priceSession(station, start, at(21, 19), steadyEnergy(start, 10));
+
+    assert.deepStrictEqual(pricing.segments.map(s => [s.band, s.price, s.kwh]), [['Standard', 18, 10], ['Peak', 24, 10]]);
+    assert.strictEqual(pricing.energyCost, 180 + 240);
+    assert.strictEqual(pricing.total, 420);
+});
+
+test('priceSession() follows an off-peak band past midnight into the weekend', () => {
+    // Friday 21:00 to Saturday 01:00: an hour of peak, two of off-peak, then the weekend rate.
+    const start = at(23, 21);
+    const pricing = priceSession(station, start, at(24, 1), steadyEnergy(start, 10));
+
+    assert.deepStrictEqual(pricing.segments.map(s => [s.band, s.kwh]), [['Peak', 10], ['Off-Peak', 20], ['Weekend', 10]]);
+    assert.strictEqual(pricing.energyCost, 240 + 240 + 150);
+});
+
+test('priceSession() adds the per-minute and session fees', () => {
+    const withFees = { ...station, tariff: { ...station.tariff, perMinuteFee: 0.5, sessionFee: 20 } };
+    const start = at(21, 12);
+    const pricing = priceSession(withFees, start, start + HOUR, steadyEnergy(start, 10));
+
+    assert.strictEqual(pricing.timeFee, 30);
+    assert.strictEqual(pricing.sessionFee, 20);
+    assert.strictEqual(pricing.total, 180 + 30 + 20);
+});
+
+test('getIdleFee() bills whole minutes past the grace period', () => {
+    const ended = at(21, 12);
+
+    assert.deepStrictEqual(getIdleFee(station, null, ended + HOUR), { idleMinutes: 0, billedMinutes: 0, idleFee: 0 });
+    assert.deepStrictEqual(getIdleFee(station, ended, ended + 9.5 * 60000), { idleMinutes: 9, billedMinutes: 0, idleFee: 0 });
+    assert.deepStrictEqual(getIdleFee(station, ended, ended + 25.9 * 60000), { idleMinutes: 25, billedMinutes: 15, idleFee: 75 });
+    assert.deepStrictEqual(getIdleFee({ pricePerKwh: 18 }, ended, ended + HOUR), { idleMinutes: 60, billedMinutes: 0, idleFee: 0 });
+});
@@ -0,0 +1,142 @@
+// connectors.test.js
+// Handing a freed connector to the queue (connectors.js): the first waiting driver whose vehicle
+// can use it gets a time-limited offer and keeps their place until they use it or it expires,
+// everyone else keeps theirs, and a faulted connector stays out of service. Reservations hold a connector when their window opens, expire once the grace period
+// is over, and keep drivers without one off the connectors they will need.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const APP_DIR = path.join(__dirname, '..', 'electric vehichal bunk app (EVchargeNet)');
+const { createMemoryBackend, createDataLayer } = require(path.join(APP_DIR, 'data-layer.js'));
+const {
+    QUEUE_HOLD_MINUTES, RESERVATION_GRACE_MINUTES, getVehicle, getBestConnector, getWaitingQueue, handOverConnector, releaseConnectors, passOnQueueOffers, advanceReservation,
+} = require(path.join(APP_DIR, 'connectors.js'));
+
+const store = createDataLayer(createMemoryBackend());
+
+const station = (queue = [], queueConnectorTypes = {}) => ({
+    name: 'Test',
+    queue,
+    queueConnectorTypes,
+    queueOffers: [],
+    connectors: [
+        { id: 'c1', type: 'Type 2', powerKw: 22, status: 'occupied', claim: { kind: 'session', userId: 'u0', id: 's0' } },
+        { id: 'c2', type: 'CCS', powerKw: 50, status: 'occupied', claim: { kind: 'session', userId: 'u9', id: 's9' } },
+        { id: 'c3', type: 'CCS', powerKw: 50, status: 'faulted', claim: null },
+    ],
+});
+
+test('a freed connector is offered to the first queued driver who can use it', () => {
+    const before = Date.now();
+    const next = handOverConnector(store, station(['ccs-only', 'any', 'last'], { 'ccs-only': ['CCS'] }), 'c1');
+
+    assert.deepStrictEqual(next.queue, ['ccs-only', 'any', 'last']);
+    assert.deepStrictEqual(getWaitingQueue(next), ['ccs-only', 'last']);
+    assert.deepStrictEqual(next.connectors[0], { id: 'c1', type: 'Type 2', powerKw: 22, status: 'occupied', claim: { kind: 'offer', userId: 'any' } });
+    assert.strictEqual(next.queueOffers.length, 1);
+    const { userId, connectorId, expiresAt } = next.queueOffers[0];
+    assert.deepStrictEqual([userId, connectorId], ['any', 'c1']);
+    assert.ok(expiresAt.toMillis() >= before + QUEUE_HOLD_MINUTES * 60000);
+});
+
+test('a freed connector nobody queued can use becomes available', () => {
+    const next = handOverConnector(store, station(['ccs-only'], { 'ccs-only': ['CCS'] }), 'c1');
+
+    assert.deepStrictEqual(next.queue, ['ccs-only']);
+    assert.deepStrictEqual(next.queueConnectorTypes, { 'ccs-only': ['CCS'] });
+    assert.strictEqual(next.connectors[0].status, 'available');
+    assert.strictEqual(next.connectors[0].claim, null);
+    assert.deepStrictEqual(next.queueOffers, []);
+});
+
+test('a faulted connector is not handed over', () => {
+    const before = station(['any']);
+    assert.strictEqual(handOverConnector(store, before, 'c3'), before);
+});
+
+test('releaseConnectors() hands over each connector and writes the summaries', async () => {
+    await store.stations.set('st', station(['a', 'b', 'c']));
+    await store.runTransaction(async (transaction) => {
+        const doc = await transaction.get(store.stations.ref('st'));
+        releaseConnectors(store, transaction, store.stations.ref('st'), doc.data(), ['c1', 'c2']);
+    });
+    const saved = await store.stations.get('st');
+
+    assert.deepStrictEqual(saved.queue, ['a', 'b', 'c']);
+    assert.deepStrictEqual(saved.queueOffers.map(o => [o.userId, o.connectorId]), [['a', 'c1'], ['b', 'c2']]);
+    assert.deepStrictEqual(saved.slots, { total: 2, available: 0 });
+    assert.deepStrictEqual(saved.chargerTypes, ['Type 2', 'CCS']);
+});
+
+test('passOnQueueOffers() passes an expired offer to the next driver in line', async () => {
+    await store.stations.set('expired', {
+        ...station(['late', 'next']),
+        queueOffers: [{ userId: 'late', connectorId: 'c1', expiresAt: store.timestampFromMillis(Date.now() - 1000) }],
+        connectors: [{ id: 'c1', type: 'Type 2', powerKw: 22, status: 'occupied', claim: { kind: 'offer', userId: 'late' } }],
+    });
+    const stationRef = store.stations.ref('expired');
+    const changed = await store.runTransaction(async (transaction) => {
+        const doc = await transaction.get(stationRef);
+        return passOnQueueOffers(store, transaction, stationRef, doc.data());
+    });
+    const saved = await store.stations.get('expired');
+
+    assert.strictEqual(changed, true);
+    assert.deepStrictEqual(saved.queue, ['next']);
+    assert.deepStrictEqual(saved.queueOffers.map(o => o.userId), ['next']);
+    assert.deepStrictEqual(saved.connectors[0].claim, { kind: 'offer', userId: 'next' });
+});
+
+test('passOnQueueOffers() for one driver leaves everyone else\'s offers and free connectors alone', async () => {
+    const expired = store.timestampFromMillis(Date.now() - 1000);
+    await store.stations.set('scoped', {
+        ...station(['other', 'next']),
+        queueOffers: [{ userId: 'other', connectorId: 'c1', expiresAt: expired }],
+        connectors: [
+            { id: 'c1', type: 'Type 2', powerKw: 22, status: 'occupied', claim: { kind: 'offer', userId: 'other' } },
+            { id: 'c2', type: 'CCS', powerKw: 50, status: 'available', claim: null },
+        ],
+    });
+    const stationRef = store.stations.ref('scoped');
+    const changed = await store.runTransaction(async (transaction) => {
+        const doc = await transaction.get(stationRef);
+        return passOnQueueOffers(store, transaction, stationRef, doc.data(), Date.now(), { userId: 'me' });
+    });
+
+    assert.strictEqual(changed, false);
+    assert.deepStrictEqual((await store.stations.get('scoped')).queue, ['other', 'next']);
+});
+
+test('a reservation holds a connector when its window opens and expires after the grace period', async () => {
+    const now = Date.now();
+    const window = start => ({ startTime: store.timestampFromMillis(start), endTime: store.timestampFromMillis(start + 60 * 60000) });
+    await store.stations.set('res', { ...station(), connectors: [{ id: 'c1', type: 'CCS', powerKw: 50, status: 'available', claim: null }] });
+    await store.reservations.set('due', { userId: 'u1', stationId: 'res', vehicle: 'MG ZS EV', status: 'booked', ...window(now - 60000) });
+    await store.reservations.set('later', { userId: 'u2', stationId: 'res', vehicle: 'MG ZS EV', status: 'booked', ...window(now + 60 * 60000) });
+
+    assert.strictEqual(await advanceReservation(store, store.reservations.ref('later'), now), false);
+    assert.strictEqual(await advanceReservation(store, store.reservations.ref('due'), now), true);
+    assert.deepStrictEqual([(await store.reservations.get('due')).status, (await store.stations.get('res')).connectors[0].claim],
+        ['held', { kind: 'reservation', userId: 'u1', id: 'due' }]);
+
+    assert.strictEqual(await advanceReservation(store, store.reservations.ref('due'), now + RESERVATION_GRACE_MINUTES * 60000), true);
+    assert.strictEqual((await store.reservations.get('due')).status, 'expired');
+    assert.strictEqual((await store.stations.get('res')).connectors[0].status, 'available');
+});
+
+test('getBestConnector() passes over connectors that reservations starting soon need', () => {
+    const free = {
+        connectors: [
+            { id: 'dc', type: 'CCS', powerKw: 50, status: 'available', claim: null },
+            { id: 'ac', type: 'Type 2', powerKw: 22, status: 'available', claim: null },
+        ],
+    };
+    const nexon = getVehicle('Tata Nexon EV'); // CCS or Type 2
+    const reservedByMg = [{ vehicle: 'MG ZS EV' }]; // CCS only
+
+    assert.strictEqual(getBestConnector(free, nexon, { availableOnly: true }).id, 'dc');
+    assert.strictEqual(getBestConnector(free, nexon, { availableOnly: true, reservations: reservedByMg }).id, 'ac');
+    assert.strictEqual(getBestConnector(free, getVehicle('MG ZS EV'), { availableOnly: true, reservations: reservedByMg }), null);
+});
@@ -0,0 +1,214 @@
+// data-layer.test.js
+// The in-memory backend stands in for Firestore in local development and the demo when no
+// Firebase project is set, so it has to behave like it: transactions that retry on
+// conflicting writes, field ops, snapshots delivered asynchronously, and the auth errors the app
+// shows.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const { createMemoryBackend, createMemoryAuth, createDataLayer } = require(path.join(__dirname, '..', 'electric vehichal bunk app (EVchargeNet)', 'data-layer.js'));
+
+const createStore = (seed = {}) => createDataLayer(createMemoryBackend({ seed }));
+const nextTick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test('repositories add, read, query and remove documents', async () => {
+    const store = createStore({ stations: { a: { name: 'A', city: 'Surat', pricePerKwh: 18 }, b: { name: 'B', city: 'Vapi', pricePerKwh: 15 } } });
+    const id = await store.stations.add({ name: 'C', city: 'Surat', pricePerKwh: 20 });
+
+    assert.deepStrictEqual(await store.stations.get(id), { id, name: 'C', city: 'Surat', pricePerKwh: 20 });
+    assert.strictEqual(await store.stations.get('missing'), null);
+    const surat = await store.stations.find({ where: [['city', '==', 'Surat']], orderBy: ['pricePerKwh', 'desc'] });
+    assert.deepStrictEqual(surat.map(s => s.name), ['C', 'A']);
+    assert.deepStrictEqual((await store.stations.find({ orderBy: ['pricePerKwh', 'asc'], limit: 1, startAfter: 15 })).map(s => s.id), ['a']);
+
+    await store.stations.remove(id);
+    assert.strictEqual(await store.stations.get(id), null);
+});
+
+test('update() takes dotted paths and resolves field ops', async () => {
+    const store = createStore({ users: { u1: { wallet: { balance: 100 }, favorites: ['a'], profile: { name: 'Asha', phone: '1' } } } });
+
+    await store.users.update('u1', {
+        'wallet.balance': store.fields.increment(-25.5),
+        favorites: store.fields.arrayUnion('a', 'b'),
+        'profile.phone': store.fields.delete(),
+        updatedAt: store.fields.serverTimestamp(),
+    });
+    const user = await store.users.get('u1');
+    assert.strictEqual(user.wallet.balance, 74.5);
+    assert.deepStrictEqual(user.favorites, ['a', 'b']);
+    assert.deepStrictEqual(user.profile, { name: 'Asha' });
+    assert.strictEqual(typeof user.updatedAt.toMillis(), 'number');
+
+    await store.users.update('u1', { favorites: store.fields.arrayRemove('a') });
+    assert.deepStrictEqual((await store.users.get('u1')).favorites, ['b']);
+    await assert.rejects(store.users.update('nobody', { name: 'X' }), { code: 'not-found' });
+});
+
+test('set() with merge keeps the fields it does not name', async () => {
+    const store = createStore({ stations: { a: { pricePerKwh: 18, amenities: [] } } });
+    await store.stations.set('a', { pricePerKwh: 20 }, { merge: true });
+    assert.deepStrictEqual(await store.stations.get('a'), { id: 'a', pricePerKwh: 20, amenities: [] });
+    await store.stations.set('a', { pricePerKwh: 22 });
+    assert.deepStrictEqual(await store.stations.get('a'), { id: 'a', pricePerKwh: 22 });
+});
+
+test('transactions commit their writes together', async () => {
+    const store = createStore({ users: { u1: { wallet: { balance: 100 } } } });
+    const result = await store.runTransaction(async (transaction) => {
+        const userDoc = await transaction.get(store.users.ref('u1'));
+        transaction.update(store.users.ref('u1'), { 'wallet.balance': userDoc.data().wallet.balance - 40 });
+        transaction.set(store.bookings.ref('b1'), { userId: 'u1', cost: 40 });
+        return 'charged';
+    });
+    assert.strictEqual(result, 'charged');
+    assert.strictEqual((await store.users.get('u1')).wallet.balance, 60);
+    assert.strictEqual((await store.bookings.get('b1')).cost, 40);
+});
+
+test('a transaction whose update function throws writes nothing', async () => {
+    const store = createStore({ users: { u1: { wallet: { balance: 100 } } } });
+    await assert.rejects(store.runTransaction(async (transaction) => {
+        await transaction.get(store.users.ref('u1'));
+        transaction.update(store.users.ref('u1'), { 'wallet.balance': 0 });
+        throw 'Insufficient balance!';
+    }), err => err === 'Insufficient balance!');
+    assert.strictEqual((await store.users.get('u1')).wallet.balance, 100);
+});
+
+test('transactions must read before they write', async () => {
+    const store = createStore({ users: { u1: { name: 'A' } } });
+    await assert.rejects(store.runTransaction(async (transaction) => {
+        transaction.update(store.users.ref('u1'), { name: 'B' });
+        await transaction.get(store.users.ref('u1'));
+    }), { code: 'invalid-argument' });
+    assert.strictEqual((await store.users.get('u1')).name, 'A');
+});
+
+test('a transaction retries when a document it read changes before it commits', async () => {
+    const store = createStore({ stations: { c: { value: 0 } } });
+    let attempts = 0;
+    await store.runTransaction(async (transaction) => {
+        attempts++;
+        const doc = await transaction.get(store.stations.ref('c'));
+        // Another client gets in first, once.
+        if (attempts === 1) await store.stations.update('c', { value: store.fields.increment(1) });
+        transaction.update(store.stations.ref('c'), { value: doc.data().value + 1 });
+    });
+    assert.strictEqual(attempts, 2);
+    assert.strictEqual((await store.stations.get('c')).value, 2);
+});
+
+test('a transaction that keeps conflicting is aborted', async () => {
+    const store = createStore({ stations: { c: { value: 0 } } });
+    let attempts = 0;
+    await assert.rejects(store.runTransaction(async (transaction) => {
+        attempts++;
+        await transaction.get(store.stations.ref('c'));
+        await store.stations.update('c', { value: store.fields.increment(1) });
+        transaction.update(store.stations.ref('c'), { value: -1 });
+    }), { code: 'aborted' });
+    assert.strictEqual(attempts, 5);
+    assert.strictEqual((await store.stations.get('c')).value, 5);
+});
+
+test('a document read as missing conflicts with its creation', async () => {
+    const store = createStore();
+    let attempts = 0;
+    await store.runTransaction(async (transaction) => {
+        attempts++;
+        const doc = await transaction.get(store.bookings.ref('b1'));
+        if (attempts === 1) await store.bookings.set('b1', { cost: 10 });
+        if (!doc.exists) transaction.set(store.bookings.ref('b1'), { cost: 20 });
+    });
+    assert.strictEqual(attempts, 2);
+    assert.strictEqual((await store.bookings.get('b1')).cost, 10);
+});
+
+test('subscribers get a first snapshot asynchronously and one after each write', async () => {
+    const store = createStore({ stations: { a: { name: 'A', city: 'Surat' } } });
+    const lists = [];
+    const docs = [];
+    const unsubscribe = store.stations.subscribe({ where: [['city', '==', 'Surat']] }, items => lists.push(items.map(s => s.id)));
+    const unsubscribeDoc = store.stations.subscribeDoc('a', item => docs.push(item && item.name));
+    assert.deepStrictEqual(lists, []);
+
+    await nextTick();
+    assert.deepStrictEqual(lists, [['a']]);
+    assert.deepStrictEqual(docs, ['A']);
+
+    await store.stations.set('b', { name: 'B', city: 'Surat' });
+    await nextTick();
+    assert.deepStrictEqual(lists, [['a'], ['a', 'b']]);
+
+    unsubscribe();
+    await store.stations.remove('a');
+    await nextTick();
+    assert.deepStrictEqual(lists, [['a'], ['a', 'b']]);
+    assert.deepStrictEqual(docs, ['A', 'A', null]);
+    unsubscribeDoc();
+});
+
+test('a failing query reaches the subscriber\'s error callback', async () => {
+    const store = createStore({ stations: { a: { name: 'A' } } });
+    const errors = [];
+    store.stations.subscribe({ where: [['name', 'like', 'A']] }, () => assert.fail('no snapshot expected'), error => errors.push(error.code));
+    await nextTick();
+    assert.deepStrictEqual(errors, ['invalid-argument']);
+});
+
+test('batches write everything at once', async () => {
+    const store = createStore({ stations: { a: { name: 'A' } } });
+    const batch = store.batch();
+    batch.update(store.stations.ref('a'), { name: 'A2' }).set(store.stations.ref('b'), { name: 'B' }).delete(store.stations.ref('a'));
+    assert.strictEqual((await store.stations.get('a')).name, 'A');
+    await batch.commit();
+    assert.strictEqual(await store.stations.get('a'), null);
+    assert.strictEqual((await store.stations.get('b')).name, 'B');
+});
+
+test('auth signs users in and out and tells listeners', async () => {
+    const auth = createMemoryAuth({ accounts: [{ uid: 'demo-driver', email: 'Driver@EVChargeNet.dev', password: 'secret1' }] });
+    const states = [];
+    auth.onAuthStateChanged(user => states.push(user && user.uid));
+    await nextTick();
+    assert.deepStrictEqual(states, [null]);
+
+    const { user } = await auth.signInWithEmailAndPassword('driver@evchargenet.dev', 'secret1');
+    assert.strictEqual(user.uid, 'demo-driver');
+    assert.strictEqual(auth.currentUser.uid, 'demo-driver');
+    await auth.signOut();
+    assert.strictEqual(auth.currentUser, null);
+    assert.deepStrictEqual(states, [null, 'demo-driver', null]);
+
+    await assert.rejects(auth.signInWithEmailAndPassword('driver@evchargenet.dev', 'wrong'), { code: 'auth/wrong-password' });
+    await assert.rejects(auth.signInWithEmailAndPassword('nobody@evchargenet.dev', 'secret1'), { code: 'auth/wrong-password' });
+});
+
+test('auth creates accounts and signs them in', async () => {
+    const auth = createMemoryAuth({ accounts: [{ uid: 'demo-driver', email: 'driver@evchargenet.dev', password: 'secret1' }] });
+    await assert.rejects(auth.createUserWithEmailAndPassword('not-an-email', 'secret1'), { code: 'auth/invalid-email' });
+    await assert.rejects(auth.createUserWithEmailAndPassword('DRIVER@evchargenet.dev', 'secret1'), { code: 'auth/email-already-in-use' });
+    await assert.rejects(auth.createUserWithEmailAndPassword('new@evchargenet.dev', '12345'), { code: 'auth/weak-password' });
+
+    const { user } = await auth.createUserWithEmailAndPassword('new@evchargenet.dev', '123456');
+    assert.match(user.uid, /^local-/);
+    assert.strictEqual(auth.currentUser.uid, user.uid);
+    await auth.signOut();
+    assert.strictEqual((await auth.signInWithEmailAndPassword('new@evchargenet.dev', '123456')).user.uid, user.uid);
+});
+
+test('data is kept in storage and read back from it', async () => {
+    const items = {};
+    const storage = { getItem: key => items[key] ?? null, setItem: (key, value) => { items[key] = value; } };
+    const first = createDataLayer(createMemoryBackend({ storage }));
+    await first.bookings.set('b1', { cost: 12.5, startTime: first.timestampFromMillis(1000) });
+
+    const second = createDataLayer(createMemoryBackend({ storage, seed: { bookings: { other: {} } } }));
+    const booking = await second.bookings.get('b1');
+    assert.strictEqual(booking.cost, 12.5);
+    assert.strictEqual(booking.startTime.toMillis(), 1000);
+    assert.strictEqual(await second.bookings.get('other'), null);
+});
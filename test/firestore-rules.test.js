@@ -0,0 +1,425 @@
+// firestore-rules.test.js
+// The security rules in firestore.rules, run against the Firestore emulator with
+// `npm run test:rules`. Each test starts from the same small world: two operators with a station
+// and an admin each, a pending admin, a super-admin and two drivers with an active session each
+// (driver2 also waits in st-a's queue).
+// The writes copy what the app makes (settleSession() in script.js, wallet.js and loyalty.js).
+
+const { test, before, beforeEach, after } = require('node:test');
+const fs = require('fs');
+const path = require('path');
+const { initializeTestEnvironment, assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+const firebase = require('firebase/compat/app');
+require('firebase/compat/firestore');
+
+const PROJECT_ID = 'demo-evchargenet';
+const SESSION_START = new Date(Date.now() - 60 * 60000); // sessions in the seed have run for an hour
+
+const SEED = {
+    users: {
+        driver1: { email: 'driver1@evchargenet.dev', role: 'user', status: 'active', profile: { name: 'Asha' }, wallet: { balance: 500, lastTransactionId: 'seed-1' } },
+        driver2: { email: 'driver2@evchargenet.dev', role: 'user', status: 'active', profile: { name: 'Ravi' }, wallet: { balance: 50, lastTransactionId: 'seed-2' } },
+        'pending-admin': { email: 'pending-admin@evchargenet.dev', role: 'admin', status: 'pending', operatorId: 'op-a' },
+        'admin-a': { email: 'admin-a@evchargenet.dev', role: 'admin', status: 'active', operatorId: 'op-a' },
+        'admin-b': { email: 'admin-b@evchargenet.dev', role: 'admin', status: 'active', operatorId: 'op-b' },
+        super: { email: 'super@evchargenet.dev', role: 'superadmin', status: 'active' },
+    },
+    stations: {
+        'st-a': {
+            name: 'SG Highway', operatorId: 'op-a', lat: 23.03, lng: 72.51, tile: '23_72', pricePerKwh: 18,
+            tariff: { offPeak: { price: 12, start: '22:00', end: '06:00' } },
+            ratingCount: 0, ratingSum: 0, ratingAvg: 0,
+            connectors: [
+                { id: 'c1', type: 'CCS', powerKw: 50, status: 'occupied', claim: { kind: 'session', userId: 'driver1', id: 'sess-1' } },
+                { id: 'c2', type: 'CCS', powerKw: 50, status: 'occupied', claim: { kind: 'session', userId: 'driver2', id: 'sess-2' } },
+                { id: 'c3', type: 'Type 2', powerKw: 22, status: 'available', claim: null },
+            ],
+            slots: { total: 3, available: 1 },
+            queue: ['driver2'], queueConnectorTypes: { driver2: ['CCS'] }, queueOffers: [],
+        },
+        'st-b': { name: 'BKC', operatorId: 'op-b', lat: 19.06, lng: 72.86, tile: '19_72', pricePerKwh: 20, ratingCount: 0, ratingSum: 0, ratingAvg: 0 },
+    },
+    activeSessions: {
+        'sess-1': { userId: 'driver1', stationId: 'st-a', operatorId: 'op-a', startTime: SESSION_START, powerKw: 50 },
+        'sess-2': { userId: 'driver2', stationId: 'st-a', operatorId: 'op-a', startTime: SESSION_START, powerKw: 50 },
+    },
+    bookings: {
+        'bk-a': { userId: 'driver1', stationId: 'st-a', operatorId: 'op-a', cost: 100 },
+        'bk-b': { userId: 'driver2', stationId: 'st-b', operatorId: 'op-b', cost: 50 },
+    },
+    reservations: {
+        'res-b': { userId: 'driver2', stationId: 'st-b', status: 'booked' },
+    },
+    loyaltyPromotions: {
+        'promo-ended': { name: 'Weekend triple', multiplier: 3, operatorId: null, active: false },
+    },
+    ocpiPartners: {
+        'partner-1': { name: 'Roaming partner', countryCode: 'NL', partyId: 'MSP', status: 'registered' },
+    },
+    ocpiTokens: {
+        'NL-MSP-TOKEN1': { partnerId: 'partner-1', country_code: 'NL', party_id: 'MSP', uid: 'TOKEN1', type: 'RFID', valid: true, whitelist: 'ALLOWED' },
+    },
+    ocppChargePoints: {
+        'CP-A': { passwordHash: 'scrypt:salt:hash' },
+    },
+};
+
+let testEnv;
+
+const as = uid => testEnv.authenticatedContext(uid, { email: `${uid}@evchargenet.dev` }).firestore();
+
+before(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: PROJECT_ID,
+        firestore: { rules: fs.readFileSync(path.join(__dirname, '..', 'firestore.rules'), 'utf8') },
+    });
+});
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        for (const [collection, docs] of Object.entries(SEED)) {
+            for (const [id, data] of Object.entries(docs)) await db.doc(`${collection}/${id}`).set(data);
+        }
+    });
+});
+
+after(() => testEnv.cleanup());
+
+// Ends driver1's session at st-a the way settleSession() does: the session goes, its booking and
+// charge are written and the wallet moves, and any points earned go on the points ledger.
+function settle(db, { bookingId = 'bk-new', sessionId = 'sess-1', cost = 90, pointsEarned = 0, booking = {}, endSession = true } = {}) {
+    const batch = db.batch();
+    if (endSession) batch.delete(db.doc(`activeSessions/${sessionId}`));
+    batch.set(db.doc(`bookings/${bookingId}`), {
+        userId: 'driver1', stationId: 'st-a', sessionId, operatorId: 'op-a', cost, kwhConsumed: 5,
+        startTime: SESSION_START, endTime: new Date(Date.now() - 1000), loyaltyDiscount: 0, pointsRedeemed: 0, pointsEarned, promotionId: null, ...booking,
+    });
+    batch.set(db.doc(`walletTransactions/${bookingId}`), {
+        userId: 'driver1', type: 'charge', amount: -cost, balanceAfter: 500 - cost, bookingId, operatorId: 'op-a', createdBy: 'driver1',
+    });
+    const user = { 'wallet.balance': 500 - cost, 'wallet.lastTransactionId': bookingId };
+    if (pointsEarned) {
+        batch.set(db.doc(`loyaltyTransactions/${bookingId}`), {
+            userId: 'driver1', type: 'earn', points: pointsEarned, balanceAfter: pointsEarned, bookingId, promotionId: null, createdBy: 'driver1',
+        });
+        user.loyalty = { points: pointsEarned, lifetimePoints: pointsEarned, lots: { '2026-10': pointsEarned }, lastTransactionId: bookingId };
+    }
+    batch.update(db.doc('users/driver1'), user);
+    return batch.commit();
+}
+
+function topUp(db, { uid = 'driver1', amount = 200, balanceAfter = 700 } = {}) {
+    const batch = db.batch();
+    batch.set(db.doc('walletTransactions/pay-1'), { userId: uid, type: 'topup', paymentId: 'pay-1', gateway: 'mock', amount, balanceAfter, createdBy: uid });
+    batch.update(db.doc(`users/${uid}`), { 'wallet.balance': balanceAfter, 'wallet.lastTransactionId': 'pay-1' });
+    return batch.commit();
+}
+
+// --- SIGN-UP AND ADMIN APPROVAL ---
+
+test('sign-ups can only be active drivers or pending admins', async () => {
+    const user = { email: 'new-user@evchargenet.dev', profile: { name: 'New' } };
+    await assertSucceeds(as('new-user').doc('users/new-user').set({ ...user, role: 'user', status: 'active' }));
+    const admin = { email: 'new-admin@evchargenet.dev', operatorId: 'op-a' };
+    await assertFails(as('new-admin').doc('users/new-admin').set({ ...admin, role: 'admin', status: 'active' }));
+    await assertFails(as('new-admin').doc('users/new-admin').set({ ...admin, role: 'superadmin', status: 'pending' }));
+    await assertSucceeds(as('new-admin').doc('users/new-admin').set({ ...admin, role: 'admin', status: 'pending' }));
+});
+
+test('sign-ups start with an empty wallet and no points', async () => {
+    const user = { email: 'new-user@evchargenet.dev', role: 'user', status: 'active' };
+    await assertFails(as('new-user').doc('users/new-user').set({ ...user, wallet: { balance: 1000 } }));
+    await assertFails(as('new-user').doc('users/new-user').set({ ...user, profile: { loyaltyPoints: 500 } }));
+});
+
+test('a pending admin can neither manage stations nor approve themselves', async () => {
+    const db = as('pending-admin');
+    await assertFails(db.doc('stations/st-a').update({ pricePerKwh: 10 }));
+    await assertFails(db.doc('users/pending-admin').update({ status: 'active' }));
+});
+
+test('only a super-admin approves a pending admin, who can then manage their stations', async () => {
+    const approval = { status: 'active', accessUpdatedAt: new Date() };
+    await assertFails(as('admin-a').doc('users/pending-admin').update({ ...approval, accessUpdatedBy: 'admin-a' }));
+    await assertSucceeds(as('super').doc('users/pending-admin').update({ ...approval, accessUpdatedBy: 'super' }));
+    await assertSucceeds(as('pending-admin').doc('stations/st-a').update({ pricePerKwh: 10 }));
+});
+
+test('super-admins cannot change their own access', async () => {
+    await assertFails(as('super').doc('users/super').update({ role: 'user', accessUpdatedAt: new Date(), accessUpdatedBy: 'super' }));
+});
+
+test('drivers edit their own profile but never their role', async () => {
+    const db = as('driver1');
+    await assertSucceeds(db.doc('users/driver1').update({ 'profile.name': 'Asha P' }));
+    await assertFails(db.doc('users/driver1').update({ role: 'admin' }));
+    await assertFails(db.doc('users/driver2').update({ 'profile.name': 'Someone else' }));
+});
+
+// --- OPERATOR SCOPING ---
+
+test('operator-admins only edit their own operator\'s stations', async () => {
+    const db = as('admin-a');
+    await assertSucceeds(db.doc('stations/st-a').update({ pricePerKwh: 19 }));
+    await assertFails(db.doc('stations/st-b').update({ pricePerKwh: 19 }));
+    await assertFails(db.doc('stations/st-b').delete());
+    await assertSucceeds(db.doc('stations/st-new').set({ name: 'New', operatorId: 'op-a', lat: 23.2, lng: 72.6, tile: '23_72', pricePerKwh: 18 }));
+    await assertFails(db.doc('stations/st-other').set({ name: 'Other', operatorId: 'op-b', lat: 23.2, lng: 72.6, tile: '23_72', pricePerKwh: 18 }));
+});
+
+test('only super-admins move a station to another operator', async () => {
+    await assertFails(as('admin-a').doc('stations/st-a').update({ operatorId: 'op-b' }));
+    await assertSucceeds(as('super').doc('stations/st-a').update({ operatorId: 'op-b' }));
+});
+
+test('a station\'s tile has to match its coordinates', async () => {
+    await assertFails(as('admin-a').doc('stations/st-a').update({ lat: 22.5 }));
+    await assertSucceeds(as('admin-a').doc('stations/st-a').update({ lat: 22.5, tile: '22_72' }));
+});
+
+test('operator-admins read only their operator\'s bookings', async () => {
+    const bookings = as('admin-a').collection('bookings');
+    await assertSucceeds(bookings.where('operatorId', '==', 'op-a').get());
+    await assertFails(bookings.where('operatorId', '==', 'op-b').get());
+    await assertFails(bookings.get());
+    await assertFails(as('admin-a').doc('bookings/bk-b').get());
+});
+
+test('operator-admins run promotions only for their own operator', async () => {
+    const promotion = { name: 'Night owl', multiplier: 2, createdBy: 'admin-a', active: true };
+    await assertSucceeds(as('admin-a').doc('loyaltyPromotions/p-a').set({ ...promotion, operatorId: 'op-a' }));
+    await assertFails(as('admin-a').doc('loyaltyPromotions/p-b').set({ ...promotion, operatorId: 'op-b' }));
+    await assertFails(as('admin-a').doc('loyaltyPromotions/p-all').set({ ...promotion, operatorId: null }));
+    await assertFails(as('admin-a').doc('loyaltyPromotions/p-big').set({ ...promotion, operatorId: 'op-a', multiplier: 50 }));
+});
+
+test('drivers only change a station\'s live state', async () => {
+    const db = as('driver1');
+    await assertFails(db.doc('stations/st-a').update({ queue: ['driver1'] }));
+    await assertFails(db.doc('stations/st-a').update({ pricePerKwh: 1 }));
+    await assertFails(db.doc('stations/st-a').delete());
+});
+
+test('drivers only add or remove themselves in a queue', async () => {
+    const db = as('driver1');
+    const types = { 'queueConnectorTypes.driver1': ['CCS'] };
+    await assertFails(db.doc('stations/st-a').update({ queue: [], queueConnectorTypes: {} }));
+    await assertFails(db.doc('stations/st-a').update({ queue: ['driver1', 'driver2'], ...types }));
+    await assertSucceeds(db.doc('stations/st-a').update({ queue: ['driver2', 'driver1'], ...types }));
+    await assertSucceeds(db.doc('stations/st-a').update({ queue: ['driver2'], queueConnectorTypes: { driver2: ['CCS'] } }));
+});
+
+test('drivers only claim free connectors and release their own', async () => {
+    const db = as('driver1');
+    const seeded = SEED.stations['st-a'].connectors;
+    const write = (connectors, available) => db.doc('stations/st-a').update({ connectors, slots: { total: 3, available } });
+    const mine = { kind: 'session', userId: 'driver1', id: 'sess-new' };
+    await assertFails(write([seeded[0], { ...seeded[1], claim: mine }, seeded[2]], 1));
+    await assertFails(write([seeded[0], seeded[1], { ...seeded[2], powerKw: 150 }], 1));
+    await assertFails(write([seeded[0], seeded[1], { ...seeded[2], status: 'faulted' }], 0));
+    await assertFails(write([seeded[0], seeded[1], { ...seeded[2], status: 'occupied', claim: mine }], 1));
+    await assertSucceeds(write([seeded[0], seeded[1], { ...seeded[2], status: 'occupied', claim: mine }], 0));
+    // The connector driver1 held can go to the driver waiting in the queue.
+    await assertSucceeds(db.doc('stations/st-a').update({
+        connectors: [{ ...seeded[0], claim: { kind: 'offer', userId: 'driver2' } }, seeded[1], { ...seeded[2], status: 'occupied', claim: mine }],
+        queueOffers: [{ userId: 'driver2', connectorId: 'c1', expiresAt: new Date(Date.now() + 5 * 60000) }],
+    }));
+});
+
+test('busy times only grow as a driver ends their own session', async () => {
+    const db = as('driver1');
+    const occupancy = { 'occupancy.since': new Date(), 'occupancy.minutes.1_10': 30 };
+    await assertFails(db.doc('stations/st-a').update(occupancy));
+    await assertFails(db.doc('stations/st-a').update({ ...occupancy, occupancySessionId: 'sess-1' }));
+    await assertFails(db.doc('stations/st-a').update({ ...occupancy, occupancySessionId: 'sess-2' }));
+    const batch = db.batch();
+    batch.delete(db.doc('activeSessions/sess-1'));
+    batch.update(db.doc('stations/st-a'), { ...occupancy, occupancySessionId: 'sess-1' });
+    await assertSucceeds(batch.commit());
+});
+
+test('bookings and sessions are read by their driver and their operator\'s admins', async () => {
+    await assertSucceeds(as('driver1').doc('bookings/bk-a').get());
+    await assertFails(as('driver1').doc('bookings/bk-b').get());
+    await assertSucceeds(as('admin-b').doc('bookings/bk-b').get());
+    await assertFails(as('driver2').doc('activeSessions/sess-1').get());
+    await assertFails(as('driver1').doc('bookings/bk-a').update({ cost: 0 }));
+});
+
+// --- WALLETS AND BOOKINGS ---
+
+test('a driver settles their own session, paying its cost from the wallet', async () => {
+    await assertSucceeds(settle(as('driver1')));
+});
+
+test('a booking has to be paid for in the same write', async () => {
+    const db = as('driver1');
+    await assertFails(db.doc('bookings/bk-free').set({ userId: 'driver1', stationId: 'st-a', sessionId: 'sess-1', operatorId: 'op-a', cost: 90 }));
+});
+
+test('a negative cost cannot add money to the wallet', async () => {
+    await assertFails(settle(as('driver1'), { cost: -50 }));
+});
+
+test('a charge has to end one of the driver\'s own active sessions', async () => {
+    await assertFails(settle(as('driver1'), { sessionId: 'sess-missing' }));
+    await assertFails(settle(as('driver1'), { sessionId: 'sess-2' }));
+    await assertFails(settle(as('driver1'), { endSession: false }));
+    await assertFails(settle(as('driver1'), { booking: { stationId: 'st-b' } }));
+});
+
+test('drivers cannot record a roaming partner\'s token on a booking', async () => {
+    const ocpiToken = { country_code: 'NL', party_id: 'MSP', uid: 'TOKEN1', type: 'RFID', contract_id: 'NL-MSP-1' };
+    await assertFails(settle(as('driver1'), { booking: { ocpiToken } }));
+});
+
+test('a wallet balance only moves with a new ledger entry that ends on it', async () => {
+    const db = as('driver1');
+    await assertFails(db.doc('users/driver1').update({ 'wallet.balance': 10000 }));
+    await testEnv.withSecurityRulesDisabled(context => context.firestore().doc('meta/payments').set({ mockTopUps: true }));
+    await assertFails(topUp(db, { balanceAfter: 900 }));
+    await assertFails(db.doc('walletTransactions/seed-1').update({ amount: 10000 }));
+});
+
+test('mock top-ups are only trusted while meta/payments allows them', async () => {
+    await assertFails(topUp(as('driver1')));
+    await testEnv.withSecurityRulesDisabled(context => context.firestore().doc('meta/payments').set({ mockTopUps: true }));
+    await assertSucceeds(topUp(as('driver1')));
+    await assertFails(as('driver1').doc('meta/payments').set({ mockTopUps: false }));
+});
+
+// Starts a session on st-a's free connector c3 (22 kW) the way startCharging() does.
+function startSession(db, uid, { sessionId = 'sess-new', powerKw = 22, session = {} } = {}) {
+    const seeded = SEED.stations['st-a'].connectors;
+    const batch = db.batch();
+    batch.update(db.doc('stations/st-a'), {
+        connectors: [seeded[0], seeded[1], { ...seeded[2], status: 'occupied', claim: { kind: 'session', userId: uid, id: sessionId } }],
+        slots: { total: 3, available: 0 },
+    });
+    batch.set(db.doc(`activeSessions/${sessionId}`), {
+        userId: uid, stationId: 'st-a', operatorId: 'op-a', connectorId: 'c3', powerKw,
+        startTime: firebase.firestore.FieldValue.serverTimestamp(), ...session,
+    });
+    return batch.commit();
+}
+
+test('a session only starts with the minimum wallet balance', async () => {
+    await assertFails(startSession(as('driver2'), 'driver2'));
+    await assertSucceeds(startSession(as('driver1'), 'driver1'));
+});
+
+test('a session starts now, on the connector it claims, at no more than its power', async () => {
+    const db = as('driver1');
+    await assertFails(db.doc('activeSessions/sess-new').set({ userId: 'driver1', stationId: 'st-a', operatorId: 'op-a', connectorId: 'c3', powerKw: 22, startTime: firebase.firestore.FieldValue.serverTimestamp() }));
+    await assertFails(startSession(db, 'driver1', { powerKw: 150 }));
+    await assertFails(startSession(db, 'driver1', { session: { connectorId: 'c1' } }));
+    await assertFails(startSession(db, 'driver1', { session: { startTime: SESSION_START } }));
+});
+
+test('a booking costs no more than its session could at the station\'s tariff', async () => {
+    // sess-1 has run for an hour at 50 kW; st-a's dearest band is ₹18/kWh.
+    await assertFails(settle(as('driver1'), { booking: { kwhConsumed: 60 } }));
+    await assertFails(settle(as('driver1'), { cost: 100, booking: { kwhConsumed: 5 } }));
+    await assertFails(settle(as('driver1'), { booking: { endTime: new Date(Date.now() + 60 * 60000) } }));
+    await assertFails(settle(as('driver1'), { booking: { startTime: new Date(Date.now() - 5 * 60 * 60000) } }));
+    await assertSucceeds(settle(as('driver1'), { cost: 450, booking: { kwhConsumed: 25 } }));
+});
+
+test('only super-admins adjust a wallet', async () => {
+    const adjust = (db, uid) => {
+        const batch = db.batch();
+        batch.set(db.doc('walletTransactions/adj-1'), { userId: 'driver1', type: 'adjustment', amount: -15.5, reason: 'Duplicate refund', balanceAfter: 484.5, createdBy: uid });
+        batch.update(db.doc('users/driver1'), { 'wallet.balance': 484.5, 'wallet.lastTransactionId': 'adj-1' });
+        return batch.commit();
+    };
+    await assertFails(adjust(as('admin-a'), 'admin-a'));
+    await assertSucceeds(adjust(as('super'), 'super'));
+});
+
+test('operator-admins refund only their own operator\'s sessions, up to what they cost', async () => {
+    const refund = (db, uid, bookingId, userId, operatorId, amount) => {
+        const batch = db.batch();
+        batch.set(db.doc('walletTransactions/ref-1'), { userId, type: 'refund', amount, reason: 'Charger fault', bookingId, operatorId, balanceAfter: SEED.users[userId].wallet.balance + amount, createdBy: uid });
+        batch.update(db.doc(`users/${userId}`), { 'wallet.balance': SEED.users[userId].wallet.balance + amount, 'wallet.lastTransactionId': 'ref-1' });
+        batch.update(db.doc(`bookings/${bookingId}`), { refundedAmount: amount, lastRefundId: 'ref-1' });
+        return batch.commit();
+    };
+    await assertFails(refund(as('admin-a'), 'admin-a', 'bk-b', 'driver2', 'op-b', 20));
+    await assertFails(refund(as('admin-a'), 'admin-a', 'bk-a', 'driver1', 'op-a', 150));
+    await assertSucceeds(refund(as('admin-a'), 'admin-a', 'bk-a', 'driver1', 'op-a', 20));
+});
+
+test('charging IDs come from the driver\'s own uid', async () => {
+    await assertSucceeds(as('driver1').doc('users/driver1').update({ 'profile.idTag': 'driver1' }));
+    await assertFails(as('driver1').doc('users/driver1').update({ 'profile.idTag': 'driver2' }));
+});
+
+// --- LOYALTY POINTS ---
+
+test('a session earns at most what its cost earns at the top tier', async () => {
+    // ₹90 buys 7.5 kWh at st-a's ₹12 off-peak band: 11 points at the default Gold ×1.5.
+    await assertFails(settle(as('driver1'), { pointsEarned: 500 }));
+    await assertSucceeds(settle(as('driver1'), { pointsEarned: 11 }));
+});
+
+test('points earned on spend follow meta/loyalty', async () => {
+    await testEnv.withSecurityRulesDisabled(context => context.firestore().doc('meta/loyalty').set({
+        earnBasis: 'spend', pointsPerKwh: 1, pointsPerRupee: 0.1, rupeesPerPoint: 0.5, tiers: [{ name: 'Bronze', minPoints: 0, multiplier: 1 }],
+    }));
+    await assertFails(settle(as('driver1'), { pointsEarned: 10 }));
+    await assertSucceeds(settle(as('driver1'), { pointsEarned: 9 }));
+});
+
+test('a booking cannot claim an ended promotion\'s multiplier', async () => {
+    await assertFails(settle(as('driver1'), { pointsEarned: 5, booking: { promotionId: 'promo-ended' } }));
+});
+
+test('drivers cannot mint points without a booking', async () => {
+    const db = as('driver1');
+    const batch = db.batch();
+    batch.set(db.doc('loyaltyTransactions/free'), { userId: 'driver1', type: 'earn', points: 1000, balanceAfter: 1000, bookingId: null, createdBy: 'driver1' });
+    batch.update(db.doc('users/driver1'), { loyalty: { points: 1000, lifetimePoints: 1000, lots: { '2026-10': 1000 }, lastTransactionId: 'free' } });
+    await assertFails(batch.commit());
+});
+
+// --- RATINGS, RESERVATIONS AND ROAMING ---
+
+test('a station\'s rating only moves with the review that moves it', async () => {
+    const db = as('driver1');
+    await assertFails(db.doc('stations/st-a').update({ ratingCount: 1, ratingSum: 5, ratingAvg: 5 }));
+    await assertFails(db.doc('stations/st-a').update({ ratingCount: 1, ratingSum: 5, ratingAvg: 5, ratingReviewId: 'bk-a' }));
+
+    const review = (rating, ratingSum) => {
+        const batch = db.batch();
+        batch.set(db.doc('reviews/bk-a'), {
+            userId: 'driver1', stationId: 'st-a', operatorId: 'op-a', bookingId: 'bk-a', rating, text: 'Fast and clean.',
+            status: 'approved', flags: [], reportCount: 0, history: [], helpfulBy: [], helpfulCount: 0,
+        });
+        batch.update(db.doc('stations/st-a'), { ratingCount: 1, ratingSum, ratingAvg: ratingSum, ratingReviewId: 'bk-a' });
+        return batch.commit();
+    };
+    await assertFails(review(5, 50));
+    await assertSucceeds(review(5, 5));
+});
+
+test('reservations are swept by their driver or the station\'s admins', async () => {
+    const hold = uid => as(uid).doc('reservations/res-b').update({ status: 'held', connectorId: 'c1', heldAt: new Date() });
+    await assertFails(hold('driver1'));
+    await assertFails(hold('admin-a'));
+    await assertSucceeds(hold('admin-b'));
+    await assertSucceeds(as('driver2').doc('reservations/res-b').update({ status: 'expired', expiredAt: new Date() }));
+});
+
+test('no client reads or sets chargers\' passwords', async () => {
+    await assertFails(as('super').doc('ocppChargePoints/CP-A').get());
+    await assertFails(as('admin-a').doc('ocppChargePoints/CP-A').set({ passwordHash: 'scrypt:mine:mine' }));
+});
+
+test('no client reads roaming partners or their tokens', async () => {
+    await assertFails(as('super').doc('ocpiPartners/partner-1').get());
+    await assertFails(as('super').collection('ocpiPartners').get());
+    await assertFails(as('super').doc('ocpiTokens/NL-MSP-TOKEN1').get());
+    await assertFails(as('driver1').doc('ocpiTokens/NL-MSP-TOKEN2').set({ partnerId: 'partner-1', uid: 'TOKEN2', valid: true }));
+});
@@ -0,0 +1,68 @@
+// loyalty.test.js
+// Moving loyalty points (loyalty.js): lots expire at the end of their month plus the configured
+// months, redemptions spend the oldest lots first, and every change has its ledger entry.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const APP_DIR = path.join(__dirname, '..', 'electric vehichal bunk app (EVchargeNet)');
+const { createMemoryBackend, createDataLayer } = require(path.join(APP_DIR, 'data-layer.js'));
+const { DEFAULT_LOYALTY_CONFIG, getLoyaltyConfig, getLotExpiry, getLoyaltyBalance, updateLoyalty } = require(path.join(APP_DIR, 'loyalty.js'));
+
+const config = getLoyaltyConfig(DEFAULT_LOYALTY_CONFIG);
+const at = (year, month, day) => new Date(year, month - 1, day, 12).getTime();
+
+const user = {
+    loyalty: { points: 180, lifetimePoints: 600, lots: { '2025-09': 50, '2025-11': 30, '2026-03': 100 }, lastTransactionId: 't0' },
+};
+
+// Runs updateLoyalty() for u1 and returns what it returned, the saved user and the new ledger entries.
+async function move(options) {
+    const store = createDataLayer(createMemoryBackend({ seed: { users: { u1: user } } }));
+    const userRef = store.users.ref('u1');
+    const loyalty = await store.runTransaction(async (transaction) => {
+        const userDoc = await transaction.get(userRef);
+        return updateLoyalty(store, transaction, userRef, userDoc.data(), config, options);
+    });
+    const entries = await store.loyaltyTransactions.find({});
+    return { loyalty, saved: (await store.users.get('u1')).loyalty, entries };
+}
+
+test('lots expire on the first day of the month after their last', () => {
+    assert.strictEqual(getLotExpiry(config, '2025-09'), new Date(2026, 9, 1).getTime());
+    assert.strictEqual(getLoyaltyBalance(config, user, new Date(2026, 9, 1).getTime() - 1), 180);
+    assert.strictEqual(getLoyaltyBalance(config, user, new Date(2026, 9, 1).getTime()), 130);
+});
+
+test('updateLoyalty() expires the lots that are due and records it', async () => {
+    const { loyalty, saved, entries } = await move({ now: at(2026, 12, 5) });
+
+    assert.deepStrictEqual(loyalty.lots, { '2026-03': 100 });
+    assert.strictEqual(loyalty.points, 100);
+    assert.strictEqual(loyalty.lifetimePoints, 600);
+    assert.deepStrictEqual(saved.lots, loyalty.lots);
+    assert.strictEqual(entries.length, 1);
+    assert.deepStrictEqual([entries[0].type, entries[0].points, entries[0].balanceAfter, entries[0].reason], ['expire', -80, 100, 'Earned in 2025-09, 2025-11']);
+    assert.strictEqual(saved.lastTransactionId, entries[0].id);
+});
+
+test('updateLoyalty() expires before it redeems, then spends the oldest lots and adds the earned points', async () => {
+    const { loyalty, entries } = await move({ now: at(2026, 10, 15), bookingId: 'b1', redeemed: 60, earned: 12 });
+
+    assert.deepStrictEqual(loyalty.lots, { '2026-03': 70, '2026-10': 12 });
+    assert.strictEqual(loyalty.points, 82);
+    assert.strictEqual(loyalty.lifetimePoints, 612);
+    const byType = Object.fromEntries(entries.map(e => [e.type, [e.id, e.points, e.balanceAfter]]));
+    assert.deepStrictEqual(byType.expire.slice(1), [-50, 130]);
+    assert.deepStrictEqual(byType.redeem, ['b1-redeem', -60, 70]);
+    assert.deepStrictEqual(byType.earn, ['b1', 12, 82]);
+});
+
+test('updateLoyalty() with nothing to move writes nothing', async () => {
+    const { loyalty, saved, entries } = await move({ now: at(2026, 4, 1) });
+
+    assert.deepStrictEqual(loyalty, user.loyalty);
+    assert.deepStrictEqual(saved, user.loyalty);
+    assert.strictEqual(entries.length, 0);
+});
@@ -0,0 +1,104 @@
+// ocpi.test.js
+// The OCPI interface's partner registration (server/ocpi/credentials.js) and Tokens module
+// (server/ocpi/tokens.js) on the in-memory backend: each partner keeps to the party it was added
+// with, pushes tokens only for that party, and a pushed token is what lets its drivers charge.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const { createMemoryBackend, createDataLayer } = require(path.join(__dirname, '..', 'electric vehichal bunk app (EVchargeNet)', 'data-layer.js'));
+const { createCredentialsService } = require(path.join(__dirname, '..', 'server', 'ocpi', 'credentials.js'));
+const { createTokensService, findChargingToken } = require(path.join(__dirname, '..', 'server', 'ocpi', 'tokens.js'));
+
+const party = { countryCode: 'IN', partyId: 'EVC', name: 'EV ChargeNet' };
+const LAST_UPDATED = '2026-10-21T06:00:00.000Z';
+
+function createServices() {
+    const store = createDataLayer(createMemoryBackend({
+        seed: {
+            ocpiPartners: {
+                msp: { name: 'MSP', countryCode: 'NL', partyId: 'MSP', status: 'registered' },
+                other: { name: 'Other', countryCode: 'DE', partyId: 'OTH', status: 'registered' },
+                gone: { name: 'Gone', countryCode: 'BE', partyId: 'OLD', status: 'unregistered' },
+            },
+        },
+    }));
+    return {
+        store,
+        credentials: createCredentialsService({ store, party, versionsUrl: 'http://localhost:9200/ocpi/versions' }),
+        tokens: createTokensService({ store }),
+    };
+}
+
+const rfid = (uid, fields = {}) => ({
+    country_code: 'NL', party_id: 'MSP', uid, type: 'RFID', contract_id: `NL-MSP-${uid}`, issuer: 'MSP',
+    valid: true, whitelist: 'ALLOWED', last_updated: LAST_UPDATED, ...fields,
+});
+
+test('a partner is added for a party no other partner holds', async () => {
+    const { store, credentials } = createServices();
+
+    const { id, tokenA } = await credentials.addPartner('New', 'FR', 'NEW');
+    assert.deepStrictEqual(await store.ocpiPartners.get(id).then(p => [p.countryCode, p.partyId, p.status, p.tokenA]), ['FR', 'NEW', 'pending', tokenA]);
+    await assert.rejects(credentials.addPartner('Copy', 'NL', 'MSP'), /already belongs to partner MSP/);
+    await assert.rejects(credentials.addPartner('Bad', 'NLD', 'MSP'), /country code must be 2 letters/);
+    // An unregistered partner's party is free again.
+    await credentials.addPartner('Returning', 'BE', 'OLD');
+});
+
+test('a partner can only register roles for its own party', async () => {
+    const { credentials } = createServices();
+    const { id } = await credentials.addPartner('New', 'FR', 'NEW');
+    const partner = { id, countryCode: 'FR', partyId: 'NEW', status: 'pending' };
+    const register = roles => credentials.register(partner, { token: 'token-b', url: 'http://localhost:1/versions', roles });
+
+    await assert.rejects(register([{ role: 'EMSP', country_code: 'NL', party_id: 'MSP' }]), { statusCode: 2001, message: /registers as FR\*NEW, not NL\*MSP/ });
+    await assert.rejects(register([{ role: 'EMSP', country_code: 'FR', party_id: 'NEW' }, { role: 'EMSP', country_code: 'DE', party_id: 'OTH' }]), { statusCode: 2001 });
+    await assert.rejects(register([{ role: 'CPO', country_code: 'FR', party_id: 'NEW' }]), { statusCode: 2001, message: /Only eMSPs/ });
+    await assert.rejects(
+        credentials.register({ id: 'legacy', status: 'pending' }, { token: 'token-b', url: 'http://localhost:1/versions', roles: [{ role: 'EMSP', country_code: 'FR', party_id: 'NEW' }] }),
+        { statusCode: 2001, message: /added without a party/ },
+    );
+    await assert.rejects(
+        credentials.register({ id: 'copy', countryCode: 'NL', partyId: 'MSP', status: 'pending' }, { token: 'token-b', url: 'http://localhost:1/versions', roles: [{ role: 'EMSP', country_code: 'NL', party_id: 'MSP' }] }),
+        { statusCode: 2001, message: /registered by another partner/ },
+    );
+});
+
+test('partners push, read and update their own tokens only', async () => {
+    const { store, tokens } = createServices();
+    const msp = await store.ocpiPartners.get('msp');
+    const other = await store.ocpiPartners.get('other');
+
+    await tokens.putToken(msp, ['NL', 'MSP', 'CARD-1'], rfid('CARD-1'), null);
+    assert.deepStrictEqual(await tokens.getToken(msp, ['NL', 'MSP', 'CARD-1'], 'RFID'), rfid('CARD-1'));
+    assert.strictEqual((await store.ocpiTokens.get('NL-MSP-CARD-1')).partnerId, 'msp');
+
+    await tokens.patchToken(msp, ['NL', 'MSP', 'CARD-1'], { valid: false, last_updated: '2026-10-22T06:00:00.000Z' }, null);
+    assert.strictEqual((await tokens.getToken(msp, ['NL', 'MSP', 'CARD-1'], null)).valid, false);
+
+    await assert.rejects(tokens.getToken(other, ['NL', 'MSP', 'CARD-1'], null), { statusCode: 2001, httpStatus: 403 });
+    await assert.rejects(tokens.putToken(other, ['NL', 'MSP', 'CARD-2'], rfid('CARD-2'), null), { httpStatus: 403 });
+    await assert.rejects(tokens.getToken(msp, ['NL', 'MSP', 'CARD-1'], 'APP_USER'), { statusCode: 2004, httpStatus: 404 });
+    await assert.rejects(tokens.patchToken(msp, ['NL', 'MSP', 'CARD-9'], { valid: true, last_updated: LAST_UPDATED }, null), { statusCode: 2004 });
+    await assert.rejects(tokens.putToken(msp, ['NL', 'MSP', 'CARD-3'], rfid('CARD-4'), null), /must match its URL/);
+    await assert.rejects(tokens.putToken(msp, ['NL', 'MSP', 'CARD-3'], rfid('CARD-3', { whitelist: 'SOMETIMES' }), null), /Unknown whitelist type/);
+    await assert.rejects(tokens.patchToken(msp, ['NL', 'MSP', 'CARD-1'], { uid: 'CARD-5', last_updated: LAST_UPDATED }, null), /can't change/);
+});
+
+test('only a valid token of a registered partner lets a driver charge', async () => {
+    const { store, tokens } = createServices();
+    const msp = await store.ocpiPartners.get('msp');
+    await tokens.putToken(msp, ['NL', 'MSP', 'CARD-1'], rfid('CARD-1'), null);
+    await tokens.putToken(msp, ['NL', 'MSP', 'CARD-2'], rfid('CARD-2', { whitelist: 'NEVER' }), null);
+    await tokens.putToken(msp, ['NL', 'MSP', 'CARD-3'], rfid('CARD-3', { valid: false }), null);
+
+    assert.strictEqual((await findChargingToken(store, 'CARD-1'))?.contract_id, 'NL-MSP-CARD-1');
+    assert.strictEqual(await findChargingToken(store, 'CARD-2'), null);
+    assert.strictEqual(await findChargingToken(store, 'CARD-3'), null);
+    assert.strictEqual(await findChargingToken(store, 'CARD-4'), null);
+
+    await store.ocpiPartners.update('msp', { status: 'unregistered' });
+    assert.strictEqual(await findChargingToken(store, 'CARD-1'), null);
+});
@@ -0,0 +1,156 @@
+// ocpp-handlers.test.js
+// The OCPP central system's request handlers (server/ocpp/handlers.js) run on the in-memory
+// backend here: a charger boots, starts a transaction for a driver, reports meter values and a
+// full battery, and stops, and the session is billed and its connector freed as the app would.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const { createMemoryBackend, createDataLayer } = require(path.join(__dirname, '..', 'electric vehichal bunk app (EVchargeNet)', 'data-layer.js'));
+const { createChargePointService } = require(path.join(__dirname, '..', 'server', 'ocpp', 'handlers.js'));
+const { hashPassword } = require(path.join(__dirname, '..', 'server', 'ocpp', 'auth.js'));
+
+const log = { info() {}, warn() {}, error() {} };
+const chargePoint = { id: 'CP-1', stationId: 'st' };
+const START = Date.UTC(2026, 9, 21, 6, 0);
+const MINUTE = 60000;
+const iso = ms => new Date(ms).toISOString();
+
+function createService(overrides = {}) {
+    const store = createDataLayer(createMemoryBackend({
+        seed: {
+            stations: {
+                st: {
+                    name: 'Test', city: 'Surat', operatorId: 'op', chargePointId: 'CP-1', pricePerKwh: 20,
+                    tariff: { idleFee: { perMinute: 5, graceMinutes: 10 } },
+                    queue: ['waiting'], queueConnectorTypes: {}, queueOffers: [],
+                    connectors: [
+                        { id: 'c1', type: 'CCS', powerKw: 50, status: 'available', claim: null },
+                        { id: 'c2', type: 'CCS', powerKw: 50, status: 'occupied', claim: { kind: 'offer', userId: 'waiting' } },
+                    ],
+                    ...overrides.station,
+                },
+            },
+            users: {
+                driver: { role: 'user', status: 'active', profile: { idTag: 'TAG-1', vehicle: 'MG ZS EV' }, wallet: { balance: 500 } },
+                broke: { role: 'user', status: 'active', profile: { idTag: 'TAG-2' }, wallet: { balance: 20 } },
+            },
+            ocppChargePoints: {
+                'CP-1': { passwordHash: hashPassword('secret-password') },
+            },
+            ocpiPartners: {
+                partner: { name: 'Roaming partner', countryCode: 'NL', partyId: 'MSP', status: 'registered' },
+            },
+            ocpiTokens: {
+                'NL-MSP-RFID-1': { partnerId: 'partner', country_code: 'NL', party_id: 'MSP', uid: 'RFID-1', type: 'RFID', contract_id: 'NL-MSP-C1', issuer: 'Partner', valid: true, whitelist: 'ALLOWED', last_updated: iso(START) },
+                'NL-MSP-RFID-2': { partnerId: 'partner', country_code: 'NL', party_id: 'MSP', uid: 'RFID-2', type: 'RFID', contract_id: 'NL-MSP-C2', issuer: 'Partner', valid: false, whitelist: 'ALLOWED', last_updated: iso(START) },
+            },
+        },
+    }));
+    const service = createChargePointService({ store, log });
+    return { store, service, handlers: service.handlers };
+}
+
+test('chargers log in with their own password', async () => {
+    const { service } = createService();
+
+    assert.strictEqual((await service.authenticate('CP-1', 'secret-password'))?.id, 'st');
+    assert.strictEqual(await service.authenticate('CP-1', 'wrong-password'), null);
+    assert.strictEqual(await service.authenticate('CP-2', 'secret-password'), null);
+});
+
+test('BootNotification marks the charger connected', async () => {
+    const { store, handlers } = createService();
+    const result = await handlers.BootNotification(chargePoint, { chargePointVendor: 'Acme', chargePointModel: 'DC50' });
+
+    assert.strictEqual(result.status, 'Accepted');
+    const { ocppStatus } = await store.stations.get('st');
+    assert.deepStrictEqual([ocppStatus.connected, ocppStatus.vendor, ocppStatus.model], [true, 'Acme', 'DC50']);
+});
+
+test('Authorize accepts known drivers with enough in their wallet', async () => {
+    const { handlers } = createService();
+
+    assert.strictEqual((await handlers.Authorize(chargePoint, { idTag: 'TAG-1' })).idTagInfo.status, 'Accepted');
+    assert.strictEqual((await handlers.Authorize(chargePoint, { idTag: 'TAG-2' })).idTagInfo.status, 'Blocked');
+    assert.strictEqual((await handlers.Authorize(chargePoint, { idTag: 'nobody' })).idTagInfo.status, 'Invalid');
+    await assert.rejects(handlers.Authorize(chargePoint, {}), { code: 'OccurenceConstraintViolation' });
+});
+
+test('a transaction is recorded, metered and billed with its idle fee', async () => {
+    const { store, handlers } = createService();
+    const started = await handlers.StartTransaction(chargePoint, { connectorId: 1, idTag: 'TAG-1', meterStart: 1000, timestamp: iso(START) });
+    assert.strictEqual(started.idTagInfo.status, 'Accepted');
+    const [session] = await store.activeSessions.find({});
+    assert.deepStrictEqual([session.userId, session.connectorId, session.ocpp.transactionId], ['driver', 'c1', started.transactionId]);
+    assert.deepStrictEqual((await store.stations.get('st')).connectors[0].claim, { kind: 'session', userId: 'driver', id: session.id });
+
+    await handlers.MeterValues(chargePoint, {
+        connectorId: 1,
+        transactionId: started.transactionId,
+        meterValue: [{ timestamp: iso(START + 30 * MINUTE), sampledValue: [{ value: '11000' }, { value: '60', measurand: 'SoC' }] }],
+    });
+    assert.deepStrictEqual(await store.activeSessions.get(session.id).then(s => [s.kwh, s.soc]), [10, 60]);
+
+    // Full after 40 minutes, unplugged 30 minutes later: 20 minutes past the grace period.
+    await handlers.StatusNotification(chargePoint, { connectorId: 1, status: 'SuspendedEV', errorCode: 'NoError', timestamp: iso(START + 40 * MINUTE) });
+    assert.strictEqual((await store.activeSessions.get(session.id)).chargingEndedAt.toMillis(), START + 40 * MINUTE);
+    await handlers.StopTransaction(chargePoint, { transactionId: started.transactionId, meterStop: 13000, timestamp: iso(START + 70 * MINUTE), reason: 'EVDisconnected' });
+
+    assert.strictEqual(await store.activeSessions.get(session.id), null);
+    const [booking] = await store.bookings.find({});
+    assert.deepStrictEqual(
+        [booking.kwhConsumed, booking.energyCost, booking.idleMinutes, booking.idleBilledMinutes, booking.idleFee, booking.cost, booking.stopReason],
+        [12, 240, 30, 20, 100, 340, 'EVDisconnected'],
+    );
+    assert.strictEqual((await store.users.get('driver')).wallet.balance, 160);
+    // The freed connector is offered to the driver at the head of the queue, who keeps their place until they use it.
+    const station = await store.stations.get('st');
+    assert.deepStrictEqual(station.connectors[0].claim, { kind: 'offer', userId: 'waiting' });
+    assert.deepStrictEqual(station.queue, ['waiting']);
+
+    // A resent StopTransaction is acknowledged without billing again.
+    await handlers.StopTransaction(chargePoint, { transactionId: started.transactionId, meterStop: 13000, timestamp: iso(START + 70 * MINUTE) });
+    assert.strictEqual((await store.bookings.find({})).length, 1);
+});
+
+test('a roaming partner\'s token charges without a wallet and its booking carries the token', async () => {
+    const { store, handlers } = createService({ station: { queue: [] } });
+    assert.strictEqual((await handlers.Authorize(chargePoint, { idTag: 'RFID-1' })).idTagInfo.status, 'Accepted');
+    assert.strictEqual((await handlers.Authorize(chargePoint, { idTag: 'RFID-2' })).idTagInfo.status, 'Invalid');
+
+    const started = await handlers.StartTransaction(chargePoint, { connectorId: 1, idTag: 'RFID-1', meterStart: 0, timestamp: iso(START) });
+    assert.strictEqual(started.idTagInfo.status, 'Accepted');
+    const ocpiToken = { country_code: 'NL', party_id: 'MSP', uid: 'RFID-1', type: 'RFID', contract_id: 'NL-MSP-C1' };
+    const [session] = await store.activeSessions.find({});
+    assert.deepStrictEqual([session.userId, session.ocpiToken], [null, ocpiToken]);
+    assert.strictEqual((await handlers.StartTransaction(chargePoint, { connectorId: 2, idTag: 'RFID-1', meterStart: 0, timestamp: iso(START) })).idTagInfo.status, 'ConcurrentTx');
+
+    await handlers.StopTransaction(chargePoint, { transactionId: started.transactionId, meterStop: 5000, timestamp: iso(START + 20 * MINUTE) });
+    const [booking] = await store.bookings.find({});
+    assert.deepStrictEqual([booking.userId, booking.ocpiToken, booking.kwhConsumed, booking.cost], [null, ocpiToken, 5, 100]);
+    assert.strictEqual((await store.users.get('driver')).wallet.balance, 500);
+});
+
+test('a connector held for another driver can\'t be started on', async () => {
+    const { store, handlers } = createService();
+    const started = await handlers.StartTransaction(chargePoint, { connectorId: 2, idTag: 'TAG-1', meterStart: 0, timestamp: iso(START) });
+
+    assert.strictEqual(started.idTagInfo.status, 'Invalid');
+    assert.deepStrictEqual(await store.activeSessions.find({}), []);
+    await assert.rejects(
+        handlers.StartTransaction(chargePoint, { connectorId: 3, idTag: 'TAG-1', meterStart: 0, timestamp: iso(START) }),
+        { code: 'PropertyConstraintViolation' },
+    );
+});
+
+test('a faulted connector is taken out of service until it is available again', async () => {
+    const { store, handlers } = createService({ station: { queue: [] } });
+    await handlers.StatusNotification(chargePoint, { connectorId: 1, status: 'Faulted', errorCode: 'GroundFailure' });
+    assert.strictEqual((await store.stations.get('st')).connectors[0].status, 'faulted');
+    assert.deepStrictEqual((await store.stations.get('st')).slots, { total: 1, available: 0 });
+
+    await handlers.StatusNotification(chargePoint, { connectorId: 1, status: 'Available', errorCode: 'NoError' });
+    assert.strictEqual((await store.stations.get('st')).connectors[0].status, 'available');
+});